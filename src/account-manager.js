@@ -0,0 +1,378 @@
+/**
+ * Account Manager - Several IndiaMART seller accounts behind one API
+ *
+ * Each account gets its own IndiaMartSDK with its own directory tree, so rate limits,
+ * caches, logs, poller checkpoints and stored leads never mix between CRM keys:
+ *
+ *   <baseDir>/<account>/logs        rate-limits.json, api-logs.json, poller checkpoint
+ *   <baseDir>/<account>/downloads   downloaded JSON files
+ *   <baseDir>/<account>/data        leads/, processed/ and failed/
+ *
+ * Fetches run for all accounts at once and come back merged, with every lead tagged by
+ * its `account`. SDK events are re-emitted with the account name added.
+ */
+
+import { EventEmitter } from 'events';
+import path from 'path';
+import { IndiaMartSDK, SDK_EVENTS } from './sdk.js';
+import { LeadPoller } from './lead-poller.js';
+
+/**
+ * Events emitted by IndiaMartAccountManager (in addition to every SDK event, tagged with the account)
+ */
+export const ACCOUNT_EVENTS = {
+  NEW_LEAD: 'newLead',          // (lead, { account }) for every new lead found by startPolling()
+  POLL: 'poll',                 // ({ account, ...pollResult }) after every poll
+  POLL_ERROR: 'pollError'       // ({ account, error }) when a poll fails
+};
+
+const ACCOUNT_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+export class IndiaMartAccountManager extends EventEmitter {
+  /**
+   * Create an account manager
+   *
+   * @param {object} options - Manager options
+   * @param {string} options.baseDir - Directory holding one sub-directory per account (default: './accounts')
+   * @param {object} options.sdkOptions - Options applied to every account's SDK (paths are set per account)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.baseDir = options.baseDir || path.join('.', 'accounts');
+    this.sdkOptions = options.sdkOptions || {};
+    this.accounts = new Map();
+    this.pollers = new Map();
+  }
+
+  /**
+   * Register an account
+   *
+   * @param {string} name - Account name (letters, digits, '-' and '_'; used as directory name)
+   * @param {string|IndiaMartSDK} crmKeyOrSdk - CRM key, or an already configured SDK
+   * @param {object} options - SDK options for this account (merged over sdkOptions)
+   * @returns {IndiaMartSDK} The account's SDK
+   * @example
+   * ```javascript
+   * const manager = new IndiaMartAccountManager({ baseDir: './accounts' });
+   * manager.addAccount('pumps', process.env.PUMPS_CRM_KEY);
+   * manager.addAccount('valves', process.env.VALVES_CRM_KEY);
+   * const { leads } = await manager.getLeadsForYesterday();
+   * leads.forEach(lead => console.log(lead.account, lead.uniqueQueryId));
+   * ```
+   */
+  addAccount(name, crmKeyOrSdk, options = {}) {
+    if (!ACCOUNT_NAME_PATTERN.test(name || '')) {
+      throw new Error(`Invalid account name "${name}" (use letters, digits, '-' and '_')`);
+    }
+    if (this.accounts.has(name)) {
+      throw new Error(`Account "${name}" is already registered`);
+    }
+
+    const owned = !(crmKeyOrSdk instanceof IndiaMartSDK);
+    const sdk = owned
+      ? new IndiaMartSDK(crmKeyOrSdk, this.createAccountOptions(name, options))
+      : crmKeyOrSdk;
+
+    const listeners = this.forwardEvents(name, sdk);
+    this.accounts.set(name, { name, sdk, owned, listeners });
+    return sdk;
+  }
+
+  /**
+   * Unregister an account (its SDK is destroyed if the manager created it)
+   * @param {string} name - Account name
+   * @returns {Promise<boolean>} True if the account existed
+   */
+  async removeAccount(name) {
+    const account = this.accounts.get(name);
+    if (!account) {
+      return false;
+    }
+
+    await this.stopPolling(name);
+    for (const [event, listener] of account.listeners) {
+      account.sdk.off(event, listener);
+    }
+    this.accounts.delete(name);
+
+    if (account.owned) {
+      await account.sdk.destroy();
+    }
+    return true;
+  }
+
+  /**
+   * Get an account's SDK
+   * @param {string} name - Account name
+   * @returns {IndiaMartSDK} SDK
+   */
+  getAccount(name) {
+    const account = this.accounts.get(name);
+    if (!account) {
+      throw new Error(`Unknown account "${name}" (registered: ${this.listAccounts().join(', ') || 'none'})`);
+    }
+    return account.sdk;
+  }
+
+  /**
+   * List registered account names
+   * @returns {string[]} Account names
+   */
+  listAccounts() {
+    return [...this.accounts.keys()];
+  }
+
+  /**
+   * Build SDK options with a separate directory tree for an account
+   * @param {string} name - Account name
+   * @param {object} options - Account-specific SDK options
+   * @returns {object} SDK options
+   */
+  createAccountOptions(name, options) {
+    const root = path.join(this.baseDir, name);
+    const logPath = path.join(root, 'logs');
+    const dataPath = path.join(root, 'data');
+
+    return {
+      ...this.sdkOptions,
+      ...options,
+      paths: {
+        downloadPath: path.join(root, 'downloads'),
+        logPath,
+        // Full paths, so rate limit state is per account rather than shared in the working directory
+        apiLogFile: path.join(logPath, 'api-logs.json'),
+        rateLimitFile: path.join(logPath, 'rate-limits.json'),
+        dataPath,
+        leadsPath: path.join(dataPath, 'leads'),
+        processedPath: path.join(dataPath, 'processed'),
+        failedPath: path.join(dataPath, 'failed'),
+        ...this.sdkOptions.paths,
+        ...options.paths
+      }
+    };
+  }
+
+  /**
+   * Re-emit an account's SDK events with the account name added
+   * @param {string} name - Account name
+   * @param {IndiaMartSDK} sdk - Account SDK
+   * @returns {Array} [event, listener] pairs, for removal
+   */
+  forwardEvents(name, sdk) {
+    const listeners = Object.values(SDK_EVENTS).map(event => {
+      const listener = event === SDK_EVENTS.LEAD
+        ? (lead, context) => this.emit(event, { ...lead, account: name }, { ...context, account: name })
+        : (payload, ...rest) => this.emit(event, payload && typeof payload === 'object' ? { ...payload, account: name } : payload, ...rest);
+      sdk.on(event, listener);
+      return [event, listener];
+    });
+    return listeners;
+  }
+
+  /**
+   * Run an SDK fetch method for every account and merge the results
+   * @param {string} method - IndiaMartSDK method name
+   * @param {Array} args - Method arguments
+   * @returns {Promise<object>} Merged result
+   */
+  async fetchAll(method, args) {
+    const names = this.listAccounts();
+    // Failures are merged per account, so every SDK reports them as results
+    const settled = await Promise.allSettled(names.map(name => this.getAccount(name)[method](...args, { errorMode: 'result' })));
+
+    const merged = {
+      success: true,
+      partial: false,
+      totalRecords: 0,
+      leads: [],
+      accounts: {},
+      errors: []
+    };
+
+    settled.forEach((outcome, index) => {
+      const account = names[index];
+      const result = outcome.status === 'fulfilled'
+        ? outcome.value
+        : { success: false, error: outcome.reason?.message || String(outcome.reason), leads: [] };
+      const noLeads = !result.success && /no leads/i.test(result.error || '');
+
+      merged.accounts[account] = {
+        success: result.success || noLeads,
+        code: result.code,
+        totalRecords: result.totalRecords || 0,
+        leadsCount: result.leads?.length || 0,
+        attempts: result.attempts || 0,
+        downloadPath: result.downloadPath || null,
+        ...(result.success || noLeads ? {} : { error: result.error })
+      };
+
+      if (!result.success && !noLeads) {
+        merged.errors.push({ account, error: result.error, code: result.code });
+        return;
+      }
+
+      merged.totalRecords += result.totalRecords || 0;
+      for (const lead of result.leads || []) {
+        if (lead) merged.leads.push({ ...lead, account });
+      }
+    });
+
+    // Newest first across accounts (QUERY_TIME is 'YYYY-MM-DD HH:MM:SS', so text order is time order)
+    merged.leads.sort((a, b) => String(b.queryTime || '').localeCompare(String(a.queryTime || '')));
+
+    const failed = merged.errors.length;
+    merged.success = failed === 0;
+    merged.partial = failed > 0 && failed < names.length;
+    if (failed > 0) {
+      merged.error = merged.errors.map(({ account, error }) => `${account}: ${error}`).join('; ');
+    }
+
+    return merged;
+  }
+
+  /**
+   * Get today's leads for all accounts
+   * @returns {Promise<object>} Merged result ({ success, partial, leads, totalRecords, accounts, errors })
+   */
+  async getLeadsForToday() {
+    return this.fetchAll('getLeadsForToday', []);
+  }
+
+  /**
+   * Get yesterday's leads for all accounts
+   * @returns {Promise<object>} Merged result
+   */
+  async getLeadsForYesterday() {
+    return this.fetchAll('getLeadsForYesterday', []);
+  }
+
+  /**
+   * Get leads for a specific date for all accounts
+   * @param {Date|string} date - Date
+   * @returns {Promise<object>} Merged result
+   */
+  async getLeadsForDate(date) {
+    return this.fetchAll('getLeadsForDate', [date]);
+  }
+
+  /**
+   * Get leads for a date range for all accounts
+   * @param {Date|string} startDate - Start date
+   * @param {Date|string} endDate - End date
+   * @returns {Promise<object>} Merged result
+   */
+  async getLeadsForDateRange(startDate, endDate) {
+    return this.fetchAll('getLeadsForDateRange', [startDate, endDate]);
+  }
+
+  /**
+   * Get leads for the last N days for all accounts
+   * @param {number} days - Number of days
+   * @returns {Promise<object>} Merged result
+   */
+  async getLeadsForLastDays(days) {
+    return this.fetchAll('getLeadsForLastDays', [days]);
+  }
+
+  /**
+   * Start a lead poller for every account (checkpoints are kept per account)
+   *
+   * @param {object} options - LeadPoller options applied to every account
+   * @returns {Map<string, LeadPoller>} Pollers by account name
+   */
+  startPolling(options = {}) {
+    for (const name of this.listAccounts()) {
+      if (this.pollers.has(name)) continue;
+
+      const poller = new LeadPoller(this.getAccount(name), options);
+      poller.on('lead', (lead) => this.emit(ACCOUNT_EVENTS.NEW_LEAD, { ...lead, account: name }, { account: name }));
+      poller.on('poll', (result) => this.emit(ACCOUNT_EVENTS.POLL, { ...result, account: name }));
+      poller.on('error', (error) => this.emit(ACCOUNT_EVENTS.POLL_ERROR, { account: name, error }));
+
+      this.pollers.set(name, poller);
+      poller.start();
+    }
+
+    return this.pollers;
+  }
+
+  /**
+   * Stop polling for one account, or for all of them
+   * @param {string} name - Account name (default: all accounts)
+   * @returns {Promise<void>}
+   */
+  async stopPolling(name = null) {
+    const names = name ? [name] : [...this.pollers.keys()];
+    await Promise.all(names.map(async (account) => {
+      const poller = this.pollers.get(account);
+      if (!poller) return;
+      this.pollers.delete(account);
+      await poller.stop();
+    }));
+  }
+
+  /**
+   * Get rate limit status for every account
+   * @returns {object} Status by account name
+   */
+  getRateLimitStatus() {
+    return Object.fromEntries(this.listAccounts().map(name => [name, this.getAccount(name).getRateLimitStatus()]));
+  }
+
+  /**
+   * Combined health report built from every account's getHealthStatus()
+   *
+   * `status` is 'healthy' when every account is healthy and unblocked, 'unhealthy' when
+   * none is, and 'degraded' otherwise.
+   *
+   * @returns {Promise<object>} Health report
+   */
+  async getHealthStatus() {
+    const names = this.listAccounts();
+    const reports = await Promise.all(names.map(name => this.getAccount(name).getHealthStatus()));
+
+    const accounts = {};
+    const summary = { total: names.length, healthy: 0, unhealthy: 0, blocked: 0, callsRemaining: 0 };
+
+    reports.forEach((report, index) => {
+      accounts[names[index]] = report;
+      const rateLimiter = report.components?.rateLimiter || {};
+      const blocked = rateLimiter.isBlocked === true;
+
+      if (report.success && report.status === 'healthy' && !blocked) {
+        summary.healthy++;
+      } else {
+        summary.unhealthy++;
+      }
+      if (blocked) summary.blocked++;
+      summary.callsRemaining += rateLimiter.callsRemaining || 0;
+    });
+
+    let status = 'healthy';
+    if (summary.total === 0 || summary.healthy === 0) {
+      status = 'unhealthy';
+    } else if (summary.unhealthy > 0) {
+      status = 'degraded';
+    }
+
+    return {
+      success: status !== 'unhealthy',
+      status,
+      timestamp: new Date().toISOString(),
+      summary,
+      accounts
+    };
+  }
+
+  /**
+   * Stop polling and destroy every SDK the manager created
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    await this.stopPolling();
+    for (const name of this.listAccounts()) {
+      await this.removeAccount(name);
+    }
+  }
+}
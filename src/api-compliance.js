@@ -7,21 +7,40 @@
  * - 15-minute API key blocking protection
  * - 365-day data availability validation
  * - Special character handling in QUERY_MESSAGE
+ *
+ * Call counting and blocking are delegated to a RateGovernor, so the compliance manager,
+ * the client and the SDK all see the same counters.
  */
 
+import { RateGovernor, RATE_RULES } from './rate-governor.js';
+
+// Compliance violation type reported for each governor rule
+const VIOLATION_TYPES = {
+  RATE_LIMIT_BLOCKED: 'API_KEY_BLOCKED',
+  MIN_INTERVAL_NOT_ELAPSED: 'MINIMUM_INTERVAL_VIOLATION',
+  MINUTE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
+  HOURLY_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED'
+};
+
 export class IndiaMartComplianceManager {
+  /**
+   * @param {object} options - Compliance options
+   * @param {RateGovernor|object} options.governor - Rate governor to consult, or options for one; pass { persist: false } to keep the counters in memory (default: a governor on './logs/rate-limits.json')
+   */
   constructor(options = {}) {
-    this.minIntervalMs = 5 * 60 * 1000; // 5 minutes minimum
+    // Without a shared governor, counters go to the standard rate limit file so other processes see them
+    this.governor = options.governor instanceof RateGovernor
+      ? options.governor
+      : new RateGovernor({
+        onRecovered: (info) => this.onRecovered(info.reason),
+        ...options.governor
+      });
+
+    this.minIntervalMs = this.governor.limits.minIntervalMs; // 5 minutes minimum
     this.maxDateRangeMs = 7 * 24 * 60 * 60 * 1000; // 7 days maximum
     this.maxHistoricalDays = 365; // 365 days historical data
-    this.maxCallsPerMinute = 5; // 5 calls per minute limit
-    this.blockDurationMs = 15 * 60 * 1000; // 15 minutes block duration
-    
-    // Rate limiting tracking
-    this.callHistory = [];
-    this.lastCallTime = null;
-    this.isBlocked = false;
-    this.blockedUntil = null;
+    this.maxCallsPerMinute = this.governor.limits.callsPerMinute; // 5 calls per minute limit
+    this.blockDurationMs = this.governor.limits.blockDurationMinutes * 60 * 1000; // 15 minutes block duration
     
     // Configuration
     this.enableStrictMode = options.enableStrictMode !== false; // Default true
@@ -33,6 +52,9 @@ export class IndiaMartComplianceManager {
       'time4.google.com'
     ];
     
+    // Measured offset from IndiaMART's clock, if a ClockSkewMonitor is attached
+    this.clockSkew = options.clockSkew || null;
+    
     // Event handlers
     this.onViolation = options.onViolation || this.defaultViolationHandler;
     this.onBlocked = options.onBlocked || this.defaultBlockedHandler;
@@ -45,48 +67,14 @@ export class IndiaMartComplianceManager {
   validateCall(startTime, endTime) {
     const violations = [];
 
-    // Check if currently blocked
-    if (this.isBlocked) {
-      if (Date.now() < this.blockedUntil) {
-        const remainingMs = this.blockedUntil - Date.now();
-        violations.push({
-          type: 'API_KEY_BLOCKED',
-          message: `API key is blocked for ${Math.ceil(remainingMs / 60000)} more minutes`,
-          retryAfter: remainingMs
-        });
-      } else {
-        // Block period expired
-        this.isBlocked = false;
-        this.blockedUntil = null;
-        this.onRecovered('API key block expired');
-      }
-    }
-
-    // Check minimum interval between calls
-    if (this.lastCallTime) {
-      const timeSinceLastCall = Date.now() - this.lastCallTime;
-      if (timeSinceLastCall < this.minIntervalMs) {
-        const remainingMs = this.minIntervalMs - timeSinceLastCall;
-        violations.push({
-          type: 'MINIMUM_INTERVAL_VIOLATION',
-          message: `Minimum 5 minutes between calls required. Wait ${Math.ceil(remainingMs / 60000)} more minutes`,
-          retryAfter: remainingMs
-        });
-      }
-    }
-
-    // Check rate limiting (5 calls per minute)
-    const now = Date.now();
-    const oneMinuteAgo = now - 60000;
-    const recentCalls = this.callHistory.filter(time => time > oneMinuteAgo);
-    
-    if (recentCalls.length >= this.maxCallsPerMinute) {
-      const oldestCall = Math.min(...recentCalls);
-      const retryAfter = oldestCall + 60000 - now;
+    // Blocking, the call counts and the interval rule come from the governor
+    const check = this.governor.peek();
+    for (const rule of check.blockedBy) {
       violations.push({
-        type: 'RATE_LIMIT_EXCEEDED',
-        message: `Maximum 5 calls per minute exceeded. Wait ${Math.ceil(retryAfter / 1000)} seconds`,
-        retryAfter
+        type: VIOLATION_TYPES[rule.reason] || rule.reason,
+        message: `${rule.description}. Wait ${Math.ceil(rule.retryAfter / 1000)} seconds`,
+        retryAfter: rule.retryAfter,
+        nextSlotAt: rule.nextSlotAt
       });
     }
 
@@ -108,23 +96,18 @@ export class IndiaMartComplianceManager {
 
   /**
    * Record API call for rate limiting
+   * @returns {Promise<void>}
    */
-  recordCall() {
-    const now = Date.now();
-    this.lastCallTime = now;
-    this.callHistory.push(now);
-    
-    // Clean old history (keep only last hour)
-    const oneHourAgo = now - 60 * 60 * 1000;
-    this.callHistory = this.callHistory.filter(time => time > oneHourAgo);
+  async recordCall() {
+    await this.governor.recordCall(true);
   }
 
   /**
    * Handle API key blocking
+   * @returns {Promise<void>}
    */
-  handleBlocking() {
-    this.isBlocked = true;
-    this.blockedUntil = Date.now() + this.blockDurationMs;
+  async handleBlocking() {
+    await this.governor.block(this.blockDurationMs, 'API_KEY_BLOCKED', { notify: false });
     this.onBlocked(this.blockDurationMs);
   }
 
@@ -258,13 +241,19 @@ export class IndiaMartComplianceManager {
 
   /**
    * Get NTP synchronization recommendations
+   * 
+   * With a ClockSkewMonitor attached, `measured` holds its status (offsetMs, skewed, ...)
+   * and `syncRequired` tells whether the local clock is past its threshold.
    */
   getNTPSyncRecommendations() {
+    const measured = this.clockSkew ? this.clockSkew.getStatus() : null;
     return {
       servers: this.ntpServers,
       command: 'ntpdate -s time.google.com', // Linux/Mac
       windowsCommand: 'w32tm /resync',
-      description: 'Keep server time synchronized with NTP servers for accurate API calls'
+      description: 'Keep server time synchronized with NTP servers for accurate API calls',
+      measured,
+      syncRequired: measured ? measured.skewed : null
     };
   }
 
@@ -273,28 +262,30 @@ export class IndiaMartComplianceManager {
    */
   getStatus() {
     const now = Date.now();
-    const recentCalls = this.callHistory.filter(time => time > now - 60000);
+    const status = this.governor.getStatus();
+    const blockedUntil = status.blockedUntil ? new Date(status.blockedUntil).getTime() : null;
+    const lastCallTime = status.lastFetchAt ? new Date(status.lastFetchAt).getTime() : null;
     
     return {
-      isBlocked: this.isBlocked,
-      blockedUntil: this.blockedUntil,
-      timeUntilUnblocked: this.isBlocked ? Math.max(0, this.blockedUntil - now) : 0,
-      recentCalls: recentCalls.length,
+      isBlocked: status.isBlocked,
+      blockedUntil,
+      timeUntilUnblocked: blockedUntil ? Math.max(0, blockedUntil - now) : 0,
+      recentCalls: status.callsPerMinute,
       maxCallsPerMinute: this.maxCallsPerMinute,
-      lastCallTime: this.lastCallTime,
-      timeSinceLastCall: this.lastCallTime ? now - this.lastCallTime : null,
-      canMakeCall: !this.isBlocked && (!this.lastCallTime || (now - this.lastCallTime) >= this.minIntervalMs)
+      lastCallTime,
+      timeSinceLastCall: lastCallTime ? now - lastCallTime : null,
+      canMakeCall: status.allowed,
+      reason: status.reason,
+      nextSlotAt: status.nextSlotAt
     };
   }
 
   /**
    * Reset compliance state
+   * @returns {Promise<void>}
    */
-  reset() {
-    this.callHistory = [];
-    this.lastCallTime = null;
-    this.isBlocked = false;
-    this.blockedUntil = null;
+  async reset() {
+    await this.governor.reset();
   }
 
   // Default event handlers
@@ -312,12 +303,15 @@ export class IndiaMartComplianceManager {
 }
 
 // Export compliance constants
+const RULE_BY_REASON = Object.fromEntries(RATE_RULES.map(rule => [rule.reason, rule]));
+
+// Export compliance constants (rate limits come from RATE_RULES)
 export const COMPLIANCE_CONSTANTS = {
-  MIN_INTERVAL_MS: 5 * 60 * 1000,        // 5 minutes
+  MIN_INTERVAL_MS: RULE_BY_REASON.MIN_INTERVAL_NOT_ELAPSED.intervalMs,  // 5 minutes
   MAX_DATE_RANGE_MS: 7 * 24 * 60 * 60 * 1000, // 7 days
   MAX_HISTORICAL_DAYS: 365,              // 365 days
-  MAX_CALLS_PER_MINUTE: 5,               // 5 calls per minute
-  BLOCK_DURATION_MS: 15 * 60 * 1000,     // 15 minutes
+  MAX_CALLS_PER_MINUTE: RULE_BY_REASON.MINUTE_LIMIT_EXCEEDED.limit,     // 5 calls per minute
+  BLOCK_DURATION_MS: RULE_BY_REASON.HOURLY_LIMIT_EXCEEDED.blockMs,      // 15 minutes
   RECOMMENDED_POLLING_MS: 10 * 60 * 1000, // 10 minutes
   NTP_SERVERS: [
     'time.google.com',
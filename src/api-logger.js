@@ -2,11 +2,14 @@
  * API Logger - Stores API logs and rate limits in files
  * 
  * This module handles logging of API calls, rate limits, and responses
- * to files for monitoring and debugging purposes.
+ * to files for monitoring and debugging purposes. Rate limit entries are
+ * kept by the RateGovernor that owns the rate limit file.
  */
 
 import fs from 'fs';
 import path from 'path';
+import { readJsonFileSync, writeJsonFileSync } from './atomic-file.js';
+import { RateGovernor } from './rate-governor.js';
 
 export class APILogger {
   constructor(options = {}) {
@@ -19,6 +22,12 @@ export class APILogger {
     this.rateLimitFile = options.rateLimitFile || path.join(this.logDirectory, 'rate-limits.json');
     this.apiLogsFile = options.apiLogsFile || path.join(this.logDirectory, 'api-logs.json');
     this.ensureLogDirectory();
+
+    // The governor owns the rate limit file; writing it from here would race with its counters
+    this.governor = options.governor || new RateGovernor({
+      logDirectory: this.logDirectory,
+      rateLimitFile: this.rateLimitFile
+    });
   }
 
   /**
@@ -54,12 +63,12 @@ export class APILogger {
         userAgent: callData.userAgent || 'IndiaMART-SDK/1.0.0'
       };
 
-      // Read existing logs
-      let logs = [];
-      if (fs.existsSync(this.apiLogsFile)) {
-        const data = fs.readFileSync(this.apiLogsFile, 'utf8');
-        logs = JSON.parse(data);
-      }
+      // Read existing logs (a corrupt file is restored from its .bak copy)
+      let logs = readJsonFileSync(this.apiLogsFile, {
+        fallback: [],
+        validate: Array.isArray,
+        label: 'API log'
+      });
 
       // Add new log entry
       logs.push(logEntry);
@@ -69,8 +78,8 @@ export class APILogger {
         logs = logs.slice(-1000);
       }
 
-      // Write back to file
-      fs.writeFileSync(this.apiLogsFile, JSON.stringify(logs, null, 2));
+      // Write back to file atomically, keeping the previous version as .bak
+      writeJsonFileSync(this.apiLogsFile, logs, { backup: true });
       
       console.log(`📝 API call logged: ${callData.method} ${callData.url} - ${callData.statusCode}`);
     } catch (error) {
@@ -79,41 +88,16 @@ export class APILogger {
   }
 
   /**
-   * Log rate limit information
+   * Log rate limit information (kept in the governor's history)
    * @param {object} rateLimitData - Rate limit information
    */
   async logRateLimit(rateLimitData) {
     try {
-      const rateLimitEntry = {
-        timestamp: new Date().toISOString(),
-        callsPerMinute: rateLimitData.callsPerMinute || 0,
-        callsPerHour: rateLimitData.callsPerHour || 0,
-        isBlocked: rateLimitData.isBlocked || false,
-        blockUntil: rateLimitData.blockUntil || null,
-        retryAfter: rateLimitData.retryAfter || null,
-        lastCallTime: rateLimitData.lastCallTime || null,
-        totalCallsToday: rateLimitData.totalCallsToday || 0
-      };
-
-      // Read existing rate limit data
-      let rateLimits = {};
-      if (fs.existsSync(this.rateLimitFile)) {
-        const data = fs.readFileSync(this.rateLimitFile, 'utf8');
-        rateLimits = JSON.parse(data);
-      }
-
-      // Update rate limit data
-      rateLimits.current = rateLimitEntry;
-      rateLimits.history = rateLimits.history || [];
-      rateLimits.history.push(rateLimitEntry);
-
-      // Keep only last 100 entries in history
-      if (rateLimits.history.length > 100) {
-        rateLimits.history = rateLimits.history.slice(-100);
-      }
-
-      // Write back to file
-      fs.writeFileSync(this.rateLimitFile, JSON.stringify(rateLimits, null, 2));
+      await this.governor.logRateLimit({
+        reason: rateLimitData.reason || null,
+        retryAfter: rateLimitData.retryAfter || 0,
+        nextSlotAt: rateLimitData.nextSlotAt || rateLimitData.blockUntil || null
+      });
       
       console.log(`📊 Rate limit logged: ${rateLimitData.callsPerMinute}/min, ${rateLimitData.callsPerHour}/hour`);
     } catch (error) {
@@ -147,13 +131,7 @@ export class APILogger {
    */
   getRateLimitStatus() {
     try {
-      if (!fs.existsSync(this.rateLimitFile)) {
-        return null;
-      }
-
-      const data = fs.readFileSync(this.rateLimitFile, 'utf8');
-      const rateLimits = JSON.parse(data);
-      return rateLimits.current || null;
+      return this.governor.getStatus();
     } catch (error) {
       console.error('❌ Failed to read rate limit status:', error.message);
       return null;
@@ -200,8 +178,9 @@ export class APILogger {
 
   /**
    * Clear old logs (older than 30 days)
+   * @returns {Promise<void>}
    */
-  clearOldLogs() {
+  async clearOldLogs() {
     try {
       const thirtyDaysAgo = new Date();
       thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
@@ -211,18 +190,11 @@ export class APILogger {
         const data = fs.readFileSync(this.apiLogsFile, 'utf8');
         const logs = JSON.parse(data);
         const recentLogs = logs.filter(log => new Date(log.timestamp) > thirtyDaysAgo);
-        fs.writeFileSync(this.apiLogsFile, JSON.stringify(recentLogs, null, 2));
+        writeJsonFileSync(this.apiLogsFile, recentLogs, { backup: true });
       }
 
       // Clear rate limit history
-      if (fs.existsSync(this.rateLimitFile)) {
-        const data = fs.readFileSync(this.rateLimitFile, 'utf8');
-        const rateLimits = JSON.parse(data);
-        if (rateLimits.history) {
-          rateLimits.history = rateLimits.history.filter(entry => new Date(entry.timestamp) > thirtyDaysAgo);
-          fs.writeFileSync(this.rateLimitFile, JSON.stringify(rateLimits, null, 2));
-        }
-      }
+      await this.governor.clearHistory(thirtyDaysAgo);
 
       console.log('🧹 Old logs cleared (older than 30 days)');
     } catch (error) {
@@ -0,0 +1,208 @@
+/**
+ * Atomic File Writes - Crash-safe persistence for SDK state and lead files
+ *
+ * Every write goes to a temporary file in the same directory, is fsynced and then
+ * renamed over the target, so readers see either the old or the new content, never
+ * a truncated file. With `backup: true` the previous version is kept as `<file>.bak`,
+ * and readJsonFileSync() restores it when the main file turns out to be corrupt.
+ */
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+
+let tempCounter = 0;
+
+/**
+ * Path of the backup copy kept for a file
+ * @param {string} filePath - File path
+ * @returns {string} Backup path
+ */
+export function backupPath(filePath) {
+  return `${filePath}.bak`;
+}
+
+/**
+ * Write a file atomically (temp file + fsync + rename)
+ * @param {string} filePath - Target file
+ * @param {string|Buffer} content - File content
+ * @param {object} options - Write options
+ * @param {boolean} options.backup - Keep the previous version as <file>.bak (default: false)
+ */
+export function writeFileAtomicSync(filePath, content, { backup = false } = {}) {
+  const tempPath = tempPathFor(filePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  try {
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeFileSync(fd, content, 'utf8');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    if (backup && fs.existsSync(filePath)) {
+      fs.copyFileSync(filePath, backupPath(filePath));
+    }
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+
+  syncDirectory(path.dirname(filePath));
+}
+
+/**
+ * Write a file atomically without blocking the event loop
+ * @param {string} filePath - Target file
+ * @param {string|Buffer} content - File content
+ * @param {object} options - Write options (see writeFileAtomicSync)
+ * @returns {Promise<void>}
+ */
+export async function writeFileAtomic(filePath, content, { backup = false } = {}) {
+  const tempPath = tempPathFor(filePath);
+  await fsp.mkdir(path.dirname(filePath), { recursive: true });
+
+  try {
+    const handle = await fsp.open(tempPath, 'w');
+    try {
+      await handle.writeFile(content, 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    if (backup) {
+      await fsp.copyFile(filePath, backupPath(filePath)).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+    await fsp.rename(tempPath, filePath);
+  } catch (error) {
+    await fsp.rm(tempPath, { force: true });
+    throw error;
+  }
+
+  syncDirectory(path.dirname(filePath));
+}
+
+/**
+ * Write JSON atomically (pretty-printed like the rest of the SDK's files)
+ * @param {string} filePath - Target file
+ * @param {*} data - Data to serialize
+ * @param {object} options - Write options (see writeFileAtomicSync)
+ */
+export function writeJsonFileSync(filePath, data, options = {}) {
+  writeFileAtomicSync(filePath, JSON.stringify(data, null, 2), options);
+}
+
+/**
+ * Write JSON atomically without blocking the event loop
+ * @param {string} filePath - Target file
+ * @param {*} data - Data to serialize
+ * @param {object} options - Write options (see writeFileAtomicSync)
+ * @returns {Promise<void>}
+ */
+export async function writeJsonFile(filePath, data, options = {}) {
+  await writeFileAtomic(filePath, JSON.stringify(data, null, 2), options);
+}
+
+/**
+ * Read a JSON file, recovering from <file>.bak when it is corrupt
+ *
+ * A corrupt file is moved aside as <file>.corrupt-<timestamp> so it can be inspected.
+ * If there is no usable backup either, the fallback is returned and an error is logged.
+ *
+ * @param {string} filePath - File to read
+ * @param {object} options - Read options
+ * @param {*} options.fallback - Value returned when neither file is usable (default: null)
+ * @param {Function} options.validate - Returns false for parsed data that should count as corrupt
+ * @param {string} options.label - Name used in log messages (default: file name)
+ * @returns {*} Parsed data or the fallback
+ */
+export function readJsonFileSync(filePath, { fallback = null, validate = null, label = path.basename(filePath) } = {}) {
+  const main = tryReadJson(filePath, validate);
+  if (main.ok) {
+    return main.data;
+  }
+
+  // A missing file means a fresh start (or a deliberate reset), not a crash
+  if (main.missing) {
+    return fallback;
+  }
+
+  const corruptPath = `${filePath}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  try {
+    fs.renameSync(filePath, corruptPath);
+  } catch {
+    // Keep going; the main file is rewritten below or on the next save
+  }
+  console.error(`❌ ${label} is corrupt (${main.error}); moved it to ${corruptPath}`);
+
+  const backup = tryReadJson(backupPath(filePath), validate);
+
+  if (backup.ok) {
+    console.warn(`⚠️  Recovered ${label} from ${backupPath(filePath)}`);
+    try {
+      writeFileAtomicSync(filePath, JSON.stringify(backup.data, null, 2));
+    } catch (error) {
+      console.warn(`⚠️  Could not restore ${label}: ${error.message}`);
+    }
+    return backup.data;
+  }
+
+  console.error(`❌ No usable backup for ${label}; starting from defaults`);
+  return fallback;
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath - File to read
+ * @param {Function|null} validate - Extra validation of the parsed data
+ * @returns {object} { ok, data } or { ok: false, missing, error }
+ */
+function tryReadJson(filePath, validate) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    return { ok: false, missing: error.code === 'ENOENT', error: error.message };
+  }
+
+  try {
+    const data = JSON.parse(text);
+    if (validate && !validate(data)) {
+      return { ok: false, missing: false, error: 'unexpected content' };
+    }
+    return { ok: true, data };
+  } catch (error) {
+    return { ok: false, missing: false, error: error.message };
+  }
+}
+
+/**
+ * Unique temporary path next to the target, so the rename stays on one filesystem
+ * @param {string} filePath - Target file
+ * @returns {string} Temporary path
+ */
+function tempPathFor(filePath) {
+  return `${filePath}.${process.pid}.${Date.now()}.${tempCounter++}.tmp`;
+}
+
+/**
+ * Persist the rename itself; not supported on every platform, so failures are ignored
+ * @param {string} dir - Directory that holds the file
+ */
+function syncDirectory(dir) {
+  let fd;
+  try {
+    fd = fs.openSync(dir, 'r');
+    fs.fsyncSync(fd);
+  } catch {
+    // Directories cannot be opened or fsynced on some platforms (e.g. Windows)
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
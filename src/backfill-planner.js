@@ -0,0 +1,402 @@
+/**
+ * Backfill Planner - Resumable historical lead import
+ *
+ * This module imports up to 365 days of history in IndiaMART-compliant steps:
+ * - Splits the range into windows of at most 7 days (DateComplianceManager)
+ * - Runs windows under the RateGovernor rules, including the 5-minute spacing rule
+ * - Persists progress per window so a killed process picks up where it stopped
+ * - Reports progress (windows done, leads so far, ETA)
+ */
+
+import { EventEmitter } from 'events';
+import path from 'path';
+import { DateComplianceManager } from './date-compliance.js';
+import { COMPLIANCE_CONSTANTS } from './api-compliance.js';
+import { readJsonFileSync, writeJsonFileSync } from './atomic-file.js';
+import { REQUEST_PRIORITIES } from './request-scheduler.js';
+
+export class BackfillPlanner extends EventEmitter {
+  /**
+   * Create a new backfill planner
+   *
+   * @param {object} sdk - IndiaMartSDK instance used to fetch leads
+   * @param {object} options - Backfill configuration
+   * @param {Date|string} options.from - Start of the range to import (required)
+   * @param {Date|string} options.to - End of the range to import (default: now)
+   * @param {string} options.jobId - Names the progress file: '<logPath>/backfill_<jobId>.json'
+   * @param {string} options.progressFile - Progress file path (default: from jobId, else '<logPath>/backfill_<from>_to_<to|now>.json')
+   * @param {number} options.minIntervalMs - Minimum spacing between windows (default: 5 minutes)
+   * @param {number} options.maxWindowAttempts - Attempts per window before it is marked failed (default: 3)
+   * @param {AbortSignal} options.signal - Abort signal to stop the backfill after the current window
+   * @param {object} options.scheduler - RequestScheduler to queue windows through (BACKGROUND priority)
+   */
+  constructor(sdk, options = {}) {
+    super();
+
+    if (!sdk || typeof sdk.getLeadsForDateRange !== 'function') {
+      throw new Error('BackfillPlanner requires an IndiaMartSDK instance');
+    }
+
+    if (!options.from) {
+      throw new Error('Backfill requires a "from" date');
+    }
+
+    this.sdk = sdk;
+    this.dateCompliance = sdk.dateCompliance || new DateComplianceManager();
+    this.rateLimiter = sdk.rateGovernor || sdk.rateLimiter || null;
+    this.scheduler = options.scheduler || null;
+
+    this.plan = this.dateCompliance.splitDateRange(options.from, options.to || this.dateCompliance.now());
+    this.minIntervalMs = options.minIntervalMs !== undefined ? options.minIntervalMs : COMPLIANCE_CONSTANTS.MIN_INTERVAL_MS;
+    this.maxWindowAttempts = options.maxWindowAttempts || 3;
+
+    const logPath = sdk.options?.paths?.logPath || './logs';
+    this.progressFile = options.progressFile || path.join(logPath, `backfill_${this.getJobName(options)}.json`);
+
+    this.stopRequested = false;
+    this.waitTimer = null;
+    this.waitResolve = null;
+    this.nextCallAt = null;
+    this.queueAbort = new AbortController();
+
+    if (options.signal) {
+      if (options.signal.aborted) {
+        this.stopRequested = true;
+      } else {
+        options.signal.addEventListener('abort', () => this.stop(), { once: true });
+      }
+    }
+
+    this.progress = this.loadProgress();
+  }
+
+  /**
+   * Load progress from file, or create a fresh plan
+   * @returns {object} Progress data
+   */
+  loadProgress() {
+    const fresh = {
+      from: this.plan.startDate.toISOString(),
+      to: this.plan.endDate.toISOString(),
+      createdAt: new Date().toISOString(),
+      lastCallAt: null,
+      totalLeads: 0,
+      windows: this.plan.windows.map((window, index) => ({
+        index,
+        startDate: window.startDate.toISOString(),
+        endDate: window.endDate.toISOString(),
+        status: 'pending',
+        attempts: 0,
+        leads: 0,
+        completedAt: null,
+        error: null
+      }))
+    };
+
+    try {
+      // A corrupt progress file is restored from its .bak copy
+      const saved = readJsonFileSync(this.progressFile, { fallback: null, label: 'Backfill progress' });
+      if (!saved || !Array.isArray(saved.windows)) {
+        return fresh;
+      }
+
+      this.extendSavedPlan(saved);
+
+      // Failed windows get a fresh set of attempts on every run
+      for (const window of saved.windows) {
+        if (window.status === 'failed') {
+          window.status = 'pending';
+          window.attempts = 0;
+        }
+      }
+
+      console.log(`📂 Resuming backfill from ${this.progressFile}`);
+      return saved;
+    } catch (error) {
+      console.error('❌ Failed to load backfill progress:', error.message);
+      return fresh;
+    }
+  }
+
+  /**
+   * Name of the progress file for this backfill
+   *
+   * Keyed on the requested range, not on when the backfill runs: without "to" the
+   * range ends "now", so a restart on a later day resumes the same file.
+   *
+   * @param {object} options - Constructor options
+   * @returns {string} Job name
+   */
+  getJobName(options) {
+    if (options.jobId) {
+      return String(options.jobId).replace(/[^\w.-]/g, '_');
+    }
+
+    const day = (date) => date.toISOString().split('T')[0];
+    const toStr = options.to ? day(this.plan.requestedEndDate) : 'now';
+    return `${day(this.plan.requestedStartDate)}_to_${toStr}`;
+  }
+
+  /**
+   * Extend a resumed plan when the requested range now ends later (e.g. "to" defaults to now)
+   * @param {object} saved - Saved progress, updated in place
+   */
+  extendSavedPlan(saved) {
+    const lastWindow = saved.windows[saved.windows.length - 1];
+    const lastEnd = lastWindow ? new Date(lastWindow.endDate) : new Date(saved.from);
+    if (this.plan.endDate <= lastEnd) {
+      return;
+    }
+
+    const maxWindowMs = this.dateCompliance.limits.maxDateRangeDays * 24 * 60 * 60 * 1000;
+    if (lastWindow?.status === 'pending' && this.plan.endDate - new Date(lastWindow.startDate) <= maxWindowMs) {
+      // Stretch a pending last window instead of adding a sliver window for the extra time
+      lastWindow.endDate = this.plan.endDate.toISOString();
+    } else {
+      const extension = this.dateCompliance.splitDateRange(lastEnd, this.plan.endDate);
+      for (const window of extension.windows) {
+        saved.windows.push({
+          index: saved.windows.length,
+          startDate: window.startDate.toISOString(),
+          endDate: window.endDate.toISOString(),
+          status: 'pending',
+          attempts: 0,
+          leads: 0,
+          completedAt: null,
+          error: null
+        });
+      }
+    }
+    saved.to = this.plan.endDate.toISOString();
+  }
+
+  /**
+   * Save progress to file
+   */
+  saveProgress() {
+    try {
+      this.progress.updatedAt = new Date().toISOString();
+      writeJsonFileSync(this.progressFile, this.progress, { backup: true });
+    } catch (error) {
+      console.error('❌ Failed to save backfill progress:', error.message);
+    }
+  }
+
+  /**
+   * Run the backfill until every window is done, failed or the run is stopped
+   * @returns {Promise<object>} Backfill summary
+   */
+  async run() {
+    const startedAt = Date.now();
+    this.saveProgress();
+    this.emitProgress();
+
+    for (const window of this.progress.windows) {
+      while (window.status === 'pending' && !this.stopRequested) {
+        if (this.skipIfExpired(window)) {
+          break;
+        }
+
+        await this.waitForSlot();
+        if (this.stopRequested) {
+          break;
+        }
+
+        await this.runWindow(window);
+        this.saveProgress();
+        this.emitProgress();
+      }
+
+      if (this.stopRequested) {
+        break;
+      }
+    }
+
+    const summary = {
+      ...this.getProgress(),
+      success: !this.stopRequested && this.progress.windows.every(window => window.status !== 'failed'),
+      stopped: this.stopRequested,
+      failedWindows: this.progress.windows.filter(window => window.status === 'failed'),
+      progressFile: this.progressFile,
+      durationMs: Date.now() - startedAt
+    };
+
+    this.emit('complete', summary);
+    return summary;
+  }
+
+  /**
+   * Fetch a single window and record the outcome
+   * @param {object} window - Window progress entry
+   */
+  async runWindow(window) {
+    if (this.skipIfExpired(window)) {
+      return;
+    }
+
+    const endDate = new Date(window.endDate);
+
+    // A resumed plan may have windows that partly aged past the historical limit since it was created
+    const startDate = this.dateCompliance.splitDateRange(window.startDate, endDate).startDate;
+
+    window.attempts++;
+    this.progress.lastCallAt = new Date().toISOString();
+
+    // Queued windows give way to interactive fetches and polls
+    const result = this.scheduler
+      ? await this.scheduler.getLeadsForDateRange(startDate, endDate, {
+        priority: REQUEST_PRIORITIES.BACKGROUND,
+        signal: this.queueAbort.signal
+      })
+      : await this.sdk.getLeadsForDateRange(startDate, endDate, { errorMode: 'result' });
+
+    if (this.stopRequested && result.code === 499) {
+      // Withdrawn from the queue before it was sent: the window stays pending
+      window.attempts--;
+      return;
+    }
+
+    const noLeads = !result.success && /no leads/i.test(result.error || '');
+
+    // A partial result stopped paginating early (rate budget or a page error), so the window stays pending
+    if ((result.success && !result.partial) || noLeads) {
+      const leads = result.leads || [];
+      window.status = 'done';
+      window.leads = leads.length;
+      window.completedAt = new Date().toISOString();
+      window.error = null;
+      this.progress.totalLeads += leads.length;
+
+      this.emit('window', { window: { ...window }, leads });
+      return;
+    }
+
+    window.error = result.success
+      ? `Partial result: ${result.leads.length} of ${result.totalRecords} leads${result.paginationError ? ` (${result.paginationError})` : ''}`
+      : result.error || 'Unknown error';
+    if (window.attempts >= this.maxWindowAttempts) {
+      window.status = 'failed';
+      console.warn(`⚠️  Backfill window ${window.index + 1} failed after ${window.attempts} attempts: ${window.error}`);
+    }
+  }
+
+  /**
+   * Mark a window as skipped when it lies entirely beyond the historical data limit
+   * @param {object} window - Window progress entry
+   * @returns {boolean} True if the window was skipped
+   */
+  skipIfExpired(window) {
+    if (this.dateCompliance.splitDateRange(window.startDate, window.endDate).windows.length > 0) {
+      return false;
+    }
+
+    window.status = 'skipped';
+    window.error = 'Window is older than the historical data limit';
+    return true;
+  }
+
+  /**
+   * Wait until both the spacing rule and the rate limiter allow the next call
+   */
+  async waitForSlot() {
+    while (!this.stopRequested) {
+      let waitMs = 0;
+
+      if (this.progress.lastCallAt) {
+        const elapsed = Date.now() - new Date(this.progress.lastCallAt).getTime();
+        waitMs = Math.max(0, this.minIntervalMs - elapsed);
+      }
+
+      // A scheduler waits for the rate limits itself
+      if (waitMs === 0 && this.rateLimiter && !this.scheduler) {
+        // Only look: the SDK call below reserves the slot itself
+        const check = await this.rateLimiter.canMakeCall({ reserve: false });
+        if (!check.allowed) {
+          waitMs = Math.max(check.retryAfter, 1000);
+        }
+      }
+
+      if (waitMs === 0) {
+        this.nextCallAt = null;
+        return;
+      }
+
+      this.nextCallAt = new Date(Date.now() + waitMs);
+      this.emitProgress();
+      await this.wait(waitMs);
+    }
+  }
+
+  /**
+   * Cancellable sleep
+   * @param {number} ms - Milliseconds to wait
+   * @returns {Promise<void>}
+   */
+  wait(ms) {
+    return new Promise(resolve => {
+      this.waitResolve = resolve;
+      this.waitTimer = setTimeout(() => {
+        this.waitTimer = null;
+        this.waitResolve = null;
+        resolve();
+      }, ms);
+    });
+  }
+
+  /**
+   * Stop the backfill after the current window; progress is kept for resuming
+   */
+  stop() {
+    this.stopRequested = true;
+    this.queueAbort.abort();
+
+    if (this.waitTimer) {
+      clearTimeout(this.waitTimer);
+      this.waitTimer = null;
+    }
+
+    if (this.waitResolve) {
+      const resolve = this.waitResolve;
+      this.waitResolve = null;
+      resolve();
+    }
+  }
+
+  /**
+   * Emit a progress event
+   */
+  emitProgress() {
+    this.emit('progress', this.getProgress());
+  }
+
+  /**
+   * Get backfill progress
+   * @returns {object} Progress with windows done, leads so far and ETA
+   */
+  getProgress() {
+    const windows = this.progress.windows;
+    const windowsDone = windows.filter(window => window.status === 'done').length;
+    const windowsFailed = windows.filter(window => window.status === 'failed').length;
+    const windowsSkipped = windows.filter(window => window.status === 'skipped').length;
+    const windowsRemaining = windows.filter(window => window.status === 'pending').length;
+
+    // The next window starts when the current wait ends; every later one is at least one interval apart
+    const nextWaitMs = this.nextCallAt ? Math.max(0, this.nextCallAt.getTime() - Date.now()) : 0;
+    const etaMs = windowsRemaining > 0 ? nextWaitMs + (windowsRemaining - 1) * this.minIntervalMs : 0;
+
+    return {
+      from: this.progress.from,
+      to: this.progress.to,
+      windowsTotal: windows.length,
+      windowsDone,
+      windowsFailed,
+      windowsSkipped,
+      windowsRemaining,
+      leadsSoFar: this.progress.totalLeads,
+      percent: windows.length > 0 ? Math.round((windowsDone / windows.length) * 100) : 100,
+      etaMs,
+      estimatedCompletion: new Date(Date.now() + etaMs).toISOString(),
+      nextCallAt: this.nextCallAt ? this.nextCallAt.toISOString() : null
+    };
+  }
+}
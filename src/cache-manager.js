@@ -238,6 +238,9 @@ export class CacheManager {
     this.cleanupTimer = setInterval(() => {
       this.cleanup();
     }, this.cleanupInterval);
+
+    // Housekeeping alone should not keep the process alive
+    this.cleanupTimer.unref?.();
   }
 
   /**
@@ -0,0 +1,162 @@
+/**
+ * Cassette - Record and replay IndiaMART HTTP interactions
+ *
+ * This module wraps a transport (see http-transport.js) for regression tests:
+ * - record: calls the real transport and writes every request/response pair to a JSON cassette
+ * - replay: serves responses from the cassette and never touches the network
+ *
+ * Recorded URLs have `glusr_crm_key` redacted and the key is scrubbed from response bodies,
+ * so cassettes can be committed. Replay matches on method and redacted URL, serving
+ * repeated requests in recorded order; a request without a recording fails with CASSETTE_MISS.
+ */
+
+import fs from 'fs';
+import { IndiaMartError } from './error-handler.js';
+import { fetchTransport } from './http-transport.js';
+import { writeJsonFileSync } from './atomic-file.js';
+
+export const CASSETTE_VERSION = 1;
+const REDACTED = 'REDACTED';
+
+/**
+ * Create a recording or replaying transport
+ *
+ * @param {object} options - Cassette configuration
+ * @param {string} options.mode - 'record' or 'replay'
+ * @param {string} options.path - Cassette file path
+ * @param {Function} [options.transport] - Transport to record from (default: fetch)
+ * @param {string[]} [options.secrets] - Values to scrub from recorded bodies (e.g. the CRM key)
+ * @returns {Function} Transport `(url, init) => Promise<response>`
+ */
+export function createCassetteTransport(options = {}) {
+  const { mode, path: cassettePath, transport = fetchTransport, secrets = [] } = options;
+
+  if (!cassettePath) {
+    throw new Error('Cassette requires a "path"');
+  }
+
+  if (mode === 'record') {
+    return createRecorder(cassettePath, transport, secrets);
+  }
+
+  if (mode === 'replay') {
+    return createPlayer(cassettePath);
+  }
+
+  throw new Error(`Unknown cassette mode: ${mode} (use 'record' or 'replay')`);
+}
+
+/**
+ * Redact the CRM key from a request URL
+ * @param {string} url - Request URL
+ * @returns {string} URL safe to store
+ */
+export function sanitizeUrl(url) {
+  const parsed = new URL(url);
+  if (parsed.searchParams.has('glusr_crm_key')) {
+    parsed.searchParams.set('glusr_crm_key', REDACTED);
+  }
+  return parsed.toString();
+}
+
+/**
+ * Load a cassette file
+ * @param {string} cassettePath - Cassette file path
+ * @returns {object} Cassette with an interactions array
+ */
+export function loadCassette(cassettePath) {
+  if (!fs.existsSync(cassettePath)) {
+    throw new IndiaMartError(`Cassette not found: ${cassettePath}`, 'CASSETTE_MISS', 'ERROR', {
+      type: 'CASSETTE_MISS',
+      cassette: cassettePath,
+      suggestion: 'Record the cassette first with cassette mode "record"'
+    });
+  }
+
+  const cassette = JSON.parse(fs.readFileSync(cassettePath, 'utf8'));
+  if (!Array.isArray(cassette.interactions)) {
+    throw new Error(`Invalid cassette file: ${cassettePath}`);
+  }
+  return cassette;
+}
+
+/**
+ * Transport that records every interaction; the cassette is rewritten from scratch per recorder
+ */
+function createRecorder(cassettePath, transport, secrets) {
+  const cassette = {
+    version: CASSETTE_VERSION,
+    recordedAt: new Date().toISOString(),
+    interactions: []
+  };
+
+  const scrub = (text) => secrets.filter(Boolean).reduce((result, secret) => result.split(secret).join(REDACTED), text);
+
+  return async (url, init = {}) => {
+    const response = await transport(url, init);
+    const body = typeof response.text === 'function'
+      ? await response.text()
+      : JSON.stringify(await response.json());
+    const headers = response.headers ? Object.fromEntries(response.headers.entries()) : {};
+
+    cassette.interactions.push({
+      request: { method: init.method || 'GET', url: sanitizeUrl(url) },
+      response: {
+        status: response.status,
+        statusText: response.statusText || '',
+        headers,
+        body: scrub(body)
+      },
+      recordedAt: new Date().toISOString()
+    });
+
+    writeJsonFileSync(cassettePath, cassette);
+
+    return createRecordedResponse({ status: response.status, statusText: response.statusText, headers, body });
+  };
+}
+
+/**
+ * Transport that serves recorded interactions
+ */
+function createPlayer(cassettePath) {
+  const cassette = loadCassette(cassettePath);
+  const used = new Set();
+
+  return async (url, init = {}) => {
+    const method = init.method || 'GET';
+    const sanitized = sanitizeUrl(url);
+    const index = cassette.interactions.findIndex((interaction, i) =>
+      !used.has(i) && interaction.request.method === method && interaction.request.url === sanitized
+    );
+
+    if (index === -1) {
+      throw new IndiaMartError(`No recorded response for ${method} ${sanitized} in ${cassettePath}`, 'CASSETTE_MISS', 'ERROR', {
+        type: 'CASSETTE_MISS',
+        cassette: cassettePath,
+        request: { method, url: sanitized },
+        suggestion: 'Re-record the cassette or use fixed start and end times in the test'
+      });
+    }
+
+    used.add(index);
+    // Marked so clock skew sampling skips the Date header from the time of recording
+    return { ...createRecordedResponse(cassette.interactions[index].response), replayed: true };
+  };
+}
+
+/**
+ * Build a fetch-like response from a recorded one
+ * @param {object} recorded - Recorded status, statusText, headers and body
+ * @returns {object} Response with json() and text()
+ */
+function createRecordedResponse(recorded) {
+  return {
+    status: recorded.status,
+    statusText: recorded.statusText || '',
+    headers: new Headers(recorded.headers || {}),
+    body: recorded.body,
+    json: async () => JSON.parse(recorded.body),
+    text: async () => recorded.body
+  };
+}
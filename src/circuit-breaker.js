@@ -0,0 +1,273 @@
+/**
+ * Circuit Breaker - Stop calling IndiaMART while it is down
+ *
+ * During an outage every fetch would otherwise retry up to maxRetries, burning the
+ * hourly budget and risking the 15-minute block. The breaker counts consecutive
+ * server errors (5xx) and timeouts, as classified by IndiaMartErrorHandler.getErrorType:
+ * - closed: calls go through; the threshold of consecutive failures opens the circuit
+ * - open: calls fail fast with CircuitOpenError until resetTimeoutMs has passed
+ * - half-open: one trial call goes through; success closes the circuit, failure opens it again
+ */
+
+import { IndiaMartError, IndiaMartErrorHandler } from './error-handler.js';
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Error types (from getErrorType) that count as an outage
+ */
+export const CIRCUIT_FAILURE_TYPES = ['SERVER_ERROR', 'TIMEOUT', 'OPERATION_TIMEOUT'];
+
+/**
+ * Thrown instead of calling IndiaMART while the circuit is open
+ */
+export class CircuitOpenError extends IndiaMartError {
+  constructor(status) {
+    super(
+      `Circuit breaker is ${status.state}: IndiaMART failed ${status.failures} time(s) in a row; next trial at ${status.nextAttemptAt}`,
+      'CIRCUIT_OPEN',
+      'ERROR',
+      {
+        type: 'CIRCUIT_OPEN',
+        state: status.state,
+        failures: status.failures,
+        openedAt: status.openedAt,
+        nextAttemptAt: status.nextAttemptAt,
+        retryAfter: status.retryAfter,
+        lastFailure: status.lastFailure,
+        suggestion: `IndiaMART looks unavailable; wait until ${status.nextAttemptAt} before calling again`
+      }
+    );
+    this.name = 'CircuitOpenError';
+    this.statusCode = 503;
+  }
+}
+
+export class CircuitBreaker {
+  /**
+   * Create a circuit breaker
+   *
+   * @param {object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit (default: 5)
+   * @param {number} options.resetTimeoutMs - Time the circuit stays open before a trial call (default: 60000)
+   * @param {string[]} options.failureTypes - Error types that count as failures (default: CIRCUIT_FAILURE_TYPES)
+   * @param {IndiaMartErrorHandler} options.errorHandler - Classifies errors (default: a new handler)
+   * @param {Function} options.onOpen - Called with the status when the circuit opens
+   * @param {Function} options.onHalfOpen - Called with the status when a trial call is allowed
+   * @param {Function} options.onClose - Called with the status when the circuit closes again
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeoutMs = options.resetTimeoutMs !== undefined ? options.resetTimeoutMs : 60 * 1000;
+    this.failureTypes = options.failureTypes || CIRCUIT_FAILURE_TYPES;
+    this.errorHandler = options.errorHandler || new IndiaMartErrorHandler();
+    this.onOpen = options.onOpen || null;
+    this.onHalfOpen = options.onHalfOpen || null;
+    this.onClose = options.onClose || null;
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.nextAttemptAt = null;
+    this.trialInFlight = false;
+    this.lastFailure = null;
+    this.stats = { opened: 0, rejected: 0, failures: 0, successes: 0 };
+  }
+
+  /**
+   * Check whether a call may go out, without claiming the half-open trial
+   * @returns {object} { allowed, state, retryAfter, nextAttemptAt }
+   */
+  canRequest() {
+    this.updateState();
+
+    const allowed = this.state === CIRCUIT_STATES.CLOSED ||
+      (this.state === CIRCUIT_STATES.HALF_OPEN && !this.trialInFlight);
+
+    return {
+      allowed,
+      state: this.state,
+      retryAfter: allowed ? 0 : this.getRetryAfter(),
+      nextAttemptAt: this.nextAttemptAt ? this.nextAttemptAt.toISOString() : null
+    };
+  }
+
+  /**
+   * Fail fast when no call may go out (does not claim the half-open trial)
+   * @throws {CircuitOpenError} When the circuit is open or the half-open trial is already running
+   */
+  rejectIfOpen() {
+    if (!this.canRequest().allowed) {
+      this.stats.rejected++;
+      throw new CircuitOpenError(this.getStatus());
+    }
+  }
+
+  /**
+   * Claim permission for one call
+   * @throws {CircuitOpenError} When the circuit is open or the half-open trial is already running
+   */
+  beforeRequest() {
+    this.rejectIfOpen();
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.trialInFlight = true;
+    }
+  }
+
+  /**
+   * Record a call that IndiaMART answered
+   */
+  recordSuccess() {
+    this.stats.successes++;
+    this.failures = 0;
+    this.trialInFlight = false;
+
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      this.transition(CIRCUIT_STATES.CLOSED);
+    }
+  }
+
+  /**
+   * Record a failed call
+   *
+   * Server errors and timeouts count towards opening the circuit. Other API errors
+   * (a bad key, no leads, 429) prove IndiaMART is answering and count as a success.
+   * Errors without an answer that are not timeouts (aborts, network errors) change nothing,
+   * and neither do failures recorded while the circuit is already open.
+   *
+   * @param {Error} error - Error of the failed call
+   * @returns {string} How the error was counted: 'failure', 'success' or 'ignored'
+   */
+  recordFailure(error) {
+    const outcome = this.classify(error);
+
+    if (outcome === 'success') {
+      this.recordSuccess();
+      return outcome;
+    }
+
+    this.trialInFlight = false;
+    // Calls still in flight when the circuit opened do not extend it
+    if (outcome === 'ignored' || this.state === CIRCUIT_STATES.OPEN) {
+      return 'ignored';
+    }
+
+    this.stats.failures++;
+    this.failures++;
+    this.lastFailure = {
+      type: this.errorHandler.getErrorType(error.statusCode || error.code, error.message),
+      message: error.message,
+      at: new Date().toISOString()
+    };
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.open();
+    }
+    return outcome;
+  }
+
+  /**
+   * Classify a failed call
+   * @param {Error} error - Error of the failed call
+   * @returns {string} 'failure', 'success' or 'ignored'
+   */
+  classify(error) {
+    const code = error?.statusCode || error?.code;
+    const type = this.errorHandler.getErrorType(code, error?.message);
+
+    if (this.failureTypes.includes(type)) return 'failure';
+    return typeof code === 'number' ? 'success' : 'ignored';
+  }
+
+  /**
+   * Open the circuit until resetTimeoutMs has passed
+   */
+  open() {
+    this.openedAt = new Date();
+    this.nextAttemptAt = new Date(Date.now() + this.resetTimeoutMs);
+    this.stats.opened++;
+    this.transition(CIRCUIT_STATES.OPEN);
+  }
+
+  /**
+   * Move from open to half-open once the reset timeout has passed
+   */
+  updateState() {
+    if (this.state === CIRCUIT_STATES.OPEN && Date.now() >= this.nextAttemptAt.getTime()) {
+      this.trialInFlight = false;
+      this.transition(CIRCUIT_STATES.HALF_OPEN);
+    }
+  }
+
+  /**
+   * Change state and notify
+   * @param {string} state - New state (see CIRCUIT_STATES)
+   */
+  transition(state) {
+    this.state = state;
+    if (state === CIRCUIT_STATES.CLOSED) {
+      this.openedAt = null;
+      this.nextAttemptAt = null;
+    }
+
+    const handler = {
+      [CIRCUIT_STATES.OPEN]: this.onOpen,
+      [CIRCUIT_STATES.HALF_OPEN]: this.onHalfOpen,
+      [CIRCUIT_STATES.CLOSED]: this.onClose
+    }[state];
+
+    if (handler) {
+      try {
+        handler(this.getStatus());
+      } catch (error) {
+        console.warn(`⚠️ Circuit breaker ${state} handler failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Milliseconds until the next trial call may go out
+   * @returns {number} Milliseconds (0 when calls are allowed)
+   */
+  getRetryAfter() {
+    if (this.state !== CIRCUIT_STATES.OPEN) return 0;
+    return Math.max(0, this.nextAttemptAt.getTime() - Date.now());
+  }
+
+  /**
+   * Get breaker status
+   * @returns {object} State, consecutive failures, timing and statistics
+   */
+  getStatus() {
+    this.updateState();
+
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      resetTimeoutMs: this.resetTimeoutMs,
+      openedAt: this.openedAt ? this.openedAt.toISOString() : null,
+      nextAttemptAt: this.nextAttemptAt ? this.nextAttemptAt.toISOString() : null,
+      retryAfter: this.getRetryAfter(),
+      lastFailure: this.lastFailure,
+      stats: { ...this.stats }
+    };
+  }
+
+  /**
+   * Close the circuit and forget failures
+   */
+  reset() {
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.nextAttemptAt = null;
+    this.trialInFlight = false;
+    this.lastFailure = null;
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * Client Middleware - Ordered `async (ctx, next) => …` chain around IndiaMartClient calls
+ *
+ * Every middleware runs at two stages, told apart by ctx.stage:
+ * - 'fetch': one getLeads call, pagination and retries included. Before next() the
+ *   middleware may change ctx.options (startTime, endTime, page, ...); after next()
+ *   ctx.result holds the merged result. A failed fetch throws out of next().
+ * - 'request': one HTTP attempt. Before next() the middleware may change ctx.url (query
+ *   params in ctx.url.searchParams) and ctx.init (method, headers); after next() ctx.response
+ *   is the raw transport response (ctx.sent is true once the transport answered; responses
+ *   replayed from a cassette have `replayed: true`) and ctx.body the parsed JSON, which is handed to
+ *   IndiaMartResponseHandler.processResponse once the chain returns. Network errors,
+ *   timeouts and invalid JSON throw out of next(). Skipping next() and setting ctx.body
+ *   answers the attempt without contacting IndiaMART.
+ *
+ * ctx.state is shared by a fetch and all of its requests (e.g. for a correlation ID).
+ * The client's logging, date compliance check, lead storage and clock skew sampling are
+ * the built-in middlewares below; middleware added with client.use() runs inside them.
+ */
+
+import { ComplianceError } from './error-handler.js';
+
+export const MIDDLEWARE_STAGES = {
+  FETCH: 'fetch',
+  REQUEST: 'request'
+};
+
+/**
+ * Compose middleware into one function that runs them in order around a handler
+ *
+ * @param {Function[]} middleware - Middleware `(ctx, next) => Promise`
+ * @param {Function} handler - Innermost step `(ctx) => Promise`
+ * @returns {Function} `(ctx) => Promise` running the whole chain
+ */
+export function composeMiddleware(middleware, handler) {
+  return (ctx) => {
+    let lastIndex = -1;
+
+    const dispatch = (index) => {
+      if (index <= lastIndex) {
+        return Promise.reject(new Error('next() called multiple times'));
+      }
+      lastIndex = index;
+
+      const fn = index < middleware.length ? middleware[index] : handler;
+      try {
+        return Promise.resolve(fn(ctx, () => dispatch(index + 1)));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    };
+
+    return dispatch(0);
+  };
+}
+
+/**
+ * Name a middleware so it can be found in client.middleware
+ * @param {string} name - Middleware name
+ * @param {Function} fn - Middleware
+ * @returns {Function} The middleware
+ */
+function named(name, fn) {
+  Object.defineProperty(fn, 'middlewareName', { value: name });
+  return fn;
+}
+
+/**
+ * Log every request, raw response and fetch outcome to the console
+ * @returns {Function} Middleware named 'logging'
+ */
+export function createLoggingMiddleware() {
+  return named('logging', async (ctx, next) => {
+    if (ctx.stage === MIDDLEWARE_STAGES.REQUEST) {
+      const crmKey = ctx.url.searchParams.get('glusr_crm_key');
+      console.log(`🔄 API Call Attempt ${ctx.attempt}`);
+      console.log(`   Start Time: ${ctx.url.searchParams.get('start_time')}`);
+      console.log(`   End Time: ${ctx.url.searchParams.get('end_time')}`);
+      console.log(`📡 Making request to: ${crmKey ? ctx.url.toString().replace(crmKey, '[REDACTED]') : ctx.url.toString()}`);
+
+      await next();
+
+      console.log(`📡 Raw API Response:`, {
+        status: ctx.response?.status,
+        statusText: ctx.response?.statusText,
+        headers: ctx.response?.headers ? Object.fromEntries(ctx.response.headers.entries()) : 'No headers',
+        responseTime: `${Date.now() - ctx.startedAt}ms`,
+        responseData: ctx.body
+      });
+      return;
+    }
+
+    try {
+      await next();
+    } catch (error) {
+      console.log(`❌ getLeads Error (${error.code || 'UNKNOWN'}): ${error.message}`);
+      throw error;
+    }
+
+    console.log(`✅ API Call Successful`);
+    console.log(`   Response Time: ${Date.now() - ctx.startedAt}ms`);
+    console.log(`   Total Records: ${ctx.result.totalRecords || 0}`);
+    console.log(`   Leads Count: ${ctx.result.leads?.length || 0}`);
+  });
+}
+
+/**
+ * Reject fetches whose date range breaks IndiaMART's rules, before any rate slot is used
+ * @param {IndiaMartComplianceManager} complianceManager - Validates the range and reports violations
+ * @returns {Function} Middleware named 'compliance'
+ */
+export function createComplianceMiddleware(complianceManager) {
+  return named('compliance', async (ctx, next) => {
+    if (ctx.stage !== MIDDLEWARE_STAGES.FETCH) return next();
+
+    const { startTime, endTime } = ctx.options;
+    const complianceCheck = complianceManager.validateDateRange(startTime, endTime);
+    if (!complianceCheck.isValid) {
+      complianceManager.onViolation({
+        type: 'DATE_RANGE_VIOLATION',
+        message: complianceCheck.errors.join(', '),
+        retryAfter: 0
+      });
+      throw ComplianceError.fromCheck(complianceCheck);
+    }
+
+    return next();
+  });
+}
+
+/**
+ * Store the leads of every successful fetch; a storage failure is logged, not thrown
+ * @param {StorageAdapter} storage - Storage adapter (e.g. FileStorageManager)
+ * @param {object} [options] - Middleware options
+ * @param {Function} [options.onStored] - Called with { batchId, leadsCount, startTime, endTime, complete } once storeLeads resolved
+ * @returns {Function} Middleware named 'storage'
+ */
+export function createStorageMiddleware(storage, { onStored = null } = {}) {
+  return named('storage', async (ctx, next) => {
+    await next();
+    if (ctx.stage !== MIDDLEWARE_STAGES.FETCH || !ctx.result?.leads?.length) return;
+
+    try {
+      const downloadPath = await storage.storeLeads(ctx.result.leads, {
+        startTime: ctx.options.startTime,
+        endTime: ctx.options.endTime,
+        totalRecords: ctx.result.totalRecords,
+        pagesFetched: ctx.result.pagesFetched,
+        complete: ctx.result.complete
+      });
+      console.log(`💾 Leads stored to: ${downloadPath}`);
+      ctx.result.downloadPath = downloadPath;
+    } catch (storageError) {
+      console.warn(`⚠️ Failed to store leads: ${storageError.message}`);
+      return;
+    }
+
+    if (!onStored) return;
+    try {
+      onStored({
+        batchId: ctx.result.downloadPath,
+        leadsCount: ctx.result.leads.length,
+        startTime: ctx.options.startTime,
+        endTime: ctx.options.endTime,
+        complete: ctx.result.complete
+      });
+    } catch (handlerError) {
+      console.warn(`⚠️ onStored handler failed: ${handlerError.message}`);
+    }
+  });
+}
+
+/**
+ * Feed the Date header of every response to a clock skew monitor
+ * @param {ClockSkewMonitor} monitor - Keeps the skew estimate
+ * @returns {Function} Middleware named 'clockSkew'
+ */
+export function createClockSkewMiddleware(monitor) {
+  return named('clockSkew', async (ctx, next) => {
+    if (ctx.stage !== MIDDLEWARE_STAGES.REQUEST) return next();
+
+    const sentAt = monitor.clock();
+    await next();
+
+    // Only answers from IndiaMART tell its time: skip those served by a middleware or replayed from a cassette
+    if (!ctx.sent || ctx.response?.replayed) return;
+    const dateHeader = ctx.response?.headers?.get?.('date');
+    if (dateHeader) {
+      monitor.record(dateHeader, { sentAt, receivedAt: monitor.clock() });
+    }
+  });
+}
@@ -0,0 +1,143 @@
+/**
+ * Clock Skew Monitor - Estimate how far the local clock is from IndiaMART's
+ *
+ * IndiaMART asks integrators to keep their clocks NTP-synced: a drifting VM clock shifts
+ * every start_time/end_time window the SDK builds. The monitor compares the Date header
+ * of each response with the local time of the request and keeps a rolling estimate:
+ * - Each sample is the server time minus the midpoint of the request (the header is
+ *   truncated to whole seconds, so half a second is added to it)
+ * - The estimate is the median of the last windowSize samples, once minSamples are in
+ * - Passing thresholdMs reports the skew; it is reported fixed once the estimate drops
+ *   below half the threshold, so an estimate near the threshold does not flap
+ * - With correct: true, now() returns local time shifted by the estimate; DateComplianceManager
+ *   builds its windows from it
+ */
+
+export class ClockSkewMonitor {
+  /**
+   * Create a clock skew monitor
+   *
+   * @param {object} options - Monitor options
+   * @param {number} options.thresholdMs - Skew (either direction) that is reported (default: 30000)
+   * @param {number} options.windowSize - Samples the estimate is taken from (default: 10)
+   * @param {number} options.minSamples - Samples needed before the estimate is used (default: 3)
+   * @param {boolean} options.correct - Shift now() by the estimate (default: false)
+   * @param {Function} options.clock - Local clock in milliseconds (default: Date.now)
+   * @param {Function} options.onSkew - Called with the status when the skew passes thresholdMs
+   * @param {Function} options.onRecovered - Called with the status when the skew is back under thresholdMs / 2
+   */
+  constructor(options = {}) {
+    this.thresholdMs = options.thresholdMs !== undefined ? options.thresholdMs : 30 * 1000;
+    this.windowSize = options.windowSize || 10;
+    this.minSamples = options.minSamples || 3;
+    this.correct = options.correct === true;
+    this.clock = options.clock || Date.now;
+    this.onSkew = options.onSkew || null;
+    this.onRecovered = options.onRecovered || null;
+
+    this.samples = [];
+    this.skewed = false;
+    this.lastSampleAt = null;
+  }
+
+  /**
+   * Add a sample from a response
+   *
+   * @param {string} dateHeader - The response's Date header
+   * @param {object} timing - Local times of the request
+   * @param {number} timing.sentAt - When the request was sent (ms)
+   * @param {number} timing.receivedAt - When the response arrived (ms)
+   * @returns {number|null} The sample's offset in ms (server minus local), or null if the header is unusable
+   */
+  record(dateHeader, { sentAt, receivedAt }) {
+    const serverTime = dateHeader ? Date.parse(dateHeader) : NaN;
+    if (isNaN(serverTime)) {
+      return null;
+    }
+
+    const offsetMs = Math.round(serverTime + 500 - (sentAt + receivedAt) / 2);
+    this.samples.push(offsetMs);
+    if (this.samples.length > this.windowSize) {
+      this.samples.shift();
+    }
+    this.lastSampleAt = new Date(receivedAt).toISOString();
+
+    this.checkThreshold();
+    return offsetMs;
+  }
+
+  /**
+   * Estimated offset of IndiaMART's clock from the local one
+   * @returns {number} Milliseconds to add to local time (0 until minSamples are in)
+   */
+  getOffset() {
+    if (this.samples.length < this.minSamples) {
+      return 0;
+    }
+
+    const sorted = [...this.samples].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+  }
+
+  /**
+   * Current time, corrected by the estimate when correction is on
+   * @returns {Date} Current time
+   */
+  now() {
+    return new Date(this.clock() + (this.correct ? this.getOffset() : 0));
+  }
+
+  /**
+   * Report the skew when the estimate crosses the threshold
+   */
+  checkThreshold() {
+    const offset = Math.abs(this.getOffset());
+
+    if (!this.skewed && offset >= this.thresholdMs) {
+      this.skewed = true;
+      this.notify(this.onSkew);
+    } else if (this.skewed && offset < this.thresholdMs / 2) {
+      this.skewed = false;
+      this.notify(this.onRecovered);
+    }
+  }
+
+  /**
+   * Call a handler with the status; a throwing handler is logged, not rethrown
+   * @param {Function|null} handler - onSkew or onRecovered
+   */
+  notify(handler) {
+    if (!handler) return;
+
+    try {
+      handler(this.getStatus());
+    } catch (error) {
+      console.warn(`⚠️ Clock skew handler failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the monitor status
+   * @returns {object} { offsetMs, skewed, thresholdMs, samples, correcting, lastSampleAt }
+   */
+  getStatus() {
+    return {
+      offsetMs: this.getOffset(),
+      skewed: this.skewed,
+      thresholdMs: this.thresholdMs,
+      samples: this.samples.length,
+      correcting: this.correct,
+      lastSampleAt: this.lastSampleAt
+    };
+  }
+
+  /**
+   * Forget all samples
+   */
+  reset() {
+    this.samples = [];
+    this.skewed = false;
+    this.lastSampleAt = null;
+  }
+}
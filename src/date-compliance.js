@@ -6,10 +6,74 @@
  * - Maximum 365 days historical data
  * - Dates must be in IST timezone
  * - Start date must be before end date
+ *
+ * IndiaMART's timestamps (QUERY_TIME, start_time/end_time) are IST wall-clock times
+ * without a zone; the helpers below convert them independently of the host's timezone.
  */
 
+// India Standard Time is UTC+05:30 all year (no daylight saving)
+export const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const QUERY_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})$/;
+
+/**
+ * Parse an IST wall-clock time such as QUERY_TIME ("2021-12-08 12:47:25")
+ * @param {string} value - Time in YYYY-MM-DD HH:MM:SS, IST
+ * @returns {Date|null} The instant, or null if the value is not a valid IST time
+ */
+export function parseQueryTime(value) {
+  const match = typeof value === 'string' ? QUERY_TIME_PATTERN.exec(value.trim()) : null;
+  if (!match) {
+    return null;
+  }
+
+  const [year, month, day, hours, minutes, seconds] = match.slice(1).map(Number);
+  const wallClock = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+  // Reject dates that roll over, e.g. 2021-02-30
+  if (wallClock.getUTCMonth() !== month - 1 || wallClock.getUTCDate() !== day || hours > 23 || minutes > 59 || seconds > 59) {
+    return null;
+  }
+
+  return new Date(wallClock.getTime() - IST_OFFSET_MS);
+}
+
+/**
+ * Format an instant as an IST wall-clock time, like QUERY_TIME
+ * @param {Date|string|number} date - Instant
+ * @returns {string} YYYY-MM-DD HH:MM:SS in IST (sorts as text in time order)
+ */
+export function formatQueryTime(date) {
+  return new Date(parseDateInput(date).getTime() + IST_OFFSET_MS).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Convert a date argument to a Date; zone-less YYYY-MM-DD HH:MM:SS strings are read as IST
+ * @param {Date|string|number} value - Date, timestamp, ISO string or IST wall-clock time
+ * @returns {Date} Date (invalid if the value cannot be parsed)
+ */
+export function parseDateInput(value) {
+  return parseQueryTime(value) || new Date(value);
+}
+
+/**
+ * Start of the IST calendar day that contains an instant
+ * @param {Date} date - Instant
+ * @returns {Date} IST midnight on or before the instant
+ */
+function startOfIstDay(date) {
+  return new Date(Math.floor((date.getTime() + IST_OFFSET_MS) / DAY_MS) * DAY_MS - IST_OFFSET_MS);
+}
+
 export class DateComplianceManager {
-  constructor() {
+  /**
+   * @param {object} options - Manager options
+   * @param {Function} options.clock - Current time as a Date, e.g. ClockSkewMonitor.now (default: the local clock)
+   */
+  constructor(options = {}) {
+    this.clock = options.clock || null;
+
     // IndiaMART API limits
     this.limits = {
       maxDateRangeDays: 7,      // Maximum 7 days between start and end
@@ -18,6 +82,14 @@ export class DateComplianceManager {
     };
   }
 
+  /**
+   * Current time that windows and checks are based on
+   * @returns {Date} Current time
+   */
+  now() {
+    return this.clock ? this.clock() : new Date();
+  }
+
   /**
    * Validate and enforce date range compliance
    * @param {Date|string} startDate - Start date
@@ -29,9 +101,9 @@ export class DateComplianceManager {
     const warnings = [];
 
     // Convert to Date objects
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    const now = new Date();
+    const start = parseDateInput(startDate);
+    const end = parseDateInput(endDate);
+    const now = this.now();
 
     // Basic validation
     if (isNaN(start.getTime())) {
@@ -104,13 +176,12 @@ export class DateComplianceManager {
   }
 
   /**
-   * Get compliant date range for today
+   * Get compliant date range for today (IST midnight to IST midnight)
    * @returns {object} Compliant date range for today
    */
   getTodayRange() {
-    const today = new Date();
-    const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-    const endOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+    const startOfDay = startOfIstDay(this.now());
+    const endOfDay = new Date(startOfDay.getTime() + DAY_MS);
     
     return {
       startDate: startOfDay,
@@ -120,14 +191,12 @@ export class DateComplianceManager {
   }
 
   /**
-   * Get compliant date range for yesterday
+   * Get compliant date range for yesterday (IST midnight to IST midnight)
    * @returns {object} Compliant date range for yesterday
    */
   getYesterdayRange() {
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    const startOfDay = new Date(yesterday.getFullYear(), yesterday.getMonth(), yesterday.getDate());
-    const endOfDay = new Date(yesterday.getFullYear(), yesterday.getMonth(), yesterday.getDate() + 1);
+    const endOfDay = startOfIstDay(this.now());
+    const startOfDay = new Date(endOfDay.getTime() - DAY_MS);
     
     return {
       startDate: startOfDay,
@@ -142,13 +211,13 @@ export class DateComplianceManager {
    * @returns {object} Compliant date range for last N days
    */
   getLastDaysRange(days) {
-    const endDate = new Date();
-    const startDate = new Date();
+    const endDate = this.now();
+    const startDate = new Date(endDate);
     startDate.setDate(startDate.getDate() - days);
     
     // Ensure we don't exceed the maximum range
     const actualDays = Math.min(days, this.limits.maxDateRangeDays);
-    const actualStartDate = new Date();
+    const actualStartDate = new Date(endDate);
     actualStartDate.setDate(actualStartDate.getDate() - actualDays);
     
     return {
@@ -162,13 +231,12 @@ export class DateComplianceManager {
 
   /**
    * Get compliant date range for a specific date
-   * @param {Date|string} date - Specific date
-   * @returns {object} Compliant date range for specific date
+   * @param {Date|string} date - Specific date; the IST day containing it is used
+   * @returns {object} Compliant date range for specific date (IST midnight to IST midnight)
    */
   getDateRange(date) {
-    const targetDate = new Date(date);
-    const startOfDay = new Date(targetDate.getFullYear(), targetDate.getMonth(), targetDate.getDate());
-    const endOfDay = new Date(targetDate.getFullYear(), targetDate.getMonth(), targetDate.getDate() + 1);
+    const startOfDay = startOfIstDay(parseDateInput(date));
+    const endOfDay = new Date(startOfDay.getTime() + DAY_MS);
     
     return {
       startDate: startOfDay,
@@ -177,41 +245,78 @@ export class DateComplianceManager {
     };
   }
 
+  /**
+   * Split a date range into compliant windows of at most 7 days
+   *
+   * The start is clamped to the historical limit (one day of margin is kept so
+   * windows stay valid while a long backfill runs) and the end is clamped to now.
+   *
+   * @param {Date|string} startDate - Start date
+   * @param {Date|string} endDate - End date (default: now)
+   * @returns {object} Windows in chronological order with clamping info
+   */
+  splitDateRange(startDate, endDate = this.now()) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const windowMs = this.limits.maxDateRangeDays * dayMs;
+    const now = this.now();
+
+    const start = parseDateInput(startDate);
+    const end = parseDateInput(endDate);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new Error('Invalid date range for splitting');
+    }
+
+    const oldestAllowed = new Date(now.getTime() - (this.limits.maxHistoricalDays - 1) * dayMs);
+    const actualStart = start < oldestAllowed ? oldestAllowed : start;
+    const actualEnd = end > now ? now : end;
+
+    const windows = [];
+    for (let cursor = actualStart.getTime(); cursor < actualEnd.getTime(); cursor += windowMs) {
+      windows.push({
+        startDate: new Date(cursor),
+        endDate: new Date(Math.min(cursor + windowMs, actualEnd.getTime()))
+      });
+    }
+
+    return {
+      startDate: actualStart,
+      endDate: actualEnd,
+      requestedStartDate: start,
+      requestedEndDate: end,
+      clamped: actualStart.getTime() !== start.getTime() || actualEnd.getTime() !== end.getTime(),
+      windows
+    };
+  }
+
   /**
    * Format date for IndiaMART API (IST timezone)
-   * @param {Date|string} date - Date to format
+   * @param {Date|string|number} date - Date to format (a YYYY-MM-DD HH:MM:SS string is already IST)
    * @param {string} format - Format type ('date' or 'timestamp')
    * @returns {string} Formatted date string
    */
   formatDateForAPI(date, format = 'timestamp') {
-    const d = new Date(date);
+    const d = parseDateInput(date);
     if (isNaN(d.getTime())) {
       throw new Error('Invalid date for formatting');
     }
 
-    // Convert to IST (UTC+05:30)
-    const istOffset = 5.5 * 60 * 60 * 1000;
-    const istTime = new Date(d.getTime() + istOffset);
-    
+    // Shift to IST and read the UTC fields, so the host's timezone never matters
+    const ist = new Date(d.getTime() + IST_OFFSET_MS);
     const pad = (n) => String(n).padStart(2, "0");
-    const getY = (dt) => istTime.getUTCFullYear();
-    const getM = (dt) => istTime.getUTCMonth() + 1;
-    const getD = (dt) => istTime.getUTCDate();
-    const getH = (dt) => istTime.getUTCHours();
-    const getMin = (dt) => istTime.getUTCMinutes();
-    const getS = (dt) => istTime.getUTCSeconds();
+    const day = pad(ist.getUTCDate());
+    const year = ist.getUTCFullYear();
 
     if (format === 'date') {
       // Format: DD-MON-YYYY (e.g., 25-JAN-2022)
       const MMM = [
         "JAN","FEB","MAR","APR","MAY","JUN","JUL","AUG","SEP","OCT","NOV","DEC"
       ];
-      const monthIndex = istTime.getUTCMonth();
-      return `${pad(getD(d))}-${MMM[monthIndex]}-${getY(d)}`;
-    } else {
-      // Format: DD-MM-YYYYHH:MM:SS (e.g., 25-01-202217:30:00) - No space for IndiaMART API compliance
-      return `${pad(getD(d))}-${pad(getM(d))}-${getY(d)}${pad(getH(d))}:${pad(getMin(d))}:${pad(getS(d))}`;
+      return `${day}-${MMM[ist.getUTCMonth()]}-${year}`;
     }
+
+    // Format: DD-MM-YYYYHH:MM:SS (e.g., 25-01-202217:30:00) - No space for IndiaMART API compliance
+    return `${day}-${pad(ist.getUTCMonth() + 1)}-${year}${pad(ist.getUTCHours())}:${pad(ist.getUTCMinutes())}:${pad(ist.getUTCSeconds())}`;
   }
 
   /**
@@ -6,16 +6,231 @@
  */
 
 export class IndiaMartError extends Error {
-  constructor(message, code, status, details = {}) {
-    super(message);
+  /**
+   * @param {string} message - Error message
+   * @param {number|string} code - IndiaMART status code, or a client code such as 'TIMEOUT'
+   * @param {string} status - IndiaMART status ('FAILURE') or 'ERROR'
+   * @param {object} details - Classification: type, retryAfter, suggestion, ...
+   * @param {object} options - { cause }: the error that led to this one
+   */
+  constructor(message, code, status, details = {}, options = {}) {
+    super(message, options.cause !== undefined ? { cause: options.cause } : undefined);
     this.name = 'IndiaMartError';
     this.code = code;
     this.status = status;
     this.details = details;
     this.timestamp = new Date();
+    if (typeof code === 'number') this.statusCode = code;
+  }
+
+  /**
+   * Error type, e.g. 'RATE_LIMIT_15_MIN' (null when unclassified)
+   */
+  get type() {
+    return this.details?.type || null;
+  }
+
+  /**
+   * Milliseconds to wait before calling again (0 when a retry cannot help or may go out now)
+   */
+  get retryAfter() {
+    return this.details?.retryAfter || 0;
+  }
+
+  /**
+   * When a call may go out again (null when retryAfter is 0)
+   */
+  get retryAt() {
+    return this.retryAfter > 0 ? new Date(this.timestamp.getTime() + this.retryAfter) : null;
+  }
+
+  /**
+   * Plain object for logs and APIs; the raw IndiaMART response is left out of the details
+   * @returns {object} { name, message, code, statusCode, status, type, retryAfter, retryAt, suggestion, details, timestamp, attempts, cause }
+   */
+  toJSON() {
+    const { response, ...details } = this.details || {};
+    return {
+      name: this.name,
+      message: this.message,
+      code: this.code,
+      statusCode: this.statusCode ?? null,
+      status: this.status,
+      type: this.type,
+      retryAfter: this.retryAfter,
+      retryAt: this.retryAt ? this.retryAt.toISOString() : null,
+      suggestion: details.suggestion || null,
+      details,
+      timestamp: this.timestamp.toISOString(),
+      ...(this.attempts !== undefined ? { attempts: this.attempts } : {}),
+      ...(this.cause !== undefined ? { cause: serializeCause(this.cause) } : {})
+    };
+  }
+}
+
+/**
+ * Serialize the cause of an error, following its own cause chain
+ * @param {*} cause - Cause of an error
+ * @returns {*} Plain object (or the value itself when it is not an Error)
+ */
+function serializeCause(cause) {
+  if (!(cause instanceof Error)) return cause;
+  if (typeof cause.toJSON === 'function') return cause.toJSON();
+  return {
+    name: cause.name,
+    message: cause.message,
+    ...(cause.code !== undefined ? { code: cause.code } : {}),
+    ...(cause.cause !== undefined ? { cause: serializeCause(cause.cause) } : {})
+  };
+}
+
+/**
+ * IndiaMART (429) or the rate governor refused the call; retryAt says when to try again
+ */
+export class RateLimitError extends IndiaMartError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'RateLimitError';
+  }
+}
+
+/**
+ * The CRM key was rejected
+ */
+export class AuthenticationError extends IndiaMartError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * The CRM key expired, after inactivity or because a new one was generated
+ */
+export class KeyExpiredError extends AuthenticationError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'KeyExpiredError';
+  }
+
+  /**
+   * True when IndiaMART generated a new key (sent by email/SMS) that replaces this one
+   */
+  get newKeyGenerated() {
+    return this.type === 'API_KEY_EXPIRED_NEW_GENERATED';
+  }
+}
+
+/**
+ * IndiaMART has no leads for the requested range
+ */
+export class NoLeadsError extends IndiaMartError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'NoLeadsError';
+  }
+}
+
+/**
+ * IndiaMART rejected the dates: missing, badly formatted, too long ago or not available yet
+ */
+export class DateRangeError extends IndiaMartError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'DateRangeError';
+    if (this.statusCode === undefined) this.statusCode = 400;
+  }
+}
+
+/**
+ * IndiaMART failed with a server error (5xx)
+ */
+export class ServerError extends IndiaMartError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'ServerError';
+  }
+}
+
+/**
+ * An attempt (TIMEOUT) or a whole fetch (OPERATION_TIMEOUT) ran out of time
+ */
+export class TimeoutError extends IndiaMartError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * The call breaks the SDK's own API rules (e.g. the 7-day date range) and was not sent
+ */
+export class ComplianceError extends IndiaMartError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'ComplianceError';
+    if (this.statusCode === undefined) this.statusCode = 400;
+  }
+
+  /**
+   * Rules the call breaks
+   */
+  get violations() {
+    return this.details?.errors || [];
+  }
+  /**
+   * Error for a failed date compliance check
+   * @param {object} check - Result of validateDateRange ({ errors })
+   * @returns {ComplianceError} Error with the broken rules in `violations`
+   */
+  static fromCheck(check) {
+    return new ComplianceError(`Date compliance error: ${check.errors.join(', ')}`, 'DATE_COMPLIANCE_ERROR', 'ERROR', {
+      type: 'DATE_COMPLIANCE_ERROR',
+      errors: check.errors,
+      retryAfter: 0,
+      suggestion: 'Request at most 7 days within the last 365 days'
+    });
   }
 }
 
+/**
+ * Error class for each error type; other types stay IndiaMartError (ServerError for a 5xx code)
+ */
+const ERROR_CLASSES = {
+  RATE_LIMIT_5_MIN: RateLimitError,
+  RATE_LIMIT_15_MIN: RateLimitError,
+  RATE_LIMITED: RateLimitError,
+  RATE_LIMIT_EXCEEDED: RateLimitError,
+  INVALID_API_KEY: AuthenticationError,
+  API_KEY_EXPIRED_INACTIVITY: KeyExpiredError,
+  API_KEY_EXPIRED_NEW_GENERATED: KeyExpiredError,
+  KEY_PROVIDER_ERROR: AuthenticationError,
+  NO_LEADS: NoLeadsError,
+  DATE_RANGE_TOO_LARGE: DateRangeError,
+  MISSING_DATE_PARAMETERS: DateRangeError,
+  INVALID_DATE_FORMAT: DateRangeError,
+  HISTORICAL_DATA_UNAVAILABLE: DateRangeError,
+  SERVER_ERROR: ServerError,
+  TIMEOUT: TimeoutError,
+  OPERATION_TIMEOUT: TimeoutError,
+  DATE_COMPLIANCE_ERROR: ComplianceError
+};
+
+/**
+ * Create the error subclass that matches details.type
+ *
+ * @param {string} message - Error message
+ * @param {number|string} code - IndiaMART status code or client code
+ * @param {string} status - IndiaMART status or 'ERROR'
+ * @param {object} details - Classification with `type`
+ * @param {object} options - { cause }
+ * @returns {IndiaMartError} e.g. a RateLimitError for RATE_LIMIT_5_MIN
+ */
+export function createTypedError(message, code, status, details = {}, options = {}) {
+  const ErrorClass = ERROR_CLASSES[details?.type] || (typeof code === 'number' && code >= 500 ? ServerError : IndiaMartError);
+  return new ErrorClass(message, code, status, details, options);
+}
+
 export class IndiaMartErrorHandler {
   constructor(options = {}) {
     this.retryDelays = {
@@ -60,6 +275,8 @@ export class IndiaMartErrorHandler {
 
   /**
    * Create specific error instances based on IndiaMART error codes
+   *
+   * The error is a subclass matching its type (RateLimitError, KeyExpiredError, ...).
    */
   createSpecificError(code, status, message, response) {
     const baseError = {
@@ -72,28 +289,29 @@ export class IndiaMartErrorHandler {
 
     switch (code) {
       case 429:
-        if (message && message.includes('5 minutes')) {
-          return new IndiaMartError(
-            'Rate limit exceeded - API can only be called once every 5 minutes',
+        // "Too Many Requests" is checked first: its "15 minutes" also contains "5 minutes"
+        if (message && message.includes('Too Many Requests')) {
+          return createTypedError(
+            'Too many requests - API key disabled for 15 minutes',
             code,
             status,
             {
               ...baseError,
-              type: 'RATE_LIMIT_5_MIN',
-              retryAfter: 5 * 60 * 1000, // 5 minutes
-              suggestion: 'Wait 5 minutes before retrying'
+              type: 'RATE_LIMIT_15_MIN',
+              retryAfter: 15 * 60 * 1000, // 15 minutes
+              suggestion: 'Wait 15 minutes before retrying'
             }
           );
-        } else if (message && message.includes('Too Many Requests')) {
-          return new IndiaMartError(
-            'Too many requests - API key disabled for 15 minutes',
+        } else if (message && message.includes('5 minutes')) {
+          return createTypedError(
+            'Rate limit exceeded - API can only be called once every 5 minutes',
             code,
             status,
             {
               ...baseError,
-              type: 'RATE_LIMIT_15_MIN',
-              retryAfter: 15 * 60 * 1000, // 15 minutes
-              suggestion: 'Wait 15 minutes before retrying'
+              type: 'RATE_LIMIT_5_MIN',
+              retryAfter: 5 * 60 * 1000, // 5 minutes
+              suggestion: 'Wait 5 minutes before retrying'
             }
           );
         }
@@ -101,7 +319,7 @@ export class IndiaMartErrorHandler {
 
       case 401:
         if (message && message.includes('incorrect')) {
-          return new IndiaMartError(
+          return createTypedError(
             'Invalid API key - Please check your CRM key',
             code,
             status,
@@ -113,7 +331,7 @@ export class IndiaMartErrorHandler {
             }
           );
         } else if (message && message.includes('expired') && message.includes('no longer in use')) {
-          return new IndiaMartError(
+          return createTypedError(
             'API key expired due to inactivity - Generate new key',
             code,
             status,
@@ -125,7 +343,7 @@ export class IndiaMartErrorHandler {
             }
           );
         } else if (message && message.includes('expired') && message.includes('generated')) {
-          return new IndiaMartError(
+          return createTypedError(
             'API key expired - New key generated',
             code,
             status,
@@ -141,7 +359,7 @@ export class IndiaMartErrorHandler {
 
       case 204:
         if (message && message.includes('no leads')) {
-          return new IndiaMartError(
+          return createTypedError(
             'No leads found in the specified time range',
             code,
             status,
@@ -153,7 +371,7 @@ export class IndiaMartErrorHandler {
             }
           );
         } else if (message && message.includes('available after 24 hours')) {
-          return new IndiaMartError(
+          return createTypedError(
             'Historical data not yet available - Wait 24 hours',
             code,
             status,
@@ -169,7 +387,7 @@ export class IndiaMartErrorHandler {
 
       case 400:
         if (message && message.includes('365 days')) {
-          return new IndiaMartError(
+          return createTypedError(
             'Date range exceeds 365 days limit',
             code,
             status,
@@ -181,7 +399,7 @@ export class IndiaMartErrorHandler {
             }
           );
         } else if (message && message.includes('date parameters')) {
-          return new IndiaMartError(
+          return createTypedError(
             'Missing required date parameters',
             code,
             status,
@@ -193,7 +411,7 @@ export class IndiaMartErrorHandler {
             }
           );
         } else if (message && message.includes('Date format')) {
-          return new IndiaMartError(
+          return createTypedError(
             'Invalid date format',
             code,
             status,
@@ -208,7 +426,7 @@ export class IndiaMartErrorHandler {
         break;
 
       case 500:
-        return new IndiaMartError(
+        return createTypedError(
           'IndiaMART server error - Internal issues',
           code,
           status,
@@ -221,7 +439,7 @@ export class IndiaMartErrorHandler {
         );
 
       default:
-        return new IndiaMartError(
+        return createTypedError(
           `Unknown error: ${message}`,
           code,
           status,
@@ -235,7 +453,7 @@ export class IndiaMartErrorHandler {
     }
 
     // Fallback for unhandled cases
-    return new IndiaMartError(
+    return createTypedError(
       message || 'Unknown API error',
       code,
       status,
@@ -261,10 +479,14 @@ export class IndiaMartErrorHandler {
       'INVALID_API_KEY',
       'API_KEY_EXPIRED_INACTIVITY',
       'API_KEY_EXPIRED_NEW_GENERATED',
+      'KEY_PROVIDER_ERROR',
       'NO_LEADS',
       'DATE_RANGE_TOO_LARGE',
       'MISSING_DATE_PARAMETERS',
-      'INVALID_DATE_FORMAT'
+      'INVALID_DATE_FORMAT',
+      'OPERATION_TIMEOUT',
+      'CASSETTE_MISS',
+      'CIRCUIT_OPEN'
     ];
 
     return !noRetryTypes.includes(error.details?.type);
@@ -285,6 +507,11 @@ export class IndiaMartErrorHandler {
    * Get error type from status code and message
    */
   getErrorType(statusCode, errorMessage) {
+    if (statusCode === 204 && errorMessage?.includes('no leads')) return 'NO_LEADS';
+    if (statusCode === 'TIMEOUT') return 'TIMEOUT';
+    if (statusCode === 'OPERATION_TIMEOUT') return 'OPERATION_TIMEOUT';
+    if (statusCode === 'CASSETTE_MISS') return 'CASSETTE_MISS';
+    if (statusCode === 'CIRCUIT_OPEN') return 'CIRCUIT_OPEN';
     if (statusCode === 401) return 'INVALID_API_KEY';
     if (statusCode === 429) return 'RATE_LIMIT_EXCEEDED';
     if (statusCode >= 500) return 'SERVER_ERROR';
@@ -303,7 +530,10 @@ export class IndiaMartErrorHandler {
       'INVALID_DATE_FORMAT': 'Check date format and ensure it follows DD-MON-YYYY format',
       'DATE_RANGE_TOO_LARGE': 'Reduce date range to maximum 7 days',
       'NO_LEADS': 'No leads found in the specified date range',
-      'SERVER_ERROR': 'Server error occurred, try again later'
+      'SERVER_ERROR': 'Server error occurred, try again later',
+      'TIMEOUT': 'IndiaMART did not respond in time, the request will be retried',
+      'OPERATION_TIMEOUT': 'Increase operationTimeoutMs or try again later',
+      'CIRCUIT_OPEN': 'IndiaMART looks unavailable; wait for the circuit breaker to allow a trial call'
     };
 
     return suggestions[errorCode] || 'Check your request parameters and try again';
@@ -399,7 +629,8 @@ export class IndiaMartErrorHandler {
     const criticalTypes = [
       'INVALID_API_KEY',
       'API_KEY_EXPIRED_INACTIVITY',
-      'API_KEY_EXPIRED_NEW_GENERATED'
+      'API_KEY_EXPIRED_NEW_GENERATED',
+      'KEY_PROVIDER_ERROR'
     ];
     
     return criticalTypes.includes(error.details?.type);
@@ -412,15 +643,21 @@ export class IndiaMartErrorHandler {
     const descriptions = {
       'RATE_LIMIT_5_MIN': 'API rate limit exceeded - wait 5 minutes',
       'RATE_LIMIT_15_MIN': 'Too many requests - API key disabled for 15 minutes',
+      'RATE_LIMITED': 'Call held back by the rate governor - wait for the next slot',
       'INVALID_API_KEY': 'Invalid API key - check your CRM key',
       'API_KEY_EXPIRED_INACTIVITY': 'API key expired due to inactivity - generate new key',
       'API_KEY_EXPIRED_NEW_GENERATED': 'API key expired - new key generated',
+      'KEY_PROVIDER_ERROR': 'The key provider could not supply a CRM key',
       'NO_LEADS': 'No leads found in time range',
       'HISTORICAL_DATA_UNAVAILABLE': 'Historical data not available yet',
       'DATE_RANGE_TOO_LARGE': 'Date range exceeds 365 days limit',
       'MISSING_DATE_PARAMETERS': 'Missing start_time or end_time parameters',
       'INVALID_DATE_FORMAT': 'Invalid date format',
       'SERVER_ERROR': 'IndiaMART server error',
+      'CIRCUIT_OPEN': 'Circuit breaker open after repeated server errors or timeouts - wait for the trial call',
+      'TIMEOUT': 'IndiaMART did not respond in time',
+      'OPERATION_TIMEOUT': 'The fetch did not finish within operationTimeoutMs',
+      'DATE_COMPLIANCE_ERROR': 'Date range breaks the API rules - the call was not sent',
       'UNKNOWN_ERROR': 'Unknown error occurred'
     };
 
@@ -432,14 +669,20 @@ export class IndiaMartErrorHandler {
 export const ERROR_TYPES = {
   RATE_LIMIT_5_MIN: 'RATE_LIMIT_5_MIN',
   RATE_LIMIT_15_MIN: 'RATE_LIMIT_15_MIN',
+  RATE_LIMITED: 'RATE_LIMITED',
   INVALID_API_KEY: 'INVALID_API_KEY',
   API_KEY_EXPIRED_INACTIVITY: 'API_KEY_EXPIRED_INACTIVITY',
   API_KEY_EXPIRED_NEW_GENERATED: 'API_KEY_EXPIRED_NEW_GENERATED',
+  KEY_PROVIDER_ERROR: 'KEY_PROVIDER_ERROR',
   NO_LEADS: 'NO_LEADS',
   HISTORICAL_DATA_UNAVAILABLE: 'HISTORICAL_DATA_UNAVAILABLE',
   DATE_RANGE_TOO_LARGE: 'DATE_RANGE_TOO_LARGE',
   MISSING_DATE_PARAMETERS: 'MISSING_DATE_PARAMETERS',
   INVALID_DATE_FORMAT: 'INVALID_DATE_FORMAT',
   SERVER_ERROR: 'SERVER_ERROR',
+  CIRCUIT_OPEN: 'CIRCUIT_OPEN',
+  TIMEOUT: 'TIMEOUT',
+  OPERATION_TIMEOUT: 'OPERATION_TIMEOUT',
+  DATE_COMPLIANCE_ERROR: 'DATE_COMPLIANCE_ERROR',
   UNKNOWN_ERROR: 'UNKNOWN_ERROR'
 };
@@ -0,0 +1,173 @@
+/**
+ * File Lock - Advisory lockfile shared by processes on one machine
+ *
+ * Workers of a cluster (PM2, Node cluster, several cron jobs) that share state files
+ * hold this lock around each read-modify-write. The lock is a file created with
+ * O_EXCL that records its owner. A lock is stale, and is broken, when its owner
+ * process is gone or when it is older than `staleMs`, so a crashed worker cannot
+ * block the others for good.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import crypto from 'crypto';
+
+/**
+ * Take a lock if it is free (or stale), without waiting
+ * @param {string} lockPath - Lock file path
+ * @param {object} options - Lock options
+ * @param {number} options.staleMs - Age after which a lock is broken (default: 10000)
+ * @returns {object|null} Lock handle with release(), or null if another owner holds it
+ */
+export function tryAcquireFileLock(lockPath, { staleMs = 10000 } = {}) {
+  const owner = {
+    token: crypto.randomUUID(),
+    pid: process.pid,
+    hostname: os.hostname(),
+    acquiredAt: new Date().toISOString()
+  };
+
+  while (true) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      try {
+        fs.writeFileSync(fd, JSON.stringify(owner));
+      } finally {
+        fs.closeSync(fd);
+      }
+      return { path: lockPath, token: owner.token, release: () => releaseFileLock(lockPath, owner.token) };
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    if (!breakStaleLock(lockPath, staleMs)) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Acquire a lock, waiting for the current holder if necessary
+ *
+ * The wait yields to the event loop between attempts; holders keep the lock for a
+ * synchronous read-modify-write only, so it is normally free within milliseconds.
+ *
+ * @param {string} lockPath - Lock file path
+ * @param {object} options - Lock options
+ * @param {number} options.staleMs - Age after which a lock is broken (default: 10000)
+ * @param {number} options.timeoutMs - How long to wait for the lock (default: 5000)
+ * @param {number} options.retryMs - Wait between attempts (default: 10)
+ * @returns {Promise<object>} Lock handle with release()
+ */
+export async function acquireFileLock(lockPath, { staleMs = 10000, timeoutMs = 5000, retryMs = 10 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (true) {
+    const lock = tryAcquireFileLock(lockPath, { staleMs });
+    if (lock) {
+      return lock;
+    }
+
+    if (Date.now() >= deadline) {
+      const holder = readLockOwner(lockPath);
+      const lockError = new Error(`Timed out after ${timeoutMs}ms waiting for lock ${lockPath}` +
+        (holder ? ` (held by pid ${holder.pid} on ${holder.hostname})` : ''));
+      lockError.code = 'LOCK_TIMEOUT';
+      lockError.holder = holder;
+      throw lockError;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, retryMs));
+  }
+}
+
+/**
+ * Run a function while holding a lock
+ * @param {string} lockPath - Lock file path
+ * @param {Function} fn - Function to run (may be async)
+ * @param {object} options - Lock options (see acquireFileLock)
+ * @returns {Promise<*>} The function's return value
+ */
+export async function withFileLock(lockPath, fn, options = {}) {
+  const lock = await acquireFileLock(lockPath, options);
+  try {
+    return await fn();
+  } finally {
+    lock.release();
+  }
+}
+
+/**
+ * Release a lock if it is still ours
+ * @param {string} lockPath - Lock file path
+ * @param {string} token - Token of the lock being released
+ */
+function releaseFileLock(lockPath, token) {
+  const holder = readLockOwner(lockPath);
+  if (holder && holder.token === token) {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+/**
+ * Remove a lock whose owner is gone or that is older than staleMs
+ * @param {string} lockPath - Lock file path
+ * @param {number} staleMs - Maximum lock age
+ * @returns {boolean} True if the lock was removed (or had already disappeared)
+ */
+function breakStaleLock(lockPath, staleMs) {
+  let stats;
+  try {
+    stats = fs.statSync(lockPath);
+  } catch (error) {
+    return error.code === 'ENOENT';
+  }
+
+  const holder = readLockOwner(lockPath);
+  const expired = Date.now() - stats.mtimeMs > staleMs;
+  const ownerGone = holder && holder.hostname === os.hostname() && !isProcessAlive(holder.pid);
+  // A lock without readable content is normally still being written; only age can make it stale
+  if (!expired && !ownerGone) {
+    return false;
+  }
+
+  // Make sure the lock was not replaced by a fresh one while we were looking at it
+  const current = readLockOwner(lockPath);
+  if (holder && current && current.token !== holder.token) {
+    return false;
+  }
+
+  console.warn(`⚠️  Breaking stale lock ${lockPath}` + (holder ? ` (pid ${holder.pid} on ${holder.hostname})` : ''));
+  fs.rmSync(lockPath, { force: true });
+  return true;
+}
+
+/**
+ * Read the owner recorded in a lock file
+ * @param {string} lockPath - Lock file path
+ * @returns {object|null} Owner ({ token, pid, hostname, acquiredAt }) or null
+ */
+function readLockOwner(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether a process exists
+ * @param {number} pid - Process id
+ * @returns {boolean} True if the process is running
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
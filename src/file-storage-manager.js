@@ -8,6 +8,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { writeFileAtomic, writeJsonFile } from './atomic-file.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -18,7 +19,37 @@ export class FileStorageManager {
     this.leadsDir = options.leadsDir || path.join(this.baseDir, 'leads');
     this.processedDir = options.processedDir || path.join(this.baseDir, 'processed');
     this.failedDir = options.failedDir || path.join(this.baseDir, 'failed');
+    this.onFileWritten = options.onFileWritten || null;
     this.isInitialized = false;
+    this.fileSequence = 0;
+  }
+
+  /**
+   * Build a leads file name that stays unique when several files are written in the same millisecond
+   * @param {string} extension - File extension without the dot
+   * @param {Object} metadata - API call metadata (a pushed lead's uniqueQueryId names its file)
+   * @returns {string} File name
+   */
+  createLeadsFilename(extension, metadata = {}) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const suffix = metadata.uniqueQueryId
+      ? String(metadata.uniqueQueryId).replace(/[^\w-]/g, '_')
+      : `${process.pid}-${++this.fileSequence}`;
+    return `leads_${timestamp}_${suffix}.${extension}`;
+  }
+
+  /**
+   * Report a written file to the onFileWritten handler
+   * @param {Object} info - File information (path, type, leadsCount)
+   */
+  notifyFileWritten(info) {
+    if (!this.onFileWritten) return;
+
+    try {
+      this.onFileWritten(info);
+    } catch (error) {
+      console.warn(`⚠️  onFileWritten handler failed: ${error.message}`);
+    }
   }
 
   /**
@@ -61,8 +92,7 @@ export class FileStorageManager {
     }
 
     try {
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const filename = `leads_${timestamp}.json`;
+      const filename = this.createLeadsFilename('json', metadata);
       const filepath = path.join(this.leadsDir, filename);
 
       const data = {
@@ -77,9 +107,10 @@ export class FileStorageManager {
         leads: leads
       };
 
-      await fs.writeFile(filepath, JSON.stringify(data, null, 2), 'utf8');
+      await writeJsonFile(filepath, data);
       
       console.log(`✅ Stored ${leads.length} leads to file: ${filename}`);
+      this.notifyFileWritten({ path: filepath, type: 'leads', leadsCount: leads.length });
       return filepath;
     } catch (error) {
       console.error('❌ Failed to store leads to file:', error);
@@ -103,8 +134,7 @@ export class FileStorageManager {
     }
 
     try {
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const filename = `leads_${timestamp}.csv`;
+      const filename = this.createLeadsFilename('csv', metadata);
       const filepath = path.join(this.leadsDir, filename);
 
       // Create CSV header
@@ -142,9 +172,10 @@ export class FileStorageManager {
       });
 
       const csvContent = [headers.join(','), ...rows].join('\n');
-      await fs.writeFile(filepath, csvContent, 'utf8');
+      await writeFileAtomic(filepath, csvContent);
 
       console.log(`✅ Stored ${leads.length} leads to CSV: ${filename}`);
+      this.notifyFileWritten({ path: filepath, type: 'csv', leadsCount: leads.length });
       return filepath;
     } catch (error) {
       console.error('❌ Failed to store leads to CSV:', error);
@@ -185,10 +216,11 @@ export class FileStorageManager {
         timestamp: new Date().toISOString()
       };
       
-      await fs.writeFile(newPath, JSON.stringify(data, null, 2), 'utf8');
+      await writeJsonFile(newPath, data);
       await fs.unlink(filepath); // Remove original file
       
       console.log(`❌ Moved to failed: ${filename}`);
+      this.notifyFileWritten({ path: newPath, type: 'failed', leadsCount: data.leads?.length || 0 });
     } catch (err) {
       console.error('❌ Failed to move file to failed:', err);
       throw err;
@@ -0,0 +1,113 @@
+/**
+ * HTTP Transport - Pluggable request function with real timeouts
+ *
+ * Node's fetch ignores a `timeout` option, so a stalled response would hang forever.
+ * This module provides:
+ * - fetchTransport: the default transport (global fetch)
+ * - createDeadline: an AbortSignal that fires on a timeout or when a parent signal aborts
+ * - raceWithSignal: rejects as soon as a signal aborts, even if a custom transport ignores it
+ *
+ * A transport is any function `(url, init) => Promise<response>` where the response
+ * exposes `status`, `statusText`, `headers` (optional) and `json()`.
+ */
+
+/**
+ * Default transport backed by the global fetch
+ * @param {string} url - Request URL
+ * @param {object} init - Fetch options (method, headers, signal)
+ * @returns {Promise<Response>} Fetch response
+ */
+export function fetchTransport(url, init) {
+  return fetch(url, init);
+}
+
+/**
+ * Create an abort signal with a deadline, linked to an optional parent signal
+ *
+ * @param {object} options - Deadline options
+ * @param {number} [options.timeoutMs] - Milliseconds until the deadline (no deadline when falsy)
+ * @param {AbortSignal} [options.signal] - Parent signal (caller cancellation or an outer deadline)
+ * @returns {object} { signal, timedOut, cleanup }
+ */
+export function createDeadline({ timeoutMs, signal } = {}) {
+  const controller = new AbortController();
+  let timer = null;
+  let timedOut = false;
+
+  const onParentAbort = () => controller.abort(signal.reason);
+
+  if (signal) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+    } else {
+      signal.addEventListener('abort', onParentAbort, { once: true });
+    }
+  }
+
+  if (timeoutMs > 0 && !controller.signal.aborted) {
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort(createTimeoutError(timeoutMs));
+    }, timeoutMs);
+  }
+
+  return {
+    signal: controller.signal,
+    get timedOut() {
+      return timedOut;
+    },
+    cleanup() {
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      signal?.removeEventListener('abort', onParentAbort);
+    }
+  };
+}
+
+/**
+ * Settle with a promise, or reject as soon as the signal aborts
+ * @param {Promise} promise - Pending work
+ * @param {AbortSignal} signal - Signal to race against
+ * @returns {Promise} The promise result
+ */
+export function raceWithSignal(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+
+  let onAbort;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+  return Promise.race([promise, aborted]).finally(() => {
+    signal.removeEventListener('abort', onAbort);
+  });
+}
+
+/**
+ * Abortable sleep
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Signal that ends the wait early
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return raceWithSignal(new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => clearTimeout(timer), { once: true });
+  }), signal);
+}
+
+/**
+ * Create the error used as the abort reason when a deadline passes
+ * @param {number} timeoutMs - Deadline that passed
+ * @returns {Error} Timeout error
+ */
+function createTimeoutError(timeoutMs) {
+  const error = new Error(`Request timed out after ${timeoutMs}ms`);
+  error.name = 'TimeoutError';
+  error.code = 'TIMEOUT';
+  return error;
+}
@@ -6,22 +6,57 @@
  */
 
 // Primary SDK - Simple interface requiring only CRM key
-export { IndiaMartSDK, default } from './sdk.js';
+export { IndiaMartSDK, SDK_EVENTS, ERROR_MODES, default } from './sdk.js';
 
 // Advanced functionality - For users who need more control
 export { IndiaMartClient } from './indiamart-client.js';
 export { IndiaMartResponseHandler, FIELD_DOCUMENTATION } from './response-handler.js';
+export { DateComplianceManager, IST_OFFSET_MS, parseQueryTime, formatQueryTime, parseDateInput } from './date-compliance.js';
 export { IndiaMartComplianceManager, COMPLIANCE_CONSTANTS } from './api-compliance.js';
-export { IndiaMartError, IndiaMartErrorHandler, ERROR_TYPES } from './error-handler.js';
+export { RateGovernor, RATE_RULES } from './rate-governor.js';
+export { IndiaMartError, IndiaMartErrorHandler, ERROR_TYPES, RateLimitError, AuthenticationError, KeyExpiredError, NoLeadsError, DateRangeError, ServerError, TimeoutError, ComplianceError, createTypedError } from './error-handler.js';
 export { InputValidator, VALIDATION_SCHEMAS } from './input-validator.js';
 export { SecureLogger, LOG_LEVELS } from './secure-logger.js';
 export { CacheManager } from './cache-manager.js';
+export { LeadPoller } from './lead-poller.js';
+export { BackfillPlanner } from './backfill-planner.js';
+export { LeadStream } from './lead-stream.js';
+export { PushReceiver, createPushReceiver } from './push-receiver.js';
+export { MemoryStorageAdapter, FileSystemStorageAdapter, assertStorageAdapter, STORAGE_ADAPTER_METHODS } from './storage-adapter.js';
+export { SqliteLeadStore, buildLeadQuery, LEAD_QUERY_FIELDS } from './sqlite-lead-store.js';
+export { LeaderElection, FileLeaseBackend, MemoryLeaseBackend, assertLeaseBackend, leaderKeyForCrmKey, leaderKeyForPath, LEADER_EVENTS, LEASE_BACKEND_METHODS } from './leader-election.js';
+export { IndiaMartAccountManager, ACCOUNT_EVENTS } from './account-manager.js';
+export { RequestScheduler, REQUEST_PRIORITIES, SCHEDULER_EVENTS } from './request-scheduler.js';
+export { CircuitBreaker, CircuitOpenError, CIRCUIT_STATES, CIRCUIT_FAILURE_TYPES } from './circuit-breaker.js';
+export { RetryPolicy } from './retry-policy.js';
+export { MIDDLEWARE_STAGES, composeMiddleware, createLoggingMiddleware, createComplianceMiddleware, createStorageMiddleware, createClockSkewMiddleware } from './client-middleware.js';
+export { StaticKeyProvider, EnvKeyProvider, FileKeyProvider, CallbackKeyProvider, createKeyProvider, isKeyProvider } from './key-provider.js';
+export { ClockSkewMonitor } from './clock-skew.js';
+export { fetchTransport, createDeadline } from './http-transport.js';
+export { createMockLmsServer, generateMockLeads, MOCK_SCENARIOS, MOCK_LMS_PATH } from './mock-lms-server.js';
+export { createCassetteTransport, loadCassette, sanitizeUrl } from './cassette.js';
 
 // Re-export everything for convenience (advanced users)
 export * from './indiamart-client.js';
 export * from './response-handler.js';
+export * from './date-compliance.js';
 export * from './api-compliance.js';
+export * from './rate-governor.js';
 export * from './error-handler.js';
 export * from './input-validator.js';
 export * from './secure-logger.js';
 export * from './cache-manager.js';
+export * from './lead-poller.js';
+export * from './backfill-planner.js';
+export * from './lead-stream.js';
+export * from './push-receiver.js';
+export * from './storage-adapter.js';
+export * from './sqlite-lead-store.js';
+export * from './leader-election.js';
+export * from './account-manager.js';
+export * from './request-scheduler.js';
+export * from './circuit-breaker.js';
+export * from './retry-policy.js';
+export * from './client-middleware.js';
+export * from './key-provider.js';
+export * from './clock-skew.js';
@@ -2,11 +2,20 @@
 // Docs reference (endpoint pattern): https://mapi.indiamart.com/wservce/crm/crmListing/v2/?glusr_crm_key=...
 // Usage example is at the bottom of this file.
 
-import { IndiaMartErrorHandler, IndiaMartError } from './error-handler.js';
+import { IndiaMartErrorHandler, IndiaMartError, AuthenticationError, KeyExpiredError, DateRangeError, RateLimitError, TimeoutError, createTypedError } from './error-handler.js';
 import { IndiaMartComplianceManager } from './api-compliance.js';
 import { IndiaMartResponseHandler } from './response-handler.js';
 import { FileStorageManager } from './file-storage-manager.js';
+import { assertStorageAdapter } from './storage-adapter.js';
 import { DateComplianceManager } from './date-compliance.js';
+import { fetchTransport, createDeadline, raceWithSignal, sleep } from './http-transport.js';
+import { createCassetteTransport } from './cassette.js';
+import { CircuitBreaker } from './circuit-breaker.js';
+import { RetryPolicy } from './retry-policy.js';
+import { RateGovernor } from './rate-governor.js';
+import { StaticKeyProvider, createKeyProvider } from './key-provider.js';
+import { ClockSkewMonitor } from './clock-skew.js';
+import { MIDDLEWARE_STAGES, composeMiddleware, createLoggingMiddleware, createComplianceMiddleware, createStorageMiddleware, createClockSkewMiddleware } from './client-middleware.js';
 
 /**
  * Lightweight client for IndiaMART Lead Manager (LMS) CRM Integration v2.
@@ -31,24 +40,170 @@ const DEFAULT_BASE_URL = "https://mapi.indiamart.com/wservce/crm/crmListing/v2/"
 export class IndiaMartClient {
   /**
    * @param {object} opts
-   * @param {string} opts.crmKey - Your IndiaMART CRM key.
+   * @param {string} opts.crmKey - Your IndiaMART CRM key (or pass keyProvider).
+   * @param {object|Function} [opts.keyProvider] - Key provider (see key-provider.js), asked again after IndiaMART rejects the key.
+   * @param {Function} [opts.onKeyExpired] - Called with ({ error, type, newKeyGenerated, keyRefreshed }) when IndiaMART reports the key expired.
    * @param {string} [opts.baseUrl] - Override base URL (mainly for testing).
-   * @param {number} [opts.timeoutMs=30000] - Request timeout in milliseconds.
+   * @param {number} [opts.timeoutMs=30000] - Per-attempt timeout in milliseconds.
+   * @param {number} [opts.operationTimeoutMs] - Timeout for a whole fetch including retries (no limit by default).
+   * @param {Function} [opts.transport] - Request function `(url, init) => Promise<response>` (default: fetch).
+   * @param {object} [opts.cassette] - Record or replay HTTP interactions: `{ mode: 'record' | 'replay', path }`.
+   * @param {object} [opts.storage] - Storage adapter for fetched leads (default: FileStorageManager with fileStorageOptions).
+   * @param {Function} [opts.onApiError] - Called with (error, context) for every failed attempt.
+   * @param {Function} [opts.onLeadsStored] - Called with ({ batchId, leadsCount, startTime, endTime, complete }) after the storage adapter stored a fetch.
+   * @param {RateGovernor|object} [opts.rateGovernor] - Rate governor consulted before every call, or options for one; { persist: false } keeps the counters in memory (default: the compliance manager's, on './logs/rate-limits.json').
+   * @param {CircuitBreaker} [opts.circuitBreaker] - Stops calls while IndiaMART keeps failing (default: a new breaker).
+   * @param {RetryPolicy|object} [opts.retryPolicy] - Retry policy, or options for one (default: a RetryPolicy with its defaults).
+   * @param {Function[]} [opts.middleware] - Middleware `async (ctx, next) => …` to add, as with `use()`.
+   * @param {ClockSkewMonitor|object} [opts.clockSkew] - Clock skew monitor, or options for one: { thresholdMs, correct, ... } (default: warn on the console, no correction).
    */
-  constructor({ crmKey, baseUrl = DEFAULT_BASE_URL, timeoutMs = 30000, errorHandler = null, complianceManager = null, responseHandler = null, useFileStorage = true, fileStorageOptions = {} }) {
-    if (!crmKey) throw new Error("crmKey is required");
-    this.crmKey = crmKey;
+  constructor({ crmKey, keyProvider = null, onKeyExpired = null, baseUrl = DEFAULT_BASE_URL, timeoutMs = 30000, operationTimeoutMs = null, transport = fetchTransport, cassette = null, errorHandler = null, complianceManager = null, rateGovernor = null, circuitBreaker = null, retryPolicy = null, responseHandler = null, useFileStorage = true, fileStorageOptions = {}, storage = null, onApiError = null, onLeadsStored = null, middleware = [], clockSkew = null }) {
+    if (!crmKey && !keyProvider) throw new Error("crmKey is required");
+    this.keyProvider = keyProvider ? createKeyProvider(keyProvider) : new StaticKeyProvider(crmKey);
+    this.crmKey = crmKey || null; // Current key; fetched from the provider before the first call if not given
+    this.keySecrets = [crmKey]; // Every key used, scrubbed from cassettes
+    this.onKeyExpired = onKeyExpired;
     this.baseUrl = baseUrl.replace(/\/?$/, "/").replace(/\/\/$/, "/"); // ensure trailing slash once
     this.timeoutMs = timeoutMs;
+    this.operationTimeoutMs = operationTimeoutMs;
+    this.transport = cassette
+      ? createCassetteTransport({ ...cassette, transport, secrets: this.keySecrets })
+      : transport;
     this.errorHandler = errorHandler || new IndiaMartErrorHandler();
-    this.complianceManager = complianceManager || new IndiaMartComplianceManager();
-    this.dateComplianceManager = new DateComplianceManager();
+    this.complianceManager = complianceManager || new IndiaMartComplianceManager({ governor: rateGovernor || undefined });
+    this.rateGovernor = rateGovernor instanceof RateGovernor ? rateGovernor : this.complianceManager.governor;
+    this.circuitBreaker = circuitBreaker || new CircuitBreaker({ errorHandler: this.errorHandler });
+    this.retryPolicy = retryPolicy instanceof RetryPolicy
+      ? retryPolicy
+      : new RetryPolicy({ errorHandler: this.errorHandler, ...retryPolicy });
+    this.clockSkew = clockSkew instanceof ClockSkewMonitor
+      ? clockSkew
+      : new ClockSkewMonitor({
+        onSkew: (status) => console.warn(`⚠️ Local clock is ${Math.round(status.offsetMs / 1000)}s off IndiaMART's (server minus local); keep it NTP-synced`),
+        ...clockSkew
+      });
+    this.dateComplianceManager = new DateComplianceManager({ clock: () => this.clockSkew.now() });
     this.responseHandler = responseHandler || new IndiaMartResponseHandler();
     this.useFileStorage = useFileStorage;
-    this.fileStorageManager = useFileStorage ? new FileStorageManager(fileStorageOptions) : null;
+    if (storage) {
+      this.fileStorageManager = useFileStorage ? assertStorageAdapter(storage) : null;
+    } else {
+      this.fileStorageManager = useFileStorage ? new FileStorageManager(fileStorageOptions) : null;
+    }
+    this.onApiError = onApiError;
+
+    // Built-in middleware runs outermost; use() adds middleware inside it
+    this.middleware = [
+      createLoggingMiddleware(),
+      ...(this.fileStorageManager ? [createStorageMiddleware(this.fileStorageManager, { onStored: onLeadsStored })] : []),
+      createComplianceMiddleware(this.complianceManager),
+      createClockSkewMiddleware(this.clockSkew)
+    ];
+    middleware.forEach(fn => this.use(fn));
     this.isInitialized = false;
   }
 
+  /**
+   * Add a middleware to the end of the chain
+   *
+   * The middleware runs for every fetch (ctx.stage 'fetch') and every HTTP attempt
+   * (ctx.stage 'request'); see client-middleware.js for the context of each stage.
+   *
+   * @param {Function} middleware - `async (ctx, next) => …`; call `await next()` to continue the chain
+   * @returns {IndiaMartClient} This client, for chaining
+   * @example
+   * ```javascript
+   * client.use(async (ctx, next) => {
+   *   if (ctx.stage === 'request') ctx.init.headers['X-Correlation-Id'] = ctx.state.correlationId ??= randomUUID();
+   *   await next();
+   * });
+   * ```
+   */
+  use(middleware) {
+    if (typeof middleware !== 'function') {
+      throw new TypeError('Middleware must be a function (ctx, next) => Promise');
+    }
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * Use a new CRM key for every following call
+   *
+   * A StaticKeyProvider is updated too, so a later refresh does not bring the old key back.
+   *
+   * @param {string} key - New CRM key
+   */
+  setKey(key) {
+    if (typeof key !== 'string' || key.trim() === '') {
+      throw new TypeError('CRM key must be a non-empty string');
+    }
+    this.crmKey = key.trim();
+    if (!this.keySecrets.includes(this.crmKey)) this.keySecrets.push(this.crmKey);
+    if (this.keyProvider instanceof StaticKeyProvider) this.keyProvider.setKey(this.crmKey);
+  }
+
+  /**
+   * Forget the key and its provider; later calls fail with KEY_PROVIDER_ERROR
+   */
+  clearKey() {
+    this.crmKey = null;
+    this.keyProvider = null;
+  }
+
+  /**
+   * Ask the key provider for the key again after `rejectedKey` failed
+   *
+   * @param {string|null} rejectedKey - Key IndiaMART rejected (null if none was fetched yet)
+   * @returns {Promise<boolean>} True if a different key is now in use
+   * @throws {AuthenticationError} If the provider fails (type KEY_PROVIDER_ERROR)
+   */
+  async refreshKey(rejectedKey = null) {
+    // Another call may already have switched to a new key
+    if (this.crmKey && this.crmKey !== rejectedKey) return true;
+
+    let key;
+    try {
+      if (!this.keyProvider) throw new Error('the key was cleared');
+      key = await this.keyProvider.getKey();
+    } catch (error) {
+      throw new AuthenticationError(`Could not get the CRM key: ${error.message}`, 'KEY_PROVIDER_ERROR', 'ERROR', {
+        type: 'KEY_PROVIDER_ERROR',
+        retryAfter: 0,
+        suggestion: 'Check the key provider (environment variable, key file or callback)'
+      }, { cause: error });
+    }
+
+    if (!key || key === rejectedKey) return false;
+    this.setKey(key);
+    return true;
+  }
+
+  /**
+   * Report an expired key to onKeyExpired; a throwing handler is logged, not rethrown
+   * @param {KeyExpiredError} error - Error of the failed attempt
+   * @param {boolean} keyRefreshed - Whether the key provider supplied a new key
+   */
+  notifyKeyExpired(error, keyRefreshed) {
+    if (!this.onKeyExpired) return;
+
+    try {
+      this.onKeyExpired({ error, type: error.type, newKeyGenerated: error.newKeyGenerated, keyRefreshed });
+    } catch (handlerError) {
+      console.warn(`⚠️ onKeyExpired handler failed: ${handlerError.message}`);
+    }
+  }
+
+  /**
+   * Run the middleware chain around a handler
+   * @param {object} ctx - Fetch or request context
+   * @param {Function} handler - Innermost step `(ctx) => Promise`
+   * @returns {Promise<void>}
+   */
+  runMiddleware(ctx, handler) {
+    return composeMiddleware(this.middleware, handler)(ctx);
+  }
+
   /**
    * Initialize the file storage
    */
@@ -56,7 +211,7 @@ export class IndiaMartClient {
     if (!this.isInitialized) {
       // Initialize file storage if enabled
       if (this.useFileStorage && this.fileStorageManager) {
-        await this.fileStorageManager.initialize();
+        await this.fileStorageManager.initialize?.();
         console.log('✅ File storage initialized');
       }
       
@@ -67,169 +222,451 @@ export class IndiaMartClient {
 
   /**
    * Get leads from IndiaMART API
+   *
+   * When TOTAL_RECORDS is larger than the first page, the remaining pages are fetched
+   * automatically (unless a specific page is requested) and merged, de-duplicated on
+   * UNIQUE_QUERY_ID. The result reports whether it is complete or partial.
+   *
+   * Every page needs a slot from the rate governor. A denied first page throws a
+   * RATE_LIMITED error naming the rule and the next free slot; a denied follow-up page
+   * ends pagination with a partial result.
+   *
+   * While the circuit breaker is open the call fails fast with a CircuitOpenError
+   * (code CIRCUIT_OPEN) without taking a rate slot or contacting IndiaMART.
+   *
+   * The whole call runs inside the middleware chain (stage 'fetch'), which checks date
+   * compliance and stores the leads; every HTTP attempt runs inside it again (stage 'request').
+   *
    * @param {object} opts - Options for the API call
    * @param {string} opts.startTime - Start time in DD-MMM-YYYY HH:mm:ss format
    * @param {string} opts.endTime - End time in DD-MMM-YYYY HH:mm:ss format
-   * @param {number} [opts.page] - Page number for pagination
+   * @param {number} [opts.page] - Page number for pagination (disables automatic pagination)
    * @param {AbortSignal} [opts.signal] - Abort signal for cancellation
-   * @param {number} [opts.maxRetries=3] - Maximum number of retries
+   * @param {number} [opts.timeoutMs] - Per-attempt timeout (default: client timeoutMs)
+   * @param {number} [opts.operationTimeoutMs] - Timeout for the whole fetch, every page and retry included (default: client operationTimeoutMs)
+   * @param {number} [opts.maxRetries] - Attempts per page, the first one included (default: the retry policy's maxAttempts)
    * @param {string} [opts.dateFormat='timestamp'] - Date format to use
-   * @returns {Promise<object>} API response with leads data
+   * @param {boolean} [opts.autoPaginate=true] - Fetch remaining pages when the result is truncated
+   * @param {number} [opts.maxPages=10] - Maximum number of pages to fetch
+   * @param {Function} [opts.canFetchPage] - Called before each follow-up page; return false to stop (rate budget)
+   * @param {Function} [opts.onPageFetched] - Called after each follow-up page is fetched
+   * @returns {Promise<object>} API response with leads data (`attempts` counts the requests over all pages)
    */
   async getLeads(opts = {}) {
-    const { startTime, endTime, page, signal, maxRetries = 3, dateFormat = 'timestamp' } = opts;
-    let attemptCount = 0;
-
     // Validate required parameters
-    if (!startTime || !endTime) {
-      throw new IndiaMartError('startTime and endTime are required', 'INVALID_PARAMETERS', 'ERROR');
+    if (!opts.startTime || !opts.endTime) {
+      throw new DateRangeError('startTime and endTime are required', 'INVALID_PARAMETERS', 'ERROR', {
+        type: 'MISSING_DATE_PARAMETERS',
+        retryAfter: 0,
+        suggestion: 'Provide both startTime and endTime'
+      });
     }
 
-    // Skip date format validation as it will be handled by date compliance check
+    const ctx = {
+      stage: MIDDLEWARE_STAGES.FETCH,
+      client: this,
+      options: { ...opts },
+      state: {},
+      result: null,
+      startedAt: Date.now()
+    };
 
-    // Check date compliance
-    const complianceCheck = this.complianceManager.validateDateRange(startTime, endTime);
-    if (!complianceCheck.isValid) {
-      throw new IndiaMartError(`Date compliance error: ${complianceCheck.errors.join(', ')}`, 'DATE_COMPLIANCE_ERROR', 'ERROR');
+    await this.runMiddleware(ctx, async () => {
+      ctx.result = await this.fetchPages(ctx.options, ctx.state);
+    });
+    return ctx.result;
+  }
+
+  /**
+   * Fetch the first page and, unless a specific page is requested, the remaining ones
+   *
+   * One operation deadline covers every page, so operationTimeoutMs bounds the whole fetch.
+   *
+   * @param {object} opts - Options for the API call (see getLeads)
+   * @param {object} state - State shared with the middleware of every request
+   * @returns {Promise<object>} Merged result
+   */
+  async fetchPages(opts, state) {
+    const { operationTimeoutMs = this.operationTimeoutMs } = opts;
+    const operation = createDeadline({ timeoutMs: operationTimeoutMs, signal: opts.signal });
+    try {
+      return await this.fetchAllPages(opts, { state, operation });
+    } finally {
+      operation.cleanup();
     }
+  }
 
-    const startTimeMs = Date.now();
-    
-    while (attemptCount < maxRetries) {
-      try {
-        console.log(`🔄 API Call Attempt ${attemptCount}/${maxRetries}`);
-        console.log(`   Start Time: ${startTime}`);
-        console.log(`   End Time: ${endTime}`);
-        console.log(`   Date Format: ${dateFormat}`);
-        
-        // Build URL with query parameters
-        const url = new URL(this.baseUrl);
-        url.searchParams.set('glusr_crm_key', this.crmKey);
-        url.searchParams.set('start_time', startTime);
-        url.searchParams.set('end_time', endTime);
-        if (page) {
-          url.searchParams.set('page', page.toString());
+  /**
+   * Page loop of fetchPages
+   * @param {object} opts - Options for the API call (see getLeads)
+   * @param {object} options - Fetch state
+   * @param {object} options.state - State shared with the middleware of every request
+   * @param {object} options.operation - Operation deadline shared by every page
+   * @returns {Promise<object>} Merged result
+   */
+  async fetchAllPages(opts, { state, operation }) {
+    const { page, autoPaginate = true, maxPages = 10, canFetchPage, onPageFetched } = opts;
+
+    const result = await this.fetchWithRateSlot(opts, { continuation: false, state, operation });
+    const totalRecords = Number(result.totalRecords) || 0;
+    let recordsFetched = result.leads?.length || 0;
+    let currentPage = page || 1;
+    let pagesFetched = 1;
+    let attempts = result.attempts || 1;
+    let paginationError = null;
+
+    const seenIds = new Set();
+    const leads = [];
+    // Returns the number of leads not seen on an earlier page
+    const mergeLeads = (pageLeads = []) => {
+      const before = leads.length;
+      for (const lead of pageLeads) {
+        const id = lead?.uniqueQueryId;
+        if (id) {
+          if (seenIds.has(id)) continue;
+          seenIds.add(id);
         }
+        leads.push(lead);
+      }
+      return leads.length - before;
+    };
+    mergeLeads(result.leads);
 
-        console.log(`📡 Making request to: ${url.toString().replace(this.crmKey, '[REDACTED]')}`);
-
-        // Make the API call
-        const response = await fetch(url.toString(), {
-          method: 'GET',
-          signal,
-          timeout: this.timeoutMs,
-          headers: {
-            'User-Agent': 'IndiaMART-Client/1.0.0',
-            'Accept': 'application/json',
-            'Content-Type': 'application/json'
-          }
-        });
+    // Completeness counts unique leads: overlapping pages must not make a short result look complete
+    if (autoPaginate && !page) {
+      while (leads.length < totalRecords && pagesFetched < maxPages) {
+        const nextPage = currentPage + 1;
 
-        const responseTime = Date.now() - startTimeMs;
-        
-        // Parse the JSON response
-        let responseData;
+        if (canFetchPage && !canFetchPage(nextPage)) {
+          console.log(`⏸️  Rate budget exhausted before page ${nextPage}; returning partial result`);
+          break;
+        }
+
+        let pageResult;
         try {
-          responseData = await response.json();
-        } catch (parseError) {
-          console.error('❌ Failed to parse JSON response:', parseError.message);
-          throw new IndiaMartError('Invalid JSON response from API', 'INVALID_RESPONSE', 'ERROR');
+          pageResult = await this.fetchWithRateSlot({ ...opts, page: nextPage }, { continuation: true, state, operation });
+        } catch (error) {
+          if (error.code === 'RATE_LIMITED' || error.code === 'CIRCUIT_OPEN') {
+            console.log(`⏸️  ${error.message}; returning partial result`);
+            break;
+          }
+          console.warn(`⚠️ Failed to fetch page ${nextPage}: ${error.message}`);
+          paginationError = error.message;
+          break;
         }
+
+        if (onPageFetched) onPageFetched(nextPage, pageResult);
+
+        currentPage = nextPage;
+        pagesFetched++;
+        attempts += pageResult.attempts || 1;
+
+        const pageCount = pageResult.leads?.length || 0;
+        if (pageCount === 0) break;
+
+        recordsFetched += pageCount;
+        // A page of duplicates only means IndiaMART has nothing more to give
+        if (mergeLeads(pageResult.leads) === 0) break;
+      }
+    }
+
+    result.leads = leads;
+    result.pagesFetched = pagesFetched;
+    result.attempts = attempts;
+    result.recordsFetched = recordsFetched;
+    result.complete = leads.length >= totalRecords;
+    result.partial = !result.complete;
+    if (paginationError) result.paginationError = paginationError;
+
+    if (result.partial) {
+      console.warn(`⚠️ Partial result: fetched ${leads.length} of ${totalRecords} records in ${pagesFetched} page(s)`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Fetch one page inside a slot reserved from the rate governor
+   *
+   * Every HTTP request of the page (retries and a retry with a refreshed key included)
+   * counts as a call, whether IndiaMART answered or not. The slot is released only when
+   * the fetch failed before sending any request.
+   *
+   * @param {object} opts - Options for the API call (see getLeads)
+   * @param {object} options - Slot options
+   * @param {boolean} options.continuation - Follow-up page of a running fetch (exempt from the interval rule)
+   * @param {object} [options.state] - State shared with the middleware of every request
+   * @param {object} [options.operation] - Operation deadline of the whole fetch
+   * @returns {Promise<object>} Processed response for one page
+   */
+  async fetchWithRateSlot(opts, { continuation, state, operation }) {
+    // Fail fast during an outage, before a rate slot is taken
+    this.circuitBreaker.rejectIfOpen();
+
+    const check = await this.rateGovernor.canMakeCall({ continuation });
+    if (!check.allowed) {
+      throw new RateLimitError(`Rate limit exceeded: ${check.message}`, 'RATE_LIMITED', 'ERROR', {
+        type: 'RATE_LIMITED',
+        reason: check.reason,
+        rule: check.rule,
+        retryAfter: check.retryAfter,
+        nextSlotAt: check.nextSlotAt,
+        blockedBy: check.blockedBy,
+        suggestion: `Wait until ${check.nextSlotAt} before calling again`
+      });
+    }
+
+    try {
+      const result = await this.fetchLeadsPage(opts, { state, operation });
+      await this.rateGovernor.recordCall(true, { reservationId: check.reservationId, attempts: result.attempts || 1 });
+      return result;
+    } catch (error) {
+      // Every request that went out counts, failed or not; only a fetch that sent none gives the slot back
+      const attempts = error.attempts || 0;
+      await this.rateGovernor.recordCall(attempts > 0, { reservationId: check.reservationId, attempts });
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a single page of leads, retrying as the retry policy decides
+   *
+   * Each attempt runs inside the middleware chain (stage 'request'); the parsed body the
+   * chain leaves in ctx.body is what gets processed. The result (or the thrown error)
+   * carries `attempts`, the number of requests it took.
+   *
+   * @param {object} opts - Options for the API call (see getLeads)
+   * @param {object} [options] - Page options
+   * @param {object} [options.state] - State shared with the middleware of every request
+   * @param {object} [options.operation] - Operation deadline to share with other pages (default: one for this page)
+   * @returns {Promise<object>} Processed response for one page
+   */
+  async fetchLeadsPage(opts = {}, { state = {}, operation: sharedOperation = null } = {}) {
+    const {
+      startTime,
+      endTime,
+      page,
+      signal,
+      maxRetries,
+      timeoutMs = this.timeoutMs,
+      operationTimeoutMs = this.operationTimeoutMs
+    } = opts;
+    let attemptCount = 0;
+    let keyRefreshAttempted = false;
+
+    const startTimeMs = Date.now();
+    const operation = sharedOperation || createDeadline({ timeoutMs: operationTimeoutMs, signal });
+    const deadlines = { signal, operation, timeoutMs, operationTimeoutMs };
+
+    try {
+      if (!this.crmKey) await this.refreshKey();
+
+      while (true) {
+        // Stops the retries as soon as the circuit opens
+        this.circuitBreaker.beforeRequest();
+        attemptCount++;
+        const attempt = createDeadline({ timeoutMs, signal: operation.signal });
+        const crmKey = this.crmKey;
+
+        try {
+          // Build URL with query parameters
+          const url = new URL(this.baseUrl);
+          url.searchParams.set('glusr_crm_key', crmKey);
+          url.searchParams.set('start_time', startTime);
+          url.searchParams.set('end_time', endTime);
+          if (page) {
+            url.searchParams.set('page', page.toString());
+          }
+
+          const ctx = {
+            stage: MIDDLEWARE_STAGES.REQUEST,
+            client: this,
+            options: opts,
+            state,
+            attempt: attemptCount,
+            page: page || 1,
+            url,
+            init: {
+              method: 'GET',
+              headers: {
+                'User-Agent': 'IndiaMART-Client/1.0.0',
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+              }
+            },
+            response: null,
+            body: undefined,
+            sent: false,
+            startedAt: Date.now()
+          };
+          await this.runMiddleware(ctx, () => this.sendRequest(ctx, attempt.signal));
+
+          // Process the response
+          const result = this.responseHandler.processResponse(ctx.body);
+
+          if (result.success) {
+            this.circuitBreaker.recordSuccess();
+            result.attempts = attemptCount;
+            return result;
+          } else {
+            // Keep the API message, with the classified type and retryAfter in details
+            const classified = this.errorHandler.createSpecificError(result.statusCode, result.status, result.error, result.data);
+            throw createTypedError(result.error || 'API call failed', result.statusCode || 500, result.status || 'ERROR', classified.details);
+          }
+        } catch (caught) {
+          const error = this.toRequestError(caught, attempt, deadlines);
+          this.circuitBreaker.recordFailure(error);
+          console.log(`❌ Attempt ${attemptCount} failed (${error.code || 'UNKNOWN'}): ${error.message}`);
         
-        console.log(`📡 Raw API Response:`, {
-          status: response.status,
-          statusText: response.statusText,
-          headers: response.headers ? Object.fromEntries(response.headers.entries()) : 'No headers',
-          dataLength: response.headers?.get('content-length') || 'Unknown',
-          hasData: response.body !== null,
-          responseData: responseData
-        });
-
-        // Process the response
-        const result = this.responseHandler.processResponse(responseData);
-        console.log(`🔍 Response Processing:`, {
-          success: result.success,
-          hasData: !!result.data,
-          dataKeys: result.data ? Object.keys(result.data) : [],
-          error: result.error
-        });
-
-        if (result.success) {
-          console.log(`✅ API Call Successful`);
-          console.log(`   Response Time: ${responseTime}ms`);
-          console.log(`   Total Records: ${result.totalRecords || 0}`);
-          console.log(`   Leads Count: ${result.leads?.length || 0}`);
-
-          // Store leads to file if file storage is enabled
-          if (this.useFileStorage && this.fileStorageManager && result.leads?.length > 0) {
-            try {
-              const downloadPath = await this.fileStorageManager.storeLeads(result.leads, {
-                startTime,
-                endTime,
-                totalRecords: result.totalRecords
-              });
-              console.log(`💾 Leads stored to: ${downloadPath}`);
-              result.downloadPath = downloadPath;
-            } catch (storageError) {
-              console.warn(`⚠️ Failed to store leads: ${storageError.message}`);
+          if (error.code === 'ABORT_ERR') {
+            console.log('🚫 Request was aborted');
+            throw error;
+          }
+
+          const errorCode = error.code || error.statusCode || 'UNKNOWN_ERROR';
+          const errorStatus = error.status || 'ERROR';
+
+          // A rejected key is fetched again once; a different key gets one more attempt
+          if (error instanceof AuthenticationError) {
+            let keyRefreshed = false;
+            if (!keyRefreshAttempted) {
+              keyRefreshAttempted = true;
+              try {
+                keyRefreshed = await this.refreshKey(crmKey);
+              } catch (refreshError) {
+                console.warn(`⚠️ ${refreshError.message}`);
+              }
+            }
+            if (error instanceof KeyExpiredError) this.notifyKeyExpired(error, keyRefreshed);
+            if (keyRefreshed) {
+              this.notifyApiError(error, { startTime, endTime, page, attempt: attemptCount, willRetry: true, delayMs: 0, keyRefreshed: true });
+              console.log(`🔑 Retrying with the refreshed CRM key (attempt ${attemptCount + 1})`);
+              continue;
             }
           }
 
-          return result;
-        } else {
-          console.log(`❌ API Call Failed:`, {
-            error: result.error,
-            statusCode: result.statusCode,
-            hasData: !!result.data,
-            dataKeys: result.data ? Object.keys(result.data) : []
+          const decision = this.retryPolicy.decide(error, {
+            attempt: attemptCount,
+            elapsedMs: Date.now() - startTimeMs,
+            maxAttempts: maxRetries
           });
 
-          // Check if this is a retryable error
-        if (this.errorHandler.isRetryableError(result.statusCode, result.error)) {
-            attemptCount++;
-          if (attemptCount < maxRetries) {
-            const delay = this.errorHandler.getRetryDelay({ code: result.statusCode }, attemptCount);
-            console.log(`⏳ Retrying in ${delay}ms... (attempt ${attemptCount + 1}/${maxRetries})`);
-            await new Promise(resolve => setTimeout(resolve, delay));
+          // Once the circuit opens, the remaining retries are skipped
+          if (decision.retry && this.circuitBreaker.canRequest().allowed) {
+            this.notifyApiError(error, { startTime, endTime, page, attempt: attemptCount, willRetry: true, delayMs: decision.delayMs });
+            console.log(`⏳ Retrying ${decision.type} in ${decision.delayMs}ms... (attempt ${attemptCount + 1})`);
+            await this.waitBeforeRetry(decision.delayMs, deadlines);
             continue;
           }
-        }
 
-          throw new IndiaMartError(result.error || 'API call failed', result.statusCode || 500, result.status || 'ERROR');
-        }
-      } catch (error) {
-        const responseTime = Date.now() - startTimeMs;
-        console.log(`❌ getLeads Error (${error.code || 'UNKNOWN'}): ${error.message}`);
+          console.log(`💡 Suggestion: ${this.errorHandler.getSuggestion(errorCode, error.message)}`);
+          console.log(`❌ Not retrying (${decision.reason}): ${this.errorHandler.getSuggestion(errorCode, error.message)}`);
         
-        if (error.code === 'ABORT_ERR') {
-          console.log('🚫 Request was aborted');
+          // Ensure error has proper structure
+          if (!error.code) error.code = errorCode;
+          if (!error.status) error.status = errorStatus;
+          this.notifyApiError(error, { startTime, endTime, page, attempt: attemptCount, willRetry: false });
           throw error;
+        } finally {
+          attempt.cleanup();
         }
+      }
+    } catch (error) {
+      if (error && error.attempts === undefined) error.attempts = attemptCount;
+      throw error;
+    } finally {
+      if (!sharedOperation) operation.cleanup();
+    }
+  }
 
-        const errorCode = error.code || error.statusCode || 'UNKNOWN_ERROR';
-        const errorStatus = error.status || 'ERROR';
-        
-        if (this.errorHandler.isRetryableError(error.statusCode || errorCode, error.message)) {
-          attemptCount++;
-          if (attemptCount < maxRetries) {
-            const delay = this.errorHandler.getRetryDelay({ code: errorCode }, attemptCount);
-            console.log(`⏳ Retrying in ${delay}ms... (attempt ${attemptCount + 1}/${maxRetries})`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-            continue;
-          }
-        }
+  /**
+   * Innermost step of a request: call the transport and parse the JSON body
+   *
+   * The race enforces the deadline even if a custom transport ignores the signal, and a
+   * stalled body counts against the same deadline.
+   *
+   * @param {object} ctx - Request context; receives `response`, `body` and `sent`
+   * @param {AbortSignal} signal - Per-attempt deadline
+   */
+  async sendRequest(ctx, signal) {
+    ctx.response = await raceWithSignal(this.transport(ctx.url.toString(), { ...ctx.init, signal }), signal);
+    ctx.sent = true;
 
-        console.log(`💡 Suggestion: ${this.errorHandler.getSuggestion(errorCode, error.message)}`);
-        console.log(`❌ Not retrying: ${this.errorHandler.getSuggestion(errorCode, error.message)}`);
-        
-        // Ensure error has proper structure
-        if (!error.code) error.code = errorCode;
-        if (!error.status) error.status = errorStatus;
-        throw error;
-      }
+    try {
+      ctx.body = await raceWithSignal(ctx.response.json(), signal);
+    } catch (parseError) {
+      if (signal.aborted) throw parseError;
+      console.error('❌ Failed to parse JSON response:', parseError.message);
+      throw new IndiaMartError('Invalid JSON response from API', 'INVALID_RESPONSE', 'ERROR', {}, { cause: parseError });
+    }
+  }
+
+  /**
+   * Wait before a retry, ending early when the caller aborts or the operation deadline passes
+   * @param {number} delay - Milliseconds to wait
+   * @param {object} deadlines - Caller signal and operation deadline
+   */
+  async waitBeforeRetry(delay, deadlines) {
+    try {
+      await sleep(delay, deadlines.operation.signal);
+    } catch (error) {
+      throw this.toRequestError(error, null, deadlines);
+    }
+  }
+
+  /**
+   * Translate an abort into the error the caller should see
+   *
+   * Caller cancellation becomes an AbortError (code ABORT_ERR), a passed per-attempt
+   * deadline becomes a retryable TIMEOUT and a passed operation deadline an OPERATION_TIMEOUT.
+   *
+   * @param {Error} error - Error thrown while making the request
+   * @param {object|null} attempt - Per-attempt deadline
+   * @param {object} deadlines - Caller signal, operation deadline and timeout values
+   * @returns {Error} Error to handle
+   */
+  toRequestError(error, attempt, { signal, operation, timeoutMs, operationTimeoutMs }) {
+    if (signal?.aborted) {
+      if (error?.code === 'ABORT_ERR') return error;
+      const abortError = new Error('Request was aborted');
+      abortError.name = 'AbortError';
+      abortError.code = 'ABORT_ERR';
+      abortError.cause = error;
+      return abortError;
+    }
+
+    if (operation.timedOut) {
+      return new TimeoutError(`Operation timed out after ${operationTimeoutMs}ms`, 'OPERATION_TIMEOUT', 'ERROR', {
+        type: 'OPERATION_TIMEOUT',
+        retryAfter: 0,
+        suggestion: 'Increase operationTimeoutMs or retry later'
+      }, { cause: error });
     }
 
-    throw new IndiaMartError(`Failed after ${maxRetries} attempts`, 'MAX_RETRIES_EXCEEDED', 'ERROR');
+    if (attempt?.timedOut) {
+      return new TimeoutError(`Request timed out after ${timeoutMs}ms`, 'TIMEOUT', 'ERROR', {
+        type: 'TIMEOUT',
+        retryAfter: 10 * 1000,
+        suggestion: 'IndiaMART did not respond in time; the request will be retried'
+      }, { cause: error });
+    }
+
+    return error;
+  }
+
+  /**
+   * Report a failed attempt to the onApiError handler
+   * @param {Error} error - Error for the failed attempt
+   * @param {object} context - Request context (startTime, endTime, page, attempt, willRetry)
+   */
+  notifyApiError(error, context) {
+    if (!this.onApiError) return;
+
+    try {
+      this.onApiError(error, context);
+    } catch (handlerError) {
+      console.warn(`⚠️ onApiError handler failed: ${handlerError.message}`);
+    }
   }
 
   /**
@@ -0,0 +1,143 @@
+/**
+ * Key Providers - Where the CRM key comes from
+ *
+ * Any object with `getKey() → Promise<string>` can be passed as `keyProvider` to IndiaMartSDK
+ * or IndiaMartClient. The client asks for the key before its first call and again after
+ * IndiaMART rejects the key (invalid or expired), so a key replaced outside the process
+ * is picked up without a restart.
+ *
+ * Shipped implementations:
+ * - StaticKeyProvider: a fixed key, replaced with setKey() (used for plain string keys)
+ * - EnvKeyProvider: an environment variable, read on every getKey()
+ * - FileKeyProvider: a file holding only the key (e.g. a mounted secret), read on every getKey()
+ * - CallbackKeyProvider: an async function, e.g. a secrets manager lookup
+ */
+
+import fs from 'fs';
+
+/**
+ * Check a key returned by a provider
+ * @param {string} key - CRM key
+ * @param {string} source - Where the key came from, for the error message
+ * @returns {string} The key without surrounding whitespace
+ */
+function assertKey(key, source) {
+  if (typeof key !== 'string' || key.trim() === '') {
+    throw new Error(`No CRM key available from ${source}`);
+  }
+  return key.trim();
+}
+
+export class StaticKeyProvider {
+  /**
+   * Create a provider for a fixed key
+   * @param {string} key - CRM key
+   */
+  constructor(key) {
+    this.key = assertKey(key, 'the static key provider');
+  }
+
+  /**
+   * @returns {Promise<string>} The key
+   */
+  async getKey() {
+    return this.key;
+  }
+
+  /**
+   * Replace the key (e.g. after IndiaMART generated a new one)
+   * @param {string} key - New CRM key
+   */
+  setKey(key) {
+    this.key = assertKey(key, 'the static key provider');
+  }
+}
+
+export class EnvKeyProvider {
+  /**
+   * Create a provider that reads an environment variable
+   * @param {object} options - Provider options
+   * @param {string} options.variable - Variable name (default: 'INDIAMART_CRM_KEY')
+   * @param {object} options.env - Environment to read (default: process.env)
+   */
+  constructor(options = {}) {
+    this.variable = options.variable || 'INDIAMART_CRM_KEY';
+    this.env = options.env || process.env;
+  }
+
+  /**
+   * @returns {Promise<string>} The variable's current value
+   */
+  async getKey() {
+    return assertKey(this.env[this.variable], `environment variable ${this.variable}`);
+  }
+}
+
+export class FileKeyProvider {
+  /**
+   * Create a provider that reads the key from a file
+   * @param {object} options - Provider options
+   * @param {string} options.path - File holding the key (surrounding whitespace is ignored)
+   */
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('FileKeyProvider requires a path');
+    }
+    this.path = options.path;
+  }
+
+  /**
+   * @returns {Promise<string>} The file's current content
+   */
+  async getKey() {
+    const content = await fs.promises.readFile(this.path, 'utf8');
+    return assertKey(content, `key file ${this.path}`);
+  }
+}
+
+export class CallbackKeyProvider {
+  /**
+   * Create a provider backed by a function
+   * @param {Function} callback - `() => string | Promise<string>`
+   */
+  constructor(callback) {
+    if (typeof callback !== 'function') {
+      throw new TypeError('CallbackKeyProvider requires a function');
+    }
+    this.callback = callback;
+  }
+
+  /**
+   * @returns {Promise<string>} The key returned by the callback
+   */
+  async getKey() {
+    return assertKey(await this.callback(), 'the key callback');
+  }
+}
+
+/**
+ * Whether a value can be used as a key provider
+ * @param {*} value - Value to check
+ * @returns {boolean} True for functions and objects with getKey()
+ */
+export function isKeyProvider(value) {
+  return typeof value === 'function' || typeof value?.getKey === 'function';
+}
+
+/**
+ * Turn a CRM key, a function or a provider into a key provider
+ * @param {string|Function|object} source - CRM key, `() => key` function, or object with getKey()
+ * @returns {object} Key provider
+ */
+export function createKeyProvider(source) {
+  if (typeof source === 'string') {
+    return new StaticKeyProvider(source);
+  }
+  if (typeof source === 'function') {
+    return new CallbackKeyProvider(source);
+  }
+  if (isKeyProvider(source)) {
+    return source;
+  }
+  throw new Error('Key provider must be a CRM key, a function or an object with getKey()');
+}
@@ -0,0 +1,374 @@
+/**
+ * Lead Poller - Incremental lead polling with a persisted high-water mark
+ *
+ * This module polls IndiaMART for new leads on the compliant cadence:
+ * - Fetches only the gap since the last finished window
+ * - Persists its checkpoint next to rate-limits.json so it resumes after a crash
+ * - Emits each new lead at least once (de-duplicated on UNIQUE_QUERY_ID): a lead is
+ *   checkpointed only after its 'lead' listeners returned, so a crash or a throwing
+ *   listener makes the next poll deliver it again
+ * - Respects the 5-15 minute polling interval recommended by IndiaMART
+ */
+
+import { EventEmitter } from 'events';
+import path from 'path';
+import { IndiaMartComplianceManager } from './api-compliance.js';
+import { readJsonFileSync, writeJsonFileSync } from './atomic-file.js';
+import { REQUEST_PRIORITIES } from './request-scheduler.js';
+
+export class LeadPoller extends EventEmitter {
+  /**
+   * Create a new lead poller
+   *
+   * @param {object} sdk - IndiaMartSDK instance used to fetch leads
+   * @param {object} options - Optional configuration
+   * @param {number} options.intervalMs - Polling interval (clamped to 5-15 minutes, default: 10 minutes)
+   * @param {string} options.checkpointFile - Checkpoint file path (default: '<logPath>/poller-checkpoint.json')
+   * @param {number} options.initialLookbackMs - Window to fetch on the very first poll (default: polling interval)
+   * @param {number} options.overlapMs - Overlap with the previous window to catch late leads (default: 60000)
+   * @param {number} options.maxSeenIds - Number of recent lead IDs kept for de-duplication (default: 1000)
+   * @param {object} options.leaderElection - LeaderElection (or any object with isLeader()); only the leader polls
+   * @param {object} options.scheduler - RequestScheduler to queue fetches through (NORMAL priority)
+   */
+  constructor(sdk, options = {}) {
+    super();
+
+    if (!sdk || typeof sdk.getLeadsForDateRange !== 'function') {
+      throw new Error('LeadPoller requires an IndiaMartSDK instance');
+    }
+
+    this.sdk = sdk;
+    this.complianceManager = sdk.client?.complianceManager || new IndiaMartComplianceManager();
+
+    const polling = this.complianceManager.getRecommendedPollingInterval();
+    const requestedInterval = options.intervalMs || polling.recommended;
+    this.intervalMs = Math.min(Math.max(requestedInterval, polling.minimum), polling.maximum);
+
+    const logPath = sdk.options?.paths?.logPath || './logs';
+    this.checkpointFile = options.checkpointFile || path.join(logPath, 'poller-checkpoint.json');
+    this.initialLookbackMs = options.initialLookbackMs || this.intervalMs;
+    this.overlapMs = options.overlapMs !== undefined ? options.overlapMs : 60 * 1000;
+    this.maxSeenIds = options.maxSeenIds || 1000;
+    this.leaderElection = options.leaderElection || null;
+    this.scheduler = options.scheduler || null;
+
+    // IndiaMART API limits (a single call may cover at most 7 days, 365 days back)
+    this.limits = {
+      maxWindowMs: 7 * 24 * 60 * 60 * 1000,
+      maxHistoricalMs: 365 * 24 * 60 * 60 * 1000
+    };
+
+    this.state = 'stopped';
+    this.timer = null;
+    this.currentPoll = null;
+    this.checkpoint = this.loadCheckpoint();
+  }
+
+  /**
+   * Load checkpoint from file
+   * @returns {object} Checkpoint data
+   */
+  loadCheckpoint() {
+    try {
+      // A corrupt checkpoint is restored from its .bak copy
+      const data = readJsonFileSync(this.checkpointFile, { fallback: {}, label: 'Poller checkpoint' }) || {};
+      return {
+        windowEnd: data.windowEnd || null,
+        lastQueryTime: data.lastQueryTime || null,
+        seenIds: Array.isArray(data.seenIds) ? data.seenIds : [],
+        lastPollAt: data.lastPollAt || null
+      };
+    } catch (error) {
+      console.error('❌ Failed to load poller checkpoint:', error.message);
+      return {
+        windowEnd: null,
+        lastQueryTime: null,
+        seenIds: [],
+        lastPollAt: null
+      };
+    }
+  }
+
+  /**
+   * Save checkpoint to file
+   */
+  saveCheckpoint() {
+    try {
+      writeJsonFileSync(this.checkpointFile, {
+        ...this.checkpoint,
+        updatedAt: new Date().toISOString()
+      }, { backup: true });
+    } catch (error) {
+      console.error('❌ Failed to save poller checkpoint:', error.message);
+    }
+  }
+
+  /**
+   * Start polling (the first poll runs immediately)
+   */
+  start() {
+    if (this.state === 'running') {
+      return;
+    }
+
+    this.state = 'running';
+    this.emit('started', { intervalMs: this.intervalMs, checkpoint: this.getCheckpoint() });
+    this.scheduleNext(0);
+  }
+
+  /**
+   * Stop polling and wait for an in-flight poll to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.state = 'stopped';
+    this.clearTimer();
+
+    if (this.currentPoll) {
+      await this.currentPoll.catch(() => {});
+    }
+
+    this.emit('stopped', { checkpoint: this.getCheckpoint() });
+  }
+
+  /**
+   * Pause polling; the checkpoint is kept so resume() continues from the gap
+   */
+  pause() {
+    if (this.state !== 'running') {
+      return;
+    }
+
+    this.state = 'paused';
+    this.clearTimer();
+    this.emit('paused', { checkpoint: this.getCheckpoint() });
+  }
+
+  /**
+   * Resume a paused poller
+   */
+  resume() {
+    if (this.state !== 'paused') {
+      return;
+    }
+
+    this.state = 'running';
+    this.emit('resumed', { checkpoint: this.getCheckpoint() });
+    this.scheduleNext(this.getDelayUntilNextPoll());
+  }
+
+  /**
+   * Schedule the next poll
+   * @param {number} delayMs - Delay before polling
+   */
+  scheduleNext(delayMs) {
+    this.clearTimer();
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      await this.poll().catch(() => {});
+      if (this.state === 'running') {
+        this.scheduleNext(this.intervalMs);
+      }
+    }, delayMs);
+  }
+
+  /**
+   * Clear the pending poll timer
+   */
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Get delay until the next poll is due, based on the last finished poll
+   * @returns {number} Delay in milliseconds
+   */
+  getDelayUntilNextPoll() {
+    if (!this.checkpoint.lastPollAt) {
+      return 0;
+    }
+
+    const elapsed = Date.now() - new Date(this.checkpoint.lastPollAt).getTime();
+    return Math.max(0, this.intervalMs - elapsed);
+  }
+
+  /**
+   * Compute the next window to fetch from the checkpoint
+   * @param {Date} now - Current time
+   * @returns {object|null} Window with startDate and endDate, or null if there is no gap
+   */
+  getNextWindow(now = new Date()) {
+    const oldestAllowed = now.getTime() - this.limits.maxHistoricalMs;
+
+    let start = this.checkpoint.windowEnd
+      ? new Date(this.checkpoint.windowEnd).getTime() - this.overlapMs
+      : now.getTime() - this.initialLookbackMs;
+    start = Math.max(start, oldestAllowed);
+
+    // Catch up one 7-day window per poll when the gap is larger than a single call allows
+    const end = Math.min(now.getTime(), start + this.limits.maxWindowMs);
+
+    if (end <= start) {
+      return null;
+    }
+
+    return {
+      startDate: new Date(start),
+      endDate: new Date(end)
+    };
+  }
+
+  /**
+   * Run one poll: fetch the gap since the checkpoint and emit new leads
+   * @returns {Promise<object>} Poll result
+   */
+  async poll() {
+    if (this.currentPoll) {
+      return this.currentPoll;
+    }
+
+    this.currentPoll = this.runPoll().finally(() => {
+      this.currentPoll = null;
+    });
+
+    return this.currentPoll;
+  }
+
+  /**
+   * Poll implementation
+   * @returns {Promise<object>} Poll result
+   */
+  async runPoll() {
+    // Followers leave polling to the leader and read leads from the shared storage
+    if (this.leaderElection && !this.leaderElection.isLeader()) {
+      return { success: true, skipped: true, reason: 'NOT_LEADER', newLeads: 0 };
+    }
+
+    // The SDK's clock is corrected for skew when clockSkew.correct is set
+    const window = this.getNextWindow(this.sdk.dateCompliance?.now?.() || new Date());
+    if (!window) {
+      return { success: true, skipped: true, newLeads: 0 };
+    }
+
+    // A queued poll that misses the next tick is dropped; the next poll covers its window
+    const result = this.scheduler
+      ? await this.scheduler.getLeadsForDateRange(window.startDate, window.endDate, {
+        priority: REQUEST_PRIORITIES.NORMAL,
+        timeoutMs: this.intervalMs
+      })
+      : await this.sdk.getLeadsForDateRange(window.startDate, window.endDate, { errorMode: 'result' });
+    const noLeads = !result.success && /no leads/i.test(result.error || '');
+
+    if (!result.success && !noLeads) {
+      const error = new Error(`Poll failed: ${result.error}`);
+      error.code = result.code;
+      error.window = window;
+      // Only surface as 'error' when someone listens, so an unattended poller never crashes the process
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      }
+      return { success: false, error: result.error, code: result.code, window, newLeads: 0 };
+    }
+
+    const seen = new Set(this.checkpoint.seenIds);
+    let newLeads = 0;
+
+    for (const lead of result.leads || []) {
+      const id = lead?.uniqueQueryId || lead?.UNIQUE_QUERY_ID;
+      if (!id || seen.has(id)) {
+        continue;
+      }
+
+      try {
+        this.emit('lead', lead);
+      } catch (listenerError) {
+        // Keep the leads acknowledged so far; the window is fetched again and this lead re-delivered
+        this.saveCheckpoint();
+        const error = new Error(`Lead listener failed: ${listenerError.message}`);
+        error.cause = listenerError;
+        error.lead = lead;
+        error.window = window;
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', error);
+        }
+        return { success: false, error: error.message, window, newLeads };
+      }
+
+      // Acknowledged: remember the lead (written once at the end of the poll)
+      seen.add(id);
+      this.checkpoint.seenIds.push(id);
+      if (this.checkpoint.seenIds.length > this.maxSeenIds) {
+        this.checkpoint.seenIds = this.checkpoint.seenIds.slice(-this.maxSeenIds);
+      }
+
+      const queryTime = lead.queryTime || lead.QUERY_TIME;
+      if (queryTime && (!this.checkpoint.lastQueryTime || queryTime > this.checkpoint.lastQueryTime)) {
+        this.checkpoint.lastQueryTime = queryTime;
+      }
+      newLeads++;
+    }
+
+    // A partial result skipped pages: keep the window so the next poll fetches it again (seen leads are not re-emitted)
+    if (!result.partial) {
+      this.checkpoint.windowEnd = window.endDate.toISOString();
+    }
+    this.checkpoint.lastPollAt = new Date().toISOString();
+    this.saveCheckpoint();
+
+    const pollResult = {
+      success: true,
+      partial: Boolean(result.partial),
+      window,
+      totalLeads: result.leads?.length || 0,
+      newLeads
+    };
+    this.emit('poll', pollResult);
+
+    return pollResult;
+  }
+
+  /**
+   * Get a copy of the current checkpoint
+   * @returns {object} Checkpoint data
+   */
+  getCheckpoint() {
+    return {
+      windowEnd: this.checkpoint.windowEnd,
+      lastQueryTime: this.checkpoint.lastQueryTime,
+      lastPollAt: this.checkpoint.lastPollAt,
+      seenIds: this.checkpoint.seenIds.length
+    };
+  }
+
+  /**
+   * Reset the checkpoint (the next poll starts from the initial lookback)
+   */
+  resetCheckpoint() {
+    this.checkpoint = {
+      windowEnd: null,
+      lastQueryTime: null,
+      seenIds: [],
+      lastPollAt: null
+    };
+    this.saveCheckpoint();
+  }
+
+  /**
+   * Get poller status
+   * @returns {object} Poller status
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      intervalMs: this.intervalMs,
+      isPolling: !!this.currentPoll,
+      isLeader: this.leaderElection ? this.leaderElection.isLeader() : null,
+      nextPollInMs: this.state === 'running' ? this.getDelayUntilNextPoll() : null,
+      checkpointFile: this.checkpointFile,
+      checkpoint: this.getCheckpoint()
+    };
+  }
+}
@@ -0,0 +1,228 @@
+/**
+ * Lead Stream - Pull-based streaming of processed leads
+ *
+ * This module streams leads across compliant date windows and API pages:
+ * - Windows come from DateComplianceManager.splitDateRange (max 7 days each)
+ * - Leads are normalized by IndiaMartResponseHandler.processLead
+ * - The next page is only fetched when the consumer asks for more (backpressure)
+ * - Nothing is cached or written to disk, so memory stays bounded to one page
+ */
+
+import { Readable } from 'stream';
+import { DateComplianceManager } from './date-compliance.js';
+import { COMPLIANCE_CONSTANTS } from './api-compliance.js';
+
+export class LeadStream {
+  /**
+   * Create a new lead stream
+   *
+   * @param {object} sdk - IndiaMartSDK instance (its client, rate governor and date compliance are used)
+   * @param {object} options - Stream configuration
+   * @param {Date|string} options.from - Start of the range (required)
+   * @param {Date|string} options.to - End of the range (default: now)
+   * @param {number} options.minIntervalMs - Minimum spacing between windows (default: 5 minutes)
+   * @param {number} options.maxPages - Maximum pages per window (default: 10)
+   * @param {AbortSignal} options.signal - Abort signal to end the stream
+   */
+  constructor(sdk, options = {}) {
+    if (!sdk || !sdk.client) {
+      throw new Error('LeadStream requires an IndiaMartSDK instance');
+    }
+
+    if (!options.from) {
+      throw new Error('Lead stream requires a "from" date');
+    }
+
+    this.sdk = sdk;
+    this.client = sdk.client;
+    this.rateLimiter = sdk.rateGovernor || sdk.rateLimiter || null;
+    this.dateCompliance = sdk.dateCompliance || new DateComplianceManager();
+
+    this.plan = this.dateCompliance.splitDateRange(options.from, options.to || this.dateCompliance.now());
+    this.minIntervalMs = options.minIntervalMs !== undefined ? options.minIntervalMs : COMPLIANCE_CONSTANTS.MIN_INTERVAL_MS;
+    this.maxPages = options.maxPages || 10;
+    this.signal = options.signal || null;
+
+    this.stats = {
+      windowsTotal: this.plan.windows.length,
+      windowsDone: 0,
+      pagesFetched: 0,
+      attempts: 0,
+      leadsEmitted: 0
+    };
+  }
+
+  /**
+   * Iterate over processed leads
+   * @returns {AsyncGenerator<object>} Processed leads
+   */
+  async *[Symbol.asyncIterator]() {
+    if (typeof this.sdk.initialize === 'function') {
+      await this.sdk.initialize();
+    }
+
+    let lastWindowStartedAt = null;
+
+    for (const window of this.plan.windows) {
+      if (lastWindowStartedAt !== null) {
+        await this.wait(this.minIntervalMs - (Date.now() - lastWindowStartedAt));
+      }
+      lastWindowStartedAt = Date.now();
+
+      yield* this.streamWindow(window);
+      this.stats.windowsDone++;
+    }
+  }
+
+  /**
+   * Stream every page of a single window
+   * @param {object} window - Window with startDate and endDate
+   * @returns {AsyncGenerator<object>} Processed leads
+   */
+  async *streamWindow(window) {
+    const startTime = this.dateCompliance.formatDateForAPI(window.startDate, 'timestamp');
+    const endTime = this.dateCompliance.formatDateForAPI(window.endDate, 'timestamp');
+    const seenIds = new Set();
+    let uniqueLeads = 0;
+
+    for (let page = 1; page <= this.maxPages; page++) {
+      const result = await this.fetchPage(
+        { startTime, endTime, page: page > 1 ? page : undefined, signal: this.signal || undefined },
+        { continuation: page > 1 }
+      );
+      if (!result) {
+        return;
+      }
+
+      this.stats.pagesFetched++;
+      this.stats.attempts += result.attempts || 1;
+      const leads = result.leads || [];
+      const before = uniqueLeads;
+
+      if (typeof this.sdk.emitLeads === 'function') {
+        this.sdk.emitLeads(result, { startDate: window.startDate, endDate: window.endDate, page });
+      }
+
+      for (const lead of leads) {
+        if (!lead) continue;
+        if (lead.uniqueQueryId) {
+          if (seenIds.has(lead.uniqueQueryId)) continue;
+          seenIds.add(lead.uniqueQueryId);
+        }
+
+        uniqueLeads++;
+        this.stats.leadsEmitted++;
+        yield lead;
+      }
+
+      // Completeness counts unique leads, as in the client; a page of duplicates means IndiaMART has nothing more
+      if (uniqueLeads === before || uniqueLeads >= (Number(result.totalRecords) || 0)) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Fetch one page in a rate slot of the client's, waiting while the rate governor holds calls back
+   *
+   * The client reserves the slot and counts every HTTP request the page took.
+   *
+   * @param {object} opts - Page options for the client
+   * @param {object} options - Slot options
+   * @param {boolean} options.continuation - The call fetches a follow-up page of the window
+   * @returns {Promise<object|null>} Processed page, or null when the window has no leads
+   */
+  async fetchPage(opts, { continuation }) {
+    while (true) {
+      this.throwIfAborted();
+      // During an outage fail fast instead of waiting for a rate slot
+      this.client.circuitBreaker?.rejectIfOpen();
+      await this.waitForRateLimit({ continuation });
+
+      try {
+        return await this.client.fetchWithRateSlot(opts, { continuation });
+      } catch (error) {
+        // Another caller took the slot in the meantime: wait for the next one
+        if (error.code === 'RATE_LIMITED') continue;
+        if (error.details?.type === 'NO_LEADS' || /no leads/i.test(error.message)) {
+          return null;
+        }
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Wait until the rate governor allows the next call
+   * @param {object} options - Options
+   * @param {boolean} options.continuation - The call fetches a follow-up page of the window
+   */
+  async waitForRateLimit({ continuation = false } = {}) {
+    if (!this.rateLimiter) return;
+
+    // Only look: fetchWithRateSlot reserves the slot itself
+    let check = await this.rateLimiter.canMakeCall({ continuation, reserve: false });
+    while (!check.allowed) {
+      await this.wait(Math.max(check.retryAfter, 1000));
+      check = await this.rateLimiter.canMakeCall({ continuation, reserve: false });
+    }
+  }
+
+  /**
+   * Abortable sleep
+   * @param {number} ms - Milliseconds to wait
+   * @returns {Promise<void>}
+   */
+  wait(ms) {
+    if (ms <= 0) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this.createAbortError());
+      };
+      this.signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Throw if the stream was aborted
+   */
+  throwIfAborted() {
+    if (this.signal?.aborted) {
+      throw this.createAbortError();
+    }
+  }
+
+  /**
+   * Create an abort error in the shape fetch uses
+   * @returns {Error} Abort error
+   */
+  createAbortError() {
+    const error = new Error('Lead stream aborted');
+    error.name = 'AbortError';
+    error.code = 'ABORT_ERR';
+    return error;
+  }
+
+  /**
+   * Get stream statistics
+   * @returns {object} Windows done, pages fetched, requests made (retries included) and leads emitted
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
+  /**
+   * Convert to an object-mode Readable stream (pipe into ETL pipelines)
+   * @param {object} options - Readable options (e.g. highWaterMark)
+   * @returns {Readable} Readable stream of processed leads
+   */
+  toReadable(options = {}) {
+    return Readable.from(this, { objectMode: true, highWaterMark: 16, ...options });
+  }
+}
@@ -0,0 +1,355 @@
+/**
+ * Leader Election - One active poller per CRM key across processes and hosts
+ *
+ * Instances compete for a lease named after a hash of the CRM key (the key itself is
+ * never written anywhere). The holder renews it well before it expires; when the
+ * leader dies or stops renewing, another instance takes over once the lease runs out.
+ * Followers should read leads from the shared storage layer instead of polling.
+ *
+ * A lease backend is any object with these async methods:
+ *
+ *   acquire(key, ownerId, ttlMs)  → lease, or null when another owner holds an unexpired lease
+ *   renew(key, ownerId, ttlMs)    → lease, or null when ownerId no longer holds it
+ *   release(key, ownerId)         → void (only releases a lease held by ownerId)
+ *   get(key)                      → current unexpired lease or null
+ *
+ * A lease is { key, ownerId, term, acquiredAt, renewedAt, expiresAt } with times in
+ * epoch milliseconds; `term` increases on every change of owner (a fencing token).
+ *
+ * Shipped backends:
+ * - FileLeaseBackend: lease files in a directory shared by the instances (local disk or a network share)
+ * - MemoryLeaseBackend: in-process, for tests
+ */
+
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import { readJsonFileSync, writeJsonFileSync } from './atomic-file.js';
+import { withFileLock } from './file-lock.js';
+
+export const LEASE_BACKEND_METHODS = ['acquire', 'renew', 'release', 'get'];
+
+/**
+ * Events emitted by LeaderElection
+ */
+export const LEADER_EVENTS = {
+  ELECTED: 'elected',   // ({ key, ownerId, term, expiresAt }) when this instance becomes leader
+  LOST: 'lost',         // ({ key, ownerId, reason }) when this instance stops being leader
+  ERROR: 'error'        // (error) when the backend fails; only emitted when someone listens
+};
+
+/**
+ * Derive the election key for a CRM key
+ * @param {string} crmKey - IndiaMART CRM key
+ * @returns {string} Key safe to use in file names and logs
+ */
+export function leaderKeyForCrmKey(crmKey) {
+  if (!crmKey) {
+    throw new Error('A CRM key is required to derive the leader election key');
+  }
+  return `indiamart-${crypto.createHash('sha256').update(String(crmKey)).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Derive the election key for the instances sharing a directory
+ * @param {string} directory - Directory the instances share (resolved against the working directory)
+ * @returns {string} Key safe to use in file names and logs
+ */
+export function leaderKeyForPath(directory) {
+  if (!directory) {
+    throw new Error('A directory is required to derive the leader election key');
+  }
+  return `indiamart-${crypto.createHash('sha256').update(path.resolve(directory)).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Check that an object implements the lease backend interface
+ * @param {object} backend - Lease backend
+ * @returns {object} The backend
+ */
+export function assertLeaseBackend(backend) {
+  if (!backend || typeof backend !== 'object') {
+    throw new Error('Lease backend must be an object');
+  }
+
+  const missing = LEASE_BACKEND_METHODS.filter(method => typeof backend[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Lease backend is missing required methods: ${missing.join(', ')}`);
+  }
+
+  return backend;
+}
+
+/**
+ * Apply an acquire or renew to the stored lease
+ * @param {object|null} current - Stored lease
+ * @param {string} key - Election key
+ * @param {string} ownerId - Candidate owner
+ * @param {number} ttlMs - Lease duration
+ * @param {boolean} renewOnly - Fail unless ownerId already holds the lease
+ * @returns {object|null} New lease, or null when it is held by someone else
+ */
+function nextLease(current, key, ownerId, ttlMs, renewOnly) {
+  const now = Date.now();
+  const live = current && current.expiresAt > now;
+  const ours = live && current.ownerId === ownerId;
+
+  if ((live && !ours) || (renewOnly && !ours)) {
+    return null;
+  }
+
+  return {
+    key,
+    ownerId,
+    term: ours ? current.term : (current?.term || 0) + 1,
+    acquiredAt: ours ? current.acquiredAt : now,
+    renewedAt: now,
+    expiresAt: now + ttlMs
+  };
+}
+
+export class FileLeaseBackend {
+  /**
+   * Create a filesystem lease backend
+   * @param {object} options - Backend options
+   * @param {string} options.directory - Directory shared by all instances (default: './logs/leases')
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || path.join('.', 'logs', 'leases');
+  }
+
+  async acquire(key, ownerId, ttlMs) {
+    return this.update(key, (current) => nextLease(current, key, ownerId, ttlMs, false));
+  }
+
+  async renew(key, ownerId, ttlMs) {
+    return this.update(key, (current) => nextLease(current, key, ownerId, ttlMs, true));
+  }
+
+  async release(key, ownerId) {
+    await this.update(key, (current) => {
+      if (!current || current.ownerId !== ownerId) return null;
+      // Keep the term so the next leader gets a higher one
+      return { ...current, expiresAt: 0 };
+    });
+  }
+
+  async get(key) {
+    const lease = readJsonFileSync(this.leasePath(key), { fallback: null, label: `Lease ${key}` });
+    return lease && lease.expiresAt > Date.now() ? lease : null;
+  }
+
+  /**
+   * Read-modify-write a lease file under its lock
+   * @param {string} key - Election key
+   * @param {Function} change - Receives the stored lease; returns the lease to store or null to leave it
+   * @returns {Promise<object|null>} The stored lease, or null when unchanged
+   */
+  update(key, change) {
+    const leasePath = this.leasePath(key);
+    return withFileLock(`${leasePath}.lock`, () => {
+      const current = readJsonFileSync(leasePath, { fallback: null, label: `Lease ${key}` });
+      const lease = change(current);
+      if (lease) {
+        writeJsonFileSync(leasePath, lease);
+      }
+      return lease;
+    });
+  }
+
+  /**
+   * Lease file path for a key
+   * @param {string} key - Election key
+   * @returns {string} File path
+   */
+  leasePath(key) {
+    return path.join(this.directory, `${key}.lease.json`);
+  }
+}
+
+export class MemoryLeaseBackend {
+  constructor() {
+    this.leases = new Map();
+  }
+
+  async acquire(key, ownerId, ttlMs) {
+    return this.update(key, nextLease(this.leases.get(key), key, ownerId, ttlMs, false));
+  }
+
+  async renew(key, ownerId, ttlMs) {
+    return this.update(key, nextLease(this.leases.get(key), key, ownerId, ttlMs, true));
+  }
+
+  async release(key, ownerId) {
+    const current = this.leases.get(key);
+    if (current && current.ownerId === ownerId) {
+      this.leases.set(key, { ...current, expiresAt: 0 });
+    }
+  }
+
+  async get(key) {
+    const lease = this.leases.get(key);
+    return lease && lease.expiresAt > Date.now() ? { ...lease } : null;
+  }
+
+  update(key, lease) {
+    if (lease) this.leases.set(key, lease);
+    return lease ? { ...lease } : null;
+  }
+}
+
+export class LeaderElection extends EventEmitter {
+  /**
+   * Create a leader election
+   *
+   * @param {object} options - Election options
+   * @param {string} options.crmKey - CRM key to elect a leader for (hashed into the key)
+   * @param {string} options.key - Election key (instead of crmKey)
+   * @param {object} options.backend - Lease backend (default: FileLeaseBackend in options.directory)
+   * @param {string} options.directory - Lease directory for the default backend (default: './logs/leases')
+   * @param {string} options.ownerId - This instance's id (default: '<hostname>:<pid>:<random>')
+   * @param {number} options.leaseTtlMs - Lease duration (default: 30000)
+   * @param {number} options.renewIntervalMs - How often to renew or try to take over (default: leaseTtlMs / 3)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.key = options.key || leaderKeyForCrmKey(options.crmKey);
+    this.backend = assertLeaseBackend(options.backend || new FileLeaseBackend({ directory: options.directory }));
+    this.ownerId = options.ownerId || `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+    this.leaseTtlMs = options.leaseTtlMs || 30000;
+    this.renewIntervalMs = options.renewIntervalMs || Math.floor(this.leaseTtlMs / 3);
+
+    if (this.renewIntervalMs >= this.leaseTtlMs) {
+      throw new Error('renewIntervalMs must be shorter than leaseTtlMs');
+    }
+
+    this.lease = null;
+    this.timer = null;
+    this.running = false;
+    this.currentTick = null;
+  }
+
+  /**
+   * Start competing for leadership (the first attempt runs immediately)
+   * @returns {Promise<boolean>} Whether this instance is leader after the first attempt
+   */
+  async start() {
+    if (!this.running) {
+      this.running = true;
+      this.timer = setInterval(() => this.tick().catch(() => {}), this.renewIntervalMs);
+      this.timer.unref?.();
+    }
+    await this.tick();
+    return this.isLeader();
+  }
+
+  /**
+   * Stop competing and hand the lease over right away
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.currentTick) {
+      await this.currentTick.catch(() => {});
+    }
+
+    if (this.lease) {
+      try {
+        await this.backend.release(this.key, this.ownerId);
+      } finally {
+        this.setLease(null, 'stopped');
+      }
+    }
+  }
+
+  /**
+   * Renew the lease if we hold it, otherwise try to take it over
+   * @returns {Promise<boolean>} Whether this instance is leader
+   */
+  async tick() {
+    if (!this.currentTick) {
+      this.currentTick = this.runTick().finally(() => {
+        this.currentTick = null;
+      });
+    }
+    return this.currentTick;
+  }
+
+  /**
+   * One election round
+   * @returns {Promise<boolean>} Whether this instance is leader
+   */
+  async runTick() {
+    try {
+      const lease = this.lease
+        ? await this.backend.renew(this.key, this.ownerId, this.leaseTtlMs)
+        : await this.backend.acquire(this.key, this.ownerId, this.leaseTtlMs);
+      this.setLease(lease, 'lease taken over by another instance');
+    } catch (error) {
+      // Keep a held lease until it expires; isLeader() stops trusting it after expiresAt
+      if (this.listenerCount(LEADER_EVENTS.ERROR) > 0) {
+        this.emit(LEADER_EVENTS.ERROR, error);
+      }
+    }
+    return this.isLeader();
+  }
+
+  /**
+   * Record the outcome of an election round and emit changes
+   * @param {object|null} lease - Lease held now
+   * @param {string} reason - Why leadership was lost, if it was
+   */
+  setLease(lease, reason) {
+    const wasLeader = !!this.lease;
+    this.lease = lease;
+
+    if (lease && !wasLeader) {
+      this.emit(LEADER_EVENTS.ELECTED, { key: this.key, ownerId: this.ownerId, term: lease.term, expiresAt: lease.expiresAt });
+    } else if (!lease && wasLeader) {
+      this.emit(LEADER_EVENTS.LOST, { key: this.key, ownerId: this.ownerId, reason });
+    }
+  }
+
+  /**
+   * Whether this instance currently holds an unexpired lease
+   * @returns {boolean} True when this instance should poll
+   */
+  isLeader() {
+    if (this.lease && this.lease.expiresAt <= Date.now()) {
+      this.setLease(null, 'lease expired before it could be renewed');
+    }
+    return !!this.lease;
+  }
+
+  /**
+   * Get the current leader from the backend
+   * @returns {Promise<object|null>} Lease of the current leader
+   */
+  async getLeader() {
+    return this.backend.get(this.key);
+  }
+
+  /**
+   * Get election status
+   * @returns {object} Election status
+   */
+  getStatus() {
+    return {
+      key: this.key,
+      ownerId: this.ownerId,
+      running: this.running,
+      isLeader: this.isLeader(),
+      term: this.lease?.term || null,
+      expiresAt: this.lease ? new Date(this.lease.expiresAt).toISOString() : null,
+      leaseTtlMs: this.leaseTtlMs,
+      renewIntervalMs: this.renewIntervalMs
+    };
+  }
+}
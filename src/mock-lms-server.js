@@ -0,0 +1,365 @@
+/**
+ * Mock LMS Server - In-process IndiaMART LMS emulator for offline testing
+ *
+ * Serves /wservce/crm/crmListing/v2/ on localhost so `baseUrl` can point at it:
+ * - Returns seeded leads filtered by start_time/end_time, with paging
+ * - Answers with the CODE/STATUS/MESSAGE bodies that IndiaMartErrorHandler parses
+ *   (200, 204 no leads, 400 date errors, 401 incorrect/expired key, 429 5 and 15 minute blocks, 500)
+ * - Scenarios can be queued to force a specific response for the next calls
+ * - Optionally enforces the 5-minute interval and the 15-minute block like the live API
+ *
+ * Like the live API, every answer is HTTP 200 and the outcome is in the CODE field.
+ */
+
+import http from 'http';
+import { IST_OFFSET_MS, formatQueryTime, parseQueryTime } from './date-compliance.js';
+
+export const MOCK_LMS_PATH = '/wservce/crm/crmListing/v2/';
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+/**
+ * Response bodies for each scenario, worded the way IndiaMART words them
+ */
+export const MOCK_SCENARIOS = {
+  noLeads: {
+    CODE: 204,
+    STATUS: 'SUCCESS',
+    MESSAGE: 'There are no leads in the given time duration. Please try for a different duration.'
+  },
+  missingDates: {
+    CODE: 400,
+    STATUS: 'FAILURE',
+    MESSAGE: 'Please provide valid date parameters: start_time and end_time are required.'
+  },
+  dateRangeTooLarge: {
+    CODE: 400,
+    STATUS: 'FAILURE',
+    MESSAGE: 'Leads can be fetched for a maximum duration of 7 days and for the last 365 days only.'
+  },
+  incorrectKey: {
+    CODE: 401,
+    STATUS: 'FAILURE',
+    MESSAGE: 'You have entered an incorrect CRM key. Please check the key and try again.'
+  },
+  keyExpired: {
+    CODE: 401,
+    STATUS: 'FAILURE',
+    MESSAGE: 'This key has expired as it was no longer in use. Please generate a new key from the Lead Manager.'
+  },
+  keyReplaced: {
+    CODE: 401,
+    STATUS: 'FAILURE',
+    MESSAGE: 'This key has expired as a new key has been generated. Please use the new key sent on your email/SMS.'
+  },
+  rateLimit5Min: {
+    CODE: 429,
+    STATUS: 'FAILURE',
+    MESSAGE: 'It is advised to hit this API once in every 5 minutes, but it seems that you have crossed this limit. Please try again after 5 minutes.'
+  },
+  rateLimit15Min: {
+    CODE: 429,
+    STATUS: 'FAILURE',
+    MESSAGE: 'Too Many Requests. Your key has been blocked for 15 minutes.'
+  },
+  serverError: {
+    CODE: 500,
+    STATUS: 'FAILURE',
+    MESSAGE: 'Internal Server Error'
+  }
+};
+
+/**
+ * Generate raw IndiaMART leads spread evenly over a time range
+ *
+ * @param {number} count - Number of leads
+ * @param {object} options - Generation options
+ * @param {Date|string} options.from - Earliest QUERY_TIME (default: 24 hours ago)
+ * @param {Date|string} options.to - Latest QUERY_TIME (default: now)
+ * @param {number} options.startId - First UNIQUE_QUERY_ID (default: 1000000)
+ * @returns {object[]} Raw leads in the API response format
+ */
+export function generateMockLeads(count, options = {}) {
+  const to = new Date(options.to || Date.now()).getTime();
+  const from = new Date(options.from || to - 24 * 60 * 60 * 1000).getTime();
+  const startId = options.startId || 1000000;
+  const types = ['W', 'B', 'P'];
+  const states = ['Maharashtra', 'Karnataka', 'Delhi', 'Gujarat', 'Tamil Nadu'];
+  const products = ['Industrial Pump', 'Steel Pipe', 'Solar Panel', 'Packaging Machine'];
+
+  const leads = [];
+  for (let i = 0; i < count; i++) {
+    const time = count > 1 ? from + Math.floor(((to - from) * i) / (count - 1)) : to;
+    leads.push({
+      UNIQUE_QUERY_ID: String(startId + i),
+      QUERY_TYPE: types[i % types.length],
+      QUERY_TIME: formatQueryTime(time),
+      SENDER_NAME: `Buyer ${i + 1}`,
+      SENDER_MOBILE: `+91-98${String(10000000 + i).slice(-8)}`,
+      SENDER_EMAIL: `buyer${i + 1}@example.com`,
+      SENDER_COMPANY: `Company ${i + 1}`,
+      SENDER_ADDRESS: `${i + 1} Market Road`,
+      SENDER_CITY: 'Mumbai',
+      SENDER_STATE: states[i % states.length],
+      SENDER_PINCODE: '400001',
+      SENDER_COUNTRY_ISO: 'IN',
+      QUERY_PRODUCT_NAME: products[i % products.length],
+      QUERY_MESSAGE: `Please share a quotation for ${products[i % products.length]}`,
+      QUERY_MCAT_NAME: products[i % products.length]
+    });
+  }
+  return leads;
+}
+
+/**
+ * Create an IndiaMART LMS emulator
+ *
+ * @param {object} options - Emulator configuration
+ * @param {string|string[]} options.crmKey - Accepted CRM key(s) (default: 'mock-crm-key-0123456789')
+ * @param {object[]} options.leads - Raw leads to serve (default: 25 generated leads from the last 24 hours)
+ * @param {number} options.pageSize - Leads per page (default: 100)
+ * @param {boolean} options.enforceRateLimits - Apply the 5-minute interval and 15-minute block (default: false)
+ * @param {number} options.port - Port to listen on (default: random free port)
+ * @returns {object} Emulator with start(), stop(), queueScenario() and request history
+ */
+export function createMockLmsServer(options = {}) {
+  const keys = new Set([].concat(options.crmKey || 'mock-crm-key-0123456789'));
+  const pageSize = options.pageSize || 100;
+  const enforceRateLimits = options.enforceRateLimits === true;
+
+  let leads = options.leads ? [...options.leads] : generateMockLeads(25);
+  const scenarioQueue = [];
+  const requests = [];
+  const expiredKeys = new Map();
+  const callsByKey = new Map();
+  const blockedUntil = new Map();
+  let server = null;
+
+  const respond = (res, body) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const checkRateLimits = (key, now) => {
+    if ((blockedUntil.get(key) || 0) > now) {
+      return MOCK_SCENARIOS.rateLimit15Min;
+    }
+
+    const calls = (callsByKey.get(key) || []).filter(time => time > now - 60 * 60 * 1000);
+    calls.push(now);
+    callsByKey.set(key, calls);
+
+    if (calls.length > 20) {
+      blockedUntil.set(key, now + 15 * 60 * 1000);
+      return MOCK_SCENARIOS.rateLimit15Min;
+    }
+
+    const previous = calls[calls.length - 2];
+    if (previous !== undefined && now - previous < 5 * 60 * 1000) {
+      return MOCK_SCENARIOS.rateLimit5Min;
+    }
+
+    return null;
+  };
+
+  const handleLeads = (params) => {
+    const key = params.get('glusr_crm_key');
+    if (!key || !keys.has(key)) {
+      return MOCK_SCENARIOS.incorrectKey;
+    }
+
+    if (expiredKeys.has(key)) {
+      return MOCK_SCENARIOS[expiredKeys.get(key)];
+    }
+
+    if (scenarioQueue.length > 0) {
+      return MOCK_SCENARIOS[scenarioQueue.shift()];
+    }
+
+    if (enforceRateLimits) {
+      const limited = checkRateLimits(key, Date.now());
+      if (limited) return limited;
+    }
+
+    const startParam = params.get('start_time');
+    const endParam = params.get('end_time');
+    if (!startParam || !endParam) {
+      return MOCK_SCENARIOS.missingDates;
+    }
+
+    const start = parseApiTime(startParam);
+    const end = parseApiTime(endParam);
+    if (start === null || end === null) {
+      return {
+        CODE: 400,
+        STATUS: 'FAILURE',
+        MESSAGE: 'Date format is incorrect. Please use DD-MM-YYYYHH:MM:SS or DD-MON-YYYY.'
+      };
+    }
+
+    const dayMs = 24 * 60 * 60 * 1000;
+    if (end - start > 7 * dayMs || Date.now() - start > 365 * dayMs) {
+      return MOCK_SCENARIOS.dateRangeTooLarge;
+    }
+
+    const matching = leads.filter(lead => {
+      const time = parseQueryTime(lead.QUERY_TIME)?.getTime();
+      return time !== undefined && time >= start && time <= end;
+    });
+
+    if (matching.length === 0) {
+      return MOCK_SCENARIOS.noLeads;
+    }
+
+    const page = Math.max(1, parseInt(params.get('page'), 10) || 1);
+    const pageLeads = matching.slice((page - 1) * pageSize, page * pageSize);
+
+    return {
+      CODE: 200,
+      STATUS: 'SUCCESS',
+      MESSAGE: '',
+      TOTAL_RECORDS: matching.length,
+      RESPONSE: pageLeads
+    };
+  };
+
+  const handler = (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const pathname = url.pathname.endsWith('/') ? url.pathname : `${url.pathname}/`;
+
+    if (pathname !== MOCK_LMS_PATH) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ CODE: 404, STATUS: 'FAILURE', MESSAGE: 'Not Found' }));
+      return;
+    }
+
+    const body = handleLeads(url.searchParams);
+    requests.push({
+      at: new Date().toISOString(),
+      params: {
+        start_time: url.searchParams.get('start_time'),
+        end_time: url.searchParams.get('end_time'),
+        page: url.searchParams.get('page')
+      },
+      code: body.CODE
+    });
+    respond(res, body);
+  };
+
+  return {
+    requests,
+
+    /**
+     * Start listening on localhost
+     * @returns {Promise<string>} Base URL to pass as `baseUrl`
+     */
+    start() {
+      if (server) return Promise.resolve(this.baseUrl);
+
+      server = http.createServer(handler);
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(options.port || 0, '127.0.0.1', () => {
+          server.off('error', reject);
+          resolve(this.baseUrl);
+        });
+      });
+    },
+
+    /**
+     * Stop the server
+     * @returns {Promise<void>}
+     */
+    stop() {
+      if (!server) return Promise.resolve();
+
+      const closing = server;
+      server = null;
+      return new Promise(resolve => {
+        closing.close(() => resolve());
+        closing.closeAllConnections?.();
+      });
+    },
+
+    /**
+     * Base URL of the running server (null when stopped)
+     */
+    get baseUrl() {
+      if (!server || !server.address()) return null;
+      return `http://127.0.0.1:${server.address().port}${MOCK_LMS_PATH}`;
+    },
+
+    /**
+     * Force the next responses, e.g. queueScenario('rateLimit15Min') or queueScenario('serverError', 2)
+     * @param {string} name - Scenario name from MOCK_SCENARIOS
+     * @param {number} times - Number of calls to answer with it (default: 1)
+     */
+    queueScenario(name, times = 1) {
+      if (!MOCK_SCENARIOS[name]) {
+        throw new Error(`Unknown mock scenario: ${name}`);
+      }
+      for (let i = 0; i < times; i++) {
+        scenarioQueue.push(name);
+      }
+    },
+
+    /**
+     * Expire a key; later calls with it get the matching 401 message
+     * @param {string} key - CRM key
+     * @param {string} reason - 'keyExpired' (inactivity) or 'keyReplaced' (new key generated)
+     */
+    expireKey(key, reason = 'keyExpired') {
+      expiredKeys.set(key, reason);
+    },
+
+    /**
+     * Replace the seeded leads
+     * @param {object[]} newLeads - Raw leads
+     */
+    seedLeads(newLeads) {
+      leads = [...newLeads];
+    },
+
+    /**
+     * Add leads to the seeded set
+     * @param {object[]} newLeads - Raw leads
+     */
+    addLeads(newLeads) {
+      leads.push(...newLeads);
+    },
+
+    /**
+     * Clear queued scenarios, expired keys, rate limit state and request history
+     */
+    reset() {
+      scenarioQueue.length = 0;
+      requests.length = 0;
+      expiredKeys.clear();
+      callsByKey.clear();
+      blockedUntil.clear();
+    }
+  };
+}
+
+/**
+ * Parse start_time/end_time as the API accepts them (IST), falling back to ISO strings
+ * @param {string} value - Parameter value
+ * @returns {number|null} Epoch milliseconds
+ */
+function parseApiTime(value) {
+  const timestamp = /^(\d{2})-(\d{2})-(\d{4})\s?(\d{2}):(\d{2}):(\d{2})$/.exec(value);
+  if (timestamp) {
+    const [, day, month, year, hour, minute, second] = timestamp.map(Number);
+    return Date.UTC(year, month - 1, day, hour, minute, second) - IST_OFFSET_MS;
+  }
+
+  const date = /^(\d{2})-([A-Z]{3})-(\d{4})$/i.exec(value);
+  if (date) {
+    const month = MONTHS.indexOf(date[2].toUpperCase());
+    if (month === -1) return null;
+    return Date.UTC(Number(date[3]), month, Number(date[1])) - IST_OFFSET_MS;
+  }
+
+  const parsed = Date.parse(value);
+  return isNaN(parsed) ? null : parsed;
+}
@@ -0,0 +1,337 @@
+/**
+ * Push Receiver - Webhook endpoint for the IndiaMART Push API
+ *
+ * IndiaMART can POST each new lead to a seller URL as soon as it arrives:
+ *   { "CODE": 200, "STATUS": "SUCCESS", "RESPONSE": { "UNIQUE_QUERY_ID": "...", ... } }
+ *
+ * This module accepts those payloads and:
+ * - Validates the lead with IndiaMartResponseHandler.validateLead
+ * - Normalizes it with processLead (same shape as pulled leads)
+ * - Stores it through FileStorageManager
+ * - Acknowledges with HTTP 200 and { CODE: 200, STATUS: 'SUCCESS' } so IndiaMART stops retrying
+ *
+ * Repeated deliveries of the same UNIQUE_QUERY_ID are acknowledged but not stored twice.
+ * Use it as a standalone server (listen) or mount handleRequest in an existing http/Express app.
+ */
+
+import { EventEmitter } from 'events';
+import http from 'http';
+import { IndiaMartResponseHandler } from './response-handler.js';
+import { FileStorageManager } from './file-storage-manager.js';
+
+export class PushReceiver extends EventEmitter {
+  /**
+   * Create a new push receiver
+   *
+   * @param {object} options - Receiver configuration
+   * @param {string} options.path - URL path that accepts pushes (default: '/indiamart/push')
+   * @param {FileStorageManager} options.fileStorageManager - Storage for received leads
+   * @param {object} options.fileStorageOptions - Options for a new FileStorageManager (when none is given)
+   * @param {boolean} options.store - Store received leads (default: true)
+   * @param {IndiaMartResponseHandler} options.responseHandler - Handler used to validate and normalize leads
+   * @param {Function} options.verifyRequest - Optional check `(req) => boolean`, e.g. a shared secret in the URL
+   * @param {number} options.maxBodyBytes - Largest accepted payload (default: 1 MB)
+   * @param {number} options.maxSeenIds - Lead IDs remembered for de-duplication (default: 1000)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.path = options.path || '/indiamart/push';
+    this.responseHandler = options.responseHandler || new IndiaMartResponseHandler();
+    this.store = options.store !== false;
+    this.fileStorageManager = this.store
+      ? options.fileStorageManager || new FileStorageManager(options.fileStorageOptions || {})
+      : null;
+    this.verifyRequest = options.verifyRequest || null;
+    this.maxBodyBytes = options.maxBodyBytes || 1024 * 1024;
+    this.maxSeenIds = options.maxSeenIds || 1000;
+
+    this.seenIds = new Set();
+    this.server = null;
+    this.stats = {
+      received: 0,
+      accepted: 0,
+      duplicates: 0,
+      rejected: 0,
+      storageErrors: 0,
+      lastReceivedAt: null
+    };
+
+    this.handleRequest = this.handleRequest.bind(this);
+  }
+
+  /**
+   * Node http request handler (also usable as Express middleware)
+   *
+   * Never rejects: an unexpected failure (a throwing 'lead' listener included) is
+   * answered with 500 and emitted as 'error'. A lead whose listener threw is not marked as
+   * seen, so IndiaMART's redelivery is stored and emitted again.
+   *
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handleRequest(req, res) {
+    try {
+      return await this.routeRequest(req, res);
+    } catch (error) {
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      }
+      if (!res.headersSent) {
+        return this.reply(res, 500, { CODE: 500, STATUS: 'FAILURE', MESSAGE: 'Internal Server Error' });
+      }
+    }
+  }
+
+  /**
+   * Route a request to the push endpoint
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async routeRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname !== this.path) {
+      return this.reply(res, 404, { CODE: 404, STATUS: 'FAILURE', MESSAGE: 'Not Found' });
+    }
+
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      return this.reply(res, 405, { CODE: 405, STATUS: 'FAILURE', MESSAGE: 'Method Not Allowed' });
+    }
+
+    if (this.verifyRequest && !this.verifyRequest(req)) {
+      return this.reply(res, 401, { CODE: 401, STATUS: 'FAILURE', MESSAGE: 'Unauthorized' });
+    }
+
+    let payload;
+    try {
+      payload = await this.readBody(req);
+    } catch (error) {
+      this.stats.rejected++;
+      return this.reply(res, error.statusCode || 400, { CODE: error.statusCode || 400, STATUS: 'FAILURE', MESSAGE: error.message });
+    }
+
+    const result = await this.handlePayload(payload);
+    return this.reply(res, result.httpStatus, result.body);
+  }
+
+  /**
+   * Validate, normalize and store one pushed payload
+   * @param {object} payload - Parsed push body (or a bare lead object)
+   * @returns {Promise<object>} { httpStatus, body, lead, duplicate }
+   */
+  async handlePayload(payload) {
+    this.stats.received++;
+    this.stats.lastReceivedAt = new Date().toISOString();
+
+    // The lead is wrapped in RESPONSE; accept a bare lead as well
+    const rawLead = payload && typeof payload === 'object' && payload.RESPONSE ? payload.RESPONSE : payload;
+    if (!rawLead || typeof rawLead !== 'object' || Array.isArray(rawLead)) {
+      return this.reject(['Push payload does not contain a lead'], payload);
+    }
+
+    const validation = this.responseHandler.validateLead(rawLead);
+    if (!validation.isValid) {
+      return this.reject(validation.errors, payload);
+    }
+
+    const id = rawLead.UNIQUE_QUERY_ID;
+    // Checked and reserved before storing, so a delivery racing this one is a duplicate
+    if (this.seenIds.has(id)) {
+      this.stats.duplicates++;
+      this.emit('duplicate', { uniqueQueryId: id });
+      return { httpStatus: 200, body: this.acknowledgement(), duplicate: true };
+    }
+
+    const lead = this.responseHandler.processLead(rawLead, this.createMetadata());
+    this.rememberId(id);
+
+    if (this.fileStorageManager) {
+      try {
+        await this.fileStorageManager.storeLeads([lead], {
+          source: 'push',
+          uniqueQueryId: id,
+          responseCode: payload.CODE || 200,
+          responseMessage: payload.STATUS || 'SUCCESS'
+        });
+      } catch (error) {
+        // Not acknowledged, so IndiaMART delivers it again
+        this.seenIds.delete(id);
+        this.stats.storageErrors++;
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', error);
+        }
+        return { httpStatus: 500, body: { CODE: 500, STATUS: 'FAILURE', MESSAGE: 'Failed to store lead' } };
+      }
+    }
+
+    try {
+      this.emit('lead', lead);
+    } catch (error) {
+      // Answered with 500: forget the ID so IndiaMART's redelivery is emitted again
+      this.seenIds.delete(id);
+      throw error;
+    }
+    this.stats.accepted++;
+
+    return { httpStatus: 200, body: this.acknowledgement(), lead, duplicate: false };
+  }
+
+  /**
+   * Record a rejected payload
+   * @param {string[]} errors - Validation errors
+   * @param {*} payload - Rejected payload
+   * @returns {object} Handler result
+   */
+  reject(errors, payload) {
+    this.stats.rejected++;
+    this.emit('invalid', { errors, payload });
+    return {
+      httpStatus: 400,
+      body: { CODE: 400, STATUS: 'FAILURE', MESSAGE: errors.join(', ') }
+    };
+  }
+
+  /**
+   * Acknowledgement body IndiaMART expects for a delivered lead
+   * @returns {object} Acknowledgement
+   */
+  acknowledgement() {
+    return { CODE: 200, STATUS: 'SUCCESS' };
+  }
+
+  /**
+   * Metadata accumulator accepted by processLead
+   * @returns {object} Empty metadata
+   */
+  createMetadata() {
+    return {
+      leadTypes: {},
+      countries: new Set(),
+      products: new Set(),
+      categories: new Set(),
+      timeRange: { earliest: null, latest: null }
+    };
+  }
+
+  /**
+   * Remember a lead ID, keeping only the most recent maxSeenIds
+   * @param {string} id - UNIQUE_QUERY_ID
+   */
+  rememberId(id) {
+    this.seenIds.add(id);
+    while (this.seenIds.size > this.maxSeenIds) {
+      this.seenIds.delete(this.seenIds.values().next().value);
+    }
+  }
+
+  /**
+   * Read and parse a JSON or form-encoded request body
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<object>} Parsed body
+   */
+  readBody(req) {
+    // Frameworks such as Express may have parsed the body already
+    if (req.body && typeof req.body === 'object') {
+      return Promise.resolve(req.body);
+    }
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > this.maxBodyBytes) {
+          const error = new Error('Payload too large');
+          error.statusCode = 413;
+          reject(error);
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+
+      req.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        const contentType = req.headers['content-type'] || '';
+
+        try {
+          if (contentType.includes('application/x-www-form-urlencoded')) {
+            resolve(Object.fromEntries(new URLSearchParams(text)));
+          } else {
+            resolve(JSON.parse(text));
+          }
+        } catch {
+          reject(new Error('Invalid JSON payload'));
+        }
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Send a JSON response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} statusCode - HTTP status
+   * @param {object} body - Response body
+   */
+  reply(res, statusCode, body) {
+    res.statusCode = statusCode;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Start a standalone http server
+   * @param {number} port - Port to listen on (0 for a random free port)
+   * @param {string} host - Interface to bind (default: all interfaces)
+   * @returns {Promise<object>} Server address
+   */
+  listen(port = 0, host) {
+    if (this.server) {
+      return Promise.resolve(this.server.address());
+    }
+
+    this.server = http.createServer(this.handleRequest);
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        this.emit('listening', this.server.address());
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  /**
+   * Stop the standalone server
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (!this.server) return Promise.resolve();
+
+    const server = this.server;
+    this.server = null;
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  /**
+   * Get receiver statistics
+   * @returns {object} Received, accepted, duplicate and rejected counts
+   */
+  getStats() {
+    return { ...this.stats, listening: !!this.server };
+  }
+}
+
+/**
+ * Create a push receiver
+ * @param {object} options - See PushReceiver
+ * @returns {PushReceiver} Receiver
+ */
+export function createPushReceiver(options = {}) {
+  return new PushReceiver(options);
+}
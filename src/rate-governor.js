@@ -0,0 +1,719 @@
+/**
+ * Rate Governor - Single source of truth for IndiaMART rate limits
+ *
+ * Every API call (SDK or raw client) asks one governor for a slot. Rules and counters live
+ * in one persisted, cross-process locked file:
+ * - At most 20 calls per hour; going over blocks the key for 15 minutes
+ * - At most 5 calls per minute
+ * - At least 5 minutes between fetches (follow-up pages of the same fetch are exempt)
+ *
+ * A denied check names the rule that blocked the call and when the next slot opens.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { readJsonFileSync, writeJsonFileSync } from './atomic-file.js';
+import { withFileLock } from './file-lock.js';
+
+/**
+ * IndiaMART rate rules, checked in this order
+ */
+export const RATE_RULES = [
+  {
+    reason: 'HOURLY_LIMIT_EXCEEDED',
+    type: 'window',
+    limit: 20,
+    windowMs: 60 * 60 * 1000,
+    blockMs: 15 * 60 * 1000,
+    description: 'At most 20 calls per hour; going over blocks the key for 15 minutes'
+  },
+  {
+    reason: 'MINUTE_LIMIT_EXCEEDED',
+    type: 'window',
+    limit: 5,
+    windowMs: 60 * 1000,
+    description: 'At most 5 calls per minute'
+  },
+  {
+    reason: 'MIN_INTERVAL_NOT_ELAPSED',
+    type: 'interval',
+    intervalMs: 5 * 60 * 1000,
+    description: 'At least 5 minutes between fetches (follow-up pages are exempt)'
+  }
+];
+
+const BLOCKED_REASON = 'RATE_LIMIT_BLOCKED';
+const HISTORY_LIMIT = 100;
+const HOUR_MS = 60 * 60 * 1000;
+
+export class RateGovernor {
+  /**
+   * Create a rate governor
+   *
+   * @param {object|string} options - Governor options (or a log directory)
+   * @param {string} options.logDirectory - Directory for the state file (default: './logs')
+   * @param {string} options.rateLimitFile - State file (default: '<logDirectory>/rate-limits.json')
+   * @param {boolean} options.persist - Keep state in the file; false keeps it in memory (default: true)
+   * @param {Array} options.rules - Rules to enforce (default: RATE_RULES)
+   * @param {Function} options.onRateLimited - Called with the check when a call is denied
+   * @param {Function} options.onBlocked - Called when the key gets blocked
+   * @param {Function} options.onRecovered - Called when a block ends
+   */
+  constructor(options = {}) {
+    // Support both old format (string) and new format (object)
+    if (typeof options === 'string') {
+      options = { logDirectory: options };
+    }
+
+    this.persist = options.persist !== false;
+    this.logDirectory = options.logDirectory || './logs';
+    this.rateLimitFile = options.rateLimitFile || path.join(this.logDirectory, 'rate-limits.json');
+    this.memoryData = null;
+    if (this.persist) {
+      this.ensureLogDirectory();
+    }
+
+    // Cross-process lock around every read-modify-write of the rate limit file
+    this.lockFile = options.lockFile || `${this.rateLimitFile}.lock`;
+    this.lockOptions = {
+      staleMs: options.lockStaleMs || 10000,
+      timeoutMs: options.lockTimeoutMs || 5000
+    };
+
+    // Slots reserved by canMakeCall and not yet settled by recordCall, oldest first
+    this.reservations = [];
+    this.nextReservation = 0;
+
+    this.rules = options.rules || RATE_RULES;
+
+    // Limits in the shape earlier releases exposed, derived from the rules
+    const hourly = this.rules.find(rule => rule.reason === 'HOURLY_LIMIT_EXCEEDED');
+    const minute = this.rules.find(rule => rule.reason === 'MINUTE_LIMIT_EXCEEDED');
+    const interval = this.rules.find(rule => rule.type === 'interval');
+    this.limits = {
+      callsPerMinute: minute ? minute.limit : Infinity,
+      callsPerHour: hourly ? hourly.limit : Infinity,
+      blockDurationMinutes: hourly?.blockMs ? hourly.blockMs / (60 * 1000) : 0,
+      minIntervalMs: interval ? interval.intervalMs : 0
+    };
+
+    // Event handlers
+    this.onRateLimited = options.onRateLimited || null;
+    this.onBlocked = options.onBlocked || null;
+    this.onRecovered = options.onRecovered || null;
+  }
+
+  /**
+   * Invoke an event handler without letting it break rate limiting
+   * @param {Function|null} handler - Event handler
+   * @param {object} payload - Event payload
+   */
+  notify(handler, payload) {
+    if (!handler) return;
+
+    try {
+      handler(payload);
+    } catch (error) {
+      console.warn(`⚠️  Rate limiter event handler failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ensure log directory exists
+   */
+  ensureLogDirectory() {
+    try {
+      if (!fs.existsSync(this.logDirectory)) {
+        fs.mkdirSync(this.logDirectory, { recursive: true });
+        console.log(`📁 Created log directory: ${this.logDirectory}`);
+      }
+    } catch (error) {
+      console.warn(`⚠️  Could not create log directory: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load rate limit data from file (or memory)
+   * @returns {object} Rate limit data
+   */
+  loadRateLimitData() {
+    const fresh = {
+      calls: [],
+      fetches: [],
+      reservations: {},
+      blockedUntil: null,
+      lastReset: new Date().toISOString(),
+      history: []
+    };
+
+    let data;
+    if (!this.persist) {
+      data = this.memoryData || fresh;
+    } else {
+      // A corrupt file is restored from its .bak copy rather than silently reset
+      data = readJsonFileSync(this.rateLimitFile, {
+        fallback: fresh,
+        validate: (saved) => saved !== null && typeof saved === 'object' && !Array.isArray(saved),
+        label: 'Rate limit data'
+      });
+    }
+
+    // Files written by earlier releases lack some of the fields
+    if (!Array.isArray(data.calls)) data.calls = [];
+    if (!Array.isArray(data.fetches)) data.fetches = [];
+    if (!Array.isArray(data.history)) data.history = [];
+    if (!data.reservations || typeof data.reservations !== 'object') data.reservations = {};
+    return data;
+  }
+
+  /**
+   * Save rate limit data (atomically, keeping the previous version as .bak)
+   * @param {object} data - Rate limit data to save
+   */
+  saveRateLimitData(data) {
+    if (!this.persist) {
+      this.memoryData = data;
+      return;
+    }
+
+    try {
+      writeJsonFileSync(this.rateLimitFile, data, { backup: true });
+    } catch (error) {
+      console.error('❌ Failed to save rate limit data:', error.message);
+    }
+  }
+
+  /**
+   * Run a read-modify-write of the rate limit data while holding the cross-process lock
+   *
+   * Waiting for the lock yields to the event loop; the read-modify-write itself is synchronous.
+   *
+   * @param {Function} update - Receives the loaded data; returns { result, changed, events }
+   * @param {object} options - Update options
+   * @param {Function} options.onLockTimeout - Gives the result when the lock is not free in time (default: update without the lock)
+   * @returns {Promise<*>} The update's result
+   */
+  async updateRateLimitData(update, { onLockTimeout = null } = {}) {
+    let outcome;
+    const run = () => {
+      const data = this.loadRateLimitData();
+      outcome = update(data);
+      if (outcome.changed) {
+        this.saveRateLimitData(data);
+      }
+    };
+
+    if (!this.persist) {
+      run();
+    } else {
+      try {
+        await withFileLock(this.lockFile, run, this.lockOptions);
+      } catch (error) {
+        if (error.code !== 'LOCK_TIMEOUT') throw error;
+        if (onLockTimeout) {
+          console.warn(`⚠️  ${error.message}`);
+          return onLockTimeout(error);
+        }
+        // Calls that already happened must still count, even at the risk of a lost update
+        console.warn(`⚠️  ${error.message}; updating without the lock`);
+        run();
+      }
+    }
+
+    // Handlers run after the lock is released, so they may query the governor again
+    for (const [handler, payload] of outcome.events || []) {
+      this.notify(handler, payload);
+    }
+    return outcome.result;
+  }
+
+  /**
+   * Drop calls older than an hour and expire a finished block
+   * @param {object} data - Rate limit data
+   * @param {Date} now - Current time
+   * @returns {object|null} Recovery event payload when a block just ended
+   */
+  pruneRateLimitData(data, now) {
+    let recovered = null;
+
+    if (data.blockedUntil && now >= new Date(data.blockedUntil)) {
+      recovered = { reason: 'Block period expired', blockedUntil: data.blockedUntil };
+      data.blockedUntil = null;
+      data.blockReason = null;
+      data.calls = [];
+      data.reservations = {};
+      data.lastReset = now.toISOString();
+    }
+
+    const oneHourAgo = new Date(now.getTime() - HOUR_MS);
+    const recent = (callTime) => new Date(callTime) > oneHourAgo;
+    data.calls = data.calls.filter(recent);
+    data.fetches = data.fetches.filter(recent);
+    data.reservations = Object.fromEntries(
+      Object.entries(data.reservations).filter(([, callTime]) => recent(callTime))
+    );
+
+    return recovered;
+  }
+
+  /**
+   * Check every rule against the current counters
+   * @param {object} data - Pruned rate limit data
+   * @param {Date} now - Current time
+   * @param {object} options - Evaluation options
+   * @param {boolean} options.continuation - The call fetches a follow-up page of a running fetch
+   * @returns {Array} One entry per rule: { reason, description, allowed, used, limit, retryAfter, nextSlotAt }
+   */
+  evaluateRules(data, now, { continuation = false } = {}) {
+    return this.rules.map(rule => {
+      let used = 0;
+      let retryAfter = 0;
+
+      if (rule.type === 'interval') {
+        const lastFetch = data.fetches.length > 0 ? new Date(data.fetches[data.fetches.length - 1]) : null;
+        used = lastFetch ? now - lastFetch : null;
+        if (lastFetch && !continuation) {
+          retryAfter = Math.max(0, lastFetch.getTime() + rule.intervalMs - now.getTime());
+        }
+      } else {
+        const windowStart = now.getTime() - rule.windowMs;
+        const inWindow = data.calls.filter(callTime => new Date(callTime).getTime() > windowStart);
+        used = inWindow.length;
+        if (used >= rule.limit) {
+          // The slot frees up when the oldest call that counts over the limit leaves the window
+          const oldest = new Date(inWindow[used - rule.limit]).getTime();
+          retryAfter = rule.blockMs || Math.max(0, oldest + rule.windowMs - now.getTime());
+        }
+      }
+
+      return {
+        reason: rule.reason,
+        description: rule.description,
+        allowed: retryAfter === 0,
+        used,
+        limit: rule.type === 'interval' ? rule.intervalMs : rule.limit,
+        retryAfter,
+        nextSlotAt: new Date(now.getTime() + retryAfter).toISOString()
+      };
+    });
+  }
+
+  /**
+   * Build a denied check for the rules that block the call
+   * @param {Array} blockedBy - Failing rule evaluations (the first one is reported as the reason)
+   * @param {Date} now - Current time
+   * @param {string} message - Human-readable message
+   * @returns {object} Rate limit check result
+   */
+  createDenial(blockedBy, now, message) {
+    // The next slot opens only when every failing rule allows the call
+    const retryAfter = Math.max(...blockedBy.map(rule => rule.retryAfter));
+    const nextSlotAt = new Date(now.getTime() + retryAfter).toISOString();
+
+    return {
+      allowed: false,
+      reason: blockedBy[0].reason,
+      rule: blockedBy[0].description,
+      retryAfter,
+      nextSlotAt,
+      blockedBy: blockedBy.map(({ reason, description, retryAfter: ruleRetryAfter, nextSlotAt: ruleNextSlotAt }) => ({
+        reason,
+        description,
+        retryAfter: ruleRetryAfter,
+        nextSlotAt: ruleNextSlotAt
+      })),
+      message: `${message}. Next slot opens at ${nextSlotAt}`
+    };
+  }
+
+  /**
+   * Check if an API call is allowed and, if so, reserve the slot for it
+   *
+   * The check and the reservation happen under one cross-process lock, so workers sharing
+   * the rate limit file cannot both take the last slot. The reservation counts as a call;
+   * recordCall(true) confirms it and recordCall(false) releases it. When the lock is not
+   * free within lockTimeoutMs the call is denied with reason 'LOCK_TIMEOUT'.
+   *
+   * @param {object} options - Check options
+   * @param {boolean} options.notify - Invoke onRateLimited and keep a history entry when denied (default: true)
+   * @param {boolean} options.reserve - Reserve the slot when the call is allowed (default: true)
+   * @param {boolean} options.continuation - The call fetches a follow-up page, exempt from the interval rule
+   * @returns {Promise<object>} Check result: { allowed, reason, rule, retryAfter, nextSlotAt, blockedBy, message, reservationId }
+   */
+  async canMakeCall({ notify = true, reserve = true, continuation = false } = {}) {
+    if (!notify && !reserve) {
+      return this.peek({ continuation });
+    }
+
+    return this.updateRateLimitData((data) => {
+      const now = new Date();
+      const events = [];
+      let changed = false;
+
+      const recovered = this.pruneRateLimitData(data, now);
+      if (recovered) {
+        changed = true;
+        events.push([this.onRecovered, recovered]);
+      }
+
+      const { check, blockRule } = this.evaluate(data, now, { continuation });
+
+      if (!check.allowed) {
+        // Going over a rule with a block period blocks the key
+        if (blockRule) {
+          data.blockedUntil = new Date(now.getTime() + blockRule.blockMs).toISOString();
+          data.blockReason = blockRule.reason;
+          changed = true;
+          events.push([this.onBlocked, { ...check, blockedUntil: data.blockedUntil }]);
+        }
+        if (notify) {
+          events.push([this.onRateLimited, check]);
+          this.addHistoryEntry(data, now, check);
+          changed = true;
+        }
+        return { result: check, changed, events };
+      }
+
+      if (reserve) {
+        const reservationId = `${process.pid}-${now.getTime()}-${this.nextReservation++}`;
+        data.calls.push(now.toISOString());
+        if (!continuation) data.fetches.push(now.toISOString());
+        data.reservations[reservationId] = now.toISOString();
+        this.reservations.push(reservationId);
+        check.reservationId = reservationId;
+        changed = true;
+      }
+
+      return { result: check, changed, events };
+    }, {
+      // Without the lock another worker may be taking the last slot right now
+      onLockTimeout: (error) => {
+        const now = new Date();
+        const retryAfter = this.lockOptions.timeoutMs;
+        return this.createDenial([{
+          reason: 'LOCK_TIMEOUT',
+          description: 'The rate limit file is locked by another worker',
+          retryAfter,
+          nextSlotAt: new Date(now.getTime() + retryAfter).toISOString()
+        }], now, error.message);
+      }
+    });
+  }
+
+  /**
+   * Check if an API call would be allowed, without reserving a slot or taking the lock
+   *
+   * Reads the last saved state, so it suits status reports and deciding when to try;
+   * canMakeCall makes the binding decision.
+   *
+   * @param {object} options - Check options
+   * @param {boolean} options.continuation - The call fetches a follow-up page, exempt from the interval rule
+   * @returns {object} Check result: { allowed, reason, rule, retryAfter, nextSlotAt, blockedBy, message }
+   */
+  peek({ continuation = false } = {}) {
+    const data = this.loadRateLimitData();
+    const now = new Date();
+    this.pruneRateLimitData(data, now);
+    return this.evaluate(data, now, { continuation }).check;
+  }
+
+  /**
+   * Decide a call against pruned rate limit data, without changing it
+   * @param {object} data - Pruned rate limit data
+   * @param {Date} now - Current time
+   * @param {object} options - Evaluation options
+   * @param {boolean} options.continuation - The call fetches a follow-up page of a running fetch
+   * @returns {object} { check, blockRule } where blockRule is the rule whose block period the call would start
+   */
+  evaluate(data, now, { continuation = false } = {}) {
+    // Check if currently blocked
+    if (data.blockedUntil) {
+      const retryAfter = new Date(data.blockedUntil) - now;
+      const remainingMinutes = Math.ceil(retryAfter / (1000 * 60));
+      return {
+        check: this.createDenial([{
+          reason: BLOCKED_REASON,
+          description: `Key blocked${data.blockReason ? ` (${data.blockReason})` : ''}`,
+          retryAfter,
+          nextSlotAt: data.blockedUntil
+        }], now, `API key is blocked for ${remainingMinutes} more minutes`),
+        blockRule: null
+      };
+    }
+
+    const blockedBy = this.evaluateRules(data, now, { continuation }).filter(rule => !rule.allowed);
+
+    if (blockedBy.length > 0) {
+      const first = this.rules.find(rule => rule.reason === blockedBy[0].reason);
+      if (first.blockMs) {
+        return {
+          check: this.createDenial(blockedBy, now, `${first.description}. Blocked for ${first.blockMs / 60000} minutes`),
+          blockRule: first
+        };
+      }
+
+      const seconds = Math.ceil(blockedBy[0].retryAfter / 1000);
+      return { check: this.createDenial(blockedBy, now, `${first.description}. Wait ${seconds} seconds`), blockRule: null };
+    }
+
+    return {
+      check: {
+        allowed: true,
+        reason: 'OK',
+        retryAfter: 0,
+        nextSlotAt: now.toISOString(),
+        blockedBy: [],
+        message: 'API call allowed'
+      },
+      blockRule: null
+    };
+  }
+
+  /**
+   * Explain the current state of every rule without reserving anything
+   * @param {object} options - Options
+   * @param {boolean} options.continuation - Explain for a follow-up page
+   * @returns {object} { allowed, reason, message, retryAfter, nextSlotAt, blockedUntil, rules }
+   */
+  explain({ continuation = false } = {}) {
+    const check = this.peek({ continuation });
+    const data = this.loadRateLimitData();
+    const now = new Date();
+    this.pruneRateLimitData(data, now);
+
+    return {
+      allowed: check.allowed,
+      reason: check.reason,
+      message: check.message,
+      retryAfter: check.retryAfter,
+      nextSlotAt: check.nextSlotAt,
+      blockedUntil: data.blockedUntil,
+      rules: this.evaluateRules(data, now, { continuation })
+    };
+  }
+
+  /**
+   * Record an API call
+   *
+   * Confirms (or, for a call that never reached IndiaMART, releases) the oldest slot this
+   * governor reserved in canMakeCall. Without a reservation a successful call is added as
+   * before. A call that took several HTTP requests (retries, a retry with a refreshed key)
+   * counts each of them.
+   *
+   * @param {boolean} success - Whether the call reached IndiaMART
+   * @param {object} options - Record options
+   * @param {string} options.reservationId - Reservation to settle (default: oldest one of this governor)
+   * @param {boolean} options.continuation - An unreserved call fetched a follow-up page
+   * @param {number} options.attempts - HTTP requests the call took (default: 1)
+   * @returns {Promise<void>}
+   */
+  async recordCall(success = true, { reservationId, continuation = false, attempts = 1 } = {}) {
+    const id = reservationId || this.reservations[0];
+    if (id) {
+      this.reservations = this.reservations.filter(pending => pending !== id);
+    }
+
+    const count = await this.updateRateLimitData((data) => {
+      const reservedAt = id ? data.reservations[id] : undefined;
+      const now = new Date().toISOString();
+
+      if (reservedAt !== undefined) {
+        delete data.reservations[id];
+        // If the call failed, the released slot leaves no trace
+        if (!success) {
+          for (const list of [data.calls, data.fetches]) {
+            const index = list.indexOf(reservedAt);
+            if (index !== -1) list.splice(index, 1);
+          }
+          return { result: data.calls.length, changed: true };
+        }
+      } else if (!success) {
+        return { result: data.calls.length, changed: false };
+      } else {
+        // Add current call
+        data.calls.push(now);
+        if (!continuation) data.fetches.push(now);
+      }
+
+      // Requests after the first one count as calls, but not as further fetches
+      for (let extra = 1; extra < attempts; extra++) {
+        data.calls.push(now);
+      }
+      return { result: data.calls.length, changed: true };
+    });
+
+    console.log(`📊 Rate limit recorded: ${count}/${this.limits.callsPerHour} calls this hour`);
+  }
+
+  /**
+   * Block the key, e.g. after IndiaMART answered with a rate limit error
+   * @param {number} durationMs - Block duration
+   * @param {string} reason - Why the key is blocked
+   * @param {object} options - Options
+   * @param {boolean} options.notify - Invoke onBlocked (default: true)
+   * @returns {Promise<string>} ISO timestamp when the block ends
+   */
+  async block(durationMs, reason, { notify = true } = {}) {
+    return this.updateRateLimitData((data) => {
+      const now = new Date();
+      const blockedUntil = new Date(now.getTime() + durationMs);
+
+      // Never shorten a longer block that is already in place
+      if (data.blockedUntil && new Date(data.blockedUntil) >= blockedUntil) {
+        return { result: data.blockedUntil, changed: false };
+      }
+
+      data.blockedUntil = blockedUntil.toISOString();
+      data.blockReason = reason;
+      const check = {
+        allowed: false,
+        reason,
+        retryAfter: durationMs,
+        nextSlotAt: data.blockedUntil,
+        message: `API key is blocked for ${Math.ceil(durationMs / 60000)} minutes`
+      };
+      this.addHistoryEntry(data, now, check);
+
+      return {
+        result: data.blockedUntil,
+        changed: true,
+        events: notify ? [[this.onBlocked, { ...check, blockedUntil: data.blockedUntil }]] : []
+      };
+    });
+  }
+
+  /**
+   * Append an entry to the persisted denial history (last 100 entries are kept)
+   * @param {object} data - Rate limit data
+   * @param {Date} now - Current time
+   * @param {object} entry - Check result or rate limit snapshot
+   */
+  addHistoryEntry(data, now, entry) {
+    const oneMinuteAgo = now.getTime() - 60 * 1000;
+    data.history.push({
+      timestamp: now.toISOString(),
+      reason: entry.reason || null,
+      retryAfter: entry.retryAfter || 0,
+      nextSlotAt: entry.nextSlotAt || null,
+      callsPerMinute: data.calls.filter(callTime => new Date(callTime).getTime() > oneMinuteAgo).length,
+      callsPerHour: data.calls.length,
+      isBlocked: !!data.blockedUntil
+    });
+
+    if (data.history.length > HISTORY_LIMIT) {
+      data.history = data.history.slice(-HISTORY_LIMIT);
+    }
+  }
+
+  /**
+   * Add an entry to the denial history
+   * @param {object} entry - Rate limit snapshot ({ reason, retryAfter, nextSlotAt })
+   * @returns {Promise<void>}
+   */
+  async logRateLimit(entry) {
+    await this.updateRateLimitData((data) => {
+      this.addHistoryEntry(data, new Date(), entry);
+      return { changed: true };
+    });
+  }
+
+  /**
+   * Get the denial history
+   * @param {number} limit - Number of recent entries to return
+   * @returns {Array} History entries, oldest first
+   */
+  getHistory(limit = HISTORY_LIMIT) {
+    return this.loadRateLimitData().history.slice(-limit);
+  }
+
+  /**
+   * Drop history entries older than a date
+   * @param {Date} olderThan - Cut-off date
+   * @returns {Promise<void>}
+   */
+  async clearHistory(olderThan = new Date()) {
+    await this.updateRateLimitData((data) => {
+      data.history = data.history.filter(entry => new Date(entry.timestamp) > olderThan);
+      return { changed: true };
+    });
+  }
+
+  /**
+   * Get current rate limit status
+   * @returns {object} Current rate limit status
+   */
+  getStatus() {
+    const now = new Date();
+    const check = this.peek();
+    const data = this.loadRateLimitData();
+
+    // Count calls in different time windows
+    const oneMinuteAgo = new Date(now.getTime() - 60 * 1000);
+    const oneHourAgo = new Date(now.getTime() - HOUR_MS);
+
+    const callsLastMinute = data.calls.filter(callTime => new Date(callTime) > oneMinuteAgo).length;
+    const callsLastHour = data.calls.filter(callTime => new Date(callTime) > oneHourAgo).length;
+
+    return {
+      allowed: check.allowed,
+      reason: check.reason,
+      retryAfter: check.retryAfter,
+      nextSlotAt: check.nextSlotAt,
+      blockedBy: check.blockedBy,
+      message: check.message,
+      callsPerMinute: callsLastMinute,
+      callsPerHour: callsLastHour,
+      minuteLimit: this.limits.callsPerMinute,
+      hourLimit: this.limits.callsPerHour,
+      minIntervalMs: this.limits.minIntervalMs,
+      lastFetchAt: data.fetches.length > 0 ? data.fetches[data.fetches.length - 1] : null,
+      isBlocked: !!data.blockedUntil,
+      blockedUntil: data.blockedUntil,
+      totalCallsToday: data.calls.length
+    };
+  }
+
+  /**
+   * Reset rate limits (for testing or manual reset)
+   * @returns {Promise<void>}
+   */
+  async reset() {
+    this.reservations = [];
+    await this.updateRateLimitData((data) => {
+      data.calls = [];
+      data.fetches = [];
+      data.reservations = {};
+      data.blockedUntil = null;
+      data.blockReason = null;
+      data.lastReset = new Date().toISOString();
+      return { changed: true };
+    });
+    console.log('🔄 Rate limits reset');
+  }
+
+  /**
+   * Get rate limit statistics
+   * @returns {object} Rate limit statistics
+   */
+  getStats() {
+    const data = this.loadRateLimitData();
+    const now = new Date();
+    const oneHourAgo = new Date(now.getTime() - HOUR_MS);
+    const oneDayAgo = new Date(now.getTime() - 24 * HOUR_MS);
+
+    const callsLastHour = data.calls.filter(callTime => new Date(callTime) > oneHourAgo).length;
+    const callsLastDay = data.calls.filter(callTime => new Date(callTime) > oneDayAgo).length;
+
+    return {
+      totalCalls: data.calls.length,
+      callsLastHour: callsLastHour,
+      callsLastDay: callsLastDay,
+      isBlocked: !!data.blockedUntil,
+      blockedUntil: data.blockedUntil,
+      lastReset: data.lastReset,
+      limits: this.limits,
+      rules: this.rules.map(rule => ({ ...rule })),
+      recentDenials: data.history.slice(-10)
+    };
+  }
+}
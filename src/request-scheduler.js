@@ -0,0 +1,360 @@
+/**
+ * Request Scheduler - Priority queue in front of the API
+ *
+ * Interactive fetches and background work (polling, backfills) share a tiny rate budget.
+ * Instead of failing with "Rate limit exceeded", requests wait in a queue:
+ * - The highest priority request goes first when the rate governor has a free slot
+ * - Identical queued date-range requests are coalesced into one API call
+ * - A request whose deadline passes (or falls before the next free slot) is answered right away
+ * - Callers await a promise that resolves with the usual SDK result
+ */
+
+import { EventEmitter } from 'events';
+
+/**
+ * Built-in priorities (any number works; higher goes first)
+ */
+export const REQUEST_PRIORITIES = {
+  INTERACTIVE: 100,   // A person is waiting, e.g. a "refresh" button
+  NORMAL: 50,         // Default, used by the lead poller
+  BACKGROUND: 0       // Backfills and other bulk work
+};
+
+/**
+ * Events emitted by RequestScheduler
+ */
+export const SCHEDULER_EVENTS = {
+  QUEUED: 'queued',         // ({ key, priority, queued }) when a new request joins the queue
+  COALESCED: 'coalesced',   // ({ key, priority, waiters }) when a request joins an identical one
+  WAITING: 'waiting',       // ({ reason, nextSlotAt, queued }) when the queue waits for a slot
+  STARTED: 'started',       // ({ key, priority, waiters }) when a request is sent
+  COMPLETED: 'completed',   // ({ key, success, waiters }) when a request finished
+  EXPIRED: 'expired'        // ({ key, reason }) when a caller's deadline passed before its request was sent
+};
+
+export class RequestScheduler extends EventEmitter {
+  /**
+   * Create a request scheduler
+   *
+   * @param {object} sdk - IndiaMartSDK instance used to fetch leads
+   * @param {object} options - Scheduler options
+   * @param {object} options.governor - Rate governor to wait for (default: the SDK's)
+   * @param {number} options.minWaitMs - Shortest delay before the rate limits are checked again (default: 1000)
+   */
+  constructor(sdk, options = {}) {
+    super();
+
+    if (!sdk || typeof sdk.getLeadsForDateRange !== 'function') {
+      throw new Error('RequestScheduler requires an IndiaMartSDK instance');
+    }
+
+    this.sdk = sdk;
+    this.governor = options.governor || sdk.rateGovernor || sdk.rateLimiter || null;
+    this.minWaitMs = options.minWaitMs !== undefined ? options.minWaitMs : 1000;
+
+    this.queue = [];
+    this.jobsByKey = new Map();
+    this.running = null;
+    this.timer = null;
+    this.nextCheckAt = null;
+    this.nextSequence = 0;
+    this.stopped = false;
+
+    this.stats = { scheduled: 0, coalesced: 0, cacheHits: 0, completed: 0, expired: 0 };
+  }
+
+  /**
+   * Queue a date-range fetch
+   *
+   * @param {Date|string} startDate - Start date
+   * @param {Date|string} endDate - End date
+   * @param {object} options - Request options
+   * @param {number} options.priority - Priority, higher goes first (default: REQUEST_PRIORITIES.NORMAL)
+   * @param {Date|string|number} options.deadline - Latest time the request may be sent
+   * @param {number} options.timeoutMs - Deadline relative to now (used when no deadline is given)
+   * @param {AbortSignal} options.signal - Abort signal to withdraw the request
+   * @returns {Promise<object>} SDK result; a missed deadline resolves with code 408 and `deadlineExceeded: true`
+   * @example
+   * ```javascript
+   * const scheduler = sdk.createRequestScheduler();
+   * const result = await scheduler.getLeadsForDateRange(start, end, {
+   *   priority: REQUEST_PRIORITIES.INTERACTIVE,
+   *   timeoutMs: 60 * 1000
+   * });
+   * ```
+   */
+  async getLeadsForDateRange(startDate, endDate, options = {}) {
+    if (this.stopped) {
+      return this.createFailure('Request scheduler is stopped', 503);
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      // Let the SDK produce its usual validation error
+      return this.sdk.getLeadsForDateRange(startDate, endDate, { errorMode: 'result' });
+    }
+
+    // Answers already in the SDK cache need no rate limit slot
+    const cached = this.sdk.getCachedLeads?.(start, end);
+    if (cached) {
+      this.stats.cacheHits++;
+      return cached;
+    }
+
+    const priority = options.priority !== undefined ? options.priority : REQUEST_PRIORITIES.NORMAL;
+    let deadlineAt = Infinity;
+    if (options.deadline !== undefined && options.deadline !== null) {
+      deadlineAt = new Date(options.deadline).getTime();
+    } else if (options.timeoutMs) {
+      deadlineAt = Date.now() + options.timeoutMs;
+    }
+
+    return new Promise((resolve) => {
+      const waiter = { resolve, priority, deadlineAt, timer: null, signal: options.signal || null, onAbort: null, job: null };
+      const key = `${start.toISOString()}|${end.toISOString()}`;
+      let job = this.jobsByKey.get(key);
+
+      // A request already sent may predate this caller's call, so only queued requests are shared
+      if (job && job !== this.running) {
+        job.waiters.push(waiter);
+        job.priority = Math.max(job.priority, priority);
+        this.stats.coalesced++;
+        this.emit(SCHEDULER_EVENTS.COALESCED, { key, priority: job.priority, waiters: job.waiters.length });
+      } else {
+        job = { key, startDate: start, endDate: end, priority, waiters: [waiter], sequence: this.nextSequence++ };
+        this.jobsByKey.set(key, job);
+        this.queue.push(job);
+        this.stats.scheduled++;
+        this.emit(SCHEDULER_EVENTS.QUEUED, { key, priority, queued: this.queue.length });
+      }
+      waiter.job = job;
+      this.armDeadline(waiter);
+
+      if (waiter.signal) {
+        if (waiter.signal.aborted) {
+          this.settle(waiter, this.createFailure('Request was aborted', 499));
+          return;
+        }
+        waiter.onAbort = () => this.settle(waiter, this.createFailure('Request was aborted', 499));
+        waiter.signal.addEventListener('abort', waiter.onAbort, { once: true });
+      }
+
+      this.pump();
+    });
+  }
+
+  /**
+   * Send the next request if the rate governor has a free slot, or wait for one
+   */
+  pump() {
+    if (this.running || this.stopped) return;
+    this.clearTimer();
+
+    this.queue = this.queue.filter(job => job.waiters.length > 0);
+    if (this.queue.length === 0) return;
+
+    const check = this.governor
+      ? this.governor.peek()
+      : { allowed: true };
+
+    if (!check.allowed) {
+      // Callers whose deadline comes before the next slot are answered now instead of at the deadline
+      const nextSlotMs = new Date(check.nextSlotAt).getTime();
+      for (const job of [...this.queue]) {
+        for (const waiter of [...job.waiters]) {
+          if (waiter.deadlineAt < nextSlotMs) {
+            this.expire(waiter, `Next rate limit slot opens at ${check.nextSlotAt}, after the deadline`, check);
+          }
+        }
+      }
+
+      this.queue = this.queue.filter(job => job.waiters.length > 0);
+      if (this.queue.length === 0) return;
+
+      const waitMs = Math.max(check.retryAfter, this.minWaitMs);
+      this.nextCheckAt = new Date(Date.now() + waitMs);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.pump();
+      }, waitMs);
+      this.emit(SCHEDULER_EVENTS.WAITING, { reason: check.reason, nextSlotAt: check.nextSlotAt, queued: this.queue.length });
+      return;
+    }
+
+    const job = this.takeNextJob();
+    this.run(job);
+  }
+
+  /**
+   * Remove the job that should go next from the queue
+   * @returns {object} Highest priority job (earliest deadline, then oldest, breaks ties)
+   */
+  takeNextJob() {
+    const deadlineOf = (job) => Math.min(...job.waiters.map(waiter => waiter.deadlineAt));
+
+    this.queue.sort((a, b) =>
+      (b.priority - a.priority) ||
+      (deadlineOf(a) - deadlineOf(b)) ||
+      (a.sequence - b.sequence));
+    return this.queue.shift();
+  }
+
+  /**
+   * Send a job's request and answer every caller waiting for it
+   * @param {object} job - Queued job
+   */
+  async run(job) {
+    this.running = job;
+    // Once sent, a request is answered even if a caller's deadline passes meanwhile
+    for (const waiter of job.waiters) {
+      clearTimeout(waiter.timer);
+      waiter.timer = null;
+    }
+    this.emit(SCHEDULER_EVENTS.STARTED, { key: job.key, priority: job.priority, waiters: job.waiters.length });
+
+    let result;
+    try {
+      // Waiters share one result, so failures must not throw even if the SDK is in throw mode
+      result = await this.sdk.getLeadsForDateRange(job.startDate, job.endDate, { errorMode: 'result' });
+    } catch (error) {
+      result = this.createFailure(error.message, 500);
+    }
+    this.running = null;
+
+    if (!this.stopped && !result.success && result.rateLimit && job.waiters.length > 0) {
+      // Another process took the slot first: wait for the next one, under the callers' deadlines again
+      this.requeue(job);
+      this.pump();
+      return;
+    }
+
+    if (this.jobsByKey.get(job.key) === job) this.jobsByKey.delete(job.key);
+    this.stats.completed++;
+    this.emit(SCHEDULER_EVENTS.COMPLETED, { key: job.key, success: result.success, waiters: job.waiters.length });
+    for (const waiter of [...job.waiters]) {
+      this.settle(waiter, result);
+    }
+
+    this.pump();
+  }
+
+  /**
+   * Queue a job again after its request was held back, joining a newer queued job for the same range
+   * @param {object} job - Job that was running
+   */
+  requeue(job) {
+    const queued = this.jobsByKey.get(job.key);
+    if (queued && queued !== job) {
+      for (const waiter of job.waiters) waiter.job = queued;
+      queued.waiters.push(...job.waiters);
+      queued.priority = Math.max(queued.priority, job.priority);
+      queued.sequence = Math.min(queued.sequence, job.sequence);
+    } else {
+      this.jobsByKey.set(job.key, job);
+      this.queue.push(job);
+    }
+
+    for (const waiter of job.waiters) {
+      this.armDeadline(waiter);
+    }
+  }
+
+  /**
+   * Start the timer that answers a queued caller once its deadline passes
+   * @param {object} waiter - Waiting caller
+   */
+  armDeadline(waiter) {
+    if (!Number.isFinite(waiter.deadlineAt)) return;
+    clearTimeout(waiter.timer);
+    waiter.timer = setTimeout(() => this.expire(waiter, 'Deadline passed before the request could be sent'), Math.max(0, waiter.deadlineAt - Date.now()));
+  }
+
+  /**
+   * Answer a caller whose deadline passed before its request was sent
+   * @param {object} waiter - Waiting caller
+   * @param {string} reason - Why the deadline cannot be met
+   * @param {object} check - Rate governor check that held the request back
+   */
+  expire(waiter, reason, check = null) {
+    if (waiter.job === this.running) return;
+
+    this.stats.expired++;
+    this.emit(SCHEDULER_EVENTS.EXPIRED, { key: waiter.job.key, reason });
+    this.settle(waiter, {
+      ...this.createFailure(reason, 408),
+      deadlineExceeded: true,
+      ...(check ? { rateLimit: { reason: check.reason, rule: check.rule, retryAfter: check.retryAfter, nextSlotAt: check.nextSlotAt } } : {})
+    });
+  }
+
+  /**
+   * Resolve a caller's promise and forget the caller
+   * @param {object} waiter - Waiting caller
+   * @param {object} result - Result to resolve with
+   */
+  settle(waiter, result) {
+    clearTimeout(waiter.timer);
+    waiter.signal?.removeEventListener('abort', waiter.onAbort);
+
+    const job = waiter.job;
+    job.waiters = job.waiters.filter(other => other !== waiter);
+    if (job.waiters.length === 0 && job !== this.running) {
+      if (this.jobsByKey.get(job.key) === job) this.jobsByKey.delete(job.key);
+      this.queue = this.queue.filter(other => other !== job);
+    }
+
+    waiter.resolve(result);
+  }
+
+  /**
+   * Build a failed result in the SDK's result shape
+   * @param {string} error - Error message
+   * @param {number} code - Result code
+   * @returns {object} Failed result
+   */
+  createFailure(error, code) {
+    return { success: false, error, code, leads: [], raw: null, downloadPath: null };
+  }
+
+  /**
+   * Cancel the pending re-check
+   */
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.nextCheckAt = null;
+  }
+
+  /**
+   * Stop the scheduler; queued callers are answered with code 503, a running request still finishes
+   */
+  stop() {
+    this.stopped = true;
+    this.clearTimer();
+
+    for (const job of [...this.queue]) {
+      for (const waiter of [...job.waiters]) {
+        this.settle(waiter, this.createFailure('Request scheduler stopped', 503));
+      }
+    }
+    this.queue = [];
+  }
+
+  /**
+   * Get scheduler status
+   * @returns {object} Queue and statistics
+   */
+  getStatus() {
+    return {
+      stopped: this.stopped,
+      queued: this.queue.length,
+      waitingCallers: this.queue.reduce((sum, job) => sum + job.waiters.length, 0),
+      running: this.running ? { key: this.running.key, priority: this.running.priority, waiters: this.running.waiters.length } : null,
+      nextCheckAt: this.nextCheckAt ? this.nextCheckAt.toISOString() : null,
+      stats: { ...this.stats }
+    };
+  }
+}
@@ -3,8 +3,14 @@
  * 
  * Handles the official IndiaMART API response format and provides
  * comprehensive field documentation and validation.
+ *
+ * QUERY_TIME is an IST wall-clock time without a zone; processed leads carry it
+ * unchanged as queryTime plus the instant as queryTimeUtc (ISO) and queryTimeEpoch (ms),
+ * which time ranges, filters and statistics use.
  */
 
+import { parseQueryTime, parseDateInput } from './date-compliance.js';
+
 export class IndiaMartResponseHandler {
   constructor() {
     // Lead types mapping based on official documentation
@@ -128,6 +134,9 @@ export class IndiaMartResponseHandler {
       return null;
     }
 
+    // QUERY_TIME is IST; parse it without the host's timezone
+    const queryDate = parseQueryTime(lead.QUERY_TIME);
+
     // Process the lead
     const processed = {
       // Core identification
@@ -135,6 +144,8 @@ export class IndiaMartResponseHandler {
       queryType: lead.QUERY_TYPE,
       queryTypeInfo: this.leadTypes[lead.QUERY_TYPE] || { name: 'Unknown', description: 'Unknown lead type' },
       queryTime: lead.QUERY_TIME,
+      queryTimeUtc: queryDate ? queryDate.toISOString() : null,
+      queryTimeEpoch: queryDate ? queryDate.getTime() : null,
       
       // Sender information
       sender: {
@@ -217,9 +228,38 @@ export class IndiaMartResponseHandler {
    * @returns {boolean} Is valid format
    */
   isValidQueryTime(queryTime) {
-    // Expected format: "2021-12-08 12:47:25"
-    const timeRegex = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
-    return timeRegex.test(queryTime);
+    // Expected format: "2021-12-08 12:47:25" (IST), and a real date
+    return parseQueryTime(queryTime) !== null;
+  }
+
+  /**
+   * Get the instant a lead was received
+   * @param {Object} lead - Processed lead (or raw lead with QUERY_TIME)
+   * @returns {Date|null} Query time, or null if the lead has none
+   */
+  getQueryDate(lead) {
+    if (Number.isFinite(lead?.queryTimeEpoch)) {
+      return new Date(lead.queryTimeEpoch);
+    }
+    // Leads processed before queryTimeEpoch existed, or raw API leads
+    return parseQueryTime(lead?.queryTime ?? lead?.QUERY_TIME);
+  }
+
+  /**
+   * Track the earliest and latest query time
+   * @param {Object} timeRange - { earliest, latest } to update
+   * @param {Object} lead - Processed lead
+   */
+  updateTimeRange(timeRange, lead) {
+    const queryDate = this.getQueryDate(lead);
+    if (!queryDate) return;
+
+    if (!timeRange.earliest || queryDate < timeRange.earliest) {
+      timeRange.earliest = queryDate;
+    }
+    if (!timeRange.latest || queryDate > timeRange.latest) {
+      timeRange.latest = queryDate;
+    }
   }
 
   /**
@@ -248,15 +288,7 @@ export class IndiaMartResponseHandler {
     }
 
     // Track time range
-    if (lead.queryTime) {
-      const queryDate = new Date(lead.queryTime);
-      if (!metadata.timeRange.earliest || queryDate < metadata.timeRange.earliest) {
-        metadata.timeRange.earliest = queryDate;
-      }
-      if (!metadata.timeRange.latest || queryDate > metadata.timeRange.latest) {
-        metadata.timeRange.latest = queryDate;
-      }
-    }
+    this.updateTimeRange(metadata.timeRange, lead);
   }
 
   /**
@@ -286,6 +318,27 @@ export class IndiaMartResponseHandler {
     return leads.filter(lead => lead.queryType === queryType);
   }
 
+  /**
+   * Filter leads by query time
+   * @param {Array} leads - Array of processed leads
+   * @param {Object} range - Time range; either bound may be left out
+   * @param {Date|string|number} range.from - Earliest query time, inclusive (YYYY-MM-DD HH:MM:SS strings are IST)
+   * @param {Date|string|number} range.to - Latest query time, exclusive
+   * @returns {Array} Leads received in the range (leads without a query time are dropped)
+   */
+  filterLeadsByTime(leads, { from, to } = {}) {
+    const fromMs = from !== undefined && from !== null ? parseDateInput(from).getTime() : -Infinity;
+    const toMs = to !== undefined && to !== null ? parseDateInput(to).getTime() : Infinity;
+    if (isNaN(fromMs) || isNaN(toMs)) {
+      throw new Error('Invalid time range for filtering leads');
+    }
+
+    return leads.filter(lead => {
+      const queryDate = this.getQueryDate(lead);
+      return queryDate !== null && queryDate.getTime() >= fromMs && queryDate.getTime() < toMs;
+    });
+  }
+
   /**
    * Get lead statistics
    * @param {Array} leads - Array of processed leads
@@ -321,15 +374,7 @@ export class IndiaMartResponseHandler {
       }
 
       // Track time range
-      if (lead.queryTime) {
-        const queryDate = new Date(lead.queryTime);
-        if (!stats.timeRange.earliest || queryDate < stats.timeRange.earliest) {
-          stats.timeRange.earliest = queryDate;
-        }
-        if (!stats.timeRange.latest || queryDate > stats.timeRange.latest) {
-          stats.timeRange.latest = queryDate;
-        }
-      }
+      this.updateTimeRange(stats.timeRange, lead);
     });
 
     return stats;
@@ -486,7 +531,7 @@ export const FIELD_DOCUMENTATION = {
     }
   },
   QUERY_TIME: {
-    description: 'Date and time of the query',
+    description: 'Date and time of the query, in IST (UTC+05:30) without a zone',
     type: 'string',
     required: true,
     format: 'YYYY-MM-DD HH:MM:SS',
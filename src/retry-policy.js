@@ -0,0 +1,114 @@
+/**
+ * Retry Policy - When and how long to wait before retrying a failed IndiaMART call
+ *
+ * Every failed attempt is classified (IndiaMartErrorHandler) and the policy decides:
+ * - Whether the error type is retryable at all (bad keys, no leads, bad dates are not)
+ * - How long to wait: exponential backoff with full jitter, never less than the error's retryAfter
+ * - When to give up: after maxAttempts, or when the wait would pass maxElapsedMs
+ * - Per-error-type overrides for any of the above
+ */
+
+import { IndiaMartErrorHandler } from './error-handler.js';
+
+/**
+ * Error types too generic to decide on; the status code is classified instead
+ */
+const GENERIC_ERROR_TYPES = ['UNKNOWN_ERROR', 'UNHANDLED_ERROR'];
+
+export class RetryPolicy {
+  /**
+   * Create a retry policy
+   *
+   * @param {object} options - Policy options
+   * @param {number} options.maxAttempts - Attempts per call, the first one included (default: 3)
+   * @param {number} options.baseDelayMs - Backoff for the first retry, doubled for every further one (default: 1000)
+   * @param {number} options.maxDelayMs - Upper bound of the backoff (default: 5 minutes)
+   * @param {number} options.maxElapsedMs - Give up when a retry would start later than this after the first attempt (default: 2 minutes)
+   * @param {object} options.overrides - Per error type: { retry, maxAttempts, baseDelayMs, maxDelayMs, retryAfter }
+   * @param {IndiaMartErrorHandler} options.errorHandler - Classifies errors (default: a new handler)
+   * @param {Function} options.random - Random number source in [0, 1) for the jitter (default: Math.random)
+   * @example
+   * ```javascript
+   * const policy = new RetryPolicy({
+   *   maxAttempts: 4,
+   *   overrides: { SERVER_ERROR: { maxAttempts: 5, retryAfter: 10000 }, TIMEOUT: { retry: false } }
+   * });
+   * ```
+   */
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts || 3;
+    this.baseDelayMs = options.baseDelayMs !== undefined ? options.baseDelayMs : 1000;
+    this.maxDelayMs = options.maxDelayMs !== undefined ? options.maxDelayMs : 5 * 60 * 1000;
+    this.maxElapsedMs = options.maxElapsedMs !== undefined ? options.maxElapsedMs : 2 * 60 * 1000;
+    this.overrides = options.overrides || {};
+    this.errorHandler = options.errorHandler || new IndiaMartErrorHandler();
+    this.random = options.random || Math.random;
+  }
+
+  /**
+   * Error type of a failed attempt
+   * @param {Error} error - Error of the failed attempt
+   * @returns {string} Error type, e.g. 'SERVER_ERROR' or 'RATE_LIMIT_5_MIN'
+   */
+  getErrorType(error) {
+    const type = error?.details?.type;
+    if (type && !GENERIC_ERROR_TYPES.includes(type)) {
+      return type;
+    }
+    return this.errorHandler.getErrorType(error?.statusCode || error?.code, error?.message);
+  }
+
+  /**
+   * Decide whether to retry after a failed attempt
+   *
+   * @param {Error} error - Error of the failed attempt
+   * @param {object} context - Attempt context
+   * @param {number} context.attempt - Attempts made so far (1 after the first failure)
+   * @param {number} context.elapsedMs - Time since the first attempt started
+   * @param {number} context.maxAttempts - Attempts for this call (default: the policy's or the type override's)
+   * @returns {object} { retry, delayMs, type, reason } where reason is 'RETRY', 'NOT_RETRYABLE', 'MAX_ATTEMPTS' or 'MAX_ELAPSED'
+   */
+  decide(error, { attempt, elapsedMs = 0, maxAttempts } = {}) {
+    const type = this.getErrorType(error);
+    const override = this.overrides[type] || {};
+
+    const retryable = override.retry !== undefined
+      ? override.retry
+      : this.errorHandler.shouldRetry({ details: { type } }, 0);
+    if (!retryable) {
+      return { retry: false, delayMs: 0, type, reason: 'NOT_RETRYABLE' };
+    }
+
+    if (attempt >= (maxAttempts || override.maxAttempts || this.maxAttempts)) {
+      return { retry: false, delayMs: 0, type, reason: 'MAX_ATTEMPTS' };
+    }
+
+    const delayMs = this.getDelay(error, attempt, type);
+    if (this.maxElapsedMs && elapsedMs + delayMs > this.maxElapsedMs) {
+      return { retry: false, delayMs, type, reason: 'MAX_ELAPSED' };
+    }
+
+    return { retry: true, delayMs, type, reason: 'RETRY' };
+  }
+
+  /**
+   * Wait before the next attempt
+   *
+   * Full jitter: a random delay between 0 and the exponential backoff, but never
+   * shorter than the retryAfter the error (or the type override) asks for.
+   *
+   * @param {Error} error - Error of the failed attempt
+   * @param {number} attempt - Attempts made so far
+   * @param {string} type - Error type (default: classified from the error)
+   * @returns {number} Delay in milliseconds
+   */
+  getDelay(error, attempt, type = this.getErrorType(error)) {
+    const override = this.overrides[type] || {};
+    const baseDelayMs = override.baseDelayMs !== undefined ? override.baseDelayMs : this.baseDelayMs;
+    const maxDelayMs = override.maxDelayMs !== undefined ? override.maxDelayMs : this.maxDelayMs;
+    const retryAfter = override.retryAfter !== undefined ? override.retryAfter : (error?.details?.retryAfter || 0);
+
+    const backoff = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, Math.max(0, attempt - 1)));
+    return Math.max(retryAfter, Math.floor(this.random() * backoff));
+  }
+}
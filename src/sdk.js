@@ -11,33 +11,86 @@
  * - Rate limiting compliance
  */
 
+import { EventEmitter } from 'events';
 import { IndiaMartClient } from './indiamart-client.js';
+import { IndiaMartComplianceManager } from './api-compliance.js';
 import { APILogger } from './api-logger.js';
-import { RateLimiter } from './rate-limiter.js';
+import { RateGovernor } from './rate-governor.js';
 import { DateComplianceManager } from './date-compliance.js';
 import { InputValidator, VALIDATION_SCHEMAS } from './input-validator.js';
 import { SecureLogger, LOG_LEVELS } from './secure-logger.js';
 import { CacheManager } from './cache-manager.js';
+import { LeadPoller } from './lead-poller.js';
+import { BackfillPlanner } from './backfill-planner.js';
+import { LeadStream } from './lead-stream.js';
+import { PushReceiver } from './push-receiver.js';
+import { LeaderElection, leaderKeyForPath } from './leader-election.js';
+import { RequestScheduler } from './request-scheduler.js';
+import { CircuitBreaker, CIRCUIT_STATES } from './circuit-breaker.js';
+import { ClockSkewMonitor } from './clock-skew.js';
+import { ComplianceError, DateRangeError } from './error-handler.js';
+import { isKeyProvider } from './key-provider.js';
+import { writeJsonFileSync } from './atomic-file.js';
 import path from 'path';
 
+/**
+ * How fetch methods report failures: as a result object, or by throwing the typed error
+ */
+export const ERROR_MODES = ['result', 'throw'];
+
+/**
+ * Events emitted by IndiaMartSDK
+ */
+export const SDK_EVENTS = {
+  LEAD: 'lead',                         // (lead, context) for every fetched lead
+  BATCH: 'batch',                       // ({ leads, totalRecords, startDate, endDate, ... }) per successful fetch
+  RATE_LIMITED: 'rateLimited',          // ({ reason, retryAfter, message, source }) when a call is denied
+  BLOCKED: 'blocked',                   // ({ reason, retryAfter, blockedUntil, source }) when the key is blocked
+  RECOVERED: 'recovered',               // ({ reason, source }) when a block ends
+  API_ERROR: 'apiError',                // ({ error, attempt, willRetry, ... }) for every failed API attempt
+  CACHE_HIT: 'cacheHit',                // ({ key, startDate, endDate }) when a result is served from cache
+  FILE_WRITTEN: 'fileWritten',          // ({ path, type, leadsCount }) when a file is written
+  LEADS_STORED: 'leadsStored',          // ({ batchId, leadsCount, startTime, endTime, complete }) when the storage adapter stored a fetch
+  COMPLIANCE_VIOLATION: 'complianceViolation', // (violation) reported by the compliance manager
+  CIRCUIT_OPEN: 'circuitOpen',          // ({ failures, nextAttemptAt, lastFailure, ... }) when calls start failing fast
+  CIRCUIT_HALF_OPEN: 'circuitHalfOpen', // (status) when a trial call may go out
+  CIRCUIT_CLOSED: 'circuitClosed',      // (status) when IndiaMART answers again
+  KEY_EXPIRED: 'keyExpired',            // ({ error, type, newKeyGenerated, keyRefreshed }) when IndiaMART reports the key expired
+  CLOCK_SKEW: 'clockSkew'               // ({ offsetMs, skewed, thresholdMs, samples, correcting }) when the local clock drifts past the threshold, and when it is back
+};
+
 /**
  * Simplified IndiaMART SDK for easy integration
  * 
+ * The SDK is an EventEmitter: every component reports through it (see SDK_EVENTS),
+ * so applications can subscribe in one place.
+ * 
  * @example
  * ```javascript
  * import { IndiaMartSDK } from 'indiamart-lms-sdk';
  * 
  * const sdk = new IndiaMartSDK('your-crm-key');
+ * sdk.on('lead', (lead) => console.log(lead.uniqueQueryId));
  * const leads = await sdk.getLeadsForToday();
  * ```
  */
-export class IndiaMartSDK {
+export class IndiaMartSDK extends EventEmitter {
   /**
    * Create a new IndiaMART SDK instance
    * 
-   * @param {string} crmKey - Your IndiaMART CRM key (required)
+   * @param {string|object|Function} crmKey - Your IndiaMART CRM key, or a key provider (see key-provider.js)
    * @param {object} options - Optional configuration
-   * @param {number} options.timeoutMs - Request timeout in milliseconds (default: 30000)
+   * @param {number} options.timeoutMs - Per-attempt request timeout in milliseconds (default: 30000)
+   * @param {number} options.operationTimeoutMs - Timeout for a whole fetch including retries (default: none)
+   * @param {Function} options.transport - Custom request function `(url, init) => Promise<response>` (default: fetch)
+   * @param {object} options.cassette - Record or replay HTTP interactions: { mode: 'record' | 'replay', path }
+   * @param {object} options.storage - Storage adapter for fetched leads (default: JSON files under paths.dataPath)
+   * @param {object} options.circuitBreaker - Circuit breaker settings: { failureThreshold: 5, resetTimeoutMs: 60000 }
+   * @param {object} options.retryPolicy - RetryPolicy, or its options: { maxAttempts, baseDelayMs, maxDelayMs, maxElapsedMs, overrides }
+   * @param {Function[]} options.middleware - Client middleware `async (ctx, next) => …` (see use())
+   * @param {object|Function} options.keyProvider - Asked for the key again after IndiaMART rejects it (default: the crmKey only)
+   * @param {object} options.clockSkew - Clock skew detection from response Date headers: { thresholdMs: 30000, correct: false, windowSize: 10, minSamples: 3 }
+   * @param {string} options.errorMode - 'result' returns failures as `{ success: false, ... }`, 'throw' throws the typed error (default: 'result')
    * @param {string} options.baseUrl - Override base URL (mainly for testing)
    * @param {string} options.downloadPath - Path to save JSON files (default: './downloads')
    * @param {string} options.logPath - Path to save logs (default: './logs')
@@ -52,19 +105,18 @@ export class IndiaMartSDK {
    * @param {string} options.paths.failedPath - Failed leads path (default: './data/failed')
    */
   constructor(crmKey, options = {}) {
-    // Validate CRM key
-    const keyValidation = InputValidator.validateApiKey(crmKey);
-    if (!keyValidation.isValid) {
-      throw new Error(`Invalid CRM key: ${keyValidation.errors.join(', ')}`);
-    }
+    super();
 
-    this.crmKey = keyValidation.value;
+    // A key provider may stand in for the key (first argument or options.keyProvider)
+    const keyProvider = isKeyProvider(crmKey) ? crmKey : options.keyProvider || null;
+    const initialKey = isKeyProvider(crmKey) || (crmKey == null && keyProvider) ? null : IndiaMartSDK.validateKey(crmKey);
     
     // Support both old format and new comprehensive path configuration
     const paths = options.paths || {};
     this.options = {
       timeoutMs: 30000,
       baseUrl: undefined,
+      errorMode: 'result',
       downloadPath: options.downloadPath || paths.downloadPath || './downloads',
       logPath: options.logPath || paths.logPath || './logs',
       paths: {
@@ -80,6 +132,10 @@ export class IndiaMartSDK {
       ...options
     };
 
+    if (!ERROR_MODES.includes(this.options.errorMode)) {
+      throw new Error(`Invalid errorMode: ${this.options.errorMode} (expected 'result' or 'throw')`);
+    }
+
     // Initialize secure logging, rate limiting, and date compliance with configurable paths
     this.secureLogger = new SecureLogger({
       logFile: path.join(this.options.paths.logPath, 'secure-sdk.log'),
@@ -87,18 +143,38 @@ export class IndiaMartSDK {
       logLevel: process.env.LOG_LEVEL ? parseInt(process.env.LOG_LEVEL) : LOG_LEVELS.INFO
     });
     
+    // One governor holds every rate rule and counter; the logger, compliance manager and client consult it
+    this.rateGovernor = new RateGovernor({
+      logDirectory: this.options.paths.logPath,
+      rateLimitFile: this.options.paths.rateLimitFile,
+      onRateLimited: (check) => this.emitEvent(SDK_EVENTS.RATE_LIMITED, { ...check, source: 'rateLimiter' }),
+      onBlocked: (info) => this.emitEvent(SDK_EVENTS.BLOCKED, { ...info, source: 'rateLimiter' }),
+      onRecovered: (info) => this.emitEvent(SDK_EVENTS.RECOVERED, { ...info, source: 'rateLimiter' })
+    });
+    // Earlier releases exposed the limiter under this name
+    this.rateLimiter = this.rateGovernor;
+
     this.apiLogger = new APILogger({
       logDirectory: this.options.paths.logPath,
       apiLogsFile: this.options.paths.apiLogFile,
-      rateLimitFile: this.options.paths.rateLimitFile
+      rateLimitFile: this.options.paths.rateLimitFile,
+      governor: this.rateGovernor
     });
     
-    this.rateLimiter = new RateLimiter({
-      logDirectory: this.options.paths.logPath,
-      rateLimitFile: this.options.paths.rateLimitFile
+    // Response Date headers show how far the local clock is off; with correct: true windows are shifted by it
+    this.clockSkew = new ClockSkewMonitor({
+      ...this.options.clockSkew,
+      onSkew: (status) => {
+        this.secureLogger.warn('Local clock is off IndiaMART time; keep it NTP-synced', status);
+        this.emitEvent(SDK_EVENTS.CLOCK_SKEW, status);
+      },
+      onRecovered: (status) => {
+        this.secureLogger.info('Local clock is back in line with IndiaMART time', status);
+        this.emitEvent(SDK_EVENTS.CLOCK_SKEW, status);
+      }
     });
-    
-    this.dateCompliance = new DateComplianceManager();
+
+    this.dateCompliance = new DateComplianceManager({ clock: () => this.clockSkew.now() });
     
     // Initialize cache manager
     this.cache = new CacheManager({
@@ -107,24 +183,108 @@ export class IndiaMartSDK {
       cleanupInterval: 60000 // 1 minute
     });
 
+    // Compliance manager reports through SDK events instead of the console
+    const complianceManager = new IndiaMartComplianceManager({
+      governor: this.rateGovernor,
+      clockSkew: this.clockSkew,
+      onViolation: (violation) => this.emitEvent(SDK_EVENTS.COMPLIANCE_VIOLATION, violation),
+      onBlocked: (durationMs) => this.emitEvent(SDK_EVENTS.BLOCKED, {
+        reason: 'API_KEY_BLOCKED',
+        retryAfter: durationMs,
+        blockedUntil: new Date(Date.now() + durationMs).toISOString(),
+        source: 'compliance'
+      }),
+      onRecovered: (reason) => this.emitEvent(SDK_EVENTS.RECOVERED, { reason, source: 'compliance' })
+    });
+
+    // Consecutive server errors and timeouts open the circuit, so an outage does not burn the rate budget
+    this.circuitBreaker = new CircuitBreaker({
+      ...this.options.circuitBreaker,
+      onOpen: (status) => this.emitEvent(SDK_EVENTS.CIRCUIT_OPEN, status),
+      onHalfOpen: (status) => this.emitEvent(SDK_EVENTS.CIRCUIT_HALF_OPEN, status),
+      onClose: (status) => this.emitEvent(SDK_EVENTS.CIRCUIT_CLOSED, status)
+    });
+
     // Initialize the underlying client with configurable file storage paths
     this.client = new IndiaMartClient({
-      crmKey: this.crmKey,
+      crmKey: initialKey,
+      keyProvider,
+      onKeyExpired: (info) => this.emitEvent(SDK_EVENTS.KEY_EXPIRED, info),
       baseUrl: this.options.baseUrl,
       timeoutMs: this.options.timeoutMs,
+      operationTimeoutMs: this.options.operationTimeoutMs,
+      transport: this.options.transport,
+      cassette: this.options.cassette,
       useDatabase: false,
       useFileStorage: true,
+      storage: this.options.storage,
+      complianceManager,
+      rateGovernor: this.rateGovernor,
+      circuitBreaker: this.circuitBreaker,
+      clockSkew: this.clockSkew,
+      retryPolicy: this.options.retryPolicy,
+      middleware: this.options.middleware,
+      onApiError: (error, context) => this.emitEvent(SDK_EVENTS.API_ERROR, { error, ...context, source: 'client' }),
+      onLeadsStored: (info) => this.emitEvent(SDK_EVENTS.LEADS_STORED, info),
       fileStorageOptions: {
         baseDir: this.options.paths.dataPath,
         leadsDir: this.options.paths.leadsPath,
         processedDir: this.options.paths.processedPath,
-        failedDir: this.options.paths.failedPath
+        failedDir: this.options.paths.failedPath,
+        onFileWritten: (info) => this.emitEvent(SDK_EVENTS.FILE_WRITTEN, info)
       }
     });
 
+    this.storage = this.client.fileStorageManager;
+    // A given adapter that reports its batches (MemoryStorageAdapter, SqliteLeadStore) reports them here too
+    if (this.options.storage && 'onFileWritten' in this.storage && !this.storage.onFileWritten) {
+      this.storage.onFileWritten = (info) => this.emitEvent(SDK_EVENTS.FILE_WRITTEN, info);
+    }
     this.isInitialized = false;
   }
 
+  /**
+   * Check a CRM key
+   * @param {string} crmKey - CRM key
+   * @returns {string} The validated key
+   * @throws {Error} If the key is missing or malformed
+   */
+  static validateKey(crmKey) {
+    const keyValidation = InputValidator.validateApiKey(crmKey);
+    if (!keyValidation.isValid) {
+      throw new Error(`Invalid CRM key: ${keyValidation.errors.join(', ')}`);
+    }
+    return keyValidation.value;
+  }
+
+  /**
+   * Current CRM key (null until a key provider supplied one)
+   * @returns {string|null} CRM key
+   */
+  get crmKey() {
+    return this.client.crmKey;
+  }
+
+  /**
+   * Switch to a new CRM key without restarting
+   *
+   * Calls already running finish with the old key; if IndiaMART rejects it they pick up
+   * the new key for their one retry.
+   *
+   * @param {string} newKey - New CRM key (e.g. after IndiaMART generated one)
+   * @returns {Promise<void>}
+   * @example
+   * ```javascript
+   * sdk.on('keyExpired', async ({ newKeyGenerated }) => {
+   *   if (newKeyGenerated) await sdk.rotateKey(await secrets.get('indiamart-crm-key'));
+   * });
+   * ```
+   */
+  async rotateKey(newKey) {
+    this.client.setKey(IndiaMartSDK.validateKey(newKey));
+    await this.secureLogger.info('CRM key rotated');
+  }
+
   /**
    * Initialize the SDK (optional - will be called automatically on first use)
    */
@@ -139,6 +299,157 @@ export class IndiaMartSDK {
     }
   }
 
+  /**
+   * Emit an SDK event; a throwing listener is logged instead of breaking the SDK call
+   * or keeping the event from the listeners after it
+   * 
+   * @param {string} event - Event name (see SDK_EVENTS)
+   * @param {...any} args - Event arguments
+   * @returns {boolean} True if the event had listeners
+   */
+  emitEvent(event, ...args) {
+    // rawListeners keeps the once() wrappers, so they still remove themselves
+    const listeners = this.rawListeners(event);
+    for (const listener of listeners) {
+      try {
+        listener.apply(this, args);
+      } catch (error) {
+        this.secureLogger.error('SDK event listener failed', { event, error: error.message });
+      }
+    }
+    return listeners.length > 0;
+  }
+
+  /**
+   * Add a middleware to the client's request chain
+   *
+   * It runs around every fetch (ctx.stage 'fetch') and every HTTP attempt
+   * (ctx.stage 'request'), inside the built-in logging, storage and compliance middleware.
+   *
+   * @param {Function} middleware - `async (ctx, next) => …`
+   * @returns {IndiaMartSDK} This SDK, for chaining
+   */
+  use(middleware) {
+    this.client.use(middleware);
+    return this;
+  }
+
+  /**
+   * Emit batch and per-lead events for a successful fetch
+   * 
+   * @param {object} result - Processed client result
+   * @param {object} context - Fetch context (startDate, endDate)
+   */
+  emitLeads(result, context) {
+    const leads = result.leads || [];
+
+    this.emitEvent(SDK_EVENTS.BATCH, {
+      leads,
+      totalRecords: result.totalRecords || 0,
+      complete: result.complete !== false,
+      pagesFetched: result.pagesFetched || 1,
+      ...context
+    });
+
+    for (const lead of leads) {
+      if (lead) this.emitEvent(SDK_EVENTS.LEAD, lead, context);
+    }
+  }
+
+  /**
+   * Whether a fetch should throw instead of returning a failure result
+   * @param {object} options - Per-call options ({ errorMode })
+   * @returns {boolean} True in 'throw' mode
+   */
+  throwsErrors(options = {}) {
+    return (options.errorMode || this.options.errorMode) === 'throw';
+  }
+
+  /**
+   * Report a failed fetch: throw the error in 'throw' mode, return a failure result otherwise
+   *
+   * @param {Error} error - Error of the fetch (an IndiaMartError subclass, see error-handler.js)
+   * @param {object} extra - Additional result fields (compliance, attempts, rateLimit, ...)
+   * @param {object} options - Per-call options ({ errorMode })
+   * @returns {object} Failure result (see failureResult)
+   * @throws {Error} The error itself in 'throw' mode
+   */
+  fail(error, extra = {}, options = {}) {
+    if (this.throwsErrors(options)) throw error;
+    return this.failureResult(error, extra);
+  }
+
+  /**
+   * Result object for a failed fetch
+   *
+   * @param {Error} error - Error of the fetch (an IndiaMartError subclass, see error-handler.js)
+   * @param {object} extra - Additional result fields (compliance, attempts, rateLimit, ...)
+   * @returns {object} { success: false, error, code, errorType, retryAt, leads: [], raw: null, downloadPath: null, ...extra }
+   */
+  failureResult(error, extra = {}) {
+    return {
+      success: false,
+      error: error.message,
+      code: error.statusCode || 500,
+      errorType: error.type || null,
+      retryAt: error.retryAt ? error.retryAt.toISOString() : null,
+      leads: [],
+      raw: null,
+      downloadPath: null,
+      ...extra
+    };
+  }
+
+  /**
+   * Which rule denied a call and when the next slot opens
+   * @param {Error} error - RATE_LIMITED error thrown by the client
+   * @returns {object} { reason, rule, retryAfter, nextSlotAt, blockedBy }
+   */
+  describeRateLimit(error) {
+    const { reason, rule, retryAfter, nextSlotAt, blockedBy } = error.details;
+    return { reason, rule, retryAfter, nextSlotAt, blockedBy };
+  }
+
+  /**
+   * Why a call failed fast and when the next trial call may go out
+   * @param {Error} error - CircuitOpenError thrown by the client
+   * @returns {object} { state, failures, nextAttemptAt, retryAfter, lastFailure }
+   */
+  describeCircuit(error) {
+    const { state, failures, nextAttemptAt, retryAfter, lastFailure } = error.details;
+    return { state, failures, nextAttemptAt, retryAfter, lastFailure };
+  }
+
+  /**
+   * Emit rate limit events for an API-side 429 error and block the governor to match
+   * 
+   * @param {Error} error - Error thrown by the client
+   * @returns {Promise<void>}
+   */
+  async emitApiRateLimit(error) {
+    if (error.code !== 429 && error.statusCode !== 429) return;
+
+    if (/Too Many Requests/i.test(error.message)) {
+      const retryAfter = 15 * 60 * 1000;
+      await this.rateGovernor.block(retryAfter, 'RATE_LIMIT_15_MIN', { notify: false });
+      this.emitEvent(SDK_EVENTS.BLOCKED, {
+        reason: 'RATE_LIMIT_15_MIN',
+        retryAfter,
+        blockedUntil: new Date(Date.now() + retryAfter).toISOString(),
+        message: error.message,
+        source: 'api'
+      });
+    } else {
+      await this.rateGovernor.block(5 * 60 * 1000, 'RATE_LIMIT_5_MIN', { notify: false });
+      this.emitEvent(SDK_EVENTS.RATE_LIMITED, {
+        reason: 'RATE_LIMIT_5_MIN',
+        retryAfter: 5 * 60 * 1000,
+        message: error.message,
+        source: 'api'
+      });
+    }
+  }
+
   /**
    * Ensure download directory exists
    */
@@ -159,6 +470,7 @@ export class IndiaMartSDK {
   /**
    * Get leads for today and download as JSON file
    * 
+   * @param {object} options - Per-call options: { errorMode } overrides options.errorMode
    * @returns {Promise<object>} Leads data with success status, leads array, and download info
    * @example
    * ```javascript
@@ -169,79 +481,60 @@ export class IndiaMartSDK {
    * }
    * ```
    */
-  async getLeadsForToday() {
+  async getLeadsForToday(options = {}) {
     await this.initialize();
     
     // Use compliance manager for date range
     const dateRange = this.dateCompliance.getTodayRange();
     
     if (!dateRange.compliance.isValid) {
-      return {
-        success: false,
-        error: `Date compliance error: ${dateRange.compliance.errors.join(', ')}`,
-        code: 400,
-        leads: [],
-        raw: null,
-        downloadPath: null
-      };
+      return this.fail(ComplianceError.fromCheck(dateRange.compliance), {}, options);
     }
     
-    return await this.getLeadsForDateRange(dateRange.startDate, dateRange.endDate);
+    return await this.getLeadsForDateRange(dateRange.startDate, dateRange.endDate, options);
   }
 
   /**
    * Get leads for yesterday and download as JSON file
    * 
+   * @param {object} options - Per-call options: { errorMode } overrides options.errorMode
    * @returns {Promise<object>} Leads data with success status, leads array, and download info
    */
-  async getLeadsForYesterday() {
+  async getLeadsForYesterday(options = {}) {
     await this.initialize();
     
     // Use compliance manager for date range
     const dateRange = this.dateCompliance.getYesterdayRange();
     
     if (!dateRange.compliance.isValid) {
-      return {
-        success: false,
-        error: `Date compliance error: ${dateRange.compliance.errors.join(', ')}`,
-        code: 400,
-        leads: [],
-        raw: null,
-        downloadPath: null
-      };
+      return this.fail(ComplianceError.fromCheck(dateRange.compliance), {}, options);
     }
     
-    return await this.getLeadsForDateRange(dateRange.startDate, dateRange.endDate);
+    return await this.getLeadsForDateRange(dateRange.startDate, dateRange.endDate, options);
   }
 
   /**
    * Get leads for a specific date and download as JSON file
    * 
    * @param {Date|string} date - The date to fetch leads for
+   * @param {object} options - Per-call options: { errorMode } overrides options.errorMode
    * @returns {Promise<object>} Leads data with success status, leads array, and download info
    * @example
    * ```javascript
    * const result = await sdk.getLeadsForDate('2024-01-15');
    * ```
    */
-  async getLeadsForDate(date) {
+  async getLeadsForDate(date, options = {}) {
     await this.initialize();
     
     // Use compliance manager for date range
     const dateRange = this.dateCompliance.getDateRange(date);
     
     if (!dateRange.compliance.isValid) {
-      return {
-        success: false,
-        error: `Date compliance error: ${dateRange.compliance.errors.join(', ')}`,
-        code: 400,
-        leads: [],
-        raw: null,
-        downloadPath: null
-      };
+      return this.fail(ComplianceError.fromCheck(dateRange.compliance), {}, options);
     }
     
-    return await this.getLeadsForDateRange(dateRange.startDate, dateRange.endDate);
+    return await this.getLeadsForDateRange(dateRange.startDate, dateRange.endDate, options);
   }
 
   /**
@@ -249,13 +542,14 @@ export class IndiaMartSDK {
    * 
    * @param {Date|string} startDate - Start date
    * @param {Date|string} endDate - End date
+   * @param {object} options - Per-call options: { errorMode } overrides options.errorMode
    * @returns {Promise<object>} Leads data with success status, leads array, and download info
    * @example
    * ```javascript
    * const result = await sdk.getLeadsForDateRange('2024-01-01', '2024-01-07');
    * ```
    */
-  async getLeadsForDateRange(startDate, endDate) {
+  async getLeadsForDateRange(startDate, endDate, options = {}) {
     try {
       await this.initialize();
 
@@ -266,14 +560,12 @@ export class IndiaMartSDK {
       if (!startValidation.isValid || !endValidation.isValid) {
         const errors = [...startValidation.errors, ...endValidation.errors];
         await this.secureLogger.error('Invalid date parameters', { startDate, endDate, errors });
-        return {
-          success: false,
-          error: `Invalid date parameters: ${errors.join(', ')}`,
-          code: 400,
-          leads: [],
-          raw: null,
-          downloadPath: null
-        };
+        return this.fail(new DateRangeError(`Invalid date parameters: ${errors.join(', ')}`, 400, 'ERROR', {
+          type: 'INVALID_DATE_FORMAT',
+          errors,
+          retryAfter: 0,
+          suggestion: 'Pass Date objects or ISO date strings'
+        }), {}, options);
       }
 
       // Enforce date compliance - non-configurable
@@ -284,26 +576,20 @@ export class IndiaMartSDK {
           endDate: endValidation.value, 
           errors: compliance.errors 
         });
-        return {
-          success: false,
-          error: `Date compliance error: ${compliance.errors.join(', ')}`,
-          code: 400,
-          leads: [],
-          raw: null,
-          downloadPath: null,
-          compliance: compliance
-        };
+        return this.fail(ComplianceError.fromCheck(compliance), { compliance }, options);
       }
 
       // Check cache first
-      const cacheKey = this.cache.generateKey('leads', { 
-        startDate: startValidation.value.toISOString(), 
-        endDate: endValidation.value.toISOString() 
-      });
+      const cacheKey = this.leadsCacheKey(startValidation.value, endValidation.value);
       
       const cachedResult = this.cache.get(cacheKey);
       if (cachedResult) {
         await this.secureLogger.debug('Cache hit for leads request', { cacheKey });
+        this.emitEvent(SDK_EVENTS.CACHE_HIT, {
+          key: cacheKey,
+          startDate: startValidation.value,
+          endDate: endValidation.value
+        });
         return cachedResult;
       }
 
@@ -313,16 +599,6 @@ export class IndiaMartSDK {
       let error = null;
 
       try {
-        // Check rate limits before making API call
-        const rateLimitCheck = this.rateLimiter.canMakeCall();
-        if (!rateLimitCheck.allowed) {
-          await this.secureLogger.warn('Rate limit exceeded', { 
-            retryAfter: rateLimitCheck.retryAfter,
-            message: rateLimitCheck.message 
-          });
-          throw new Error(`Rate limit exceeded: ${rateLimitCheck.message}`);
-        }
-
         // Format dates for IndiaMART API (IST timezone)
         const formattedStartDate = this.dateCompliance.formatDateForAPI(startValidation.value, 'timestamp');
         const formattedEndDate = this.dateCompliance.formatDateForAPI(endValidation.value, 'timestamp');
@@ -332,7 +608,7 @@ export class IndiaMartSDK {
           endDate: formattedEndDate 
         });
 
-        // Make API call
+        // Make API call; the client takes a slot from the rate governor for every page
         result = await this.client.getLeads({
           startTime: formattedStartDate,
           endTime: formattedEndDate
@@ -340,8 +616,7 @@ export class IndiaMartSDK {
 
         success = true;
 
-        // Record successful API call
-        this.rateLimiter.recordCall(true);
+        this.emitLeads(result, { startDate: startValidation.value, endDate: endValidation.value });
 
         // Download JSON file if leads are found (no deduplication)
         let downloadPath = null;
@@ -355,13 +630,19 @@ export class IndiaMartSDK {
           message: result.message,
           totalRecords: result.totalRecords,
           leads: result.leads || [],
+          complete: result.complete !== false,
+          partial: result.partial === true,
+          pagesFetched: result.pagesFetched || 1,
+          attempts: result.attempts || 1,
           raw: result, // Include the full processed result as raw data
           downloadPath: downloadPath,
           compliance: compliance
         };
 
-        // Cache successful response
-        this.cache.set(cacheKey, responseData, 300000); // 5 minutes TTL
+        // Cache complete responses only, so a partial result is retried on the next call
+        if (responseData.complete) {
+          this.cache.set(cacheKey, responseData, 300000); // 5 minutes TTL
+        }
 
         // Log API call securely
         await this.secureLogger.info('API call successful', {
@@ -370,7 +651,10 @@ export class IndiaMartSDK {
           statusCode: result.code || 200,
           responseTime: Date.now() - startTime,
           leadsCount: result.leads?.length || 0,
-          totalRecords: result.totalRecords || 0
+          totalRecords: result.totalRecords || 0,
+          pagesFetched: result.pagesFetched || 1,
+          attempts: result.attempts || 1,
+          complete: result.complete !== false
         });
 
         await this.apiLogger.logAPICall({
@@ -388,8 +672,19 @@ export class IndiaMartSDK {
         error = err;
         success = false;
 
-        // Record failed API call
-        this.rateLimiter.recordCall(false);
+        if (err.code === 'RATE_LIMITED') {
+          await this.secureLogger.warn('Rate limit exceeded', {
+            reason: err.details.reason,
+            retryAfter: err.details.retryAfter,
+            nextSlotAt: err.details.nextSlotAt
+          });
+        } else if (err.code === 'CIRCUIT_OPEN') {
+          await this.secureLogger.warn('Circuit breaker open', {
+            failures: err.details.failures,
+            nextAttemptAt: err.details.nextAttemptAt
+          });
+        }
+        await this.emitApiRateLimit(err);
 
         // Log API call failure securely
         await this.secureLogger.error('API call failed', {
@@ -411,17 +706,17 @@ export class IndiaMartSDK {
           totalRecords: 0
         });
 
-        return {
-          success: false,
-          error: err.message,
-          code: err.statusCode || 500,
-          leads: [],
-          raw: null,
-          downloadPath: null,
-          compliance: compliance
-        };
+        return this.fail(err, {
+          compliance: compliance,
+          attempts: err.attempts || 0,
+          ...(err.code === 'RATE_LIMITED' ? { rateLimit: this.describeRateLimit(err) } : {}),
+          ...(err.code === 'CIRCUIT_OPEN' ? { circuit: this.describeCircuit(err) } : {})
+        }, options);
       }
     } catch (error) {
+      // In throw mode the errors reported above, and unexpected ones, reach the caller unchanged
+      if (this.throwsErrors(options)) throw error;
+
       await this.secureLogger.error('Unexpected error in getLeadsForDateRange', { 
         error: error.message,
         stack: error.stack 
@@ -447,7 +742,6 @@ export class IndiaMartSDK {
    * @returns {Promise<string>} Path to downloaded JSON file
    */
   async downloadLeadsAsJSON(leads, startDate, endDate) {
-    const fs = await import('fs');
     const path = await import('path');
     
     try {
@@ -472,10 +766,11 @@ export class IndiaMartSDK {
         leads: leads // Store all leads without any deduplication
       };
       
-      // Write JSON file
-      fs.writeFileSync(filePath, JSON.stringify(downloadData, null, 2));
+      // Write JSON file atomically so a crash never leaves a truncated download
+      writeJsonFileSync(filePath, downloadData);
       
       console.log(`📁 Downloaded ${leads.length} leads to: ${filePath} (no deduplication)`);
+      this.emitEvent(SDK_EVENTS.FILE_WRITTEN, { path: filePath, type: 'download', leadsCount: leads.length });
       return filePath;
       
     } catch (error) {
@@ -488,31 +783,24 @@ export class IndiaMartSDK {
    * Get leads for the last N days and download as JSON file
    * 
    * @param {number} days - Number of days to look back
+   * @param {object} options - Per-call options: { errorMode } overrides options.errorMode
    * @returns {Promise<object>} Leads data with success status, leads array, and download info
    * @example
    * ```javascript
    * const result = await sdk.getLeadsForLastDays(7); // Last 7 days
    * ```
    */
-  async getLeadsForLastDays(days) {
+  async getLeadsForLastDays(days, options = {}) {
     await this.initialize();
     
     // Use compliance manager for date range (enforces 7-day limit)
     const dateRange = this.dateCompliance.getLastDaysRange(days);
     
     if (!dateRange.compliance.isValid) {
-      return {
-        success: false,
-        error: `Date compliance error: ${dateRange.compliance.errors.join(', ')}`,
-        code: 400,
-        leads: [],
-        raw: null,
-        downloadPath: null,
-        compliance: dateRange.compliance
-      };
+      return this.fail(ComplianceError.fromCheck(dateRange.compliance), { compliance: dateRange.compliance }, options);
     }
     
-    return await this.getLeadsForDateRange(dateRange.startDate, dateRange.endDate);
+    return await this.getLeadsForDateRange(dateRange.startDate, dateRange.endDate, options);
   }
 
   /**
@@ -523,6 +811,7 @@ export class IndiaMartSDK {
    * @param {Date|string} params.endTime - End time
    * @param {number} params.page - Page number
    * @param {string} params.dateFormat - Date format ('date' or 'timestamp')
+   * @param {string} params.errorMode - Overrides options.errorMode for this call
    * @returns {Promise<object>} Leads data with success status, leads array, and download info
    * @example
    * ```javascript
@@ -535,9 +824,12 @@ export class IndiaMartSDK {
    */
   async getLeads(params = {}) {
     await this.initialize();
+    const { errorMode, ...clientParams } = params;
     
     try {
-      const result = await this.client.getLeads(params);
+      const result = await this.client.getLeads(clientParams);
+
+      this.emitLeads(result, { startDate: params.startTime, endDate: params.endTime });
 
       // Download JSON file if leads are found
       let downloadPath = null;
@@ -551,19 +843,233 @@ export class IndiaMartSDK {
         message: result.message,
         totalRecords: result.totalRecords,
         leads: result.leads || [],
+        complete: result.complete !== false,
+        partial: result.partial === true,
+        pagesFetched: result.pagesFetched || 1,
+        attempts: result.attempts || 1,
         raw: result.raw,
         downloadPath: downloadPath
       };
     } catch (error) {
+      await this.emitApiRateLimit(error);
+      return this.fail(error, { attempts: error.attempts || 0 }, { errorMode });
+    }
+  }
+
+  /**
+   * Cache key of a date-range fetch
+   * @param {Date} startDate - Start date
+   * @param {Date} endDate - End date
+   * @returns {string} Cache key
+   */
+  leadsCacheKey(startDate, endDate) {
+    return this.cache.generateKey('leads', {
+      startDate: startDate.toISOString(),
+      endDate: endDate.toISOString()
+    });
+  }
+
+  /**
+   * Get a cached date-range result without calling the API
+   * @param {Date|string} startDate - Start date
+   * @param {Date|string} endDate - End date
+   * @returns {object|null} Cached result, or null if the range is not cached
+   */
+  getCachedLeads(startDate, endDate) {
+    const startValidation = InputValidator.validateDate(startDate);
+    const endValidation = InputValidator.validateDate(endDate);
+    if (!startValidation.isValid || !endValidation.isValid) {
+      return null;
+    }
+
+    return this.cache.get(this.leadsCacheKey(startValidation.value, endValidation.value));
+  }
+
+  /**
+   * Create a request scheduler that queues fetches by priority until the rate limits allow them
+   *
+   * Identical pending date ranges share one API call, and a request whose deadline
+   * passes before a slot opens is answered with code 408 instead of waiting forever.
+   *
+   * @param {object} options - Scheduler options (see RequestScheduler)
+   * @returns {RequestScheduler} Request scheduler instance
+   * @example
+   * ```javascript
+   * const scheduler = sdk.createRequestScheduler();
+   * const poller = sdk.createLeadPoller({ scheduler });
+   * const result = await scheduler.getLeadsForDateRange(start, end, {
+   *   priority: REQUEST_PRIORITIES.INTERACTIVE,
+   *   timeoutMs: 60 * 1000
+   * });
+   * ```
+   */
+  createRequestScheduler(options = {}) {
+    return new RequestScheduler(this, options);
+  }
+
+  /**
+   * Create an incremental lead poller bound to this SDK
+   * 
+   * @param {object} options - Poller options (see LeadPoller)
+   * @returns {LeadPoller} Lead poller instance
+   * @example
+   * ```javascript
+   * const poller = sdk.createLeadPoller({ intervalMs: 10 * 60 * 1000 });
+   * poller.on('lead', (lead) => console.log(lead.uniqueQueryId));
+   * poller.start();
+   * ```
+   */
+  createLeadPoller(options = {}) {
+    return new LeadPoller(this, options);
+  }
+
+  /**
+   * Create an IndiaMART Push API receiver bound to this SDK
+   * 
+   * Pushed leads are stored with the SDK's file storage and emitted as `lead` events
+   * with `{ source: 'push' }`, next to pulled leads, so a poller can run as a safety net.
+   * 
+   * @param {object} options - Receiver options (see PushReceiver)
+   * @returns {PushReceiver} Push receiver instance
+   * @example
+   * ```javascript
+   * const receiver = sdk.createPushReceiver({ path: '/indiamart/push' });
+   * await receiver.listen(8080);
+   * sdk.on('lead', (lead, { source }) => console.log(source, lead.uniqueQueryId));
+   * ```
+   */
+  createPushReceiver(options = {}) {
+    const receiver = new PushReceiver({
+      fileStorageManager: this.client.fileStorageManager,
+      responseHandler: this.client.responseHandler,
+      ...options
+    });
+
+    receiver.on('lead', (lead) => this.emitEvent(SDK_EVENTS.LEAD, lead, { source: 'push' }));
+    return receiver;
+  }
+
+  /**
+   * Create a leader election, so only one of several instances polls
+   *
+   * The election key is `options.key`, or else a hash of the log path: instances sharing
+   * '<logPath>' (and its rate limit file) compete, and neither a key provider nor
+   * rotateKey() changes the key. By default leases are files in '<logPath>/leases';
+   * pass `backend` for another store.
+   *
+   * @param {object} options - Election options (see LeaderElection)
+   * @returns {LeaderElection} Leader election (call start() to compete)
+   * @example
+   * ```javascript
+   * const election = sdk.createLeaderElection({ leaseTtlMs: 30000 });
+   * await election.start();
+   * const poller = sdk.createLeadPoller({ leaderElection: election });
+   * poller.start(); // polls only while this instance is leader
+   * ```
+   */
+  createLeaderElection(options = {}) {
+    return new LeaderElection({
+      directory: path.join(this.options.paths.logPath, 'leases'),
+      ...options,
+      // An explicit crmKey still names the election; otherwise the shared log path does
+      key: options.key || (options.crmKey ? null : leaderKeyForPath(this.options.paths.logPath))
+    });
+  }
+
+  /**
+   * Import historical leads in compliant 7-day windows (resumable)
+   * 
+   * Windows run under the rate limiter and the 5-minute spacing rule, and progress is
+   * saved after every window so re-running the same backfill continues where it stopped.
+   * 
+   * @param {object} options - Backfill options (see BackfillPlanner)
+   * @param {Date|string} options.from - Start of the range (clamped to the last 365 days)
+   * @param {Date|string} options.to - End of the range (default: now)
+   * @param {Function} options.onProgress - Called with { windowsDone, windowsTotal, leadsSoFar, etaMs, ... }
+   * @param {Function} options.onWindow - Called with { window, leads } after each finished window
+   * @param {AbortSignal} options.signal - Abort signal to stop after the current window
+   * @returns {Promise<object>} Backfill summary
+   * @example
+   * ```javascript
+   * const summary = await sdk.backfill({
+   *   from: '2024-01-01',
+   *   onProgress: (p) => console.log(`${p.windowsDone}/${p.windowsTotal} windows, ${p.leadsSoFar} leads`)
+   * });
+   * ```
+   */
+  async backfill(options = {}) {
+    await this.initialize();
+
+    const { onProgress, onWindow, ...plannerOptions } = options;
+
+    let planner;
+    try {
+      planner = new BackfillPlanner(this, plannerOptions);
+    } catch (error) {
+      await this.secureLogger.error('Invalid backfill parameters', { error: error.message });
       return {
         success: false,
         error: error.message,
-        code: error.statusCode || 500,
-        leads: [],
-        raw: null,
-        downloadPath: null
+        code: 400
       };
     }
+
+    if (onProgress) planner.on('progress', onProgress);
+    if (onWindow) planner.on('window', onWindow);
+
+    await this.secureLogger.info('Backfill started', {
+      from: planner.progress.from,
+      to: planner.progress.to,
+      windows: planner.progress.windows.length
+    });
+
+    const summary = await planner.run();
+
+    await this.secureLogger.info('Backfill finished', {
+      windowsDone: summary.windowsDone,
+      windowsFailed: summary.windowsFailed,
+      leadsSoFar: summary.leadsSoFar,
+      stopped: summary.stopped
+    });
+
+    return summary;
+  }
+
+  /**
+   * Stream processed leads across compliant windows and pages
+   * 
+   * Pages are fetched on demand as the consumer reads, so memory stays bounded and
+   * nothing is cached or written to disk. Windows are spaced by the 5-minute rule.
+   * 
+   * @param {object} options - Stream options (see LeadStream)
+   * @param {Date|string} options.from - Start of the range
+   * @param {Date|string} options.to - End of the range (default: now)
+   * @param {AbortSignal} options.signal - Abort signal to end the stream
+   * @returns {LeadStream} Async iterable of processed leads
+   * @example
+   * ```javascript
+   * for await (const lead of sdk.streamLeads({ from: '2024-01-01', to: '2024-01-31' })) {
+   *   await saveToCRM(lead);
+   * }
+   * ```
+   */
+  streamLeads(options = {}) {
+    return new LeadStream(this, options);
+  }
+
+  /**
+   * Stream processed leads as an object-mode Readable (for piping into ETL pipelines)
+   * 
+   * @param {object} options - Stream options (see streamLeads)
+   * @returns {import('stream').Readable} Readable stream of processed leads
+   * @example
+   * ```javascript
+   * await pipeline(sdk.createLeadReadStream({ from: '2024-01-01' }), toNdjson, fs.createWriteStream('leads.ndjson'));
+   * ```
+   */
+  createLeadReadStream(options = {}) {
+    const { highWaterMark, ...streamOptions } = options;
+    return this.streamLeads(streamOptions).toReadable(highWaterMark ? { highWaterMark } : {});
   }
 
   /**
@@ -600,7 +1106,7 @@ export class IndiaMartSDK {
    * @returns {object} Current rate limit status
    */
   getRateLimitStatus() {
-    return this.rateLimiter.getStatus();
+    return this.rateGovernor.getStatus();
   }
 
   /**
@@ -618,14 +1124,15 @@ export class IndiaMartSDK {
    * @returns {object} Rate limit statistics
    */
   getRateLimitStats() {
-    return this.rateLimiter.getStats();
+    return this.rateGovernor.getStats();
   }
 
   /**
    * Clear old logs (older than 30 days)
+   * @returns {Promise<void>}
    */
-  clearOldLogs() {
-    this.apiLogger.clearOldLogs();
+  async clearOldLogs() {
+    await this.apiLogger.clearOldLogs();
   }
 
   /**
@@ -633,7 +1140,7 @@ export class IndiaMartSDK {
    */
   async resetRateLimits() {
     try {
-      await this.rateLimiter.reset();
+      await this.rateGovernor.reset();
       await this.secureLogger.info('Rate limits reset');
       return {
         success: true,
@@ -656,6 +1163,58 @@ export class IndiaMartSDK {
     return this.cache.getStats();
   }
 
+  /**
+   * Get lead storage statistics from the storage adapter
+   * @returns {Promise<object>} Pending, processed and failed batches and pending lead count
+   */
+  async getStorageStats() {
+    return this.storage.getStats();
+  }
+
+  /**
+   * Query stored leads (needs a storage adapter with queryLeads, such as SqliteLeadStore)
+   *
+   * @param {object} options - Query options
+   * @param {object} options.where - Field filters, e.g. { 'sender.state': 'Gujarat', queryTime: { gte: '2024-05-01' } }
+   * @param {string|object|Array} options.orderBy - Sort order, e.g. '-queryTime' (default)
+   * @param {number} options.limit - Maximum leads (default: 100)
+   * @param {number} options.offset - Leads to skip (default: 0)
+   * @returns {Promise<object>} Query result with success status and leads array
+   * @example
+   * ```javascript
+   * const sdk = new IndiaMartSDK(crmKey, { storage: new SqliteLeadStore({ filename: './data/leads.db' }) });
+   * const { leads } = await sdk.queryLeads({
+   *   where: { queryType: 'W', 'query.productName': { like: '%pump%' } },
+   *   orderBy: '-queryTime',
+   *   limit: 20
+   * });
+   * ```
+   */
+  async queryLeads(options = {}) {
+    if (!this.storage || typeof this.storage.queryLeads !== 'function') {
+      return {
+        success: false,
+        error: 'The configured storage does not support queries (use SqliteLeadStore)',
+        leads: []
+      };
+    }
+
+    try {
+      const leads = await this.storage.queryLeads(options);
+      return {
+        success: true,
+        count: leads.length,
+        leads
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        leads: []
+      };
+    }
+  }
+
   /**
    * Clear cache
    * @param {string} pattern - Optional pattern to clear specific cache entries
@@ -756,11 +1315,14 @@ export class IndiaMartSDK {
   async getHealthStatus() {
     try {
       const cacheStats = this.cache.getStats();
-      const rateLimitStatus = await this.rateLimiter.getStatus();
+      const rateLimitStatus = await this.rateGovernor.getStatus();
+      const circuitStatus = this.circuitBreaker.getStatus();
+      const clockStatus = this.clockSkew.getStatus();
       
       return {
         success: true,
-        status: 'healthy',
+        // An open circuit means IndiaMART kept failing: calls fail fast until the trial call succeeds
+        status: circuitStatus.state === CIRCUIT_STATES.CLOSED ? 'healthy' : 'degraded',
         timestamp: new Date().toISOString(),
         version: '1.0.2',
         components: {
@@ -779,11 +1341,29 @@ export class IndiaMartSDK {
             callsPerHour: this.cleanValue(rateLimitStatus.callsPerHour) || 0,
             isBlocked: this.cleanValue(rateLimitStatus.isBlocked) || false,
             retryAfter: this.cleanValue(rateLimitStatus.retryAfter) || 0,
+            reason: this.cleanValue(rateLimitStatus.reason) || 'OK',
+            nextSlotAt: this.cleanValue(rateLimitStatus.nextSlotAt) || null,
             callsRemaining: Math.max(0, (this.cleanValue(rateLimitStatus.hourLimit) || 0) - (this.cleanValue(rateLimitStatus.callsPerHour) || 0)),
             minuteLimit: this.cleanValue(rateLimitStatus.minuteLimit) || 0,
             hourLimit: this.cleanValue(rateLimitStatus.hourLimit) || 0,
             totalCallsToday: this.cleanValue(rateLimitStatus.totalCallsToday) || 0
           },
+          circuitBreaker: {
+            status: circuitStatus.state,
+            failures: circuitStatus.failures,
+            failureThreshold: circuitStatus.failureThreshold,
+            openedAt: circuitStatus.openedAt,
+            nextAttemptAt: circuitStatus.nextAttemptAt,
+            retryAfter: circuitStatus.retryAfter,
+            lastFailure: circuitStatus.lastFailure
+          },
+          clock: {
+            status: clockStatus.skewed ? 'skewed' : 'synced',
+            offsetMs: clockStatus.offsetMs,
+            thresholdMs: clockStatus.thresholdMs,
+            samples: clockStatus.samples,
+            correcting: clockStatus.correcting
+          },
           logger: {
             status: 'active',
             logLevel: 'INFO'
@@ -805,6 +1385,8 @@ export class IndiaMartSDK {
         components: {
           cache: { status: 'error', error: 'Health check failed' },
           rateLimiter: { status: 'error', error: 'Health check failed' },
+          circuitBreaker: { status: 'error', error: 'Health check failed' },
+          clock: { status: 'error', error: 'Health check failed' },
           logger: { status: 'error', error: 'Health check failed' },
           client: { status: 'error', error: 'Health check failed' }
         }
@@ -822,7 +1404,7 @@ export class IndiaMartSDK {
       this.cache.destroy();
       
       // Clear sensitive data
-      this.crmKey = '[REDACTED]';
+      this.client.clearKey();
       
       await this.secureLogger.info('SDK destroyed and resources cleaned up');
       
@@ -8,6 +8,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { InputValidator } from './input-validator.js';
+import { writeFileAtomic } from './atomic-file.js';
 
 /**
  * Log levels
@@ -287,7 +288,7 @@ export class SecureLogger {
       });
 
       const logContent = recentLogs.map(log => JSON.stringify(log)).join('\n');
-      await fs.writeFile(this.logFile, logContent + '\n');
+      await writeFileAtomic(this.logFile, logContent + '\n');
     } catch (error) {
       // Silently fail
     }
@@ -0,0 +1,478 @@
+/**
+ * SQLite Lead Store - Queryable storage adapter backed by SQLite
+ *
+ * Implements the storage adapter interface (see storage-adapter.js) and adds queries:
+ * - Processed leads are upserted on uniqueQueryId, so re-fetched leads are updated, not duplicated
+ * - queryTime, queryType, sender.state and query.productName are indexed
+ * - queryLeads({ where, orderBy, limit }) answers questions without scanning JSON files
+ * - Fetched batches are tracked in their own table for the pending/processed/failed workflow
+ *
+ * Uses Node's built-in `node:sqlite` (Node 22.5+) when available, otherwise the optional
+ * `better-sqlite3` package. An already opened database of either kind can be passed in.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { formatQueryTime } from './date-compliance.js';
+
+/**
+ * Lead fields that can be filtered and sorted, mapped to their columns
+ */
+export const LEAD_QUERY_FIELDS = {
+  uniqueQueryId: 'unique_query_id',
+  queryTime: 'query_time',
+  queryType: 'query_type',
+  'sender.name': 'sender_name',
+  'sender.mobile': 'sender_mobile',
+  'sender.email': 'sender_email',
+  'sender.company': 'sender_company',
+  'sender.city': 'sender_city',
+  'sender.state': 'sender_state',
+  'sender.country': 'sender_country',
+  'query.productName': 'product_name',
+  'query.category': 'category'
+};
+
+const OPERATORS = {
+  eq: '=',
+  ne: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'LIKE'
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS leads (
+    unique_query_id TEXT PRIMARY KEY,
+    query_time TEXT,
+    query_type TEXT,
+    sender_name TEXT,
+    sender_mobile TEXT,
+    sender_email TEXT,
+    sender_company TEXT,
+    sender_city TEXT,
+    sender_state TEXT,
+    sender_country TEXT,
+    product_name TEXT,
+    category TEXT,
+    batch_id INTEGER,
+    data TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_leads_query_time ON leads (query_time);
+  CREATE INDEX IF NOT EXISTS idx_leads_query_type ON leads (query_type);
+  CREATE INDEX IF NOT EXISTS idx_leads_sender_state ON leads (sender_state);
+  CREATE INDEX IF NOT EXISTS idx_leads_product_name ON leads (product_name);
+
+  CREATE TABLE IF NOT EXISTS lead_batches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    lead_count INTEGER NOT NULL,
+    metadata TEXT,
+    error TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_lead_batches_status ON lead_batches (status);
+`;
+
+/**
+ * Build the SQL for a lead query
+ *
+ * @param {object} options - Query options
+ * @param {object} options.where - Field filters: a value, an array (IN) or operators { gte, lt, like, ... }
+ * @param {string|object|Array} options.orderBy - 'queryTime', '-queryTime', { field, direction } or a list (default: '-queryTime')
+ * @param {number} options.limit - Maximum rows (default: 100)
+ * @param {number} options.offset - Rows to skip (default: 0)
+ * @returns {object} { sql, params }
+ */
+export function buildLeadQuery({ where = {}, orderBy = '-queryTime', limit = 100, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  for (const [field, condition] of Object.entries(where)) {
+    const column = resolveColumn(field);
+
+    if (condition === null) {
+      conditions.push(`${column} IS NULL`);
+    } else if (Array.isArray(condition)) {
+      if (condition.length === 0) {
+        conditions.push('0');
+        continue;
+      }
+      conditions.push(`${column} IN (${condition.map(() => '?').join(', ')})`);
+      params.push(...condition.map(toSqlValue));
+    } else if (typeof condition === 'object' && !(condition instanceof Date)) {
+      for (const [operator, value] of Object.entries(condition)) {
+        if (operator === 'in') {
+          conditions.push(`${column} IN (${value.map(() => '?').join(', ')})`);
+          params.push(...value.map(toSqlValue));
+          continue;
+        }
+        if (!OPERATORS[operator]) {
+          throw new Error(`Unknown operator "${operator}" for ${field} (use ${[...Object.keys(OPERATORS), 'in'].join(', ')})`);
+        }
+        conditions.push(`${column} ${OPERATORS[operator]} ?`);
+        params.push(toSqlValue(value));
+      }
+    } else {
+      conditions.push(`${column} = ?`);
+      params.push(toSqlValue(condition));
+    }
+  }
+
+  const order = [].concat(orderBy || []).map(entry => {
+    const { field, direction } = typeof entry === 'string'
+      ? { field: entry.replace(/^-/, ''), direction: entry.startsWith('-') ? 'DESC' : 'ASC' }
+      : entry;
+    const dir = String(direction || 'ASC').toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+    return `${resolveColumn(field)} ${dir}`;
+  });
+
+  let sql = 'SELECT data FROM leads';
+  if (conditions.length > 0) sql += ` WHERE ${conditions.join(' AND ')}`;
+  if (order.length > 0) sql += ` ORDER BY ${order.join(', ')}`;
+  sql += ' LIMIT ? OFFSET ?';
+  params.push(Math.max(0, Number(limit) || 0), Math.max(0, Number(offset) || 0));
+
+  return { sql, params };
+}
+
+export class SqliteLeadStore {
+  /**
+   * Create a SQLite lead store
+   *
+   * @param {object} options - Store configuration
+   * @param {string} options.filename - Database file (default: './data/leads.db'; ':memory:' for a temporary store)
+   * @param {object} options.database - Already opened node:sqlite or better-sqlite3 database (filename is then only a label)
+   * @param {Function} options.onFileWritten - Called with { path, type, leadsCount } when a batch is stored or failed
+   */
+  constructor(options = {}) {
+    this.filename = options.filename || path.join('.', 'data', 'leads.db');
+    this.db = options.database || null;
+    this.onFileWritten = options.onFileWritten || null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Open the database and create the schema
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      return;
+    }
+
+    if (!this.db) {
+      if (this.filename !== ':memory:') {
+        fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+      }
+      const open = await loadDriver();
+      this.db = open(this.filename);
+    }
+
+    this.db.exec(SCHEMA);
+    this.isInitialized = true;
+  }
+
+  /**
+   * Upsert processed leads and record the batch
+   * @param {Array} leads - Processed lead objects
+   * @param {Object} metadata - API call metadata
+   * @returns {Promise<string|null>} Batch id, or null when there is nothing to store
+   */
+  async storeLeads(leads, metadata = {}) {
+    await this.initialize();
+
+    const valid = (leads || []).filter(lead => lead && lead.uniqueQueryId);
+    if (valid.length === 0) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const upsert = this.db.prepare(`
+      INSERT INTO leads (
+        unique_query_id, query_time, query_type, sender_name, sender_mobile, sender_email,
+        sender_company, sender_city, sender_state, sender_country, product_name, category,
+        batch_id, data, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (unique_query_id) DO UPDATE SET
+        query_time = excluded.query_time,
+        query_type = excluded.query_type,
+        sender_name = excluded.sender_name,
+        sender_mobile = excluded.sender_mobile,
+        sender_email = excluded.sender_email,
+        sender_company = excluded.sender_company,
+        sender_city = excluded.sender_city,
+        sender_state = excluded.sender_state,
+        sender_country = excluded.sender_country,
+        product_name = excluded.product_name,
+        category = excluded.category,
+        batch_id = excluded.batch_id,
+        data = excluded.data,
+        updated_at = excluded.updated_at
+    `);
+
+    let batchId;
+    this.db.exec('BEGIN');
+    try {
+      const batch = this.db.prepare(
+        'INSERT INTO lead_batches (status, lead_count, metadata, created_at, updated_at) VALUES (?, ?, ?, ?, ?)'
+      ).run('pending', valid.length, JSON.stringify(metadata), now, now);
+      batchId = Number(batch.lastInsertRowid);
+
+      for (const lead of valid) {
+        upsert.run(
+          String(lead.uniqueQueryId),
+          toSqlValue(lead.queryTime),
+          toSqlValue(lead.queryType),
+          toSqlValue(lead.sender?.name),
+          toSqlValue(lead.sender?.mobile),
+          toSqlValue(lead.sender?.email),
+          toSqlValue(lead.sender?.company),
+          toSqlValue(lead.sender?.city),
+          toSqlValue(lead.sender?.state),
+          toSqlValue(lead.sender?.country),
+          toSqlValue(lead.query?.productName),
+          toSqlValue(lead.query?.category),
+          batchId,
+          JSON.stringify(lead),
+          now,
+          now
+        );
+      }
+      this.db.exec('COMMIT');
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+
+    this.notifyFileWritten({ path: `${this.filename}#${batchId}`, type: 'leads', leadsCount: valid.length });
+    return String(batchId);
+  }
+
+  /**
+   * Query stored leads
+   * @param {object} options - See buildLeadQuery
+   * @returns {Promise<Array>} Processed leads
+   * @example
+   * ```javascript
+   * await store.queryLeads({
+   *   where: { 'sender.state': 'Gujarat', queryTime: { gte: '2024-05-01', lt: '2024-06-01' } },
+   *   orderBy: '-queryTime',
+   *   limit: 50
+   * });
+   * ```
+   */
+  async queryLeads(options = {}) {
+    await this.initialize();
+
+    const { sql, params } = buildLeadQuery(options);
+    return this.db.prepare(sql).all(...params).map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Get a stored lead by its UNIQUE_QUERY_ID
+   * @param {string} uniqueQueryId - Lead ID
+   * @returns {Promise<Object|null>} Processed lead
+   */
+  async getLead(uniqueQueryId) {
+    await this.initialize();
+
+    const row = this.db.prepare('SELECT data FROM leads WHERE unique_query_id = ?').get(String(uniqueQueryId));
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Mark a batch as processed
+   * @param {string} id - Batch id
+   */
+  async markAsProcessed(id) {
+    await this.initialize();
+    this.updateBatch(id, 'processed', null);
+  }
+
+  /**
+   * Mark a batch as failed
+   * @param {string} id - Batch id
+   * @param {string} error - Error message
+   */
+  async markAsFailed(id, error) {
+    await this.initialize();
+    const batch = this.updateBatch(id, 'failed', error);
+    this.notifyFileWritten({ path: `${this.filename}#${id}`, type: 'failed', leadsCount: batch.lead_count });
+  }
+
+  /**
+   * Get ids of batches that are not processed yet
+   * @returns {Promise<string[]>} Batch ids, oldest first
+   */
+  async getPendingFiles() {
+    await this.initialize();
+
+    return this.db.prepare("SELECT id FROM lead_batches WHERE status = 'pending' ORDER BY id")
+      .all()
+      .map(row => String(row.id));
+  }
+
+  /**
+   * Read a batch with its leads
+   * @param {string} id - Batch id
+   * @returns {Promise<Object>} Batch data ({ timestamp, metadata, leads })
+   */
+  async readLeadFile(id) {
+    await this.initialize();
+
+    const batch = this.getBatch(id);
+    const leads = this.db.prepare('SELECT data FROM leads WHERE batch_id = ? ORDER BY query_time')
+      .all(batch.id)
+      .map(row => JSON.parse(row.data));
+
+    return {
+      timestamp: batch.created_at,
+      metadata: { totalLeads: batch.lead_count, ...JSON.parse(batch.metadata || '{}') },
+      leads,
+      ...(batch.error ? { error: JSON.parse(batch.error) } : {})
+    };
+  }
+
+  /**
+   * Get storage statistics
+   * @returns {Promise<Object>} Storage statistics
+   */
+  async getStats() {
+    await this.initialize();
+
+    const counts = { pending: 0, processed: 0, failed: 0 };
+    let pendingLeads = 0;
+    for (const row of this.db.prepare('SELECT status, COUNT(*) AS count, SUM(lead_count) AS leads FROM lead_batches GROUP BY status').all()) {
+      counts[row.status] = Number(row.count);
+      if (row.status === 'pending') pendingLeads = Number(row.leads) || 0;
+    }
+    const stored = this.db.prepare('SELECT COUNT(*) AS count FROM leads').get();
+
+    return {
+      pendingFiles: counts.pending,
+      processedFiles: counts.processed,
+      failedFiles: counts.failed,
+      totalLeads: pendingLeads,
+      storedLeads: Number(stored.count),
+      storageDir: this.filename
+    };
+  }
+
+  /**
+   * Remove processed and failed batch records older than the given age (stored leads are kept)
+   * @param {number} daysOld - Age in days
+   * @returns {Promise<number>} Number of batch records removed
+   */
+  async cleanupOldFiles(daysOld = 30) {
+    await this.initialize();
+
+    const cutoff = new Date(Date.now() - daysOld * 24 * 60 * 60 * 1000).toISOString();
+    const result = this.db.prepare("DELETE FROM lead_batches WHERE status != 'pending' AND updated_at <= ?").run(cutoff);
+    return Number(result.changes);
+  }
+
+  /**
+   * Close the database
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.isInitialized = false;
+    }
+  }
+
+  /**
+   * Look up a batch or throw
+   * @param {string} id - Batch id
+   * @returns {object} Batch row
+   */
+  getBatch(id) {
+    const batch = this.db.prepare('SELECT * FROM lead_batches WHERE id = ?').get(Number(id));
+    if (!batch) {
+      throw new Error(`Unknown lead batch: ${id}`);
+    }
+    return batch;
+  }
+
+  /**
+   * Set a batch status
+   * @param {string} id - Batch id
+   * @param {string} status - New status
+   * @param {string|null} error - Error message for failed batches
+   * @returns {object} Batch row
+   */
+  updateBatch(id, status, error) {
+    const batch = this.getBatch(id);
+    const errorInfo = error ? JSON.stringify({ message: error, timestamp: new Date().toISOString() }) : null;
+    this.db.prepare('UPDATE lead_batches SET status = ?, error = ?, updated_at = ? WHERE id = ?')
+      .run(status, errorInfo, new Date().toISOString(), batch.id);
+    return batch;
+  }
+
+  /**
+   * Report a stored batch to the onFileWritten handler
+   * @param {Object} info - Batch information (path, type, leadsCount)
+   */
+  notifyFileWritten(info) {
+    if (!this.onFileWritten) return;
+
+    try {
+      this.onFileWritten(info);
+    } catch (error) {
+      console.warn(`⚠️  onFileWritten handler failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Load a SQLite driver
+ * @returns {Promise<Function>} Function that opens a database file
+ */
+async function loadDriver() {
+  try {
+    const { DatabaseSync } = await import('node:sqlite');
+    return (filename) => new DatabaseSync(filename);
+  } catch {
+    // Not available on this Node version
+  }
+
+  try {
+    const { default: Database } = await import('better-sqlite3');
+    return (filename) => new Database(filename);
+  } catch {
+    // Optional dependency not installed
+  }
+
+  throw new Error('SqliteLeadStore needs node:sqlite (Node 22.5+) or the optional "better-sqlite3" package (npm install better-sqlite3)');
+}
+
+/**
+ * Map a query field to its column
+ * @param {string} field - Lead field (e.g. 'sender.state')
+ * @returns {string} Column name
+ */
+function resolveColumn(field) {
+  const column = LEAD_QUERY_FIELDS[field];
+  if (!column) {
+    throw new Error(`Cannot query on "${field}" (use ${Object.keys(LEAD_QUERY_FIELDS).join(', ')})`);
+  }
+  return column;
+}
+
+/**
+ * Convert a value to something SQLite can bind
+ * @param {*} value - Value
+ * @returns {string|number|null} Bindable value
+ */
+function toSqlValue(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return formatQueryTime(value); // IST text, like query_time
+  if (typeof value === 'number') return value;
+  return String(value);
+}
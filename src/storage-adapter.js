@@ -0,0 +1,218 @@
+/**
+ * Storage Adapters - Pluggable lead storage
+ *
+ * The client stores every fetched batch before it is processed. Any object with these
+ * methods can be passed as `storage` to IndiaMartSDK or IndiaMartClient:
+ *
+ *   storeLeads(leads, metadata)        → Promise<string>  id of the stored batch (a file path for the filesystem)
+ *   markAsProcessed(id)                → Promise<void>
+ *   markAsFailed(id, errorMessage)     → Promise<void>
+ *   getPendingFiles()                  → Promise<string[]> ids of batches not yet processed, oldest first
+ *   getStats()                         → Promise<{ pendingFiles, processedFiles, failedFiles, totalLeads, storageDir }>
+ *   cleanupOldFiles(daysOld)           → Promise<number>  processed/failed batches removed
+ *
+ * Optional: initialize() (called once before use) and readLeadFile(id) (returns { metadata, leads }).
+ *
+ * Shipped implementations:
+ * - FileStorageManager: JSON files in leads/, processed/ and failed/ (default)
+ * - MemoryStorageAdapter: in-process, for tests and short-lived workers
+ */
+
+export { FileStorageManager as FileSystemStorageAdapter } from './file-storage-manager.js';
+
+export const STORAGE_ADAPTER_METHODS = [
+  'storeLeads',
+  'markAsProcessed',
+  'markAsFailed',
+  'getPendingFiles',
+  'getStats',
+  'cleanupOldFiles'
+];
+
+/**
+ * Check that an object implements the storage adapter interface
+ * @param {object} adapter - Storage adapter
+ * @returns {object} The adapter
+ */
+export function assertStorageAdapter(adapter) {
+  if (!adapter || typeof adapter !== 'object') {
+    throw new Error('Storage adapter must be an object');
+  }
+
+  const missing = STORAGE_ADAPTER_METHODS.filter(method => typeof adapter[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Storage adapter is missing required methods: ${missing.join(', ')}`);
+  }
+
+  return adapter;
+}
+
+export class MemoryStorageAdapter {
+  /**
+   * Create an in-memory storage adapter
+   * @param {object} options - Adapter options
+   * @param {Function} options.onFileWritten - Called with { path, type, leadsCount } when a batch is stored or failed
+   */
+  constructor(options = {}) {
+    this.batches = new Map();
+    this.nextId = 1;
+    this.onFileWritten = options.onFileWritten || null;
+  }
+
+  /**
+   * Nothing to prepare; present so the adapter can be initialized like the filesystem one
+   */
+  async initialize() {}
+
+  /**
+   * Store a batch of leads
+   * @param {Array} leads - Lead objects
+   * @param {Object} metadata - API call metadata
+   * @returns {Promise<string|null>} Batch id, or null when there is nothing to store
+   */
+  async storeLeads(leads, metadata = {}) {
+    if (!leads || leads.length === 0) {
+      return null;
+    }
+
+    const id = `memory://leads/${String(this.nextId++).padStart(6, '0')}`;
+    this.batches.set(id, {
+      status: 'pending',
+      updatedAt: Date.now(),
+      data: {
+        timestamp: new Date().toISOString(),
+        metadata: {
+          totalLeads: leads.length,
+          apiCallTime: metadata.apiCallTime || new Date().toISOString(),
+          responseCode: metadata.responseCode || 200,
+          responseMessage: metadata.responseMessage || 'Success',
+          ...metadata
+        },
+        leads: [...leads]
+      }
+    });
+
+    this.notifyFileWritten({ path: id, type: 'leads', leadsCount: leads.length });
+    return id;
+  }
+
+  /**
+   * Mark a batch as processed
+   * @param {string} id - Batch id
+   */
+  async markAsProcessed(id) {
+    const batch = this.getBatch(id);
+    batch.status = 'processed';
+    batch.updatedAt = Date.now();
+  }
+
+  /**
+   * Mark a batch as failed
+   * @param {string} id - Batch id
+   * @param {string} error - Error message
+   */
+  async markAsFailed(id, error) {
+    const batch = this.getBatch(id);
+    batch.status = 'failed';
+    batch.updatedAt = Date.now();
+    batch.data.error = {
+      message: error,
+      timestamp: new Date().toISOString()
+    };
+
+    this.notifyFileWritten({ path: id, type: 'failed', leadsCount: batch.data.leads.length });
+  }
+
+  /**
+   * Get ids of batches that are not processed yet
+   * @returns {Promise<string[]>} Batch ids, oldest first
+   */
+  async getPendingFiles() {
+    return [...this.batches.entries()]
+      .filter(([, batch]) => batch.status === 'pending')
+      .map(([id]) => id)
+      .sort();
+  }
+
+  /**
+   * Read a stored batch
+   * @param {string} id - Batch id
+   * @returns {Promise<Object>} Batch data ({ timestamp, metadata, leads })
+   */
+  async readLeadFile(id) {
+    return structuredClone(this.getBatch(id).data);
+  }
+
+  /**
+   * Get storage statistics
+   * @returns {Promise<Object>} Storage statistics
+   */
+  async getStats() {
+    const stats = {
+      pendingFiles: 0,
+      processedFiles: 0,
+      failedFiles: 0,
+      totalLeads: 0,
+      storageDir: 'memory'
+    };
+
+    for (const batch of this.batches.values()) {
+      if (batch.status === 'pending') {
+        stats.pendingFiles++;
+        stats.totalLeads += batch.data.leads.length;
+      } else if (batch.status === 'processed') {
+        stats.processedFiles++;
+      } else {
+        stats.failedFiles++;
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Remove processed and failed batches older than the given age
+   * @param {number} daysOld - Age in days
+   * @returns {Promise<number>} Number of batches removed
+   */
+  async cleanupOldFiles(daysOld = 30) {
+    const cutoff = Date.now() - daysOld * 24 * 60 * 60 * 1000;
+    let cleanedCount = 0;
+
+    for (const [id, batch] of this.batches) {
+      if (batch.status !== 'pending' && batch.updatedAt <= cutoff) {
+        this.batches.delete(id);
+        cleanedCount++;
+      }
+    }
+
+    return cleanedCount;
+  }
+
+  /**
+   * Look up a batch or throw
+   * @param {string} id - Batch id
+   * @returns {object} Batch entry
+   */
+  getBatch(id) {
+    const batch = this.batches.get(id);
+    if (!batch) {
+      throw new Error(`Unknown lead batch: ${id}`);
+    }
+    return batch;
+  }
+
+  /**
+   * Report a stored batch to the onFileWritten handler
+   * @param {Object} info - Batch information (path, type, leadsCount)
+   */
+  notifyFileWritten(info) {
+    if (!this.onFileWritten) return;
+
+    try {
+      this.onFileWritten(info);
+    } catch (error) {
+      console.warn(`⚠️  onFileWritten handler failed: ${error.message}`);
+    }
+  }
+}
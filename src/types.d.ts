@@ -2,13 +2,59 @@
  * TypeScript definitions for IndiaMART LMS CRM Integration Client
  */
 
+import { EventEmitter } from 'events';
+
+export interface TransportResponse {
+  status: number;
+  statusText?: string;
+  headers?: { get(name: string): string | null; entries(): IterableIterator<[string, string]> };
+  json(): Promise<any>;
+}
+
+/** Request function used by the client; receives an AbortSignal that fires on timeout or cancellation */
+export type Transport = (
+  url: string,
+  init: { method: string; headers: Record<string, string>; signal: AbortSignal }
+) => Promise<TransportResponse>;
+
 export interface IndiaMartClientOptions {
-  /** Your IndiaMART CRM key */
-  crmKey: string;
+  /** Your IndiaMART CRM key (required unless keyProvider is given) */
+  crmKey?: string;
+  /** Asked for the key before the first call (if crmKey is not given) and after IndiaMART rejects the key */
+  keyProvider?: KeyProvider | (() => string | Promise<string>);
+  /** Called when IndiaMART reports the key expired */
+  onKeyExpired?: (info: KeyExpiredInfo) => void;
   /** Override base URL (mainly for testing) */
   baseUrl?: string;
-  /** Request timeout in milliseconds */
+  /** Per-attempt request timeout in milliseconds (default: 30000) */
   timeoutMs?: number;
+  /** Timeout for a whole fetch including retries, in milliseconds (default: none) */
+  operationTimeoutMs?: number;
+  /** Custom request function (default: global fetch) */
+  transport?: Transport;
+  /** Record or replay HTTP interactions */
+  cassette?: CassetteOptions;
+  /** Storage adapter for fetched leads (default: JSON files) */
+  storage?: StorageAdapter;
+  /** Called after the storage adapter stored the leads of a fetch */
+  onLeadsStored?: (event: LeadsStoredEvent) => void;
+  /** Rate governor consulted before every call, or options for one; `{ persist: false }` keeps the counters in memory (default: a governor on './logs/rate-limits.json') */
+  rateGovernor?: RateGovernor | RateGovernorOptions;
+  /** Stops calls while IndiaMART keeps failing (default: a new breaker) */
+  circuitBreaker?: CircuitBreaker;
+  /** Decides whether and when failed calls are retried (default: a new policy) */
+  retryPolicy?: RetryPolicy | RetryPolicyOptions;
+  /** Middleware to add after the built-in logging, storage and compliance middleware */
+  middleware?: ClientMiddleware[];
+  /** Estimates the local clock's skew from response Date headers (default: a new monitor that warns on the console) */
+  clockSkew?: ClockSkewMonitor | ClockSkewMonitorOptions;
+}
+
+export interface CassetteOptions {
+  /** 'record' writes every request/response pair; 'replay' serves them without the network */
+  mode: 'record' | 'replay';
+  /** Cassette file path */
+  path: string;
 }
 
 export interface GetLeadsOptions {
@@ -20,6 +66,18 @@ export interface GetLeadsOptions {
   page?: number;
   /** Optional AbortController signal for cancellation */
   signal?: AbortSignal;
+  /** Per-attempt timeout in milliseconds (default: client timeoutMs) */
+  timeoutMs?: number;
+  /** Timeout for the whole fetch, every page and retry included, in milliseconds (default: client operationTimeoutMs) */
+  operationTimeoutMs?: number;
+  /** Fetch remaining pages when TOTAL_RECORDS exceeds the returned page (default: true) */
+  autoPaginate?: boolean;
+  /** Maximum number of pages to fetch (default: 10) */
+  maxPages?: number;
+  /** Called before each follow-up page; return false to stop and return a partial result */
+  canFetchPage?: (page: number) => boolean;
+  /** Called after each follow-up page is fetched */
+  onPageFetched?: (page: number, pageResult: any) => void;
 }
 
 export interface GetLeadsResponse {
@@ -29,8 +87,14 @@ export interface GetLeadsResponse {
   message?: string;
   /** Total number of records available */
   totalRecords?: number;
-  /** Array of lead objects */
+  /** Array of lead objects (merged across pages, de-duplicated on UNIQUE_QUERY_ID) */
   leads: Lead[];
+  /** Whether TOTAL_RECORDS unique leads were fetched (duplicates across pages do not count) */
+  complete: boolean;
+  /** Whether some records are missing (rate budget, page limit or page error) */
+  partial: boolean;
+  /** Number of pages fetched */
+  pagesFetched: number;
   /** Raw response from IndiaMART API */
   raw: any;
 }
@@ -65,12 +129,16 @@ export interface Lead {
 }
 
 export declare class IndiaMartClient {
-  /** Your IndiaMART CRM key */
-  readonly crmKey: string;
+  /** Current CRM key (null until the key provider supplied one) */
+  readonly crmKey: string | null;
+  /** Where the key comes from */
+  readonly keyProvider: KeyProvider | null;
   /** Base URL for API requests */
   readonly baseUrl: string;
-  /** Request timeout in milliseconds */
+  /** Per-attempt request timeout in milliseconds */
   readonly timeoutMs: number;
+  /** Timeout for a whole fetch including retries */
+  readonly operationTimeoutMs: number | null;
 
   /**
    * Create a new IndiaMartClient instance
@@ -99,4 +167,999 @@ export declare class IndiaMartClient {
    * @returns Promise resolving to leads response
    */
   getLeads(options?: GetLeadsOptions): Promise<GetLeadsResponse>;
+
+  /** Middleware chain, built-ins first */
+  readonly middleware: ClientMiddleware[];
+  /** Skew estimate used by the client's date windows */
+  readonly clockSkew: ClockSkewMonitor;
+
+  /**
+   * Add a middleware to the end of the chain
+   * @param middleware `async (ctx, next) => …`
+   * @returns This client
+   */
+  use(middleware: ClientMiddleware): this;
+
+  /** Use a new CRM key for every following call */
+  setKey(key: string): void;
+
+  /**
+   * Ask the key provider for the key again
+   * @param rejectedKey Key IndiaMART rejected
+   * @returns True if a different key is now in use
+   */
+  refreshKey(rejectedKey?: string | null): Promise<boolean>;
+
+  /** Forget the key and its provider */
+  clearKey(): void;
+}
+
+export interface RateLimitEvent {
+  /** Why the call was denied (e.g. MINUTE_LIMIT_EXCEEDED, RATE_LIMIT_5_MIN) */
+  reason: string;
+  /** Milliseconds until the next call may be allowed */
+  retryAfter: number;
+  /** Human-readable message */
+  message?: string;
+  /** Component that reported the event */
+  source: 'rateLimiter' | 'compliance' | 'api';
+}
+
+export interface BlockedEvent extends RateLimitEvent {
+  /** ISO timestamp when the block ends */
+  blockedUntil: string;
+}
+
+export interface RecoveredEvent {
+  /** Why the block ended */
+  reason: string;
+  /** Component that reported the event */
+  source: 'rateLimiter' | 'compliance' | 'api';
+}
+
+export interface BatchEvent {
+  /** Leads fetched in this batch */
+  leads: any[];
+  /** Total records reported by IndiaMART */
+  totalRecords: number;
+  /** Whether all records were fetched */
+  complete: boolean;
+  /** Number of pages fetched */
+  pagesFetched: number;
+  startDate?: Date | string;
+  endDate?: Date | string;
+}
+
+export interface ApiErrorEvent {
+  /** Error for the failed attempt */
+  error: Error;
+  /** Attempt number */
+  attempt: number;
+  /** Whether the client will retry */
+  willRetry: boolean;
+  startTime?: string;
+  endTime?: string;
+  page?: number;
+  source: 'client';
+}
+
+export interface CacheHitEvent {
+  /** Cache key that was hit */
+  key: string;
+  startDate: Date;
+  endDate: Date;
+}
+
+export interface LeadsStoredEvent {
+  /** Id the storage adapter returned for the batch (a file path for the filesystem) */
+  batchId: string;
+  leadsCount: number;
+  startTime: string;
+  endTime: string;
+  /** Whether all records of the fetch were stored */
+  complete: boolean;
+}
+
+export interface FileWrittenEvent {
+  /** Path of the written file */
+  path: string;
+  /** Kind of file */
+  type: 'download' | 'leads' | 'csv' | 'failed';
+  /** Number of leads in the file */
+  leadsCount: number;
+}
+
+/** Events emitted by IndiaMartSDK (see SDK_EVENTS) */
+export interface IndiaMartSDKEvents {
+  lead: [lead: any, context: { startDate?: Date | string; endDate?: Date | string; page?: number }];
+  batch: [event: BatchEvent];
+  rateLimited: [event: RateLimitEvent];
+  blocked: [event: BlockedEvent];
+  recovered: [event: RecoveredEvent];
+  apiError: [event: ApiErrorEvent];
+  cacheHit: [event: CacheHitEvent];
+  fileWritten: [event: FileWrittenEvent];
+  leadsStored: [event: LeadsStoredEvent];
+  complianceViolation: [violation: { type: string; message: string; retryAfter: number }];
+  circuitOpen: [status: CircuitBreakerStatus];
+  circuitHalfOpen: [status: CircuitBreakerStatus];
+  circuitClosed: [status: CircuitBreakerStatus];
+  keyExpired: [info: KeyExpiredInfo];
+  clockSkew: [status: ClockSkewStatus];
+}
+
+export declare const SDK_EVENTS: {
+  LEAD: 'lead';
+  BATCH: 'batch';
+  RATE_LIMITED: 'rateLimited';
+  BLOCKED: 'blocked';
+  RECOVERED: 'recovered';
+  API_ERROR: 'apiError';
+  CACHE_HIT: 'cacheHit';
+  FILE_WRITTEN: 'fileWritten';
+  LEADS_STORED: 'leadsStored';
+  COMPLIANCE_VIOLATION: 'complianceViolation';
+  CIRCUIT_OPEN: 'circuitOpen';
+  CIRCUIT_HALF_OPEN: 'circuitHalfOpen';
+  CIRCUIT_CLOSED: 'circuitClosed';
+  KEY_EXPIRED: 'keyExpired';
+  CLOCK_SKEW: 'clockSkew';
+};
+
+export interface IndiaMartSDKPaths {
+  downloadPath?: string;
+  logPath?: string;
+  apiLogFile?: string;
+  rateLimitFile?: string;
+  dataPath?: string;
+  leadsPath?: string;
+  processedPath?: string;
+  failedPath?: string;
+}
+
+export interface IndiaMartSDKOptions {
+  /** Per-attempt request timeout in milliseconds (default: 30000) */
+  timeoutMs?: number;
+  /** Timeout for a whole fetch including retries, in milliseconds (default: none) */
+  operationTimeoutMs?: number;
+  transport?: Transport;
+  cassette?: CassetteOptions;
+  /** Storage adapter for fetched leads (default: JSON files under paths.dataPath) */
+  storage?: StorageAdapter;
+  circuitBreaker?: CircuitBreakerOptions;
+  retryPolicy?: RetryPolicy | RetryPolicyOptions;
+  middleware?: ClientMiddleware[];
+  /** Asked for the key again after IndiaMART rejects it (default: the crmKey only) */
+  keyProvider?: KeyProvider | (() => string | Promise<string>);
+  clockSkew?: ClockSkewMonitorOptions;
+  /** 'result' returns failures as { success: false, ... }, 'throw' throws the typed error (default: 'result') */
+  errorMode?: 'result' | 'throw';
+  baseUrl?: string;
+  downloadPath?: string;
+  logPath?: string;
+  paths?: IndiaMartSDKPaths;
+}
+
+/** Result of the SDK's getLeads* methods in 'result' mode */
+export interface SDKLeadsResult {
+  success: boolean;
+  code: number | string;
+  message?: string;
+  error?: string;
+  errorType?: string | null;
+  totalRecords?: number;
+  leads: Lead[];
+  complete?: boolean;
+  partial?: boolean;
+  pagesFetched?: number;
+  attempts?: number;
+  raw: any;
+  downloadPath: string | null;
+  compliance?: any;
+  rateLimit?: Record<string, any>;
+  circuit?: Record<string, any>;
+  [key: string]: any;
+}
+
+export declare class IndiaMartSDK extends EventEmitter {
+  constructor(crmKey: string | KeyProvider | (() => string | Promise<string>), options?: IndiaMartSDKOptions);
+  /** The current key (null until a key provider has supplied one) */
+  readonly crmKey: string | null;
+  readonly client: IndiaMartClient;
+  readonly clockSkew: ClockSkewMonitor;
+  static validateKey(crmKey: string): string;
+  static formatDate(date: Date | string, format?: 'timestamp' | 'date'): string;
+  static validateDateRange(startDate: Date | string, endDate: Date | string): Record<string, any>;
+  initialize(): Promise<void>;
+  rotateKey(newKey: string): Promise<void>;
+  use(middleware: ClientMiddleware): this;
+  getLeadsForToday(options?: { throwOnError?: boolean }): Promise<SDKLeadsResult>;
+  getLeadsForYesterday(options?: { throwOnError?: boolean }): Promise<SDKLeadsResult>;
+  getLeadsForDate(date: Date | string, options?: { throwOnError?: boolean }): Promise<SDKLeadsResult>;
+  getLeadsForDateRange(startDate: Date | string, endDate: Date | string, options?: { throwOnError?: boolean }): Promise<SDKLeadsResult>;
+  getLeadsForLastDays(days: number, options?: { throwOnError?: boolean }): Promise<SDKLeadsResult>;
+  getLeads(params?: Record<string, any>): Promise<SDKLeadsResult>;
+  createRequestScheduler(options?: RequestSchedulerOptions): RequestScheduler;
+  createLeadPoller(options?: Record<string, any>): any;
+  createPushReceiver(options?: PushReceiverOptions): PushReceiver;
+  createLeaderElection(options?: Partial<LeaderElectionOptions>): LeaderElection;
+  backfill(options?: Record<string, any>): Promise<Record<string, any>>;
+  streamLeads(options?: Record<string, any>): AsyncIterable<Lead>;
+  createLeadReadStream(options?: Record<string, any>): NodeJS.ReadableStream;
+  getDownloadPath(): string;
+  setDownloadPath(path: string): void;
+  getAPILogs(limit?: number): any[];
+  getRateLimitStatus(): Record<string, any>;
+  getAPIStats(): Record<string, any>;
+  getRateLimitStats(): Record<string, any>;
+  clearOldLogs(): Promise<void>;
+  resetRateLimits(): Promise<{ success: boolean; message?: string; error?: string }>;
+  getCacheStats(): Record<string, any>;
+  getStorageStats(): Promise<StorageStats>;
+  queryLeads(options?: LeadQueryOptions): Promise<{ success: boolean; leads: Lead[]; error?: string }>;
+  clearCache(pattern?: string | null): Promise<Record<string, any>>;
+  getSecureLogs(limit?: number): Promise<any[]>;
+  clearOldSecureLogs(days?: number): Promise<Record<string, any>>;
+  getHealthStatus(): Promise<Record<string, any>>;
+  destroy(): Promise<void>;
+
+  on<E extends keyof IndiaMartSDKEvents>(event: E, listener: (...args: IndiaMartSDKEvents[E]) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+  once<E extends keyof IndiaMartSDKEvents>(event: E, listener: (...args: IndiaMartSDKEvents[E]) => void): this;
+  once(event: string | symbol, listener: (...args: any[]) => void): this;
+  off<E extends keyof IndiaMartSDKEvents>(event: E, listener: (...args: IndiaMartSDKEvents[E]) => void): this;
+  off(event: string | symbol, listener: (...args: any[]) => void): this;
+  emit<E extends keyof IndiaMartSDKEvents>(event: E, ...args: IndiaMartSDKEvents[E]): boolean;
+  emit(event: string | symbol, ...args: any[]): boolean;
+}
+
+export type MockScenario =
+  | 'noLeads'
+  | 'missingDates'
+  | 'dateRangeTooLarge'
+  | 'incorrectKey'
+  | 'keyExpired'
+  | 'keyReplaced'
+  | 'rateLimit5Min'
+  | 'rateLimit15Min'
+  | 'serverError';
+
+export interface MockLmsServerOptions {
+  /** Accepted CRM key(s) (default: 'mock-crm-key-0123456789') */
+  crmKey?: string | string[];
+  /** Raw leads to serve (default: 25 generated leads from the last 24 hours) */
+  leads?: any[];
+  /** Leads per page (default: 100) */
+  pageSize?: number;
+  /** Apply the 5-minute interval and 15-minute block (default: false) */
+  enforceRateLimits?: boolean;
+  /** Port to listen on (default: random free port) */
+  port?: number;
+}
+
+export interface MockLmsServer {
+  /** Every request served, with its parameters and the CODE returned */
+  readonly requests: Array<{ at: string; params: { start_time: string | null; end_time: string | null; page: string | null }; code: number }>;
+  /** Base URL to pass as `baseUrl` (null when stopped) */
+  readonly baseUrl: string | null;
+  /** Start listening on localhost; resolves with the base URL */
+  start(): Promise<string>;
+  stop(): Promise<void>;
+  /** Answer the next `times` calls with a scenario */
+  queueScenario(name: MockScenario, times?: number): void;
+  /** Answer every later call with this key with a 401 expired message */
+  expireKey(key: string, reason?: 'keyExpired' | 'keyReplaced'): void;
+  seedLeads(leads: any[]): void;
+  addLeads(leads: any[]): void;
+  reset(): void;
+}
+
+export declare function createMockLmsServer(options?: MockLmsServerOptions): MockLmsServer;
+export declare function generateMockLeads(count: number, options?: { from?: Date | string; to?: Date | string; startId?: number }): any[];
+
+export declare function createCassetteTransport(options: CassetteOptions & { transport?: Transport; secrets?: string[] }): Transport;
+export declare function sanitizeUrl(url: string): string;
+
+export interface PushReceiverOptions {
+  /** URL path that accepts pushes (default: '/indiamart/push') */
+  path?: string;
+  /** Storage for received leads (default: a new FileStorageManager) */
+  fileStorageManager?: any;
+  /** Options for a new FileStorageManager */
+  fileStorageOptions?: Record<string, any>;
+  /** Store received leads (default: true) */
+  store?: boolean;
+  /** Optional request check, e.g. a shared secret in the push URL */
+  verifyRequest?: (req: import('http').IncomingMessage) => boolean;
+  /** Largest accepted payload in bytes (default: 1 MB) */
+  maxBodyBytes?: number;
+  /** Lead IDs remembered for de-duplication (default: 1000) */
+  maxSeenIds?: number;
+}
+
+export declare class PushReceiver extends EventEmitter {
+  constructor(options?: PushReceiverOptions);
+  /** Node http handler, also usable as Express middleware */
+  handleRequest(req: import('http').IncomingMessage, res: import('http').ServerResponse): Promise<void>;
+  /** Validate, normalize and store one parsed payload */
+  handlePayload(payload: any): Promise<{ httpStatus: number; body: { CODE: number; STATUS: string; MESSAGE?: string }; lead?: any; duplicate?: boolean }>;
+  listen(port?: number, host?: string): Promise<any>;
+  close(): Promise<void>;
+  getStats(): { received: number; accepted: number; duplicates: number; rejected: number; storageErrors: number; lastReceivedAt: string | null; listening: boolean };
+}
+
+export declare function createPushReceiver(options?: PushReceiverOptions): PushReceiver;
+
+export interface StorageStats {
+  pendingFiles: number;
+  processedFiles: number;
+  failedFiles: number;
+  /** Leads in pending batches */
+  totalLeads: number;
+  storageDir: string;
+}
+
+/** Storage for fetched lead batches (pass as `storage` to the SDK or client) */
+export interface StorageAdapter {
+  initialize?(): Promise<void>;
+  /** Store a batch; resolves with its id (a file path for the filesystem adapter) */
+  storeLeads(leads: any[], metadata?: Record<string, any>): Promise<string | null>;
+  markAsProcessed(id: string): Promise<void>;
+  markAsFailed(id: string, errorMessage: string): Promise<void>;
+  /** Ids of batches not processed yet, oldest first */
+  getPendingFiles(): Promise<string[]>;
+  readLeadFile?(id: string): Promise<{ metadata: Record<string, any>; leads: any[] }>;
+  getStats(): Promise<StorageStats>;
+  /** Remove processed and failed batches older than daysOld; resolves with the number removed */
+  cleanupOldFiles(daysOld?: number): Promise<number>;
+}
+
+export declare class MemoryStorageAdapter implements StorageAdapter {
+  constructor(options?: { onFileWritten?: (info: FileWrittenEvent) => void });
+  initialize(): Promise<void>;
+  storeLeads(leads: any[], metadata?: Record<string, any>): Promise<string | null>;
+  markAsProcessed(id: string): Promise<void>;
+  markAsFailed(id: string, errorMessage: string): Promise<void>;
+  getPendingFiles(): Promise<string[]>;
+  readLeadFile(id: string): Promise<{ metadata: Record<string, any>; leads: any[] }>;
+  getStats(): Promise<StorageStats>;
+  cleanupOldFiles(daysOld?: number): Promise<number>;
+}
+
+export declare function assertStorageAdapter<T extends StorageAdapter>(adapter: T): T;
+
+export type LeadQueryField =
+  | 'uniqueQueryId' | 'queryTime' | 'queryType'
+  | 'sender.name' | 'sender.mobile' | 'sender.email' | 'sender.company'
+  | 'sender.city' | 'sender.state' | 'sender.country'
+  | 'query.productName' | 'query.category';
+
+export type LeadQueryValue = string | number | Date | null;
+
+export interface LeadQueryOperators {
+  eq?: LeadQueryValue; ne?: LeadQueryValue;
+  gt?: LeadQueryValue; gte?: LeadQueryValue;
+  lt?: LeadQueryValue; lte?: LeadQueryValue;
+  like?: string;
+  in?: LeadQueryValue[];
+}
+
+export type LeadOrderBy = string | { field: LeadQueryField; direction?: 'asc' | 'desc' };
+
+export interface LeadQueryOptions {
+  /** Value (equals), array (IN) or operators; dates compare as IST query times */
+  where?: Partial<Record<LeadQueryField, LeadQueryValue | LeadQueryValue[] | LeadQueryOperators>>;
+  /** 'queryTime', '-queryTime' (default), { field, direction } or a list of these */
+  orderBy?: LeadOrderBy | LeadOrderBy[];
+  limit?: number;
+  offset?: number;
+}
+
+export interface SqliteLeadStoreOptions {
+  /** Database file (default: './data/leads.db'; ':memory:' for a temporary store) */
+  filename?: string;
+  /** Already opened node:sqlite or better-sqlite3 database */
+  database?: any;
+  onFileWritten?: (info: FileWrittenEvent) => void;
+}
+
+/** Storage adapter that upserts leads into SQLite and answers queries */
+export declare class SqliteLeadStore implements StorageAdapter {
+  constructor(options?: SqliteLeadStoreOptions);
+  initialize(): Promise<void>;
+  storeLeads(leads: any[], metadata?: Record<string, any>): Promise<string | null>;
+  queryLeads(options?: LeadQueryOptions): Promise<any[]>;
+  getLead(uniqueQueryId: string): Promise<any | null>;
+  markAsProcessed(id: string): Promise<void>;
+  markAsFailed(id: string, errorMessage: string): Promise<void>;
+  getPendingFiles(): Promise<string[]>;
+  readLeadFile(id: string): Promise<{ metadata: Record<string, any>; leads: any[] }>;
+  getStats(): Promise<StorageStats & { storedLeads: number }>;
+  /** Removes old batch records; stored leads are kept */
+  cleanupOldFiles(daysOld?: number): Promise<number>;
+  close(): void;
+}
+
+export declare function buildLeadQuery(options?: LeadQueryOptions): { sql: string; params: Array<string | number | null> };
+
+export interface Lease {
+  key: string;
+  ownerId: string;
+  /** Increases with every change of owner */
+  term: number;
+  acquiredAt: number;
+  renewedAt: number;
+  expiresAt: number;
+}
+
+/** Store for leader election leases */
+export interface LeaseBackend {
+  acquire(key: string, ownerId: string, ttlMs: number): Promise<Lease | null>;
+  renew(key: string, ownerId: string, ttlMs: number): Promise<Lease | null>;
+  release(key: string, ownerId: string): Promise<void>;
+  get(key: string): Promise<Lease | null>;
+}
+
+export declare class FileLeaseBackend implements LeaseBackend {
+  constructor(options?: { directory?: string });
+  acquire(key: string, ownerId: string, ttlMs: number): Promise<Lease | null>;
+  renew(key: string, ownerId: string, ttlMs: number): Promise<Lease | null>;
+  release(key: string, ownerId: string): Promise<void>;
+  get(key: string): Promise<Lease | null>;
+}
+
+export declare class MemoryLeaseBackend implements LeaseBackend {
+  acquire(key: string, ownerId: string, ttlMs: number): Promise<Lease | null>;
+  renew(key: string, ownerId: string, ttlMs: number): Promise<Lease | null>;
+  release(key: string, ownerId: string): Promise<void>;
+  get(key: string): Promise<Lease | null>;
+}
+
+export interface LeaderElectionOptions {
+  /** CRM key to elect a leader for (hashed into the key) */
+  crmKey?: string;
+  /** Election key, used instead of crmKey (SDK default: a hash of the log path) */
+  key?: string;
+  backend?: LeaseBackend;
+  directory?: string;
+  ownerId?: string;
+  leaseTtlMs?: number;
+  renewIntervalMs?: number;
 }
+
+export declare class LeaderElection extends EventEmitter {
+  constructor(options: LeaderElectionOptions);
+  readonly key: string;
+  readonly ownerId: string;
+  start(): Promise<boolean>;
+  stop(): Promise<void>;
+  tick(): Promise<boolean>;
+  isLeader(): boolean;
+  getLeader(): Promise<Lease | null>;
+  getStatus(): {
+    key: string;
+    ownerId: string;
+    running: boolean;
+    isLeader: boolean;
+    term: number | null;
+    expiresAt: string | null;
+    leaseTtlMs: number;
+    renewIntervalMs: number;
+  };
+  on(event: 'elected', listener: (event: { key: string; ownerId: string; term: number; expiresAt: number }) => void): this;
+  on(event: 'lost', listener: (event: { key: string; ownerId: string; reason: string }) => void): this;
+  on(event: 'error', listener: (error: Error) => void): this;
+}
+
+export declare function leaderKeyForCrmKey(crmKey: string): string;
+export declare function leaderKeyForPath(directory: string): string;
+export declare function assertLeaseBackend<T extends LeaseBackend>(backend: T): T;
+
+export interface AccountManagerOptions {
+  /** Directory holding one sub-directory per account (default: './accounts') */
+  baseDir?: string;
+  /** SDK options applied to every account (paths are set per account) */
+  sdkOptions?: Record<string, any>;
+}
+
+export interface AccountLead extends Record<string, any> {
+  /** Name of the account the lead was fetched for */
+  account: string;
+}
+
+export interface AccountFetchResult {
+  success: boolean;
+  /** True when some, but not all, accounts failed */
+  partial: boolean;
+  totalRecords: number;
+  /** Leads of every successful account, newest first */
+  leads: AccountLead[];
+  accounts: Record<string, {
+    success: boolean;
+    code?: number;
+    totalRecords: number;
+    leadsCount: number;
+    downloadPath: string | null;
+    /** Calls made, retries included */
+    attempts: number;
+    error?: string;
+  }>;
+  errors: Array<{ account: string; error: string; code?: number }>;
+  error?: string;
+}
+
+export interface AccountHealthStatus {
+  success: boolean;
+  status: 'healthy' | 'degraded' | 'unhealthy';
+  timestamp: string;
+  summary: { total: number; healthy: number; unhealthy: number; blocked: number; callsRemaining: number };
+  /** Each account's getHealthStatus() report */
+  accounts: Record<string, any>;
+}
+
+export declare class IndiaMartAccountManager extends EventEmitter {
+  constructor(options?: AccountManagerOptions);
+  addAccount(name: string, crmKeyOrSdk: string | any, options?: Record<string, any>): any;
+  removeAccount(name: string): Promise<boolean>;
+  getAccount(name: string): any;
+  listAccounts(): string[];
+  getLeadsForToday(): Promise<AccountFetchResult>;
+  getLeadsForYesterday(): Promise<AccountFetchResult>;
+  getLeadsForDate(date: Date | string): Promise<AccountFetchResult>;
+  getLeadsForDateRange(startDate: Date | string, endDate: Date | string): Promise<AccountFetchResult>;
+  getLeadsForLastDays(days: number): Promise<AccountFetchResult>;
+  startPolling(options?: Record<string, any>): Map<string, any>;
+  stopPolling(name?: string | null): Promise<void>;
+  getRateLimitStatus(): Record<string, any>;
+  getHealthStatus(): Promise<AccountHealthStatus>;
+  destroy(): Promise<void>;
+  on(event: 'newLead', listener: (lead: AccountLead, context: { account: string }) => void): this;
+  on(event: 'poll', listener: (result: Record<string, any> & { account: string }) => void): this;
+  on(event: 'pollError', listener: (event: { account: string; error: Error }) => void): this;
+  on(event: string, listener: (...args: any[]) => void): this;
+}
+
+export interface RateRule {
+  /** Reason reported when the rule blocks a call */
+  reason: 'HOURLY_LIMIT_EXCEEDED' | 'MINUTE_LIMIT_EXCEEDED' | 'MIN_INTERVAL_NOT_ELAPSED' | string;
+  type: 'window' | 'interval';
+  limit?: number;
+  windowMs?: number;
+  intervalMs?: number;
+  /** Block period after going over the limit */
+  blockMs?: number;
+  description: string;
+}
+
+export declare const RATE_RULES: RateRule[];
+
+export interface RateRuleState {
+  reason: string;
+  description: string;
+  retryAfter: number;
+  nextSlotAt: string;
+}
+
+export interface RateCheck {
+  allowed: boolean;
+  /** 'OK', 'RATE_LIMIT_BLOCKED', 'LOCK_TIMEOUT' or the reason of the first failing rule */
+  reason: string;
+  /** Description of the rule that blocked the call */
+  rule?: string;
+  retryAfter: number;
+  /** ISO time the next slot opens (when every failing rule allows the call) */
+  nextSlotAt: string;
+  blockedBy: RateRuleState[];
+  message: string;
+  reservationId?: string;
+}
+
+export interface RateGovernorOptions {
+  logDirectory?: string;
+  rateLimitFile?: string;
+  /** Keep state in the file (default: true); false keeps it in memory */
+  persist?: boolean;
+  rules?: RateRule[];
+  lockStaleMs?: number;
+  lockTimeoutMs?: number;
+  onRateLimited?: (check: RateCheck) => void;
+  onBlocked?: (info: RateCheck & { blockedUntil: string }) => void;
+  onRecovered?: (info: { reason: string; blockedUntil: string }) => void;
+}
+
+export declare class RateGovernor {
+  constructor(options?: RateGovernorOptions | string);
+  readonly rules: RateRule[];
+  readonly limits: { callsPerMinute: number; callsPerHour: number; blockDurationMinutes: number; minIntervalMs: number };
+  /** Reserves a slot under the cross-process lock; denied with reason 'LOCK_TIMEOUT' if the lock stays taken */
+  canMakeCall(options?: { notify?: boolean; reserve?: boolean; continuation?: boolean }): Promise<RateCheck>;
+  /** Whether a call would be allowed now, without the lock or a reservation */
+  peek(options?: { continuation?: boolean }): RateCheck;
+  /** attempts: HTTP requests the call took; each one counts */
+  recordCall(success?: boolean, options?: { reservationId?: string; continuation?: boolean; attempts?: number }): Promise<void>;
+  block(durationMs: number, reason: string, options?: { notify?: boolean }): Promise<string>;
+  explain(options?: { continuation?: boolean }): {
+    allowed: boolean;
+    reason: string;
+    message: string;
+    retryAfter: number;
+    nextSlotAt: string;
+    blockedUntil: string | null;
+    rules: Array<RateRuleState & { allowed: boolean; used: number | null; limit: number }>;
+  };
+  logRateLimit(entry: { reason?: string; retryAfter?: number; nextSlotAt?: string }): Promise<void>;
+  getHistory(limit?: number): any[];
+  clearHistory(olderThan?: Date): Promise<void>;
+  getStatus(): Record<string, any>;
+  getStats(): Record<string, any>;
+  reset(): Promise<void>;
+}
+
+export declare const REQUEST_PRIORITIES: {
+  INTERACTIVE: 100;
+  NORMAL: 50;
+  BACKGROUND: 0;
+};
+
+export declare const SCHEDULER_EVENTS: {
+  QUEUED: 'queued';
+  COALESCED: 'coalesced';
+  WAITING: 'waiting';
+  STARTED: 'started';
+  COMPLETED: 'completed';
+  EXPIRED: 'expired';
+};
+
+export interface RequestSchedulerOptions {
+  /** Governor to wait for (default: the SDK's) */
+  governor?: Pick<RateGovernor, 'canMakeCall'>;
+  /** Shortest delay before the rate limits are checked again (default: 1000) */
+  minWaitMs?: number;
+}
+
+export interface ScheduledRequestOptions {
+  /** Higher goes first (default: REQUEST_PRIORITIES.NORMAL) */
+  priority?: number;
+  /** Latest time the request may be sent */
+  deadline?: Date | string | number;
+  /** Deadline relative to now (used when no deadline is given) */
+  timeoutMs?: number;
+  /** Withdraws the request while it waits */
+  signal?: AbortSignal;
+}
+
+export interface ScheduledResult extends Record<string, any> {
+  success: boolean;
+  code?: number;
+  error?: string;
+  leads: any[];
+  /** The deadline passed before the request was sent (code 408) */
+  deadlineExceeded?: boolean;
+  rateLimit?: { reason: string; rule?: string; retryAfter: number; nextSlotAt: string };
+}
+
+export declare class RequestScheduler extends EventEmitter {
+  constructor(sdk: any, options?: RequestSchedulerOptions);
+  getLeadsForDateRange(startDate: Date | string, endDate: Date | string, options?: ScheduledRequestOptions): Promise<ScheduledResult>;
+  stop(): void;
+  getStatus(): {
+    stopped: boolean;
+    queued: number;
+    waitingCallers: number;
+    running: { key: string; priority: number; waiters: number } | null;
+    nextCheckAt: string | null;
+    stats: { scheduled: number; coalesced: number; cacheHits: number; completed: number; expired: number };
+  };
+}
+
+export declare const CIRCUIT_STATES: {
+  CLOSED: 'closed';
+  OPEN: 'open';
+  HALF_OPEN: 'half-open';
+};
+
+/** Error types (from getErrorType) that count as an outage */
+export declare const CIRCUIT_FAILURE_TYPES: string[];
+
+export interface CircuitBreakerStatus {
+  state: 'closed' | 'open' | 'half-open';
+  /** Consecutive server errors and timeouts */
+  failures: number;
+  failureThreshold: number;
+  resetTimeoutMs: number;
+  openedAt: string | null;
+  /** When the next trial call may go out */
+  nextAttemptAt: string | null;
+  retryAfter: number;
+  lastFailure: { type: string; message: string; at: string } | null;
+  stats: { opened: number; rejected: number; failures: number; successes: number };
+}
+
+export interface CircuitBreakerOptions {
+  /** Consecutive failures that open the circuit (default: 5) */
+  failureThreshold?: number;
+  /** Time the circuit stays open before a trial call (default: 60000) */
+  resetTimeoutMs?: number;
+  failureTypes?: string[];
+  errorHandler?: { getErrorType(statusCode: any, errorMessage?: string): string };
+  onOpen?: (status: CircuitBreakerStatus) => void;
+  onHalfOpen?: (status: CircuitBreakerStatus) => void;
+  onClose?: (status: CircuitBreakerStatus) => void;
+}
+
+export declare class CircuitOpenError extends IndiaMartError {
+  constructor(status: CircuitBreakerStatus);
+  code: 'CIRCUIT_OPEN';
+  status: string;
+  statusCode: 503;
+  details: {
+    type: 'CIRCUIT_OPEN';
+    state: string;
+    failures: number;
+    openedAt: string | null;
+    nextAttemptAt: string | null;
+    retryAfter: number;
+    lastFailure: CircuitBreakerStatus['lastFailure'];
+    suggestion: string;
+  };
+  timestamp: Date;
+}
+
+export declare class CircuitBreaker {
+  constructor(options?: CircuitBreakerOptions);
+  canRequest(): { allowed: boolean; state: string; retryAfter: number; nextAttemptAt: string | null };
+  rejectIfOpen(): void;
+  beforeRequest(): void;
+  recordSuccess(): void;
+  recordFailure(error: Error): 'failure' | 'success' | 'ignored';
+  classify(error: Error): 'failure' | 'success' | 'ignored';
+  getStatus(): CircuitBreakerStatus;
+  reset(): void;
+}
+
+export interface RetryOverride {
+  /** Retry this error type at all (default: IndiaMartErrorHandler.shouldRetry) */
+  retry?: boolean;
+  maxAttempts?: number;
+  baseDelayMs?: number;
+  maxDelayMs?: number;
+  /** Minimum wait, replacing the error's own retryAfter */
+  retryAfter?: number;
+}
+
+export interface RetryPolicyOptions {
+  /** Attempts per call, the first one included (default: 3) */
+  maxAttempts?: number;
+  /** Backoff for the first retry, doubled for every further one (default: 1000) */
+  baseDelayMs?: number;
+  /** Upper bound of the backoff (default: 5 minutes) */
+  maxDelayMs?: number;
+  /** Give up when a retry would start later than this after the first attempt (default: 2 minutes) */
+  maxElapsedMs?: number;
+  /** Per error type, e.g. { SERVER_ERROR: { maxAttempts: 5 } } */
+  overrides?: Record<string, RetryOverride>;
+  errorHandler?: { getErrorType(statusCode: any, errorMessage?: string): string; shouldRetry(error: any, attemptCount: number): boolean };
+  /** Random number source in [0, 1) for the jitter (default: Math.random) */
+  random?: () => number;
+}
+
+export interface RetryDecision {
+  retry: boolean;
+  delayMs: number;
+  type: string;
+  reason: 'RETRY' | 'NOT_RETRYABLE' | 'MAX_ATTEMPTS' | 'MAX_ELAPSED';
+}
+
+export declare class RetryPolicy {
+  constructor(options?: RetryPolicyOptions);
+  getErrorType(error: Error): string;
+  decide(error: Error, context: { attempt: number; elapsedMs?: number; maxAttempts?: number }): RetryDecision;
+  getDelay(error: Error, attempt: number, type?: string): number;
+}
+
+export declare const MIDDLEWARE_STAGES: {
+  FETCH: 'fetch';
+  REQUEST: 'request';
+};
+
+/** Context of one getLeads call, pagination and retries included */
+export interface FetchMiddlewareContext {
+  stage: 'fetch';
+  client: IndiaMartClient;
+  /** getLeads options; may be changed before next() */
+  options: GetLeadsOptions & Record<string, any>;
+  /** Shared with every request of this fetch */
+  state: Record<string, any>;
+  /** Merged result, set after next() */
+  result: GetLeadsResponse | null;
+  startedAt: number;
+}
+
+/** Context of one HTTP attempt */
+export interface RequestMiddlewareContext {
+  stage: 'request';
+  client: IndiaMartClient;
+  options: GetLeadsOptions & Record<string, any>;
+  state: Record<string, any>;
+  attempt: number;
+  page: number;
+  /** Request URL; query params in url.searchParams */
+  url: URL;
+  /** Transport options; the client adds its deadline signal */
+  init: { method: string; headers: Record<string, string> };
+  /** Raw transport response, set after next(); `replayed` marks one served from a cassette */
+  response: { status: number; statusText?: string; headers?: any; replayed?: boolean; json(): Promise<any> } | null;
+  /** Parsed JSON body, set after next() and processed once the chain returns */
+  body: any;
+  /** True once the transport answered, false when a middleware served the attempt */
+  sent: boolean;
+  startedAt: number;
+}
+
+export type ClientMiddlewareContext = FetchMiddlewareContext | RequestMiddlewareContext;
+
+export type ClientMiddleware = ((ctx: ClientMiddlewareContext, next: () => Promise<void>) => Promise<void> | void) & {
+  /** Name of a built-in middleware: 'logging', 'storage', 'compliance' or 'clockSkew' */
+  readonly middlewareName?: string;
+};
+
+export declare function composeMiddleware(
+  middleware: ClientMiddleware[],
+  handler: (ctx: ClientMiddlewareContext) => Promise<void>
+): (ctx: ClientMiddlewareContext) => Promise<void>;
+export declare function createLoggingMiddleware(): ClientMiddleware;
+export declare function createComplianceMiddleware(complianceManager: any): ClientMiddleware;
+export declare function createStorageMiddleware(storage: StorageAdapter, options?: { onStored?: (event: LeadsStoredEvent) => void }): ClientMiddleware;
+export declare function createClockSkewMiddleware(monitor: ClockSkewMonitor): ClientMiddleware;
+
+export interface IndiaMartErrorJSON {
+  name: string;
+  message: string;
+  code: number | string;
+  statusCode: number | null;
+  status: string;
+  type: string | null;
+  retryAfter: number;
+  /** ISO timestamp when a call may go out again */
+  retryAt: string | null;
+  suggestion: string | null;
+  /** Classification details, without the raw IndiaMART response */
+  details: Record<string, any>;
+  timestamp: string;
+  attempts?: number;
+  cause?: any;
+}
+
+export declare class IndiaMartError extends Error {
+  constructor(message: string, code: number | string, status: string, details?: Record<string, any>, options?: { cause?: unknown });
+  /** IndiaMART status code, or a client code such as 'TIMEOUT' or 'RATE_LIMITED' */
+  code: number | string;
+  /** HTTP-style status (the IndiaMART code when it is numeric) */
+  statusCode?: number;
+  status: string;
+  details: Record<string, any>;
+  timestamp: Date;
+  /** Requests made before giving up (set by the client) */
+  attempts?: number;
+  /** Error type, e.g. 'RATE_LIMIT_15_MIN' */
+  readonly type: string | null;
+  readonly retryAfter: number;
+  /** When a call may go out again (null when retryAfter is 0) */
+  readonly retryAt: Date | null;
+  toJSON(): IndiaMartErrorJSON;
+}
+
+export declare class RateLimitError extends IndiaMartError {}
+export declare class AuthenticationError extends IndiaMartError {}
+export declare class KeyExpiredError extends AuthenticationError {
+  /** True when IndiaMART generated a new key that replaces this one */
+  readonly newKeyGenerated: boolean;
+}
+export declare class NoLeadsError extends IndiaMartError {}
+export declare class DateRangeError extends IndiaMartError {}
+export declare class ServerError extends IndiaMartError {}
+export declare class TimeoutError extends IndiaMartError {}
+export declare class ComplianceError extends IndiaMartError {
+  /** Rules the call breaks */
+  readonly violations: string[];
+  static fromCheck(check: { errors: string[] }): ComplianceError;
+}
+
+/** Create the subclass that matches details.type */
+export declare function createTypedError(message: string, code: number | string, status: string, details?: Record<string, any>, options?: { cause?: unknown }): IndiaMartError;
+
+export interface KeyProvider {
+  /** Current CRM key */
+  getKey(): string | Promise<string>;
+}
+
+export interface KeyExpiredInfo {
+  error: KeyExpiredError;
+  /** 'API_KEY_EXPIRED_INACTIVITY' or 'API_KEY_EXPIRED_NEW_GENERATED' */
+  type: string;
+  newKeyGenerated: boolean;
+  /** Whether the key provider supplied a different key, which gets one more attempt */
+  keyRefreshed: boolean;
+}
+
+export declare class StaticKeyProvider implements KeyProvider {
+  constructor(key: string);
+  getKey(): Promise<string>;
+  setKey(key: string): void;
+}
+
+export declare class EnvKeyProvider implements KeyProvider {
+  /** @param options variable defaults to 'INDIAMART_CRM_KEY', env to process.env */
+  constructor(options?: { variable?: string; env?: Record<string, string | undefined> });
+  getKey(): Promise<string>;
+}
+
+export declare class FileKeyProvider implements KeyProvider {
+  /** @param options File holding only the key */
+  constructor(options: { path: string });
+  getKey(): Promise<string>;
+}
+
+export declare class CallbackKeyProvider implements KeyProvider {
+  constructor(callback: () => string | Promise<string>);
+  getKey(): Promise<string>;
+}
+
+/** Turn a CRM key, a function or a provider into a key provider */
+export declare function createKeyProvider(source: string | KeyProvider | (() => string | Promise<string>)): KeyProvider;
+
+/** Whether a value can be used as a key provider */
+export declare function isKeyProvider(value: unknown): boolean;
+
+export interface ClockSkewMonitorOptions {
+  /** Skew (either direction) that is reported, in milliseconds (default: 30000) */
+  thresholdMs?: number;
+  /** Samples the estimate is taken from (default: 10) */
+  windowSize?: number;
+  /** Samples needed before the estimate is used (default: 3) */
+  minSamples?: number;
+  /** Shift now(), and with it the date windows, by the estimate (default: false) */
+  correct?: boolean;
+  /** Local clock in milliseconds (default: Date.now) */
+  clock?: () => number;
+  /** Called when the skew passes thresholdMs */
+  onSkew?: (status: ClockSkewStatus) => void;
+  /** Called when the skew is back under thresholdMs / 2 */
+  onRecovered?: (status: ClockSkewStatus) => void;
+}
+
+export interface ClockSkewStatus {
+  /** IndiaMART's clock minus the local one, in milliseconds (0 until minSamples are in) */
+  offsetMs: number;
+  skewed: boolean;
+  thresholdMs: number;
+  samples: number;
+  correcting: boolean;
+  /** ISO timestamp of the last usable Date header */
+  lastSampleAt: string | null;
+}
+
+export declare class ClockSkewMonitor {
+  constructor(options?: ClockSkewMonitorOptions);
+  /** Add a sample from a response's Date header; returns its offset, or null if the header is unusable */
+  record(dateHeader: string | null | undefined, timing: { sentAt: number; receivedAt: number }): number | null;
+  /** Estimated offset of IndiaMART's clock from the local one, in milliseconds */
+  getOffset(): number;
+  /** Current time, corrected by the estimate when correct is set */
+  now(): Date;
+  getStatus(): ClockSkewStatus;
+  /** Forget all samples */
+  reset(): void;
+}
+
+/** India Standard Time offset from UTC (+05:30), in milliseconds */
+export declare const IST_OFFSET_MS: number;
+
+/** Parse an IST wall-clock time such as QUERY_TIME ('2021-12-08 12:47:25'); null if invalid */
+export declare function parseQueryTime(value: string | null | undefined): Date | null;
+
+/** Format an instant as an IST wall-clock time, like QUERY_TIME */
+export declare function formatQueryTime(date: Date | string | number): string;
+
+/** Convert a date argument to a Date; zone-less 'YYYY-MM-DD HH:MM:SS' strings are read as IST */
+export declare function parseDateInput(value: Date | string | number): Date;
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * IndiaMART Account Manager - Test Suite
+ *
+ * Runs several seller accounts against LMS emulators and checks merged, tagged results,
+ * per-account state, event forwarding and the combined health report.
+ * Run with: node tests/account-manager-test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { IndiaMartAccountManager } from '../src/account-manager.js';
+import { createMockLmsServer, generateMockLeads } from '../src/mock-lms-server.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Test failed: ${message}`);
+  }
+}
+
+let failures = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+const originalLog = console.log;
+const originalWarn = console.warn;
+const originalError = console.error;
+
+// Silence request logging while tests run
+async function quietly(fn) {
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+    console.warn = originalWarn;
+    console.error = originalError;
+  }
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'account-manager-test-'));
+const window = { from: new Date(Date.now() - 20 * HOUR_MS), to: new Date(Date.now() - HOUR_MS) };
+
+const pumps = createMockLmsServer({ crmKey: 'pumps-crm-key-0123456789', leads: generateMockLeads(3, { ...window, startId: 1000 }) });
+const valves = createMockLmsServer({ crmKey: 'valves-crm-key-0123456789', leads: generateMockLeads(2, { ...window, startId: 2000 }) });
+const pumpsUrl = await pumps.start();
+const valvesUrl = await valves.start();
+
+const manager = new IndiaMartAccountManager({ baseDir: tmpDir });
+manager.addAccount('pumps', 'pumps-crm-key-0123456789', { baseUrl: pumpsUrl });
+manager.addAccount('valves', 'valves-crm-key-0123456789', { baseUrl: valvesUrl });
+
+// Move an account's recorded calls back, as if that much time had passed since them
+function ageRateLimits(name, ms) {
+  const file = path.join(tmpDir, name, 'logs', 'rate-limits.json');
+  const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const age = (timestamp) => new Date(Date.parse(timestamp) - ms).toISOString();
+  state.calls = state.calls.map(age);
+  state.fetches = state.fetches.map(age);
+  fs.writeFileSync(file, JSON.stringify(state));
+}
+
+const startDate = new Date(Date.now() - 24 * HOUR_MS);
+const endDate = new Date();
+
+console.log("🧪 IndiaMART Account Manager - Test Suite");
+console.log("=========================================\n");
+
+await test("Fetches are merged and every lead is tagged with its account", async () => {
+  const leadEvents = [];
+  manager.on('lead', (lead, context) => leadEvents.push(context.account));
+
+  const result = await quietly(() => manager.getLeadsForDateRange(startDate, endDate));
+  assert(result.success && !result.partial, `Merged fetch should succeed: ${result.error}`);
+  assert(result.leads.length === 5 && result.totalRecords === 5, `Expected 5 leads but got ${result.leads.length}`);
+  assert(result.leads.filter(lead => lead.account === 'pumps').length === 3, "Pump leads should be tagged");
+  assert(result.accounts.valves.leadsCount === 2, "Per-account counts should be reported");
+  assert(result.leads.every((lead, i) => i === 0 || result.leads[i - 1].queryTime >= lead.queryTime), "Leads should be newest first");
+  assert(leadEvents.length === 5 && leadEvents.includes('valves'), "SDK lead events should carry the account");
+});
+
+await test("Each account keeps its own rate limit state", () => {
+  for (const name of ['pumps', 'valves']) {
+    const file = path.join(tmpDir, name, 'logs', 'rate-limits.json');
+    assert(fs.existsSync(file), `${name} should have its own rate-limits.json`);
+    assert(manager.getRateLimitStatus()[name].callsPerHour === 1, `${name} should have one recorded call`);
+  }
+});
+
+await test("A failing account does not hide the others' leads", async () => {
+  manager.addAccount('broken', 'unknown-crm-key-0123456789', { baseUrl: pumpsUrl });
+  try {
+    // The healthy accounts fetched five minutes ago, so a new range goes out to IndiaMART
+    ageRateLimits('pumps', 5 * 60 * 1000);
+    ageRateLimits('valves', 5 * 60 * 1000);
+    const result = await quietly(() => manager.getLeadsForDateRange(startDate, new Date(endDate.getTime() - 1000)));
+    assert(!result.success && result.partial, "Result should be partial");
+    assert(result.errors.length === 1 && result.errors[0].account === 'broken', "The failing account should be named");
+    assert(result.leads.length === 5, "Leads of healthy accounts should still be returned");
+    assert(manager.getRateLimitStatus().pumps.callsPerHour === 2, "The healthy accounts should have fetched the new range");
+  } finally {
+    await manager.removeAccount('broken');
+  }
+});
+
+await test("Health report combines every account", async () => {
+  let health = await quietly(() => manager.getHealthStatus());
+  assert(health.status === 'healthy' && health.summary.healthy === 2, `Expected healthy but got ${health.status}`);
+  assert(health.accounts.pumps.components.rateLimiter, "Per-account reports should be included");
+
+  const file = path.join(tmpDir, 'valves', 'logs', 'rate-limits.json');
+  const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+  state.blockedUntil = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+  fs.writeFileSync(file, JSON.stringify(state));
+
+  health = await quietly(() => manager.getHealthStatus());
+  assert(health.status === 'degraded' && health.summary.blocked === 1, `Expected degraded but got ${health.status}`);
+});
+
+await test("Account names must be unique and safe as directory names", () => {
+  for (const [name, message] of [['pumps', 'already registered'], ['../escape', 'Invalid account name']]) {
+    let error = null;
+    try {
+      manager.addAccount(name, 'another-crm-key-0123456789');
+    } catch (caught) {
+      error = caught;
+    }
+    assert(error && error.message.includes(message), `Expected "${message}" for ${name}`);
+  }
+});
+
+await quietly(() => manager.destroy());
+await pumps.stop();
+await valves.stop();
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+console.log(failures === 0 ? "\n✅ All tests completed!" : `\n❌ ${failures} test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * IndiaMART Atomic File Writes - Test Suite
+ *
+ * Verifies temp-file writes, .bak copies and recovery of corrupt state files,
+ * including the rate limiter's call history.
+ * Run with: node tests/atomic-file-test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { writeJsonFileSync, writeJsonFile, readJsonFileSync, backupPath } from '../src/atomic-file.js';
+import { RateLimiter } from '../src/rate-limiter.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Test failed: ${message}`);
+  }
+}
+
+let failures = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+const originalLog = console.log;
+const originalWarn = console.warn;
+const originalError = console.error;
+
+// Silence recovery and rate limiter logging while tests run
+async function quietly(fn) {
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+    console.warn = originalWarn;
+    console.error = originalError;
+  }
+}
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'atomic-file-test-'));
+
+console.log("🧪 IndiaMART Atomic File Writes - Test Suite");
+console.log("============================================\n");
+
+await test("Writes replace the file and leave no temp files behind", async () => {
+  const file = path.join(tmpDir, 'nested', 'state.json');
+  writeJsonFileSync(file, { version: 1 });
+  await writeJsonFile(file, { version: 2 });
+
+  assert(JSON.parse(fs.readFileSync(file, 'utf8')).version === 2, "Latest content should be on disk");
+  assert(fs.readdirSync(path.dirname(file)).join(',') === 'state.json', "Only the target file should exist");
+});
+
+await test("Backups keep the previous version", () => {
+  const file = path.join(tmpDir, 'backup.json');
+  writeJsonFileSync(file, { version: 1 }, { backup: true });
+  assert(!fs.existsSync(backupPath(file)), "First write has nothing to back up");
+
+  writeJsonFileSync(file, { version: 2 }, { backup: true });
+  assert(JSON.parse(fs.readFileSync(backupPath(file), 'utf8')).version === 1, "Backup should hold the previous version");
+});
+
+await test("A truncated file is recovered from its backup and set aside", async () => {
+  const file = path.join(tmpDir, 'recover.json');
+  writeJsonFileSync(file, { version: 1 }, { backup: true });
+  writeJsonFileSync(file, { version: 2 }, { backup: true });
+  fs.writeFileSync(file, '{"version": 2, "cal');
+
+  const data = await quietly(() => readJsonFileSync(file, { fallback: { version: 0 } }));
+  assert(data.version === 1, `Expected the backup but got version ${data.version}`);
+  assert(JSON.parse(fs.readFileSync(file, 'utf8')).version === 1, "Main file should be restored");
+  assert(fs.readdirSync(tmpDir).some(name => name.startsWith('recover.json.corrupt-')), "Corrupt file should be kept for inspection");
+});
+
+await test("Without a usable backup the fallback is returned, and missing files are not errors", async () => {
+  const corrupt = path.join(tmpDir, 'no-backup.json');
+  fs.writeFileSync(corrupt, '');
+  const data = await quietly(() => readJsonFileSync(corrupt, { fallback: { fresh: true } }));
+  assert(data.fresh === true, "Fallback should be returned");
+
+  assert(readJsonFileSync(path.join(tmpDir, 'missing.json'), { fallback: 'none' }) === 'none', "Missing file should return the fallback");
+});
+
+await test("Rate limiter keeps its call history after a crash mid-write", async () => {
+  const rateLimitFile = path.join(tmpDir, 'rate-limits.json');
+  const limiter = new RateLimiter({ logDirectory: tmpDir, rateLimitFile });
+
+  await quietly(async () => {
+    await limiter.recordCall();
+    await limiter.recordCall();
+    await limiter.recordCall();
+  });
+  fs.writeFileSync(rateLimitFile, fs.readFileSync(rateLimitFile, 'utf8').slice(0, 20));
+
+  const status = await quietly(() => new RateLimiter({ logDirectory: tmpDir, rateLimitFile }).getStatus());
+  assert(status.callsPerHour === 2, `Expected the 2 calls saved in the backup but got ${status.callsPerHour}`);
+});
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+console.log(failures === 0 ? "\n✅ All tests completed!" : `\n❌ ${failures} test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+
+/**
+ * IndiaMART Backfill Planner - Test Suite
+ *
+ * Verifies window planning, per-window progress and resuming
+ * using a stubbed SDK (no network calls).
+ * Run with: node tests/backfill-test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { BackfillPlanner } from '../src/backfill-planner.js';
+import { DateComplianceManager } from '../src/date-compliance.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Test failed: ${message}`);
+  }
+}
+
+let failures = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createStubSDK(handler = () => ({ success: true, leads: [{ uniqueQueryId: 'x' }] })) {
+  const calls = [];
+  return {
+    calls,
+    options: { paths: { logPath: './logs' } },
+    dateCompliance: new DateComplianceManager(),
+    rateLimiter: { canMakeCall: () => ({ allowed: true, retryAfter: 0 }) },
+    async getLeadsForDateRange(startDate, endDate) {
+      calls.push({ startDate, endDate });
+      return handler(calls.length);
+    }
+  };
+}
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backfill-test-'));
+const progressFile = (name) => path.join(tmpDir, `${name}.json`);
+
+console.log("🧪 IndiaMART Backfill Planner - Test Suite");
+console.log("==========================================\n");
+
+await test("splitDateRange produces 7-day windows clamped to 365 days", () => {
+  const manager = new DateComplianceManager();
+  const plan = manager.splitDateRange(new Date(Date.now() - 400 * DAY_MS), new Date());
+  assert(plan.clamped, "Range older than 365 days should be clamped");
+  assert(plan.windows.length === 52, `Expected 52 windows but got ${plan.windows.length}`);
+  plan.windows.forEach(window => {
+    assert(manager.validateDateRange(window.startDate, window.endDate).isValid, "Every window should be compliant");
+  });
+});
+
+await test("Backfill runs every window and reports leads", async () => {
+  const sdk = createStubSDK();
+  const planner = new BackfillPlanner(sdk, {
+    from: new Date(Date.now() - 20 * DAY_MS),
+    minIntervalMs: 0,
+    progressFile: progressFile('complete')
+  });
+  const progress = [];
+  planner.on('progress', (p) => progress.push(p));
+  const summary = await planner.run();
+  assert(summary.success, "Backfill should succeed");
+  assert(sdk.calls.length === 3, `Expected 3 API calls but got ${sdk.calls.length}`);
+  assert(summary.leadsSoFar === 3, "Leads should be summed across windows");
+  assert(progress[progress.length - 1].windowsDone === 3, "Final progress should report all windows done");
+});
+
+await test("A stopped backfill resumes from the saved progress", async () => {
+  const file = progressFile('resume');
+  const from = new Date(Date.now() - 20 * DAY_MS);
+
+  const sdk = createStubSDK();
+  const first = new BackfillPlanner(sdk, { from, minIntervalMs: 0, progressFile: file });
+  first.on('window', () => first.stop());
+  const partial = await first.run();
+  assert(partial.stopped && partial.windowsDone === 1, "First run should stop after one window");
+
+  const resumedSdk = createStubSDK();
+  const resumed = new BackfillPlanner(resumedSdk, { from, minIntervalMs: 0, progressFile: file });
+  const summary = await resumed.run();
+  assert(resumedSdk.calls.length === 2, "Resumed run should only fetch the remaining windows");
+  assert(summary.windowsDone === 3 && summary.leadsSoFar === 3, "Totals should include the first run");
+});
+
+await test("The default progress file does not depend on the day the backfill runs", async () => {
+  const sdk = createStubSDK();
+  sdk.options.paths.logPath = tmpDir;
+  const from = new Date(Date.now() - 20 * DAY_MS);
+  const day = from.toISOString().split('T')[0];
+
+  const open = new BackfillPlanner(sdk, { from });
+  assert(path.basename(open.progressFile) === `backfill_${day}_to_now.json`, `Unexpected file: ${open.progressFile}`);
+  const bounded = new BackfillPlanner(sdk, { from, to: '2030-01-02T00:00:00Z' });
+  assert(path.basename(bounded.progressFile) === `backfill_${day}_to_2030-01-02.json`, "An explicit end should be part of the name");
+  const named = new BackfillPlanner(sdk, { from, jobId: 'crm import/1' });
+  assert(path.basename(named.progressFile) === 'backfill_crm_import_1.json', "A job ID should name the file");
+});
+
+await test("A resumed open-ended backfill stretches its pending last window", async () => {
+  const file = progressFile('stretch');
+  const from = new Date(Date.now() - 20 * DAY_MS);
+
+  const first = new BackfillPlanner(createStubSDK(), { from, minIntervalMs: 0, progressFile: file });
+  first.on('window', () => first.stop());
+  await first.run();
+
+  // Pretend the first run was an hour ago, so "now" has moved on since
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const lastWindow = saved.windows[saved.windows.length - 1];
+  lastWindow.endDate = new Date(new Date(lastWindow.endDate).getTime() - 60 * 60 * 1000).toISOString();
+  fs.writeFileSync(file, JSON.stringify(saved));
+
+  const resumed = new BackfillPlanner(createStubSDK(), { from, minIntervalMs: 0, progressFile: file });
+  const windows = resumed.progress.windows;
+  assert(windows.length === 3, `Expected the 3 windows to be kept, got ${windows.length}`);
+  assert(windows[2].endDate === resumed.plan.endDate.toISOString(), "The last window should end at the new end");
+
+  // A finished last window gets a new window for the extra time instead
+  windows[2].status = 'done';
+  windows[2].endDate = lastWindow.endDate;
+  fs.writeFileSync(file, JSON.stringify({ ...resumed.progress, windows }));
+  const extended = new BackfillPlanner(createStubSDK(), { from, minIntervalMs: 0, progressFile: file });
+  assert(extended.progress.windows.length === 4 && extended.progress.windows[3].startDate === lastWindow.endDate, "A new window should cover the extra time");
+});
+
+await test("Windows are retried and then marked failed", async () => {
+  const sdk = createStubSDK(() => ({ success: false, error: 'IndiaMART server error' }));
+  const planner = new BackfillPlanner(sdk, {
+    from: new Date(Date.now() - 3 * DAY_MS),
+    minIntervalMs: 0,
+    maxWindowAttempts: 2,
+    progressFile: progressFile('failed')
+  });
+  const summary = await planner.run();
+  assert(!summary.success, "Backfill should report failure");
+  assert(sdk.calls.length === 2, "Window should be attempted maxWindowAttempts times");
+  assert(summary.failedWindows.length === 1, "Failed window should be listed");
+});
+
+await test("A window whose pagination stopped early is fetched again", async () => {
+  const sdk = createStubSDK((call) => call === 1
+    ? { success: true, partial: true, totalRecords: 3, leads: [{ uniqueQueryId: '1' }], paginationError: 'Rate limit exceeded' }
+    : { success: true, partial: false, totalRecords: 3, leads: [{ uniqueQueryId: '1' }, { uniqueQueryId: '2' }, { uniqueQueryId: '3' }] });
+  const planner = new BackfillPlanner(sdk, {
+    from: new Date(Date.now() - 3 * DAY_MS),
+    minIntervalMs: 0,
+    progressFile: progressFile('partial')
+  });
+  const windows = [];
+  planner.on('window', (event) => windows.push(event));
+
+  const summary = await planner.run();
+  assert(sdk.calls.length === 2, `The partial window should be fetched again, got ${sdk.calls.length} call(s)`);
+  assert(summary.success && summary.leadsSoFar === 3, `Expected every lead of the window, got ${summary.leadsSoFar}`);
+  assert(windows.length === 1 && windows[0].leads.length === 3, "Only the complete window should be reported");
+});
+
+await test("ETA accounts for the 5-minute spacing rule", () => {
+  const sdk = createStubSDK();
+  const planner = new BackfillPlanner(sdk, {
+    from: new Date(Date.now() - 20 * DAY_MS),
+    progressFile: progressFile('eta')
+  });
+  const progress = planner.getProgress();
+  assert(progress.windowsRemaining === 3, "Three windows should be pending");
+  assert(progress.etaMs === 2 * 5 * 60 * 1000, "ETA should be two 5-minute gaps");
+});
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+console.log(failures === 0 ? "\n✅ All tests completed!" : `\n❌ ${failures} test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * IndiaMART LMS Client - Record & Replay Test Suite
+ *
+ * Records interactions against the local LMS emulator, then replays them
+ * with the emulator stopped.
+ * Run with: node tests/cassette-test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { IndiaMartClient } from '../src/indiamart-client.js';
+import { createMockLmsServer, generateMockLeads } from '../src/mock-lms-server.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Test failed: ${message}`);
+  }
+}
+
+let failures = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+const originalLog = console.log;
+
+// Silence the client's request logging while tests run
+async function quietly(fn) {
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+const CRM_KEY = 'cassette-crm-key-0123456789';
+const HOUR_MS = 60 * 60 * 1000;
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-test-'));
+const cassettePath = path.join(tmpDir, 'leads.json');
+
+// Fixed times keep the recorded URLs identical between record and replay
+const range = {
+  startTime: new Date(Date.now() - 24 * HOUR_MS).toISOString(),
+  endTime: new Date(Date.now() - HOUR_MS).toISOString()
+};
+
+const server = createMockLmsServer({
+  crmKey: CRM_KEY,
+  pageSize: 5,
+  leads: generateMockLeads(8, { from: new Date(Date.now() - 20 * HOUR_MS), to: new Date(Date.now() - 2 * HOUR_MS) })
+});
+const baseUrl = await server.start();
+
+function createClient(mode, crmKey = CRM_KEY) {
+  return new IndiaMartClient({ crmKey, baseUrl, useFileStorage: false, rateGovernor: { persist: false }, cassette: { mode, path: cassettePath } });
+}
+
+console.log("🧪 IndiaMART LMS Client - Record & Replay Test Suite");
+console.log("====================================================\n");
+
+let recorded = null;
+
+await test("Record mode writes every interaction with the key redacted", async () => {
+  recorded = await quietly(() => createClient('record').getLeads(range));
+  const content = fs.readFileSync(cassettePath, 'utf8');
+  const cassette = JSON.parse(content);
+  assert(cassette.interactions.length === 2, `Expected 2 interactions but got ${cassette.interactions.length}`);
+  assert(!content.includes(CRM_KEY), "The CRM key must not appear in the cassette");
+  assert(cassette.interactions[0].request.url.includes('glusr_crm_key=REDACTED'), "The key parameter should be redacted");
+});
+
+await server.stop();
+
+await test("Replay mode serves the recording without the network", async () => {
+  const replayed = await quietly(() => createClient('replay', 'another-crm-key-0123456789').getLeads(range));
+  assert(replayed.leads.length === 8, `Expected 8 leads but got ${replayed.leads.length}`);
+  assert(
+    replayed.leads.map(lead => lead.uniqueQueryId).join(',') === recorded.leads.map(lead => lead.uniqueQueryId).join(','),
+    "Replayed leads should match the recording"
+  );
+});
+
+await test("A request without a recording fails clearly", async () => {
+  let error = null;
+  try {
+    await quietly(() => createClient('replay').getLeads({ ...range, page: 9 }));
+  } catch (caught) {
+    error = caught;
+  }
+  assert(error && error.code === 'CASSETTE_MISS', `Expected CASSETTE_MISS but got ${error?.code}`);
+  assert(error.message.includes('page=9'), "The error should name the unrecorded request");
+});
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+console.log(failures === 0 ? "\n✅ All tests completed!" : `\n❌ ${failures} test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+
+/**
+ * IndiaMART Circuit Breaker - Test Suite
+ *
+ * Verifies the closed, open and half-open states, which errors count as an outage,
+ * fail-fast behaviour in the client, and the SDK's events and health report.
+ * Run with: node tests/circuit-breaker-test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CircuitBreaker, CircuitOpenError, CIRCUIT_STATES } from '../src/circuit-breaker.js';
+import { IndiaMartError } from '../src/error-handler.js';
+import { IndiaMartClient } from '../src/indiamart-client.js';
+import { RateGovernor } from '../src/rate-governor.js';
+import { IndiaMartSDK } from '../src/sdk.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Test failed: ${message}`);
+  }
+}
+
+let failures = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+const originalLog = console.log;
+const originalWarn = console.warn;
+const originalError = console.error;
+
+// Silence request logging while tests run
+async function quietly(fn) {
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+    console.warn = originalWarn;
+    console.error = originalError;
+  }
+}
+
+async function expectError(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the request to fail');
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const serverError = () => new IndiaMartError('Internal Server Error', 500, 'FAILURE');
+
+function respond(body) {
+  return { status: 200, statusText: 'OK', json: async () => body };
+}
+
+// Transport that answers with a server error until `healthy` is set
+function createTransport() {
+  const transport = async () => {
+    transport.calls++;
+    if (!transport.healthy) {
+      return respond({ CODE: 500, STATUS: 'FAILURE', MESSAGE: 'Internal Server Error' });
+    }
+    return respond({
+      CODE: 200,
+      STATUS: 'SUCCESS',
+      TOTAL_RECORDS: 1,
+      RESPONSE: [{ UNIQUE_QUERY_ID: String(transport.calls), QUERY_TYPE: 'W', QUERY_TIME: '2024-01-15 10:30:00', SENDER_MOBILE: '+91-9999999999' }]
+    });
+  };
+  transport.calls = 0;
+  transport.healthy = false;
+  return transport;
+}
+
+console.log("🧪 IndiaMART Circuit Breaker - Test Suite");
+console.log("=========================================\n");
+
+await test("Consecutive server errors and timeouts open the circuit", async () => {
+  const opened = [];
+  const breaker = new CircuitBreaker({ failureThreshold: 3, onOpen: (status) => opened.push(status) });
+
+  breaker.recordFailure(serverError());
+  breaker.recordFailure(new IndiaMartError('Request timed out after 50ms', 'TIMEOUT', 'ERROR'));
+  assert(breaker.recordFailure(new IndiaMartError('Invalid key', 401, 'FAILURE')) === 'success', "An API answer should count as a success");
+  assert(breaker.getStatus().failures === 0, "An API answer should reset the consecutive count");
+
+  const abort = Object.assign(new Error('Request was aborted'), { code: 'ABORT_ERR' });
+  breaker.recordFailure(serverError());
+  breaker.recordFailure(serverError());
+  assert(breaker.recordFailure(abort) === 'ignored' && breaker.getStatus().failures === 2, "An abort should not change the count");
+
+  breaker.recordFailure(serverError());
+  assert(breaker.getStatus().state === CIRCUIT_STATES.OPEN && opened.length === 1, "The third failure should open the circuit");
+
+  let error = null;
+  try {
+    breaker.beforeRequest();
+  } catch (caught) {
+    error = caught;
+  }
+  assert(error instanceof CircuitOpenError && error.code === 'CIRCUIT_OPEN' && error.statusCode === 503, "An open circuit should fail fast");
+  assert(error.details.retryAfter > 0 && error.details.lastFailure.type === 'SERVER_ERROR', "The error should explain the outage");
+});
+
+await test("Half-open allows one trial call that closes or reopens the circuit", async () => {
+  const states = [];
+  const breaker = new CircuitBreaker({
+    failureThreshold: 1,
+    resetTimeoutMs: 30,
+    onOpen: () => states.push('open'),
+    onHalfOpen: () => states.push('half-open'),
+    onClose: () => states.push('closed')
+  });
+
+  breaker.recordFailure(serverError());
+  await delay(40);
+  breaker.beforeRequest();
+  assert(breaker.getStatus().state === CIRCUIT_STATES.HALF_OPEN, "The circuit should be half-open after the reset timeout");
+  assert(!breaker.canRequest().allowed, "Only one trial call should go out");
+
+  breaker.recordFailure(serverError());
+  assert(breaker.getStatus().state === CIRCUIT_STATES.OPEN, "A failed trial should reopen the circuit");
+
+  await delay(40);
+  breaker.beforeRequest();
+  breaker.recordSuccess();
+  assert(breaker.getStatus().state === CIRCUIT_STATES.CLOSED, "A successful trial should close the circuit");
+  assert(states.join() === 'open,half-open,open,half-open,closed', `Unexpected transitions: ${states.join()}`);
+});
+
+await test("Client fails fast without a request or a rate slot while open", async () => {
+  const transport = createTransport();
+  const rateGovernor = new RateGovernor({ persist: false, rules: [] });
+  const client = new IndiaMartClient({
+    crmKey: 'test-key-123',
+    useFileStorage: false,
+    transport,
+    rateGovernor,
+    circuitBreaker: new CircuitBreaker({ failureThreshold: 2 })
+  });
+  const range = {
+    startTime: new Date(Date.now() - 2 * HOUR_MS).toISOString(),
+    endTime: new Date(Date.now() - HOUR_MS).toISOString(),
+    maxRetries: 1
+  };
+
+  for (let i = 0; i < 2; i++) {
+    const error = await quietly(() => expectError(client.getLeads(range)));
+    assert(error.code === 500, `Expected a server error but got ${error.code}`);
+  }
+
+  const error = await quietly(() => expectError(client.getLeads(range)));
+  assert(error.code === 'CIRCUIT_OPEN', `Expected CIRCUIT_OPEN but got ${error.code}`);
+  assert(transport.calls === 2, `IndiaMART should not be called while open, got ${transport.calls} calls`);
+  assert(rateGovernor.getStatus().callsPerHour === 2, `Only the requests that went out should use rate slots, got ${rateGovernor.getStatus().callsPerHour}`);
+});
+
+await test("A half-open trial that fails without retrying releases the trial", async () => {
+  const answers = [
+    { CODE: 500, STATUS: 'FAILURE', MESSAGE: 'Internal Server Error' },
+    'stall',
+    { CODE: 400, STATUS: 'FAILURE', MESSAGE: 'Invalid parameters' }
+  ];
+  let calls = 0;
+  const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 20 });
+  const client = new IndiaMartClient({
+    crmKey: 'test-key-123',
+    useFileStorage: false,
+    rateGovernor: new RateGovernor({ persist: false, rules: [] }),
+    circuitBreaker: breaker,
+    transport: (url, init) => {
+      const answer = answers[calls++];
+      if (answer !== 'stall') return Promise.resolve(respond(answer));
+      // Never answers; ends when the caller aborts
+      return new Promise((resolve, reject) => init.signal.addEventListener('abort', () => reject(init.signal.reason), { once: true }));
+    }
+  });
+  const range = {
+    startTime: new Date(Date.now() - 2 * HOUR_MS).toISOString(),
+    endTime: new Date(Date.now() - HOUR_MS).toISOString(),
+    maxRetries: 1
+  };
+
+  await quietly(() => expectError(client.getLeads(range)));
+  assert(breaker.getStatus().state === CIRCUIT_STATES.OPEN, "The server error should open the circuit");
+  await delay(30);
+
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 20);
+  const aborted = await quietly(() => expectError(client.getLeads({ ...range, signal: controller.signal })));
+  assert(aborted.code === 'ABORT_ERR', `Expected the trial to be aborted, got ${aborted.code}`);
+  assert(breaker.getStatus().state === CIRCUIT_STATES.HALF_OPEN && breaker.canRequest().allowed, "An aborted trial should free the trial slot");
+
+  const rejected = await quietly(() => expectError(client.getLeads(range)));
+  assert(rejected.code === 400 && calls === 3, `Expected one non-retryable 400, got ${rejected.code} after ${calls} calls`);
+  assert(breaker.getStatus().state === CIRCUIT_STATES.CLOSED && breaker.canRequest().allowed, "An answered trial should close the circuit");
+});
+
+await test("SDK reports the circuit in results, events and health", async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'circuit-breaker-test-'));
+  const logPath = path.join(tmpDir, 'logs');
+  const transport = createTransport();
+  const sdk = await quietly(() => new IndiaMartSDK('circuit-crm-key-0123456789', {
+    transport,
+    circuitBreaker: { failureThreshold: 1, resetTimeoutMs: 50 },
+    paths: {
+      downloadPath: path.join(tmpDir, 'downloads'),
+      logPath,
+      apiLogFile: path.join(logPath, 'api-logs.json'),
+      rateLimitFile: path.join(logPath, 'rate-limits.json'),
+      dataPath: path.join(tmpDir, 'data'),
+      leadsPath: path.join(tmpDir, 'data', 'leads'),
+      processedPath: path.join(tmpDir, 'data', 'processed'),
+      failedPath: path.join(tmpDir, 'data', 'failed')
+    }
+  }));
+
+  try {
+    const events = [];
+    for (const event of ['circuitOpen', 'circuitHalfOpen', 'circuitClosed']) {
+      sdk.on(event, () => events.push(event));
+    }
+
+    const failed = await quietly(() => sdk.getLeadsForDateRange(new Date(Date.now() - 3 * HOUR_MS), new Date(Date.now() - 2 * HOUR_MS)));
+    assert(!failed.success && events.join() === 'circuitOpen', "A server error should open the circuit");
+
+    const fastFailed = await quietly(() => sdk.getLeadsForDateRange(new Date(Date.now() - 2 * HOUR_MS), new Date(Date.now() - HOUR_MS)));
+    assert(fastFailed.code === 503 && fastFailed.circuit?.state === CIRCUIT_STATES.OPEN, `Expected a 503 fast failure, got ${fastFailed.code}`);
+    assert(fastFailed.circuit.nextAttemptAt, "The result should say when the next trial goes out");
+    assert(transport.calls === 1, `Only the first call should reach IndiaMART, got ${transport.calls}`);
+
+    let health = await quietly(() => sdk.getHealthStatus());
+    assert(health.status === 'degraded' && health.components.circuitBreaker.status === 'open', `Expected degraded health, got ${health.status}`);
+
+    await delay(60);
+    transport.healthy = true;
+    // The failed call reached IndiaMART and holds its 5-minute slot
+    await quietly(() => sdk.resetRateLimits());
+    const recovered = await quietly(() => sdk.getLeadsForDateRange(new Date(Date.now() - 2 * HOUR_MS), new Date(Date.now() - HOUR_MS)));
+    assert(recovered.success, `The trial call should succeed: ${recovered.error}`);
+    assert(events.join() === 'circuitOpen,circuitHalfOpen,circuitClosed', `Unexpected events: ${events.join()}`);
+
+    health = await quietly(() => sdk.getHealthStatus());
+    assert(health.status === 'healthy' && health.components.circuitBreaker.failures === 0, "Health should recover");
+  } finally {
+    await quietly(() => sdk.destroy());
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+console.log(failures === 0 ? "\n✅ All tests completed!" : `\n❌ ${failures} test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
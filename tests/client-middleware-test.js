@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+
+/**
+ * IndiaMART Client Middleware - Test Suite
+ *
+ * Verifies the order of the chain, what each stage exposes (URL, headers, raw response,
+ * parsed body, errors), and the built-in logging, compliance and storage middleware.
+ * Run with: node tests/client-middleware-test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { composeMiddleware } from '../src/client-middleware.js';
+import { IndiaMartClient } from '../src/indiamart-client.js';
+import { RateGovernor } from '../src/rate-governor.js';
+import { IndiaMartSDK } from '../src/sdk.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Test failed: ${message}`);
+  }
+}
+
+let failures = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+const originalLog = console.log;
+const originalWarn = console.warn;
+const originalError = console.error;
+
+// Silence request logging while tests run
+async function quietly(fn) {
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+    console.warn = originalWarn;
+    console.error = originalError;
+  }
+}
+
+async function expectError(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the request to fail');
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const SUCCESS = {
+  CODE: 200,
+  STATUS: 'SUCCESS',
+  TOTAL_RECORDS: 1,
+  RESPONSE: [{ UNIQUE_QUERY_ID: '1', QUERY_TYPE: 'W', QUERY_TIME: '2024-01-15 10:30:00', SENDER_NAME: 'Asha', SENDER_MOBILE: '+91-9999999999', SENDER_COUNTRY_ISO: 'IN' }]
+};
+
+// Transport that records every request and answers with SUCCESS
+function createTransport() {
+  const transport = async (url, init) => {
+    transport.requests.push({ url: new URL(url), init });
+    return { status: 200, statusText: 'OK', json: async () => structuredClone(SUCCESS) };
+  };
+  transport.requests = [];
+  return transport;
+}
+
+// Storage adapter that keeps stored batches in memory
+function createStorage() {
+  const storage = { batches: [] };
+  storage.storeLeads = async (leads, metadata) => {
+    storage.batches.push({ leads, metadata });
+    return `memory://${storage.batches.length}`;
+  };
+  for (const method of ['markAsProcessed', 'markAsFailed', 'getPendingFiles', 'getStats', 'cleanupOldFiles']) {
+    storage[method] = async () => null;
+  }
+  return storage;
+}
+
+const range = {
+  startTime: new Date(Date.now() - 2 * HOUR_MS).toISOString(),
+  endTime: new Date(Date.now() - HOUR_MS).toISOString()
+};
+
+function createClient(options) {
+  return new IndiaMartClient({
+    crmKey: 'test-key-123',
+    rateGovernor: new RateGovernor({ persist: false, rules: [] }),
+    storage: createStorage(),
+    ...options
+  });
+}
+
+console.log("🧪 IndiaMART Client Middleware - Test Suite");
+console.log("===========================================\n");
+
+await test("Middleware runs in order around the handler", async () => {
+  const calls = [];
+  const run = composeMiddleware([
+    async (ctx, next) => { calls.push('a:before'); await next(); calls.push('a:after'); },
+    async (ctx, next) => { calls.push('b:before'); await next(); calls.push('b:after'); }
+  ], async () => calls.push('handler'));
+
+  await run({});
+  assert(calls.join() === 'a:before,b:before,handler,b:after,a:after', `Unexpected order: ${calls.join()}`);
+
+  const twice = composeMiddleware([async (ctx, next) => { await next(); await next(); }], async () => {});
+  const error = await expectError(twice({}));
+  assert(/multiple times/.test(error.message), "Calling next() twice should fail");
+});
+
+await test("Request middleware changes the URL and headers and sees the raw response", async () => {
+  const transport = createTransport();
+  const seen = [];
+  const client = createClient({ transport });
+
+  client.use(async (ctx, next) => {
+    if (ctx.stage === 'fetch') {
+      ctx.state.correlationId = 'corr-42';
+      return next();
+    }
+    ctx.init.headers['X-Correlation-Id'] = ctx.state.correlationId;
+    ctx.url.searchParams.set('trace', '1');
+    await next();
+    seen.push({ status: ctx.response.status, code: ctx.body.CODE, attempt: ctx.attempt, page: ctx.page });
+  });
+
+  const result = await quietly(() => client.getLeads(range));
+  const [request] = transport.requests;
+  assert(result.success && result.leads.length === 1, "The fetch should succeed");
+  assert(request.init.headers['X-Correlation-Id'] === 'corr-42', "Fetch state should reach the request headers");
+  assert(request.url.searchParams.get('trace') === '1', "Query params should be editable");
+  assert(request.init.signal instanceof AbortSignal, "The client should still pass its deadline signal");
+  assert(seen.length === 1 && seen[0].status === 200 && seen[0].code === 200 && seen[0].attempt === 1 && seen[0].page === 1, "The raw response and body should be visible");
+});
+
+await test("The parsed body can be changed before processing, or answered without a request", async () => {
+  const transport = createTransport();
+  const client = createClient({ transport })
+    .use(async (ctx, next) => {
+      await next();
+      if (ctx.stage === 'request') ctx.body.RESPONSE[0].SENDER_NAME = 'Asha Rao';
+    });
+
+  const result = await quietly(() => client.getLeads(range));
+  assert(result.leads[0].sender.name === 'Asha Rao', `Processing should see the changed body, got ${result.leads[0].sender.name}`);
+
+  const cached = createClient({ transport, middleware: [async (ctx, next) => {
+    if (ctx.stage !== 'request') return next();
+    ctx.body = { ...SUCCESS, RESPONSE: [{ ...SUCCESS.RESPONSE[0], UNIQUE_QUERY_ID: 'cached' }] };
+  }] });
+  const served = await quietly(() => cached.getLeads(range));
+  assert(served.leads[0].uniqueQueryId === 'cached' && transport.requests.length === 1, "A middleware should be able to answer without the transport");
+});
+
+await test("Errors are thrown through next() at both stages", async () => {
+  const errors = [];
+  const client = createClient({
+    transport: async () => { throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }); },
+    retryPolicy: { maxAttempts: 2, baseDelayMs: 0, random: () => 0 }
+  }).use(async (ctx, next) => {
+    try {
+      await next();
+    } catch (error) {
+      errors.push(`${ctx.stage}:${error.code}`);
+      throw error;
+    }
+  });
+
+  const error = await quietly(() => expectError(client.getLeads(range)));
+  assert(error.code === 'ECONNRESET', `Expected the transport error, got ${error.code}`);
+  assert(errors.join() === 'request:ECONNRESET,request:ECONNRESET,fetch:ECONNRESET', `Unexpected errors: ${errors.join()}`);
+});
+
+await test("Logging, storage and compliance are built-in middleware", async () => {
+  const transport = createTransport();
+  const storage = createStorage();
+  const client = createClient({ transport, storage })
+    .use(async (ctx, next) => {
+      await next();
+      if (ctx.stage === 'fetch') ctx.result.leads.forEach(lead => { lead.source = 'middleware'; });
+    });
+
+  assert(client.middleware.slice(0, 3).map(fn => fn.middlewareName).join() === 'logging,storage,compliance', "Built-ins should come first");
+
+  const result = await quietly(() => client.getLeads(range));
+  assert(result.downloadPath === 'memory://1', "The storage middleware should store the leads");
+  assert(storage.batches[0].leads[0].source === 'middleware', "Leads changed by inner middleware should be stored");
+
+  const tooLong = { startTime: new Date(Date.now() - 9 * 24 * HOUR_MS).toISOString(), endTime: range.endTime };
+  const error = await quietly(() => expectError(client.getLeads(tooLong)));
+  assert(error.code === 'DATE_COMPLIANCE_ERROR' && transport.requests.length === 1, "The compliance middleware should stop the fetch before a request");
+
+  const unstored = createClient({ transport, useFileStorage: false });
+  assert(!unstored.middleware.some(fn => fn.middlewareName === 'storage'), "Without storage there should be no storage middleware");
+  assert(!(await quietly(() => unstored.getLeads(range))).downloadPath, "Nothing should be stored");
+});
+
+await test("SDK adds middleware to its client", async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'client-middleware-test-'));
+  const logPath = path.join(tmpDir, 'logs');
+  const transport = createTransport();
+  const sdk = await quietly(() => new IndiaMartSDK('middleware-crm-key-0123456789', {
+    transport,
+    middleware: [async (ctx, next) => {
+      if (ctx.stage === 'request') ctx.init.headers['X-Tenant'] = 'acme';
+      await next();
+    }],
+    paths: {
+      downloadPath: path.join(tmpDir, 'downloads'),
+      logPath,
+      apiLogFile: path.join(logPath, 'api-logs.json'),
+      rateLimitFile: path.join(logPath, 'rate-limits.json'),
+      dataPath: path.join(tmpDir, 'data'),
+      leadsPath: path.join(tmpDir, 'data', 'leads'),
+      processedPath: path.join(tmpDir, 'data', 'processed'),
+      failedPath: path.join(tmpDir, 'data', 'failed')
+    }
+  }));
+
+  try {
+    const stages = [];
+    assert(sdk.use(async (ctx, next) => { stages.push(ctx.stage); await next(); }) === sdk, "use() should return the SDK");
+
+    const result = await quietly(() => sdk.getLeadsForDateRange(new Date(Date.now() - 2 * HOUR_MS), new Date(Date.now() - HOUR_MS)));
+    assert(result.success, `The fetch should succeed: ${result.error}`);
+    assert(transport.requests[0].init.headers['X-Tenant'] === 'acme', "Middleware from the options should run");
+    assert(stages.join() === 'fetch,request', `Unexpected stages: ${stages.join()}`);
+  } finally {
+    await quietly(() => sdk.destroy());
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+console.log(failures === 0 ? "\n✅ All tests completed!" : `\n❌ ${failures} test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
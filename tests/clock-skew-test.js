@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+
+/**
+ * IndiaMART Clock Skew - Test Suite
+ *
+ * Verifies the rolling skew estimate from response Date headers, the threshold reports,
+ * the optional correction of DateComplianceManager windows, and how the client and the
+ * SDK (logger, events, health, NTP recommendations) use it.
+ * Run with: node tests/clock-skew-test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ClockSkewMonitor } from '../src/clock-skew.js';
+import { DateComplianceManager } from '../src/date-compliance.js';
+import { IndiaMartClient } from '../src/indiamart-client.js';
+import { RateGovernor } from '../src/rate-governor.js';
+import { IndiaMartSDK, SDK_EVENTS } from '../src/sdk.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Test failed: ${message}`);
+  }
+}
+
+let failures = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+const originalLog = console.log;
+const originalWarn = console.warn;
+const originalError = console.error;
+
+// Silence request logging while tests run
+async function quietly(fn) {
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+    console.warn = originalWarn;
+    console.error = originalError;
+  }
+}
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const SUCCESS = {
+  CODE: 200,
+  STATUS: 'SUCCESS',
+  TOTAL_RECORDS: 1,
+  RESPONSE: [{ UNIQUE_QUERY_ID: '1', QUERY_TYPE: 'W', QUERY_TIME: '2024-01-15 10:30:00', SENDER_MOBILE: '+91-9999999999', SENDER_COUNTRY_ISO: 'IN' }]
+};
+const SERVER_ERROR = { CODE: 500, STATUS: 'FAILURE', MESSAGE: 'Internal Server Error' };
+
+// Transport whose Date header runs offsetMs from the local clock; plays the bodies in order
+function createTransport(offsetMs, ...bodies) {
+  const transport = async (url) => {
+    transport.urls.push(new URL(url));
+    const body = bodies[Math.min(transport.urls.length - 1, bodies.length - 1)];
+    return {
+      status: 200,
+      statusText: 'OK',
+      headers: new Headers({ date: new Date(Date.now() + offsetMs).toUTCString() }),
+      json: async () => structuredClone(body)
+    };
+  };
+  transport.urls = [];
+  return transport;
+}
+
+// Parse an IndiaMART timestamp (DD-MM-YYYYHH:MM:SS, IST) back into epoch milliseconds
+function parseApiTimestamp(value) {
+  const [, d, m, y, h, mi, s] = value.match(/^(\d{2})-(\d{2})-(\d{4})(\d{2}):(\d{2}):(\d{2})$/).map(Number);
+  return Date.UTC(y, m - 1, d, h, mi, s) - 5.5 * HOUR_MS;
+}
+
+const range = {
+  startTime: new Date(Date.now() - 2 * HOUR_MS).toISOString(),
+  endTime: new Date(Date.now() - HOUR_MS).toISOString()
+};
+
+console.log("🧪 IndiaMART Clock Skew - Test Suite");
+console.log("====================================\n");
+
+await test("The estimate is the median of the recent samples", async () => {
+  const monitor = new ClockSkewMonitor({ windowSize: 3, minSamples: 2 });
+  const at = Date.parse('2025-01-15T10:00:00Z');
+  const header = (offsetMs) => new Date(at + offsetMs).toUTCString();
+
+  assert(monitor.record('not a date', { sentAt: at, receivedAt: at }) === null, "An unusable header should be ignored");
+  assert(monitor.record(header(60000), { sentAt: at - 200, receivedAt: at + 200 }) === 60500, "Half a second should make up for the truncated header");
+  assert(monitor.getOffset() === 0, "One sample is not enough for an estimate");
+
+  monitor.record(header(62000), { sentAt: at, receivedAt: at });
+  monitor.record(header(5 * 60000), { sentAt: at, receivedAt: at });
+  assert(monitor.getOffset() === 62500, `An outlier should not move the median, got ${monitor.getOffset()}`);
+
+  monitor.record(header(0), { sentAt: at, receivedAt: at });
+  monitor.record(header(0), { sentAt: at, receivedAt: at });
+  assert(monitor.getStatus().samples === 3 && monitor.getOffset() === 500, "Only the last windowSize samples should count");
+});
+
+await test("The skew is reported past the threshold and again once it is back", async () => {
+  const reports = [];
+  const monitor = new ClockSkewMonitor({
+    thresholdMs: 30000,
+    minSamples: 1,
+    windowSize: 1,
+    onSkew: (status) => reports.push(`skew:${status.offsetMs}`),
+    onRecovered: (status) => reports.push(`recovered:${status.offsetMs}`)
+  });
+  const at = Date.parse('2025-01-15T10:00:00Z');
+  const record = (offsetMs) => monitor.record(new Date(at + offsetMs).toUTCString(), { sentAt: at + 500, receivedAt: at + 500 });
+
+  record(-40000);
+  record(-35000);
+  record(-20000);
+  assert(monitor.getStatus().skewed, "Under the threshold but above half of it should still count as skewed");
+  record(-10000);
+  assert(reports.join() === 'skew:-40000,recovered:-10000', `Unexpected reports: ${reports.join()}`);
+});
+
+await test("Correction shifts the windows built by DateComplianceManager", async () => {
+  const local = Date.parse('2025-01-15T10:00:00Z');
+  const monitor = new ClockSkewMonitor({ correct: true, minSamples: 1, clock: () => local });
+  monitor.record(new Date(local - 10 * MINUTE_MS).toUTCString(), { sentAt: local + 500, receivedAt: local + 500 });
+  assert(monitor.now().getTime() === local - 10 * MINUTE_MS, `now() should follow IndiaMART, got ${monitor.now().toISOString()}`);
+
+  const dates = new DateComplianceManager({ clock: () => monitor.now() });
+  const lastDay = dates.getLastDaysRange(1);
+  assert(lastDay.endDate.getTime() === local - 10 * MINUTE_MS, "The window should end at IndiaMART's now");
+  assert(lastDay.endDate - lastDay.startDate === 24 * HOUR_MS, "The window length should be kept");
+  assert(dates.splitDateRange(new Date(local - HOUR_MS), new Date(local)).endDate.getTime() === local - 10 * MINUTE_MS, "Windows should be clamped to IndiaMART's now");
+
+  const uncorrected = new ClockSkewMonitor({ minSamples: 1, clock: () => local });
+  uncorrected.record(new Date(local - 10 * MINUTE_MS).toUTCString(), { sentAt: local, receivedAt: local });
+  assert(uncorrected.now().getTime() === local, "Without correct: true the local clock should be used");
+});
+
+await test("Client samples every response and warns on skew", async () => {
+  const transport = createTransport(2 * MINUTE_MS, SERVER_ERROR, SERVER_ERROR, SUCCESS);
+  const warnings = [];
+  const client = new IndiaMartClient({
+    crmKey: 'test-key-123',
+    useFileStorage: false,
+    rateGovernor: new RateGovernor({ persist: false, rules: [] }),
+    retryPolicy: { overrides: { SERVER_ERROR: { retryAfter: 0 } }, random: () => 0 },
+    transport
+  });
+  assert(client.middleware.some(fn => fn.middlewareName === 'clockSkew'), "Sampling should be a built-in middleware");
+
+  await quietly(async () => {
+    console.warn = (message) => warnings.push(message);
+    await client.getLeads(range);
+  });
+
+  const status = client.clockSkew.getStatus();
+  assert(status.samples === 3 && status.skewed, `Every attempt should be sampled, got ${status.samples}`);
+  assert(Math.abs(status.offsetMs - 2 * MINUTE_MS) < 2000, `Expected about +120s, got ${status.offsetMs}`);
+  assert(warnings.some(message => /NTP/.test(message)), "The skew should be reported on the console");
+  assert(Math.abs(client.dateComplianceManager.now() - Date.now()) < 1000, "Windows should not be corrected by default");
+});
+
+await test("Replayed and middleware-served responses are not sampled", async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clock-skew-test-'));
+  const cassettePath = path.join(tmpDir, 'cassette.json');
+  const createClient = (options) => new IndiaMartClient({
+    crmKey: 'test-key-123',
+    useFileStorage: false,
+    rateGovernor: new RateGovernor({ persist: false, rules: [] }),
+    ...options
+  });
+
+  try {
+    // Recording samples the live answer; replaying it a day later must not look like a day of skew
+    const recorder = createClient({ transport: createTransport(0, SUCCESS), cassette: { mode: 'record', path: cassettePath } });
+    await quietly(() => recorder.getLeads(range));
+    assert(recorder.clockSkew.getStatus().samples === 1, "A recorded live response should be sampled");
+
+    const cassette = JSON.parse(fs.readFileSync(cassettePath, 'utf8'));
+    cassette.interactions[0].response.headers.date = new Date(Date.now() - 24 * HOUR_MS).toUTCString();
+    fs.writeFileSync(cassettePath, JSON.stringify(cassette));
+    const player = createClient({ cassette: { mode: 'replay', path: cassettePath } });
+    assert((await quietly(() => player.getLeads(range))).success, "The cassette should replay");
+    assert(player.clockSkew.getStatus().samples === 0, "A replayed response should not be sampled");
+
+    const transport = createTransport(0, SUCCESS);
+    const cached = createClient({ transport });
+    cached.use(async (ctx, next) => {
+      if (ctx.stage !== 'request') return next();
+      ctx.response = { status: 200, headers: new Headers({ date: new Date(Date.now() - HOUR_MS).toUTCString() }) };
+      ctx.body = structuredClone(SUCCESS);
+    });
+    assert((await quietly(() => cached.getLeads(range))).success && transport.urls.length === 0, "The middleware should answer");
+    assert(cached.clockSkew.getStatus().samples === 0, "A middleware-served response should not be sampled");
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+await test("SDK logs and emits the skew and corrects its windows when asked", async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clock-skew-test-'));
+  const logPath = path.join(tmpDir, 'logs');
+  const transport = createTransport(-10 * MINUTE_MS, SERVER_ERROR, SERVER_ERROR, SERVER_ERROR, SUCCESS);
+  const sdk = await quietly(() => new IndiaMartSDK('clock-skew-crm-key-0123456789', {
+    transport,
+    clockSkew: { correct: true },
+    retryPolicy: { overrides: { SERVER_ERROR: { retryAfter: 0 } }, random: () => 0 },
+    paths: {
+      downloadPath: path.join(tmpDir, 'downloads'),
+      logPath,
+      apiLogFile: path.join(logPath, 'api-logs.json'),
+      rateLimitFile: path.join(logPath, 'rate-limits.json'),
+      dataPath: path.join(tmpDir, 'data'),
+      leadsPath: path.join(tmpDir, 'data', 'leads'),
+      processedPath: path.join(tmpDir, 'data', 'processed'),
+      failedPath: path.join(tmpDir, 'data', 'failed')
+    }
+  }));
+  const events = [];
+  sdk.on(SDK_EVENTS.CLOCK_SKEW, (status) => events.push(status));
+
+  try {
+    const failed = await quietly(() => sdk.getLeadsForDateRange(new Date(Date.now() - 3 * HOUR_MS), new Date(Date.now() - 2 * HOUR_MS)));
+    assert(!failed.success && failed.attempts === 3, "Three attempts should give three samples");
+    assert(events.length === 1 && events[0].skewed && events[0].correcting, "clockSkew should be emitted once");
+    assert(Math.abs(events[0].offsetMs + 10 * MINUTE_MS) < 2000, `Expected about -600s, got ${events[0].offsetMs}`);
+
+    const logged = fs.readFileSync(path.join(logPath, 'secure-sdk.log'), 'utf8');
+    assert(/Local clock is off IndiaMART time/.test(logged), "The skew should be logged");
+
+    // The failed fetch reached IndiaMART and holds its 5-minute slot
+    await quietly(() => sdk.resetRateLimits());
+    const result = await quietly(() => sdk.getLeadsForLastDays(1));
+    assert(result.success, `The fetch should succeed: ${result.error}`);
+    const endTime = parseApiTimestamp(transport.urls.at(-1).searchParams.get('end_time'));
+    assert(Math.abs(endTime - (Date.now() - 10 * MINUTE_MS)) < 5000, `end_time should follow IndiaMART's clock, got ${new Date(endTime).toISOString()}`);
+
+    const health = await sdk.getHealthStatus();
+    assert(health.components.clock.status === 'skewed' && health.components.clock.correcting, "Health should report the clock");
+    const ntp = sdk.client.complianceManager.getNTPSyncRecommendations();
+    assert(ntp.syncRequired === true && ntp.measured.offsetMs === sdk.clockSkew.getOffset(), "NTP recommendations should include the measured skew");
+  } finally {
+    await quietly(() => sdk.destroy());
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+console.log(failures === 0 ? "\n✅ All tests completed!" : `\n❌ ${failures} test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -20,6 +20,7 @@ dotenv.config();
 class ComplianceTester {
   constructor() {
     this.complianceManager = new IndiaMartComplianceManager({
+      governor: { persist: false },
       onViolation: this.handleViolation.bind(this),
       onBlocked: this.handleBlocked.bind(this),
       onRecovered: this.handleRecovered.bind(this)
@@ -115,7 +116,7 @@ class ComplianceTester {
     console.log(`First call: ${compliance1.isValid ? '✅ Allowed' : '❌ Blocked'}`);
     
     if (compliance1.isValid) {
-      this.complianceManager.recordCall();
+      await this.complianceManager.recordCall();
     }
     
     // Try immediate second call (should be blocked)
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+
+/**
+ * IndiaMART SDK Error Mode - Test Suite
+ *
+ * Verifies that 'result' mode keeps returning failure results, that 'throw' mode throws the
+ * original typed error with its cause chain, that a call can override the mode, and that
+ * the scheduler and account manager still get results from an SDK in 'throw' mode.
+ * Run with: node tests/error-mode-test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  RateLimitError,
+  ComplianceError,
+  DateRangeError,
+  TimeoutError
+} from '../src/error-handler.js';
+import { IndiaMartSDK } from '../src/sdk.js';
+import { RequestScheduler } from '../src/request-scheduler.js';
+import { IndiaMartAccountManager } from '../src/account-manager.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Test failed: ${message}`);
+  }
+}
+
+let failures = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+const originalLog = console.log;
+const originalWarn = console.warn;
+const originalError = console.error;
+
+// Silence request logging while tests run
+async function quietly(fn) {
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+    console.warn = originalWarn;
+    console.error = originalError;
+  }
+}
+
+async function expectError(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the request to fail');
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+const RATE_LIMITED = { CODE: 429, STATUS: 'FAILURE', MESSAGE: 'Too Many Requests' };
+
+const lastHour = () => [new Date(Date.now() - 2 * HOUR_MS), new Date(Date.now() - HOUR_MS)];
+const nineDays = () => [new Date(Date.now() - 9 * 24 * HOUR_MS), new Date(Date.now() - HOUR_MS)];
+
+function respondWith(body) {
+  return async () => ({ status: 200, statusText: 'OK', json: async () => body });
+}
+
+function createPaths(tmpDir) {
+  const logPath = path.join(tmpDir, 'logs');
+  return {
+    downloadPath: path.join(tmpDir, 'downloads'),
+    logPath,
+    apiLogFile: path.join(logPath, 'api-logs.json'),
+    rateLimitFile: path.join(logPath, 'rate-limits.json'),
+    dataPath: path.join(tmpDir, 'data'),
+    leadsPath: path.join(tmpDir, 'data', 'leads'),
+    processedPath: path.join(tmpDir, 'data', 'processed'),
+    failedPath: path.join(tmpDir, 'data', 'failed')
+  };
+}
+
+// Run fn with an SDK in its own temporary directory
+async function withSdk(options, fn) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'error-mode-test-'));
+  const sdk = await quietly(() => new IndiaMartSDK('error-mode-crm-key-0123456789', {
+    transport: respondWith(RATE_LIMITED),
+    paths: createPaths(tmpDir),
+    ...options
+  }));
+
+  try {
+    await fn(sdk);
+  } finally {
+    await quietly(() => sdk.destroy());
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+console.log("🧪 IndiaMART SDK Error Mode - Test Suite");
+console.log("========================================\n");
+
+await test("'result' stays the default and unknown modes are rejected", async () => {
+  await withSdk({}, async (sdk) => {
+    assert(sdk.options.errorMode === 'result', "The default mode should be 'result'");
+
+    const limited = await quietly(() => sdk.getLeadsForDateRange(...lastHour()));
+    assert(!limited.success && limited.code === 429 && limited.errorType === 'RATE_LIMIT_15_MIN', `Expected a 429 result, got ${limited.code}`);
+
+    sdk.cache.get = () => { throw new TypeError('cache unavailable'); };
+    const unexpected = await quietly(() => sdk.getLeadsForDateRange(...lastHour()));
+    assert(unexpected.code === 500 && unexpected.error === 'Internal error occurred', "Unexpected errors should still be a 500 result");
+  });
+
+  let error = null;
+  try {
+    new IndiaMartSDK('error-mode-crm-key-0123456789', { errorMode: 'silent' });
+  } catch (caught) {
+    error = caught;
+  }
+  assert(error && /Invalid errorMode/.test(error.message), "An unknown mode should be rejected");
+});
+
+await test("'throw' mode throws the original typed errors", async () => {
+  await withSdk({ errorMode: 'throw' }, async (sdk) => {
+    const limited = await quietly(() => expectError(sdk.getLeadsForDateRange(...lastHour())));
+    assert(limited instanceof RateLimitError && limited.type === 'RATE_LIMIT_15_MIN' && limited.attempts === 1, `Expected a RateLimitError, got ${limited.name}`);
+
+    const tooLong = await quietly(() => expectError(sdk.getLeadsForDateRange(...nineDays())));
+    assert(tooLong instanceof ComplianceError && tooLong.violations.length > 0, `Expected a ComplianceError, got ${tooLong.name}`);
+
+    const bad = await quietly(() => expectError(sdk.getLeadsForDateRange('not-a-date', new Date())));
+    assert(bad instanceof DateRangeError && bad.type === 'INVALID_DATE_FORMAT', `Expected a DateRangeError, got ${bad.name}`);
+
+    const cacheError = new TypeError('cache unavailable');
+    sdk.cache.get = () => { throw cacheError; };
+    const unexpected = await quietly(() => expectError(sdk.getLeadsForDateRange(...lastHour())));
+    assert(unexpected === cacheError, "Unexpected errors should be rethrown unchanged");
+  });
+});
+
+await test("'throw' mode keeps the cause chain", async () => {
+  await withSdk({
+    errorMode: 'throw',
+    timeoutMs: 20,
+    transport: () => new Promise(() => {}),
+    retryPolicy: { overrides: { TIMEOUT: { retry: false } } }
+  }, async (sdk) => {
+    const timedOut = await quietly(() => expectError(sdk.getLeads({ startTime: lastHour()[0], endTime: lastHour()[1] })));
+    assert(timedOut instanceof TimeoutError && timedOut.cause, `Expected a TimeoutError with a cause, got ${timedOut.name}`);
+  });
+});
+
+await test("A call can override the mode", async () => {
+  await withSdk({}, async (sdk) => {
+    const thrown = await quietly(() => expectError(sdk.getLeadsForDateRange(...lastHour(), { errorMode: 'throw' })));
+    assert(thrown instanceof RateLimitError, "A per-call 'throw' should throw");
+
+    const viaGetLeads = await quietly(() => expectError(sdk.getLeads({ startTime: lastHour()[0], endTime: lastHour()[1], errorMode: 'throw' })));
+    assert(viaGetLeads instanceof RateLimitError, "getLeads should accept errorMode in its params");
+  });
+
+  await withSdk({ errorMode: 'throw' }, async (sdk) => {
+    const result = await quietly(() => sdk.getLeadsForLastDays(1, { errorMode: 'result' }));
+    assert(!result.success && result.code === 429, "A per-call 'result' should return the failure");
+  });
+});
+
+await test("Scheduler and account manager still get results in 'throw' mode", async () => {
+  await withSdk({ errorMode: 'throw' }, async (sdk) => {
+    const scheduler = new RequestScheduler(sdk);
+    try {
+      const result = await quietly(() => scheduler.getLeadsForDateRange(...lastHour()));
+      assert(!result.success && result.code === 429, `The scheduler should return the failure, got ${result.code}`);
+    } finally {
+      scheduler.stop();
+    }
+  });
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'error-mode-accounts-'));
+  const manager = new IndiaMartAccountManager({
+    baseDir: tmpDir,
+    sdkOptions: { errorMode: 'throw', transport: respondWith(RATE_LIMITED) }
+  });
+
+  try {
+    await quietly(() => manager.addAccount('pumps', 'error-mode-crm-key-0123456789'));
+    const merged = await quietly(() => manager.getLeadsForDateRange(...lastHour()));
+    assert(!merged.success && merged.accounts.pumps.code === 429, `The failure should be merged per account, got ${JSON.stringify(merged.accounts.pumps)}`);
+  } finally {
+    await quietly(() => manager.destroy());
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+console.log(failures === 0 ? "\n✅ All tests completed!" : `\n❌ ${failures} test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * IndiaMART Cross-Process Locking - Test Suite
+ *
+ * Verifies the lockfile (exclusive, stale detection, timeouts, waiting without blocking)
+ * and that a rate limiter denies calls while it cannot take the lock, and that its
+ * slots are reserved atomically by several worker processes sharing one state file.
+ * Run with: node tests/file-lock-test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { acquireFileLock, tryAcquireFileLock, withFileLock } from '../src/file-lock.js';
+import { RateLimiter } from '../src/rate-limiter.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Test failed: ${message}`);
+  }
+}
+
+let failures = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+const originalLog = console.log;
+const originalWarn = console.warn;
+
+// Silence rate limiter and stale-lock logging while tests run
+async function quietly(fn) {
+  console.log = console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+    console.warn = originalWarn;
+  }
+}
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-lock-test-'));
+const rateLimiterUrl = new URL('../src/rate-limiter.js', import.meta.url).href;
+
+/**
+ * Start a worker process that tries to reserve and record `attempts` calls
+ * @returns {Promise<number>} Calls the worker was allowed to make
+ */
+function runWorker(rateLimitFile, attempts) {
+  const script = `
+    import { RateLimiter } from ${JSON.stringify(rateLimiterUrl)};
+    console.log = () => {};
+    const limiter = new RateLimiter({ logDirectory: ${JSON.stringify(tmpDir)}, rateLimitFile: ${JSON.stringify(rateLimitFile)} });
+    let allowed = 0;
+    for (let i = 0; i < ${attempts}; i++) {
+      if ((await limiter.canMakeCall({ notify: false })).allowed) {
+        allowed++;
+        await limiter.recordCall(true);
+      }
+    }
+    process.stdout.write(String(allowed));
+  `;
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['--input-type=module', '-e', script], { stdio: ['ignore', 'pipe', 'inherit'] });
+    let output = '';
+    child.stdout.on('data', (chunk) => { output += chunk; });
+    child.on('error', reject);
+    child.on('exit', (code) => code === 0 ? resolve(Number(output)) : reject(new Error(`Worker exited with ${code}`)));
+  });
+}
+
+console.log("🧪 IndiaMART Cross-Process Locking - Test Suite");
+console.log("===============================================\n");
+
+await test("Lock is exclusive until released", async () => {
+  const lockPath = path.join(tmpDir, 'exclusive.lock');
+  const lock = await acquireFileLock(lockPath);
+  assert(tryAcquireFileLock(lockPath) === null, "A held lock should not be taken without waiting");
+
+  let error = null;
+  try {
+    await acquireFileLock(lockPath, { timeoutMs: 50 });
+  } catch (caught) {
+    error = caught;
+  }
+  assert(error && error.code === 'LOCK_TIMEOUT', "Second acquire should time out");
+  assert(error.holder.pid === process.pid, "Timeout should name the holder");
+
+  lock.release();
+  assert(await withFileLock(lockPath, () => 'ran') === 'ran', "Lock should be free after release");
+  assert(!fs.existsSync(lockPath), "Lock file should be removed");
+});
+
+await test("Waiting for a lock leaves the event loop running", async () => {
+  const lockPath = path.join(tmpDir, 'waiting.lock');
+  const lock = await acquireFileLock(lockPath);
+  const order = [];
+
+  const waiting = acquireFileLock(lockPath, { timeoutMs: 2000 }).then((second) => {
+    order.push('acquired');
+    second.release();
+  });
+  await new Promise(resolve => setTimeout(resolve, 30));
+  order.push('timer');
+  lock.release();
+  await waiting;
+
+  assert(order.join() === 'timer,acquired', `Timers should run while the lock is awaited, got ${order.join()}`);
+});
+
+await test("A call is denied while the rate limit file stays locked", async () => {
+  const rateLimitFile = path.join(tmpDir, 'locked.json');
+  const limiter = new RateLimiter({ logDirectory: tmpDir, rateLimitFile, lockTimeoutMs: 50 });
+  const lock = await acquireFileLock(`${rateLimitFile}.lock`);
+
+  try {
+    const check = await quietly(() => limiter.canMakeCall());
+    assert(!check.allowed && check.reason === 'LOCK_TIMEOUT' && !check.reservationId, `Expected a LOCK_TIMEOUT denial, got ${check.reason}`);
+    assert(check.retryAfter > 0, "The denial should say when to try again");
+  } finally {
+    lock.release();
+  }
+
+  const status = await quietly(() => limiter.getStatus());
+  assert(status.callsPerMinute === 0, "The denied call should not count");
+  assert((await quietly(() => limiter.canMakeCall())).allowed, "The call should be allowed once the lock is free");
+});
+
+await test("Locks of dead processes and expired locks are broken", async () => {
+  const deadLock = path.join(tmpDir, 'dead.lock');
+  fs.writeFileSync(deadLock, JSON.stringify({ token: 'old', pid: 2 ** 22 + 12345, hostname: os.hostname() }));
+  await quietly(() => withFileLock(deadLock, () => {}, { timeoutMs: 100 }));
+
+  const expiredLock = path.join(tmpDir, 'expired.lock');
+  fs.writeFileSync(expiredLock, JSON.stringify({ token: 'old', pid: process.pid, hostname: os.hostname() }));
+  const past = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(expiredLock, past, past);
+  await quietly(() => withFileLock(expiredLock, () => {}, { staleMs: 1000, timeoutMs: 100 }));
+});
+
+await test("A failed call releases its reserved slot", async () => {
+  const rateLimitFile = path.join(tmpDir, 'release.json');
+  const limiter = new RateLimiter({ logDirectory: tmpDir, rateLimitFile });
+
+  await quietly(async () => {
+    const check = await limiter.canMakeCall();
+    assert(check.allowed && check.reservationId, "Allowed check should reserve a slot");
+    assert(limiter.getStatus().callsPerMinute === 1, "Reserved slot should count right away");
+    await limiter.recordCall(false);
+  });
+
+  const status = await quietly(() => limiter.getStatus());
+  assert(status.callsPerMinute === 0, `Released slot should not count, got ${status.callsPerMinute}`);
+});
+
+await test("Workers sharing the state file never exceed the minute limit", async () => {
+  const rateLimitFile = path.join(tmpDir, 'shared.json');
+  const allowed = await Promise.all([1, 2, 3, 4].map(() => runWorker(rateLimitFile, 4)));
+  const total = allowed.reduce((sum, count) => sum + count, 0);
+  assert(total === 5, `Expected exactly 5 calls across workers but got ${total} (${allowed.join(', ')})`);
+
+  const saved = JSON.parse(fs.readFileSync(rateLimitFile, 'utf8'));
+  assert(saved.calls.length === 5, `Expected 5 recorded calls but got ${saved.calls.length}`);
+  assert(Object.keys(saved.reservations).length === 0, "All reservations should be settled");
+});
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+console.log(failures === 0 ? "\n✅ All tests completed!" : `\n❌ ${failures} test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+
+/**
+ * IndiaMART Key Providers - Test Suite
+ *
+ * Verifies the static, environment, file and callback providers, that the client fetches
+ * the key again after IndiaMART rejects it and retries once, and the SDK's rotateKey()
+ * and keyExpired event.
+ * Run with: node tests/key-provider-test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  StaticKeyProvider,
+  EnvKeyProvider,
+  FileKeyProvider,
+  CallbackKeyProvider,
+  createKeyProvider
+} from '../src/key-provider.js';
+import { AuthenticationError, KeyExpiredError } from '../src/error-handler.js';
+import { IndiaMartClient } from '../src/indiamart-client.js';
+import { RateGovernor } from '../src/rate-governor.js';
+import { IndiaMartSDK, SDK_EVENTS } from '../src/sdk.js';
+import { createMockLmsServer, generateMockLeads } from '../src/mock-lms-server.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Test failed: ${message}`);
+  }
+}
+
+let failures = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+const originalLog = console.log;
+const originalWarn = console.warn;
+const originalError = console.error;
+
+// Silence request logging while tests run
+async function quietly(fn) {
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+    console.warn = originalWarn;
+    console.error = originalError;
+  }
+}
+
+async function expectError(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the request to fail');
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+const OLD_KEY = 'old-crm-key-0123456789';
+const NEW_KEY = 'new-crm-key-0123456789';
+
+const SUCCESS = {
+  CODE: 200,
+  STATUS: 'SUCCESS',
+  TOTAL_RECORDS: 1,
+  RESPONSE: [{ UNIQUE_QUERY_ID: '1', QUERY_TYPE: 'W', QUERY_TIME: '2024-01-15 10:30:00', SENDER_MOBILE: '+91-9999999999', SENDER_COUNTRY_ISO: 'IN' }]
+};
+const NEW_KEY_GENERATED = { CODE: 401, STATUS: 'FAILURE', MESSAGE: 'Key expired, a new key was generated.' };
+
+// Transport that accepts only the given keys and records the key of every request
+function createTransport(validKeys) {
+  const transport = async (url) => {
+    const key = new URL(url).searchParams.get('glusr_crm_key');
+    transport.keys.push(key);
+    const body = validKeys.includes(key) ? SUCCESS : NEW_KEY_GENERATED;
+    return { status: 200, statusText: 'OK', json: async () => structuredClone(body) };
+  };
+  transport.keys = [];
+  return transport;
+}
+
+const range = {
+  startTime: new Date(Date.now() - 2 * HOUR_MS).toISOString(),
+  endTime: new Date(Date.now() - HOUR_MS).toISOString()
+};
+
+function createClient(options) {
+  return new IndiaMartClient({
+    useFileStorage: false,
+    rateGovernor: new RateGovernor({ persist: false, rules: [] }),
+    ...options
+  });
+}
+
+function createPaths(tmpDir) {
+  const logPath = path.join(tmpDir, 'logs');
+  return {
+    downloadPath: path.join(tmpDir, 'downloads'),
+    logPath,
+    apiLogFile: path.join(logPath, 'api-logs.json'),
+    rateLimitFile: path.join(logPath, 'rate-limits.json'),
+    dataPath: path.join(tmpDir, 'data'),
+    leadsPath: path.join(tmpDir, 'data', 'leads'),
+    processedPath: path.join(tmpDir, 'data', 'processed'),
+    failedPath: path.join(tmpDir, 'data', 'failed')
+  };
+}
+
+console.log("🧪 IndiaMART Key Providers - Test Suite");
+console.log("=======================================\n");
+
+await test("Static, environment, file and callback providers return the current key", async () => {
+  const fixed = new StaticKeyProvider(OLD_KEY);
+  fixed.setKey(NEW_KEY);
+  assert(await fixed.getKey() === NEW_KEY, "setKey() should replace the static key");
+
+  const env = { INDIAMART_CRM_KEY: OLD_KEY };
+  const fromEnv = new EnvKeyProvider({ env });
+  assert(await fromEnv.getKey() === OLD_KEY, "The default variable should be read");
+  env.INDIAMART_CRM_KEY = NEW_KEY;
+  assert(await fromEnv.getKey() === NEW_KEY, "The variable should be read on every call");
+  const missing = await expectError(new EnvKeyProvider({ variable: 'MISSING_KEY', env }).getKey());
+  assert(/MISSING_KEY/.test(missing.message), "An unset variable should name the variable");
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'key-provider-test-'));
+  try {
+    const keyFile = path.join(tmpDir, 'crm-key');
+    fs.writeFileSync(keyFile, `${OLD_KEY}\n`);
+    const fromFile = new FileKeyProvider({ path: keyFile });
+    assert(await fromFile.getKey() === OLD_KEY, "Surrounding whitespace should be ignored");
+    fs.writeFileSync(keyFile, NEW_KEY);
+    assert(await fromFile.getKey() === NEW_KEY, "The file should be read on every call");
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  assert(await new CallbackKeyProvider(async () => NEW_KEY).getKey() === NEW_KEY, "The callback's key should be returned");
+  assert(createKeyProvider(OLD_KEY) instanceof StaticKeyProvider && createKeyProvider(() => OLD_KEY) instanceof CallbackKeyProvider, "Keys and functions should be wrapped");
+  assert(createKeyProvider(fromEnv) === fromEnv, "Providers should be used as they are");
+});
+
+await test("Client fetches the key again after an expired key and retries once", async () => {
+  const transport = createTransport([NEW_KEY]);
+  const expired = [];
+  const client = createClient({
+    crmKey: OLD_KEY,
+    keyProvider: async () => NEW_KEY,
+    transport,
+    onKeyExpired: (info) => expired.push(info)
+  });
+
+  const result = await quietly(() => client.getLeads(range));
+  assert(result.success && result.attempts === 2, `Expected success on the second attempt, got ${result.attempts}`);
+  assert(transport.keys.join() === `${OLD_KEY},${NEW_KEY}`, `Unexpected keys: ${transport.keys.join()}`);
+  assert(client.crmKey === NEW_KEY, "The new key should be kept for later calls");
+  assert(expired.length === 1 && expired[0].keyRefreshed && expired[0].newKeyGenerated && expired[0].error instanceof KeyExpiredError, "onKeyExpired should report the refresh");
+});
+
+await test("The key is fetched again only once per call", async () => {
+  const sameKey = createTransport([]);
+  const expired = [];
+  const unchanged = createClient({ crmKey: OLD_KEY, keyProvider: () => OLD_KEY, transport: sameKey, onKeyExpired: (info) => expired.push(info) });
+  const error = await quietly(() => expectError(unchanged.getLeads(range)));
+  assert(error instanceof KeyExpiredError && error.attempts === 1 && sameKey.keys.length === 1, "The same key should not be tried again");
+  assert(expired.length === 1 && !expired[0].keyRefreshed, "onKeyExpired should report that no new key was found");
+
+  let next = 0;
+  const badKeys = createTransport([]);
+  const rotating = createClient({ crmKey: OLD_KEY, keyProvider: () => `bad-crm-key-${next++}-0123456789`, transport: badKeys });
+  const stillFailing = await quietly(() => expectError(rotating.getLeads(range)));
+  assert(stillFailing instanceof AuthenticationError && stillFailing.attempts === 2 && badKeys.keys.length === 2, `Expected 2 attempts, got ${badKeys.keys.length}`);
+});
+
+await test("A provider-only client fetches its key before the first call", async () => {
+  const transport = createTransport([NEW_KEY]);
+  const client = createClient({ keyProvider: new StaticKeyProvider(NEW_KEY), transport });
+  assert(client.crmKey === null, "No key should be known before the first call");
+  const result = await quietly(() => client.getLeads(range));
+  assert(result.success && transport.keys.join() === NEW_KEY, "The provider's key should be used");
+
+  const failing = createClient({ keyProvider: async () => { throw new Error('vault sealed'); }, transport });
+  const error = await quietly(() => expectError(failing.getLeads(range)));
+  assert(error instanceof AuthenticationError && error.type === 'KEY_PROVIDER_ERROR' && error.cause.message === 'vault sealed', `Expected KEY_PROVIDER_ERROR, got ${error.type}`);
+  assert(transport.keys.length === 1, "No request should be sent without a key");
+
+  let threw = false;
+  try {
+    createClient({ transport });
+  } catch (caught) {
+    threw = caught.message === 'crmKey is required';
+  }
+  assert(threw, "A key or a provider should be required");
+});
+
+await test("SDK rotates keys, reports expired keys and clears the key on destroy", async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'key-provider-test-'));
+  const transport = createTransport([NEW_KEY]);
+  const sdk = await quietly(() => new IndiaMartSDK(OLD_KEY, { transport, paths: createPaths(tmpDir) }));
+  const expired = [];
+  sdk.on(SDK_EVENTS.KEY_EXPIRED, (info) => expired.push(info));
+
+  try {
+    const failed = await quietly(() => sdk.getLeadsForDateRange(new Date(Date.now() - 2 * HOUR_MS), new Date(Date.now() - HOUR_MS)));
+    assert(!failed.success && failed.errorType === 'API_KEY_EXPIRED_NEW_GENERATED', `Expected an expired key, got ${failed.errorType}`);
+    assert(expired.length === 1 && expired[0].newKeyGenerated && !expired[0].keyRefreshed, "keyExpired should be emitted");
+
+    const invalid = await expectError(sdk.rotateKey('short'));
+    assert(/Invalid CRM key/.test(invalid.message) && sdk.crmKey === OLD_KEY, "An invalid key should be rejected");
+
+    await quietly(() => sdk.rotateKey(NEW_KEY));
+    // The rejected call reached IndiaMART and holds its 5-minute slot
+    await quietly(() => sdk.resetRateLimits());
+    const result = await quietly(() => sdk.getLeadsForDateRange(new Date(Date.now() - 3 * HOUR_MS), new Date(Date.now() - HOUR_MS)));
+    assert(result.success && sdk.crmKey === NEW_KEY && transport.keys.at(-1) === NEW_KEY, "The rotated key should be used");
+  } finally {
+    await quietly(() => sdk.destroy());
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  assert(sdk.crmKey === null, "destroy() should clear the key");
+});
+
+await test("SDK picks up a rotated key file after IndiaMART expires the old key", async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'key-provider-test-'));
+  const server = createMockLmsServer({ crmKey: [OLD_KEY, NEW_KEY], leads: generateMockLeads(2) });
+  await server.start();
+  const keyFile = path.join(tmpDir, 'crm-key');
+  fs.writeFileSync(keyFile, OLD_KEY);
+
+  const sdk = await quietly(() => new IndiaMartSDK(OLD_KEY, {
+    keyProvider: new FileKeyProvider({ path: keyFile }),
+    baseUrl: server.baseUrl,
+    paths: createPaths(tmpDir)
+  }));
+
+  try {
+    server.expireKey(OLD_KEY);
+    fs.writeFileSync(keyFile, NEW_KEY);
+
+    const result = await quietly(() => sdk.getLeadsForLastDays(1));
+    assert(result.success && result.leads.length === 2, `The fetch should succeed with the new key: ${result.error}`);
+    assert(server.requests.length === 2 && result.attempts === 2, `Expected one retry, got ${server.requests.length} requests`);
+    assert(sdk.crmKey === NEW_KEY, "The SDK should keep the new key");
+  } finally {
+    await quietly(() => sdk.destroy());
+    await server.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+console.log(failures === 0 ? "\n✅ All tests completed!" : `\n❌ ${failures} test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+/**
+ * IndiaMART Lead Poller - Test Suite
+ *
+ * Verifies checkpointing, gap calculation and de-duplicated, at-least-once lead delivery
+ * using a stubbed SDK (no network calls).
+ * Run with: node tests/lead-poller-test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LeadPoller } from '../src/lead-poller.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Test failed: ${message}`);
+  }
+}
+
+let failures = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+function makeLead(id, queryTime = '2024-01-15 10:30:00') {
+  return { uniqueQueryId: id, queryTime, queryType: 'W' };
+}
+
+function createStubSDK(responses) {
+  const calls = [];
+  return {
+    calls,
+    options: { paths: { logPath: './logs' } },
+    async getLeadsForDateRange(startDate, endDate) {
+      calls.push({ startDate, endDate });
+      return responses.shift() || { success: true, leads: [] };
+    }
+  };
+}
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-poller-test-'));
+const checkpointFile = (name) => path.join(tmpDir, `${name}.json`);
+
+console.log("🧪 IndiaMART Lead Poller - Test Suite");
+console.log("=====================================\n");
+
+await test("Interval is clamped to the 5-15 minute compliance window", () => {
+  const sdk = createStubSDK([]);
+  const fast = new LeadPoller(sdk, { intervalMs: 1000, checkpointFile: checkpointFile('clamp-a') });
+  const slow = new LeadPoller(sdk, { intervalMs: 60 * 60 * 1000, checkpointFile: checkpointFile('clamp-b') });
+  assert(fast.intervalMs === 5 * 60 * 1000, "Interval below 5 minutes should be raised to 5 minutes");
+  assert(slow.intervalMs === 15 * 60 * 1000, "Interval above 15 minutes should be lowered to 15 minutes");
+});
+
+await test("First poll fetches the initial lookback window", async () => {
+  const sdk = createStubSDK([{ success: true, leads: [makeLead('1')] }]);
+  const poller = new LeadPoller(sdk, { checkpointFile: checkpointFile('first'), initialLookbackMs: 60 * 60 * 1000 });
+  const result = await poller.poll();
+  const { startDate, endDate } = sdk.calls[0];
+  assert(result.newLeads === 1, "Should report one new lead");
+  assert(Math.abs(endDate - startDate - 60 * 60 * 1000) < 1000, "Window should span the initial lookback");
+});
+
+await test("Subsequent polls only fetch the gap since the checkpoint", async () => {
+  const file = checkpointFile('gap');
+  const windowEnd = new Date(Date.now() - 20 * 60 * 1000);
+  fs.writeFileSync(file, JSON.stringify({ windowEnd: windowEnd.toISOString(), seenIds: [] }));
+
+  const sdk = createStubSDK([]);
+  const poller = new LeadPoller(sdk, { checkpointFile: file, overlapMs: 0 });
+  await poller.poll();
+  assert(sdk.calls[0].startDate.getTime() === windowEnd.getTime(), "Window should start at the saved high-water mark");
+});
+
+await test("Large gaps are caught up in 7-day windows", async () => {
+  const file = checkpointFile('catch-up');
+  const windowEnd = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+  fs.writeFileSync(file, JSON.stringify({ windowEnd: windowEnd.toISOString(), seenIds: [] }));
+
+  const sdk = createStubSDK([]);
+  const poller = new LeadPoller(sdk, { checkpointFile: file, overlapMs: 0 });
+  await poller.poll();
+  const { startDate, endDate } = sdk.calls[0];
+  assert(endDate - startDate === 7 * 24 * 60 * 60 * 1000, "Window should be capped at 7 days");
+});
+
+await test("Each lead is emitted exactly once across polls and restarts", async () => {
+  const file = checkpointFile('exactly-once');
+  const emitted = [];
+
+  const sdk = createStubSDK([
+    { success: true, leads: [makeLead('A'), makeLead('B')] },
+    { success: true, leads: [makeLead('B'), makeLead('C')] }
+  ]);
+  const poller = new LeadPoller(sdk, { checkpointFile: file });
+  poller.on('lead', (lead) => emitted.push(lead.uniqueQueryId));
+  await poller.poll();
+
+  // Simulate a crash and restart with a new poller reading the same checkpoint
+  const restarted = new LeadPoller(sdk, { checkpointFile: file });
+  restarted.on('lead', (lead) => emitted.push(lead.uniqueQueryId));
+  await restarted.poll();
+
+  assert(emitted.join(',') === 'A,B,C', `Expected A,B,C but got ${emitted.join(',')}`);
+  assert(restarted.getCheckpoint().seenIds === 3, "Checkpoint should remember all seen IDs");
+});
+
+await test("A throwing listener gets the lead again on the next poll", async () => {
+  const file = checkpointFile('listener-throws');
+  const window = { success: true, leads: [makeLead('A'), makeLead('B'), makeLead('C')] };
+  const sdk = createStubSDK([window, window]);
+  const poller = new LeadPoller(sdk, { checkpointFile: file });
+  const emitted = [];
+  const errors = [];
+  let failOnce = true;
+  poller.on('lead', (lead) => {
+    if (lead.uniqueQueryId === 'B' && failOnce) {
+      failOnce = false;
+      throw new Error('handler down');
+    }
+    emitted.push(lead.uniqueQueryId);
+  });
+  poller.on('error', (error) => errors.push(error));
+
+  const failed = await poller.poll();
+  assert(!failed.success && failed.newLeads === 1, "The poll should stop at the failing lead");
+  assert(errors.length === 1 && errors[0].lead.uniqueQueryId === 'B', "The listener error should be emitted");
+  assert(poller.getCheckpoint().windowEnd === null && poller.getCheckpoint().seenIds === 1, "Only the acknowledged lead should be checkpointed");
+
+  // A restart reads the saved checkpoint and fetches the same window again
+  const restarted = new LeadPoller(sdk, { checkpointFile: file });
+  restarted.on('lead', (lead) => emitted.push(lead.uniqueQueryId));
+  const retried = await restarted.poll();
+  assert(retried.success && emitted.join(',') === 'A,B,C', `Expected A,B,C but got ${emitted.join(',')}`);
+  assert(Math.abs(sdk.calls[1].startDate - sdk.calls[0].startDate) < 1000, "The failed window should be fetched again");
+});
+
+await test("Failed polls do not advance the checkpoint", async () => {
+  const file = checkpointFile('failure');
+  const sdk = createStubSDK([{ success: false, error: 'Rate limit exceeded', code: 500, leads: [] }]);
+  const poller = new LeadPoller(sdk, { checkpointFile: file });
+  const errors = [];
+  poller.on('error', (error) => errors.push(error));
+  const result = await poller.poll();
+  assert(!result.success, "Poll should report failure");
+  assert(errors.length === 1, "Error should be emitted to listeners");
+  assert(poller.getCheckpoint().windowEnd === null, "Checkpoint should not advance");
+});
+
+await test("A partial window is polled again without re-emitting its leads", async () => {
+  const sdk = createStubSDK([
+    { success: true, partial: true, totalRecords: 3, leads: [makeLead('A'), makeLead('B')] },
+    { success: true, partial: false, totalRecords: 3, leads: [makeLead('A'), makeLead('B'), makeLead('C')] }
+  ]);
+  const poller = new LeadPoller(sdk, { checkpointFile: checkpointFile('partial') });
+  const emitted = [];
+  poller.on('lead', (lead) => emitted.push(lead.uniqueQueryId));
+
+  const partial = await poller.poll();
+  assert(partial.success && partial.partial && partial.newLeads === 2, "The partial poll should emit what it fetched");
+  assert(poller.getCheckpoint().windowEnd === null, "A partial window should not advance the checkpoint");
+
+  const complete = await poller.poll();
+  assert(Math.abs(sdk.calls[1].startDate - sdk.calls[0].startDate) < 1000, "The same window should be fetched again");
+  assert(complete.newLeads === 1 && emitted.join(',') === 'A,B,C', `Expected A,B,C but got ${emitted.join(',')}`);
+  assert(poller.getCheckpoint().windowEnd !== null, "A complete window should advance the checkpoint");
+});
+
+await test("'No leads' responses advance the checkpoint", async () => {
+  const sdk = createStubSDK([{ success: false, error: 'There are no leads in the given time duration.', leads: [] }]);
+  const poller = new LeadPoller(sdk, { checkpointFile: checkpointFile('no-leads') });
+  const result = await poller.poll();
+  assert(result.success, "Poll should succeed");
+  assert(poller.getCheckpoint().windowEnd !== null, "Checkpoint should advance");
+});
+
+await test("start, pause, resume and stop transition state", async () => {
+  const sdk = createStubSDK([]);
+  const poller = new LeadPoller(sdk, { checkpointFile: checkpointFile('lifecycle') });
+  poller.start();
+  assert(poller.getStatus().state === 'running', "Poller should be running");
+  poller.pause();
+  assert(poller.getStatus().state === 'paused', "Poller should be paused");
+  poller.resume();
+  assert(poller.getStatus().state === 'running', "Poller should be running again");
+  await poller.stop();
+  assert(poller.getStatus().state === 'stopped', "Poller should be stopped");
+  assert(poller.timer === null, "No timer should remain after stop");
+});
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+console.log(failures === 0 ? "\n✅ All tests completed!" : `\n❌ ${failures} test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+
+/**
+ * IndiaMART Lead Stream - Test Suite
+ *
+ * Verifies windowing, lazy page fetching (backpressure) and the Readable
+ * variant using a stubbed client (no network calls).
+ * Run with: node tests/lead-stream-test.js
+ */
+
+import { LeadStream } from '../src/lead-stream.js';
+import { DateComplianceManager } from '../src/date-compliance.js';
+import { IndiaMartClient } from '../src/indiamart-client.js';
+import { MOCK_SCENARIOS } from '../src/mock-lms-server.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Test failed: ${message}`);
+  }
+}
+
+let failures = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function makeLead(id) {
+  return {
+    UNIQUE_QUERY_ID: id,
+    QUERY_TYPE: 'W',
+    QUERY_TIME: '2024-01-15 10:30:00',
+    SENDER_COUNTRY_ISO: 'IN',
+    SENDER_MOBILE: '+91-9999999999'
+  };
+}
+
+// Silence the client's request logging while a test runs
+async function quietly(fn) {
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+// Every window has two pages of two leads each; IDs are unique per window
+function createStubSDK() {
+  const calls = [];
+  return {
+    calls,
+    dateCompliance: new DateComplianceManager(),
+    client: {
+      async fetchWithRateSlot({ startTime, page = 1 }) {
+        calls.push({ startTime, page });
+        const base = `${calls.filter(call => call.page === 1).length}-${page}`;
+        return { totalRecords: 4, leads: [{ uniqueQueryId: `${base}-a` }, { uniqueQueryId: `${base}-b` }] };
+      }
+    }
+  };
+}
+
+console.log("🧪 IndiaMART Lead Stream - Test Suite");
+console.log("=====================================\n");
+
+await test("Streams every lead across windows and pages", async () => {
+  const sdk = createStubSDK();
+  const stream = new LeadStream(sdk, { from: new Date(Date.now() - 10 * DAY_MS), minIntervalMs: 0 });
+  const ids = [];
+  for await (const lead of stream) {
+    ids.push(lead.uniqueQueryId);
+  }
+  assert(ids.length === 8, `Expected 8 leads but got ${ids.length}`);
+  assert(sdk.calls.length === 4, "Two windows of two pages should be fetched");
+  assert(stream.getStats().windowsDone === 2, "Both windows should be reported done");
+});
+
+await test("Pages are only fetched when the consumer asks for more", async () => {
+  const sdk = createStubSDK();
+  const stream = new LeadStream(sdk, { from: new Date(Date.now() - 10 * DAY_MS), minIntervalMs: 0 });
+  for await (const lead of stream) {
+    assert(lead.uniqueQueryId, "Lead should have an ID");
+    break;
+  }
+  assert(sdk.calls.length === 1, `Expected 1 page fetched but got ${sdk.calls.length}`);
+});
+
+await test("Readable variant emits processed leads in object mode", async () => {
+  const sdk = createStubSDK();
+  const readable = new LeadStream(sdk, { from: new Date(Date.now() - 3 * DAY_MS), minIntervalMs: 0 }).toReadable();
+  const ids = [];
+  for await (const lead of readable) {
+    ids.push(lead.uniqueQueryId);
+  }
+  assert(readable.readableObjectMode, "Readable should be in object mode");
+  assert(ids.length === 4, `Expected 4 leads but got ${ids.length}`);
+});
+
+await test("Aborting the signal ends the stream", async () => {
+  const sdk = createStubSDK();
+  const controller = new AbortController();
+  const stream = new LeadStream(sdk, { from: new Date(Date.now() - 10 * DAY_MS), signal: controller.signal });
+  let error = null;
+  try {
+    for await (const lead of stream) {
+      controller.abort();
+    }
+  } catch (err) {
+    error = err;
+  }
+  assert(error?.name === 'AbortError', "Stream should end with an AbortError");
+});
+
+await test("Overlapping pages are counted by unique leads before a window is done", async () => {
+  const pages = { 1: ['q-1', 'q-2'], 2: ['q-2', 'q-3'], 3: ['q-4'] };
+  const requested = [];
+  const sdk = {
+    dateCompliance: new DateComplianceManager(),
+    client: {
+      async fetchWithRateSlot({ page = 1 }) {
+        requested.push(page);
+        return { totalRecords: 4, leads: (pages[page] || []).map(uniqueQueryId => ({ uniqueQueryId })) };
+      }
+    }
+  };
+  const stream = new LeadStream(sdk, { from: new Date(Date.now() - 60 * 60 * 1000), minIntervalMs: 0 });
+  const ids = [];
+  for await (const lead of stream) {
+    ids.push(lead.uniqueQueryId);
+  }
+  assert(ids.join() === 'q-1,q-2,q-3,q-4', `Expected four unique leads, got ${ids.join()}`);
+  assert(requested.join() === '1,2,3', `A duplicate row should not stand in for a missing lead, pages ${requested.join()}`);
+});
+
+await test("Each page takes a rate slot and counts every request it sent", async () => {
+  const responses = [
+    MOCK_SCENARIOS.serverError,
+    { CODE: 200, STATUS: 'SUCCESS', TOTAL_RECORDS: 3, RESPONSE: [makeLead('q-1'), makeLead('q-2')] },
+    { CODE: 200, STATUS: 'SUCCESS', TOTAL_RECORDS: 3, RESPONSE: [makeLead('q-3')] }
+  ];
+  const client = new IndiaMartClient({
+    crmKey: 'test-key-123',
+    useFileStorage: false,
+    rateGovernor: { persist: false },
+    retryPolicy: { overrides: { SERVER_ERROR: { retryAfter: 0 } }, random: () => 0 },
+    transport: async () => ({ status: 200, statusText: 'OK', json: async () => structuredClone(responses.shift()) })
+  });
+  const sdk = { client, dateCompliance: new DateComplianceManager(), rateGovernor: client.rateGovernor };
+  const stream = new LeadStream(sdk, { from: new Date(Date.now() - 60 * 60 * 1000) });
+
+  const ids = await quietly(async () => {
+    const streamed = [];
+    for await (const lead of stream) streamed.push(lead.uniqueQueryId);
+    return streamed;
+  });
+  assert(ids.join() === 'q-1,q-2,q-3', `Expected all three leads, got ${ids.join()}`);
+  const status = client.rateGovernor.getStatus();
+  assert(status.callsPerMinute === 3, `The retried request should count as a call, got ${status.callsPerMinute}`);
+  const data = client.rateGovernor.loadRateLimitData();
+  assert(Object.keys(data.reservations).length === 0, "Every reserved slot should be settled");
+});
+
+console.log(failures === 0 ? "\n✅ All tests completed!" : `\n❌ ${failures} test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * IndiaMART Leader Election - Test Suite
+ *
+ * Verifies that only one instance per CRM key holds the lease, that leadership fails
+ * over when the leader stops or stops renewing, and that followers do not poll.
+ * Run with: node tests/leader-election-test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  LeaderElection,
+  FileLeaseBackend,
+  MemoryLeaseBackend,
+  assertLeaseBackend,
+  leaderKeyForCrmKey,
+  leaderKeyForPath
+} from '../src/leader-election.js';
+import { LeadPoller } from '../src/lead-poller.js';
+import { IndiaMartSDK } from '../src/sdk.js';
+import { StaticKeyProvider } from '../src/key-provider.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Test failed: ${message}`);
+  }
+}
+
+let failures = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+const originalLog = console.log;
+const originalWarn = console.warn;
+
+// Silence SDK logging while tests run
+async function quietly(fn) {
+  console.log = console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+    console.warn = originalWarn;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'leader-election-test-'));
+const crmKey = 'test-crm-key-1234567890';
+
+console.log("🧪 IndiaMART Leader Election - Test Suite");
+console.log("=========================================\n");
+
+await test("Election key is a stable hash that does not reveal the CRM key", () => {
+  const key = leaderKeyForCrmKey(crmKey);
+  assert(key === leaderKeyForCrmKey(crmKey), "Key should be stable");
+  assert(key !== leaderKeyForCrmKey('another-crm-key-123'), "Different CRM keys should get different keys");
+  assert(!key.includes(crmKey), "Key should not contain the CRM key");
+});
+
+await test("Only one instance leads, and a stopped leader hands over", async () => {
+  const backend = new FileLeaseBackend({ directory: tmpDir });
+  const first = new LeaderElection({ crmKey, backend, ownerId: 'first' });
+  const second = new LeaderElection({ crmKey, backend, ownerId: 'second' });
+
+  assert(await first.start() === true, "First instance should be elected");
+  assert(await second.start() === false, "Second instance should follow");
+  assert((await second.getLeader()).ownerId === 'first', "Followers should see the leader");
+
+  const elected = [];
+  second.on('elected', (event) => elected.push(event));
+  await first.stop();
+  await second.tick();
+
+  assert(second.isLeader() && !first.isLeader(), "Leadership should move to the second instance");
+  assert(elected.length === 1 && elected[0].term === 2, "A new term should start on failover");
+  await second.stop();
+});
+
+await test("A leader that stops renewing loses the lease after it expires", async () => {
+  const backend = new MemoryLeaseBackend();
+  const leader = new LeaderElection({ key: 'expiry', backend, ownerId: 'leader', leaseTtlMs: 100, renewIntervalMs: 30 });
+  const standby = new LeaderElection({ key: 'expiry', backend, ownerId: 'standby', leaseTtlMs: 100, renewIntervalMs: 30 });
+
+  const lost = [];
+  leader.on('lost', (event) => lost.push(event));
+
+  // Tick by hand instead of start(), as if the leader's process had frozen
+  assert(await leader.tick(), "Leader should be elected");
+  assert(!(await standby.tick()), "Standby should not take a live lease");
+
+  await sleep(150);
+  assert(!leader.isLeader(), "Expired lease should not be trusted");
+  assert(await standby.tick(), "Standby should take over the expired lease");
+  assert(!(await leader.tick()), "Old leader should not get the lease back");
+  assert(lost.length === 1, "Old leader should emit 'lost' once");
+});
+
+await test("Incomplete lease backends are rejected", () => {
+  let error = null;
+  try {
+    assertLeaseBackend({ acquire: async () => null });
+  } catch (caught) {
+    error = caught;
+  }
+  assert(error && error.message.includes('renew'), "Missing methods should be listed");
+});
+
+await test("Followers do not poll", async () => {
+  let calls = 0;
+  const sdk = {
+    options: { paths: { logPath: tmpDir } },
+    getLeadsForDateRange: async () => {
+      calls++;
+      return { success: true, leads: [] };
+    }
+  };
+  const poller = new LeadPoller(sdk, {
+    checkpointFile: path.join(tmpDir, 'checkpoint.json'),
+    leaderElection: { isLeader: () => false }
+  });
+
+  const result = await poller.poll();
+  assert(result.skipped && result.reason === 'NOT_LEADER', "Poll should be skipped");
+  assert(calls === 0, "Follower should not call the API");
+  assert(poller.getStatus().isLeader === false, "Status should show the follower role");
+});
+
+await test("SDK elections are keyed by the shared log path, not the CRM key", async () => {
+  const logPath = path.join(tmpDir, 'sdk-logs');
+  const paths = { logPath, downloadPath: path.join(tmpDir, 'downloads'), dataPath: path.join(tmpDir, 'data') };
+  const sdk = await quietly(() => new IndiaMartSDK(crmKey, { paths }));
+  const provided = await quietly(() => new IndiaMartSDK(new StaticKeyProvider('another-crm-key-123'), { paths }));
+
+  try {
+    const key = sdk.createLeaderElection().key;
+    assert(key === leaderKeyForPath(logPath) && !key.includes(crmKey), "The key should be a hash of the log path");
+    assert(provided.createLeaderElection().key === key, "An SDK with a key provider should join the same election");
+
+    await quietly(() => sdk.rotateKey('rotated-crm-key-1234567890'));
+    assert(sdk.createLeaderElection().key === key, "Rotating the CRM key should not change the election");
+    assert(sdk.createLeaderElection({ key: 'pollers' }).key === 'pollers', "An explicit key should win");
+    assert(sdk.createLeaderElection({ crmKey }).key === leaderKeyForCrmKey(crmKey), "An explicit CRM key should still name the election");
+  } finally {
+    await quietly(() => sdk.destroy());
+    await quietly(() => provided.destroy());
+  }
+});
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+console.log(failures === 0 ? "\n✅ All tests completed!" : `\n❌ ${failures} test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+/**
+ * IndiaMART LMS Emulator - Test Suite
+ *
+ * Verifies the emulator's response shapes against IndiaMartErrorHandler and
+ * exercises the client and the SDK end to end over HTTP on localhost.
+ * Run with: node tests/mock-server-test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMockLmsServer, generateMockLeads } from '../src/mock-lms-server.js';
+import { IndiaMartClient } from '../src/indiamart-client.js';
+import { IndiaMartErrorHandler } from '../src/error-handler.js';
+import { IndiaMartSDK } from '../src/sdk.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Test failed: ${message}`);
+  }
+}
+
+let failures = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+const originalLog = console.log;
+
+// Silence request logging while tests run
+async function quietly(fn) {
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+const CRM_KEY = 'mock-crm-key-0123456789';
+const HOUR_MS = 60 * 60 * 1000;
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-server-test-'));
+
+const server = createMockLmsServer({
+  crmKey: CRM_KEY,
+  pageSize: 10,
+  leads: generateMockLeads(25, { from: new Date(Date.now() - 20 * HOUR_MS), to: new Date(Date.now() - HOUR_MS) })
+});
+const baseUrl = await server.start();
+
+const range = {
+  startTime: new Date(Date.now() - 24 * HOUR_MS).toISOString(),
+  endTime: new Date().toISOString()
+};
+
+async function callRaw(params = {}) {
+  const url = new URL(baseUrl);
+  url.searchParams.set('glusr_crm_key', params.key || CRM_KEY);
+  url.searchParams.set('start_time', range.startTime);
+  url.searchParams.set('end_time', range.endTime);
+  return (await fetch(url)).json();
+}
+
+console.log("🧪 IndiaMART LMS Emulator - Test Suite");
+console.log("======================================\n");
+
+await test("Error scenarios match the shapes the error handler parses", async () => {
+  const handler = new IndiaMartErrorHandler();
+  const expected = {
+    noLeads: 'NO_LEADS',
+    incorrectKey: 'INVALID_API_KEY',
+    keyExpired: 'API_KEY_EXPIRED_INACTIVITY',
+    keyReplaced: 'API_KEY_EXPIRED_NEW_GENERATED',
+    rateLimit5Min: 'RATE_LIMIT_5_MIN',
+    rateLimit15Min: 'RATE_LIMIT_15_MIN',
+    serverError: 'SERVER_ERROR',
+    dateRangeTooLarge: 'DATE_RANGE_TOO_LARGE'
+  };
+
+  for (const [scenario, type] of Object.entries(expected)) {
+    server.queueScenario(scenario);
+    const body = await callRaw();
+    const error = handler.createSpecificError(body.CODE, body.STATUS, body.MESSAGE, body);
+    assert(error.details.type === type, `${scenario} should parse as ${type} but got ${error.details.type}`);
+  }
+});
+
+await test("Unknown and expired keys are rejected with 401", async () => {
+  const wrong = await callRaw({ key: 'some-other-key-123' });
+  assert(wrong.CODE === 401 && /incorrect/.test(wrong.MESSAGE), "Unknown key should be incorrect");
+
+  const expiring = createMockLmsServer({ crmKey: CRM_KEY });
+  await expiring.start();
+  expiring.expireKey(CRM_KEY);
+  const url = new URL(expiring.baseUrl);
+  url.searchParams.set('glusr_crm_key', CRM_KEY);
+  const body = await (await fetch(url)).json();
+  await expiring.stop();
+  assert(body.CODE === 401 && /no longer in use/.test(body.MESSAGE), "Expired key should report inactivity");
+});
+
+await test("Client fetches every page of the seeded leads", async () => {
+  server.reset();
+  const client = new IndiaMartClient({ crmKey: CRM_KEY, baseUrl, useFileStorage: false, rateGovernor: { persist: false } });
+  const result = await quietly(() => client.getLeads(range));
+  assert(result.success, "Fetch should succeed");
+  assert(result.leads.length === 25 && result.totalRecords === 25, `Expected 25 leads but got ${result.leads.length}`);
+  assert(result.pagesFetched === 3, `Expected 3 pages but got ${result.pagesFetched}`);
+  assert(server.requests.map(request => request.params.page || '1').join(',') === '1,2,3', "Pages should be requested in order");
+});
+
+await test("Non-retryable API errors reach the client caller", async () => {
+  const client = new IndiaMartClient({ crmKey: 'some-other-key-123', baseUrl, useFileStorage: false, rateGovernor: { persist: false } });
+  let error = null;
+  try {
+    await quietly(() => client.getLeads(range));
+  } catch (caught) {
+    error = caught;
+  }
+  assert(error && error.code === 401, `Expected a 401 error but got ${error?.code}`);
+});
+
+await test("SDK fetches leads end to end and emits events", async () => {
+  server.reset();
+  const sdk = new IndiaMartSDK(CRM_KEY, {
+    baseUrl,
+    paths: {
+      downloadPath: path.join(tmpDir, 'downloads'),
+      logPath: path.join(tmpDir, 'logs'),
+      apiLogFile: path.join(tmpDir, 'logs', 'api-logs.json'),
+      rateLimitFile: path.join(tmpDir, 'logs', 'rate-limits.json'),
+      dataPath: path.join(tmpDir, 'data'),
+      leadsPath: path.join(tmpDir, 'data', 'leads'),
+      processedPath: path.join(tmpDir, 'data', 'processed'),
+      failedPath: path.join(tmpDir, 'data', 'failed')
+    }
+  });
+
+  let leadEvents = 0;
+  sdk.on('lead', () => leadEvents++);
+
+  const result = await quietly(() => sdk.getLeadsForDateRange(new Date(range.startTime), new Date(range.endTime)));
+  assert(result.success, `SDK call should succeed: ${result.error}`);
+  assert(result.leads.length === 25, `Expected 25 leads but got ${result.leads.length}`);
+  assert(leadEvents === 25, `Expected 25 lead events but got ${leadEvents}`);
+  await sdk.destroy();
+});
+
+await server.stop();
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+console.log(failures === 0 ? "\n✅ All tests completed!" : `\n❌ ${failures} test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
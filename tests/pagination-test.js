@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * IndiaMART LMS Client - Pagination Test Suite
+ *
+ * Verifies that truncated results are completed from follow-up pages,
+ * de-duplicated and flagged as complete or partial (fetch is stubbed).
+ * Run with: node tests/pagination-test.js
+ */
+
+import { IndiaMartClient } from '../src/indiamart-client.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Test failed: ${message}`);
+  }
+}
+
+let failures = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+function makeLead(id) {
+  return {
+    UNIQUE_QUERY_ID: id,
+    QUERY_TYPE: 'W',
+    QUERY_TIME: '2024-01-15 10:30:00',
+    SENDER_COUNTRY_ISO: 'IN',
+    SENDER_MOBILE: '+91-9999999999'
+  };
+}
+
+// Serve pages from a map of page number -> lead IDs
+function stubFetch(totalRecords, pages) {
+  const requestedPages = [];
+  globalThis.fetch = async (url) => {
+    const page = Number(new URL(url).searchParams.get('page') || 1);
+    requestedPages.push(page);
+    return {
+      status: 200,
+      statusText: 'OK',
+      headers: new Headers(),
+      body: null,
+      json: async () => ({
+        CODE: 200,
+        STATUS: 'SUCCESS',
+        TOTAL_RECORDS: totalRecords,
+        RESPONSE: (pages[page] || []).map(makeLead)
+      })
+    };
+  };
+  return requestedPages;
+}
+
+const originalFetch = globalThis.fetch;
+const originalLog = console.log;
+const range = {
+  startTime: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+  endTime: new Date(Date.now() - 60 * 60 * 1000).toISOString()
+};
+
+function createClient() {
+  return new IndiaMartClient({ crmKey: 'test-key-123', useFileStorage: false, rateGovernor: { persist: false } });
+}
+
+// Silence the client's request logging while tests run
+async function quietly(fn) {
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+console.log("🧪 IndiaMART LMS Client - Pagination Test Suite");
+console.log("===============================================\n");
+
+await test("Single page result is complete", async () => {
+  const requested = stubFetch(2, { 1: ['1', '2'] });
+  const result = await quietly(() => createClient().getLeads(range));
+  assert(result.complete && !result.partial, "Result should be complete");
+  assert(requested.length === 1, "Only one page should be requested");
+});
+
+await test("Truncated result fetches remaining pages and de-duplicates", async () => {
+  const requested = stubFetch(4, { 1: ['1', '2'], 2: ['2', '3'], 3: ['4'] });
+  const result = await quietly(() => createClient().getLeads(range));
+  const ids = result.leads.map(lead => lead.uniqueQueryId);
+  assert(requested.join(',') === '1,2,3', `Expected pages 1,2,3 but got ${requested.join(',')}`);
+  assert(ids.join(',') === '1,2,3,4', `Expected merged IDs 1,2,3,4 but got ${ids.join(',')}`);
+  assert(result.pagesFetched === 3, "Should report three pages fetched");
+  assert(result.complete, "Result should be complete");
+});
+
+await test("Overlapping pages short of TOTAL_RECORDS are partial", async () => {
+  const requested = stubFetch(4, { 1: ['1', '2'], 2: ['2', '3'], 3: ['3'] });
+  const result = await quietly(() => createClient().getLeads(range));
+  assert(requested.join(',') === '1,2,3', `Expected pages 1,2,3 but got ${requested.join(',')}`);
+  assert(result.recordsFetched === 5 && result.leads.length === 3, "Rows should be counted before de-duplication");
+  assert(result.partial && !result.complete, "Three unique leads of four should be partial");
+});
+
+await test("Exhausted rate budget returns a partial result", async () => {
+  const requested = stubFetch(4, { 1: ['1', '2'], 2: ['3', '4'] });
+  const result = await quietly(() => createClient().getLeads({ ...range, canFetchPage: () => false }));
+  assert(requested.length === 1, "Follow-up page should not be requested");
+  assert(result.partial && !result.complete, "Result should be partial");
+  assert(result.leads.length === 2, "First page leads should still be returned");
+});
+
+await test("Explicit page disables automatic pagination", async () => {
+  const requested = stubFetch(4, { 2: ['3', '4'] });
+  await quietly(() => createClient().getLeads({ ...range, page: 2 }));
+  assert(requested.join(',') === '2', "Only the requested page should be fetched");
+});
+
+globalThis.fetch = originalFetch;
+
+console.log(failures === 0 ? "\n✅ All tests completed!" : `\n❌ ${failures} test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+/**
+ * IndiaMART Push Receiver - Test Suite
+ *
+ * Posts IndiaMART push payloads to a receiver on localhost and checks
+ * acknowledgements, validation, de-duplication and storage.
+ * Run with: node tests/push-receiver-test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createPushReceiver } from '../src/push-receiver.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Test failed: ${message}`);
+  }
+}
+
+let failures = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+const originalLog = console.log;
+
+// Silence storage logging while tests run
+async function quietly(fn) {
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'push-receiver-test-'));
+const leadsDir = path.join(tmpDir, 'leads');
+
+const receiver = createPushReceiver({
+  fileStorageOptions: {
+    baseDir: tmpDir,
+    leadsDir,
+    processedDir: path.join(tmpDir, 'processed'),
+    failedDir: path.join(tmpDir, 'failed')
+  }
+});
+const { port } = await receiver.listen(0, '127.0.0.1');
+const pushUrl = `http://127.0.0.1:${port}/indiamart/push`;
+
+const leads = [];
+const invalid = [];
+receiver.on('lead', (lead) => leads.push(lead));
+receiver.on('invalid', (event) => invalid.push(event));
+
+function pushPayload(lead) {
+  return {
+    CODE: 200,
+    STATUS: 'SUCCESS',
+    RESPONSE: {
+      UNIQUE_QUERY_ID: '2001',
+      QUERY_TYPE: 'W',
+      QUERY_TIME: '2024-01-15 10:30:00',
+      SENDER_NAME: 'Push Buyer',
+      SENDER_MOBILE: '+91-9999999999',
+      SENDER_COUNTRY_ISO: 'IN',
+      QUERY_PRODUCT_NAME: 'Industrial Pump',
+      ...lead
+    }
+  };
+}
+
+async function post(body, url = pushUrl, method = 'POST') {
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: method === 'POST' ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+console.log("🧪 IndiaMART Push Receiver - Test Suite");
+console.log("=======================================\n");
+
+await test("Valid push is acknowledged, normalized and stored", async () => {
+  const response = await quietly(() => post(pushPayload()));
+  assert(response.status === 200, `Expected HTTP 200 but got ${response.status}`);
+  assert(response.body.CODE === 200 && response.body.STATUS === 'SUCCESS', "Acknowledgement should be CODE 200 SUCCESS");
+  assert(leads.length === 1 && leads[0].uniqueQueryId === '2001', "Lead event should carry the processed lead");
+  assert(leads[0].sender.name === 'Push Buyer', "Lead should be normalized like pulled leads");
+
+  const files = fs.readdirSync(leadsDir);
+  assert(files.length === 1, `Expected one stored file but got ${files.length}`);
+  const stored = JSON.parse(fs.readFileSync(path.join(leadsDir, files[0]), 'utf8'));
+  assert(stored.metadata.source === 'push', "Stored file should be marked as pushed");
+});
+
+await test("Repeated delivery is acknowledged but not stored twice", async () => {
+  const response = await quietly(() => post(pushPayload()));
+  assert(response.status === 200 && response.body.CODE === 200, "Duplicate should still be acknowledged");
+  assert(fs.readdirSync(leadsDir).length === 1, "Duplicate should not be stored again");
+  assert(receiver.getStats().duplicates === 1, "Duplicate should be counted");
+});
+
+await test("Invalid lead is rejected with the validation errors", async () => {
+  const response = await quietly(() => post(pushPayload({ UNIQUE_QUERY_ID: '2002', SENDER_MOBILE: '', SENDER_EMAIL: '' })));
+  assert(response.status === 400 && response.body.STATUS === 'FAILURE', "Invalid lead should get HTTP 400");
+  assert(/contact field/.test(response.body.MESSAGE), "Response should explain the validation error");
+  assert(invalid.length === 1, "Invalid event should be emitted");
+});
+
+await test("Other methods and paths are refused", async () => {
+  const wrongMethod = await post(null, pushUrl, 'GET');
+  assert(wrongMethod.status === 405, `Expected 405 but got ${wrongMethod.status}`);
+  const wrongPath = await post(pushPayload(), `http://127.0.0.1:${port}/other`);
+  assert(wrongPath.status === 404, `Expected 404 but got ${wrongPath.status}`);
+});
+
+await test("A throwing lead listener is answered with 500 and its redelivery is emitted again", async () => {
+  const errors = [];
+  const failingListener = () => { throw new Error('listener bug'); };
+  const onError = (error) => errors.push(error);
+  receiver.on('lead', failingListener);
+  receiver.on('error', onError);
+
+  try {
+    const response = await quietly(() => post(pushPayload({ UNIQUE_QUERY_ID: '2003' })));
+    assert(response.status === 500 && response.body.STATUS === 'FAILURE', `Expected HTTP 500 but got ${response.status}`);
+    assert(errors.length === 1 && errors[0].message === 'listener bug', "The listener error should be emitted");
+  } finally {
+    receiver.off('lead', failingListener);
+    receiver.off('error', onError);
+  }
+
+  const redelivered = [];
+  const onLead = (lead) => redelivered.push(lead.uniqueQueryId);
+  receiver.on('lead', onLead);
+  try {
+    const response = await quietly(() => post(pushPayload({ UNIQUE_QUERY_ID: '2003' })));
+    assert(response.status === 200, `The redelivery should be acknowledged, got ${response.status}`);
+    assert(redelivered.join() === '2003', "The redelivered lead should be emitted, not acked as a duplicate");
+  } finally {
+    receiver.off('lead', onLead);
+  }
+});
+
+await test("Concurrent deliveries are stored once and a failed store can be retried", async () => {
+  const stored = [];
+  let failNext = false;
+  const storage = {
+    async storeLeads(leads) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      if (failNext) {
+        failNext = false;
+        throw new Error('disk full');
+      }
+      stored.push(...leads.map(lead => lead.uniqueQueryId));
+    }
+  };
+  const concurrent = createPushReceiver({ fileStorageManager: storage });
+
+  const results = await quietly(() => Promise.all([
+    concurrent.handlePayload(pushPayload({ UNIQUE_QUERY_ID: '3001' })),
+    concurrent.handlePayload(pushPayload({ UNIQUE_QUERY_ID: '3001' }))
+  ]));
+  assert(stored.join() === '3001', `The lead should be stored once, got ${stored.join()}`);
+  assert(results.filter(result => result.duplicate).length === 1, "The second delivery should be a duplicate");
+
+  failNext = true;
+  const failed = await quietly(() => concurrent.handlePayload(pushPayload({ UNIQUE_QUERY_ID: '3002' })));
+  assert(failed.httpStatus === 500, "A failed store should not be acknowledged");
+  const retried = await quietly(() => concurrent.handlePayload(pushPayload({ UNIQUE_QUERY_ID: '3002' })));
+  assert(retried.httpStatus === 200 && !retried.duplicate, "The redelivery should be stored");
+  assert(stored.join() === '3001,3002', `Unexpected stored leads: ${stored.join()}`);
+});
+
+await test("Leads pushed in the same millisecond are stored in separate files", async () => {
+  const burstDir = path.join(tmpDir, 'burst');
+  const burst = createPushReceiver({ fileStorageOptions: { baseDir: burstDir, leadsDir: burstDir } });
+  const ids = ['4001', '4002', '4003', '4004', '4005'];
+
+  const results = await quietly(() => Promise.all(ids.map(id => burst.handlePayload(pushPayload({ UNIQUE_QUERY_ID: id })))));
+  assert(results.every(result => result.httpStatus === 200), "Every push should be acknowledged");
+  const files = fs.readdirSync(burstDir).filter(file => file.startsWith('leads_'));
+  assert(files.length === ids.length, `Expected ${ids.length} files but got ${files.length}`);
+  const stored = files.map(file => JSON.parse(fs.readFileSync(path.join(burstDir, file), 'utf8')).leads[0].uniqueQueryId);
+  assert(stored.sort().join() === ids.join(), `Unexpected stored leads: ${stored.join()}`);
+});
+
+await receiver.close();
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+console.log(failures === 0 ? "\n✅ All tests completed!" : `\n❌ ${failures} test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * IndiaMART QUERY_TIME (IST) - Test Suite
+ *
+ * Verifies that QUERY_TIME is read as IST whatever the host's timezone: the parsing
+ * helpers, queryTimeUtc/queryTimeEpoch on processed leads, the metadata and statistics
+ * time ranges, time filters, and formatDateForAPI.
+ * Run with: node tests/query-time-test.js
+ */
+
+// A host timezone other than UTC and IST, so parsing with the host's timezone shows up
+process.env.TZ = 'America/New_York';
+
+import {
+  DateComplianceManager,
+  IST_OFFSET_MS,
+  parseQueryTime,
+  formatQueryTime,
+  parseDateInput
+} from '../src/date-compliance.js';
+import { IndiaMartResponseHandler } from '../src/response-handler.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Test failed: ${message}`);
+  }
+}
+
+let failures = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+const originalLog = console.log;
+const originalWarn = console.warn;
+
+// Silence lead processing output while tests run
+async function quietly(fn) {
+  console.log = console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+    console.warn = originalWarn;
+  }
+}
+
+function createLead(id, queryTime) {
+  return { UNIQUE_QUERY_ID: id, QUERY_TYPE: 'W', QUERY_TIME: queryTime, SENDER_MOBILE: '+91-9999999999', SENDER_COUNTRY_ISO: 'IN' };
+}
+
+const handler = new IndiaMartResponseHandler();
+
+console.log("🧪 IndiaMART QUERY_TIME (IST) - Test Suite");
+console.log("==========================================\n");
+
+await test("QUERY_TIME is parsed as IST independently of the host timezone", async () => {
+  assert(new Date(2024, 0, 1).getTimezoneOffset() === 300, "The test should run in a UTC-05:00 timezone");
+  assert(IST_OFFSET_MS === 5.5 * 60 * 60 * 1000, "IST is UTC+05:30");
+
+  assert(parseQueryTime('2021-12-08 12:47:25').toISOString() === '2021-12-08T07:17:25.000Z', "12:47:25 IST is 07:17:25 UTC");
+  assert(parseQueryTime('2024-03-01 02:00:00').toISOString() === '2024-02-29T20:30:00.000Z', "Early IST mornings are the previous UTC day");
+  assert(parseQueryTime('2021-02-30 10:00:00') === null && parseQueryTime('2021-12-08 24:00:00') === null, "Impossible times should be rejected");
+  assert(parseQueryTime('2021-12-08T12:47:25Z') === null && parseQueryTime(undefined) === null, "Other formats are not QUERY_TIME");
+
+  assert(formatQueryTime(new Date('2021-12-08T07:17:25Z')) === '2021-12-08 12:47:25', "Formatting should give the IST wall clock");
+  assert(formatQueryTime('2021-12-08 12:47:25') === '2021-12-08 12:47:25', "IST strings should round-trip");
+  assert(parseDateInput('2021-12-08T07:17:25Z').getTime() === parseDateInput('2021-12-08 12:47:25').getTime(), "ISO strings keep their zone, QUERY_TIME strings are IST");
+});
+
+await test("Processed leads carry queryTimeUtc and queryTimeEpoch", async () => {
+  const result = await quietly(() => handler.processResponse({
+    CODE: 200,
+    STATUS: 'SUCCESS',
+    TOTAL_RECORDS: 3,
+    RESPONSE: [
+      createLead('1', '2024-01-15 10:30:00'),
+      createLead('2', '2024-01-15 02:15:00'),
+      createLead('3', '2024-02-30 10:30:00')
+    ]
+  }));
+
+  const [late, early, invalid] = result.leads;
+  assert(late.queryTime === '2024-01-15 10:30:00', "QUERY_TIME should be kept as received");
+  assert(late.queryTimeUtc === '2024-01-15T05:00:00.000Z', `Expected 05:00 UTC, got ${late.queryTimeUtc}`);
+  assert(early.queryTimeEpoch === Date.UTC(2024, 0, 14, 20, 45), "The epoch should match the UTC time");
+  assert(invalid === null, "A lead with an impossible QUERY_TIME should be rejected");
+
+  const { earliest, latest } = result.metadata.timeRange;
+  assert(earliest.toISOString() === '2024-01-14T20:45:00.000Z' && latest.toISOString() === '2024-01-15T05:00:00.000Z', `Unexpected time range: ${earliest?.toISOString()} - ${latest?.toISOString()}`);
+});
+
+await test("Statistics and filters use the IST query time", async () => {
+  const leads = await quietly(() => handler.processResponse({
+    CODE: 200,
+    STATUS: 'SUCCESS',
+    RESPONSE: [createLead('1', '2024-01-15 00:10:00'), createLead('2', '2024-01-15 23:50:00')]
+  }).leads);
+  // Leads stored before queryTimeEpoch existed only have queryTime
+  const stored = { ...leads[1], uniqueQueryId: '3', queryTime: '2024-01-16 09:00:00', queryTimeUtc: undefined, queryTimeEpoch: undefined };
+  const all = [...leads, stored];
+
+  const stats = handler.getLeadStatistics(all);
+  assert(stats.timeRange.earliest.toISOString() === '2024-01-14T18:40:00.000Z', `Unexpected earliest: ${stats.timeRange.earliest.toISOString()}`);
+  assert(stats.timeRange.latest.toISOString() === '2024-01-16T03:30:00.000Z', "Stored leads should be parsed as IST too");
+  assert(/From: 2024-01-14T18:40:00.000Z/.test(handler.exportSummary(all)), "The summary should show the UTC time");
+
+  const onFifteenth = handler.filterLeadsByTime(all, { from: '2024-01-15 00:00:00', to: '2024-01-16 00:00:00' });
+  assert(onFifteenth.map(lead => lead.uniqueQueryId).join() === '1,2', "IST bounds should select the IST day");
+  const sinceUtc = handler.filterLeadsByTime(all, { from: new Date('2024-01-15T00:00:00Z') });
+  assert(sinceUtc.map(lead => lead.uniqueQueryId).join() === '2,3', "Date bounds should compare instants");
+
+  let threw = false;
+  try {
+    handler.filterLeadsByTime(all, { from: 'yesterday' });
+  } catch (error) {
+    threw = /Invalid time range/.test(error.message);
+  }
+  assert(threw, "An unparseable bound should be rejected");
+});
+
+await test("formatDateForAPI formats in IST", async () => {
+  const dates = new DateComplianceManager();
+  const evening = new Date('2024-01-15T20:00:00Z');
+  assert(dates.formatDateForAPI(evening) === '16-01-202401:30:00', `Expected the next IST day, got ${dates.formatDateForAPI(evening)}`);
+  assert(dates.formatDateForAPI(evening, 'date') === '16-JAN-2024', "The date format should use the IST day");
+  assert(dates.formatDateForAPI(evening.getTime()) === '16-01-202401:30:00', "Epoch milliseconds should be accepted");
+  assert(dates.formatDateForAPI('2024-01-16 01:30:00') === '16-01-202401:30:00', "IST strings should keep their wall clock");
+
+  let threw = false;
+  try {
+    dates.formatDateForAPI('not a date');
+  } catch (error) {
+    threw = error.message === 'Invalid date for formatting';
+  }
+  assert(threw, "Invalid dates should still throw");
+});
+
+await test("Day ranges run from IST midnight to IST midnight", async () => {
+  // 20:00 UTC on the 15th is already 01:30 on the 16th in IST (and 15:00 on the 15th in New York)
+  const dates = new DateComplianceManager({ clock: () => new Date('2024-01-15T20:00:00Z') });
+
+  const today = dates.getTodayRange();
+  assert(today.startDate.toISOString() === '2024-01-15T18:30:00.000Z', `Today should start at IST midnight, got ${today.startDate.toISOString()}`);
+  assert(today.endDate.toISOString() === '2024-01-16T18:30:00.000Z', "Today should end at the next IST midnight");
+
+  const yesterday = dates.getYesterdayRange();
+  assert(yesterday.startDate.toISOString() === '2024-01-14T18:30:00.000Z' && yesterday.endDate.getTime() === today.startDate.getTime(), `Yesterday should be the previous IST day, got ${yesterday.startDate.toISOString()}`);
+
+  const day = dates.getDateRange('2024-01-10');
+  assert(day.startDate.toISOString() === '2024-01-09T18:30:00.000Z' && day.endDate.toISOString() === '2024-01-10T18:30:00.000Z', `Expected the IST 10th, got ${day.startDate.toISOString()}`);
+  assert(dates.getDateRange('2024-01-10 23:59:59').startDate.getTime() === day.startDate.getTime(), "An IST time should select its IST day");
+});
+
+console.log(failures === 0 ? "\n✅ All tests completed!" : `\n❌ ${failures} test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+
+/**
+ * IndiaMART Rate Governor - Test Suite
+ *
+ * Verifies that one persisted governor enforces every rate rule for the SDK, the raw client,
+ * the compliance manager and the API logger, and explains why a call was denied.
+ * Run with: node tests/rate-governor-test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RateGovernor, RATE_RULES } from '../src/rate-governor.js';
+import { RateLimiter } from '../src/rate-limiter.js';
+import { IndiaMartComplianceManager } from '../src/api-compliance.js';
+import { APILogger } from '../src/api-logger.js';
+import { IndiaMartClient } from '../src/indiamart-client.js';
+import { IndiaMartSDK } from '../src/sdk.js';
+import { createMockLmsServer, generateMockLeads, MOCK_SCENARIOS } from '../src/mock-lms-server.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Test failed: ${message}`);
+  }
+}
+
+let failures = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+const originalLog = console.log;
+const originalWarn = console.warn;
+const originalError = console.error;
+
+// Silence request and rate limit logging while tests run
+async function quietly(fn) {
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+    console.warn = originalWarn;
+    console.error = originalError;
+  }
+}
+
+const MINUTE_MS = 60 * 1000;
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-governor-test-'));
+const stateFile = (name) => path.join(tmpDir, `${name}.json`);
+const createGovernor = (name, options = {}) => new RateGovernor({ logDirectory: tmpDir, rateLimitFile: stateFile(name), ...options });
+
+console.log("🧪 IndiaMART Rate Governor - Test Suite");
+console.log("=======================================\n");
+
+await test("The 5-minute rule holds back a second fetch but not follow-up pages", async () => {
+  const governor = createGovernor('interval');
+
+  await quietly(async () => {
+    const first = await governor.canMakeCall();
+    assert(first.allowed, "First fetch should be allowed");
+    await governor.recordCall(true, { reservationId: first.reservationId });
+  });
+
+  const second = await governor.canMakeCall({ notify: false, reserve: false });
+  assert(!second.allowed && second.reason === 'MIN_INTERVAL_NOT_ELAPSED', `Expected the interval rule but got ${second.reason}`);
+  assert(second.rule.includes('5 minutes'), "The rule should be described");
+  const wait = new Date(second.nextSlotAt) - Date.now();
+  assert(wait > 4 * MINUTE_MS && wait <= 5 * MINUTE_MS, `Next slot should open in about 5 minutes, got ${wait}ms`);
+  assert(second.message.includes(second.nextSlotAt), "The message should say when the next slot opens");
+
+  assert((await governor.canMakeCall({ continuation: true, reserve: false })).allowed, "Follow-up pages should be exempt");
+});
+
+await test("Counters are shared through the state file", async () => {
+  const other = createGovernor('interval'); // the state file written in the previous test
+  assert(!other.peek().allowed, "A second governor should see the earlier fetch");
+  assert(other.getStatus().lastFetchAt, "Status should report the last fetch");
+
+  const legacy = new RateLimiter({ logDirectory: tmpDir, rateLimitFile: stateFile('interval') });
+  assert((await legacy.canMakeCall({ notify: false, reserve: false })).allowed, "RateLimiter applies the call counts only");
+});
+
+await test("Going over the hourly limit blocks the key and lists every failing rule", async () => {
+  const now = Date.now();
+  const calls = Array.from({ length: 20 }, (_, i) => new Date(now - 50 * MINUTE_MS + i * 10 * 1000).toISOString());
+  calls.splice(15, 5, ...Array.from({ length: 5 }, (_, i) => new Date(now - 30 * 1000 + i * 1000).toISOString()));
+  fs.writeFileSync(stateFile('hourly'), JSON.stringify({ calls, fetches: [calls[19]], reservations: {} }));
+
+  const blocked = [];
+  const denied = [];
+  const governor = createGovernor('hourly', {
+    onBlocked: (info) => blocked.push(info),
+    onRateLimited: (check) => denied.push(check)
+  });
+  const check = await governor.canMakeCall();
+
+  assert(check.reason === 'HOURLY_LIMIT_EXCEEDED', `Expected the hourly rule but got ${check.reason}`);
+  assert(check.blockedBy.map(rule => rule.reason).join(',') === RATE_RULES.map(rule => rule.reason).join(','),
+    `Every failing rule should be listed, got ${check.blockedBy.map(rule => rule.reason).join(',')}`);
+  assert(check.retryAfter === 15 * MINUTE_MS, "The block should decide the next slot");
+  assert(blocked.length === 1 && denied.length === 1, "onBlocked and onRateLimited should fire once");
+
+  const explained = governor.explain();
+  assert(explained.reason === 'RATE_LIMIT_BLOCKED' && explained.blockedUntil, "The key should stay blocked");
+  assert(explained.rules.length === RATE_RULES.length, "Every rule should be explained");
+  assert(governor.getHistory().length === 1, "The denial should be kept in the history");
+});
+
+await test("Compliance manager and API logger consult the same governor", async () => {
+  const governor = createGovernor('shared');
+  const compliance = new IndiaMartComplianceManager({ governor });
+  const logger = await quietly(() => new APILogger({ logDirectory: tmpDir, rateLimitFile: stateFile('shared'), governor }));
+
+  await quietly(() => compliance.recordCall());
+  const validation = compliance.validateCall(new Date(Date.now() - 60 * MINUTE_MS), new Date());
+  assert(validation.violations.some(violation => violation.type === 'MINIMUM_INTERVAL_VIOLATION'), "The interval should be a violation");
+  assert(compliance.getStatus().canMakeCall === false, "Compliance status should come from the governor");
+
+  await quietly(() => logger.logRateLimit({ reason: 'RATE_LIMIT_5_MIN', retryAfter: 5 * MINUTE_MS }));
+  const saved = JSON.parse(fs.readFileSync(stateFile('shared'), 'utf8'));
+  assert(saved.calls.length === 1 && saved.fetches.length === 1, "Logging must not overwrite the counters");
+  assert(saved.history.length === 1 && saved.history[0].reason === 'RATE_LIMIT_5_MIN', "The entry should be in the governor's history");
+  assert(logger.getRateLimitStatus().reason === 'MIN_INTERVAL_NOT_ELAPSED', "Logger status should come from the governor");
+});
+
+await test("SDK and raw client honour the 5-minute rule and explain the denial", async () => {
+  const CRM_KEY = 'governor-crm-key-0123456789';
+  const server = createMockLmsServer({ crmKey: CRM_KEY, leads: generateMockLeads(3) });
+  const baseUrl = await server.start();
+  const logPath = path.join(tmpDir, 'sdk-logs');
+  const sdk = await quietly(() => new IndiaMartSDK(CRM_KEY, {
+    baseUrl,
+    paths: {
+      downloadPath: path.join(tmpDir, 'downloads'),
+      logPath,
+      apiLogFile: path.join(logPath, 'api-logs.json'),
+      rateLimitFile: path.join(logPath, 'rate-limits.json'),
+      dataPath: path.join(tmpDir, 'data'),
+      leadsPath: path.join(tmpDir, 'data', 'leads'),
+      processedPath: path.join(tmpDir, 'data', 'processed'),
+      failedPath: path.join(tmpDir, 'data', 'failed')
+    }
+  }));
+
+  try {
+    const events = [];
+    sdk.on('rateLimited', (event) => events.push(event));
+
+    const first = await quietly(() => sdk.getLeadsForDateRange(new Date(Date.now() - 24 * 60 * MINUTE_MS), new Date()));
+    assert(first.success, `First fetch should succeed: ${first.error}`);
+
+    const second = await quietly(() => sdk.getLeadsForDateRange(new Date(Date.now() - 12 * 60 * MINUTE_MS), new Date()));
+    assert(!second.success && second.rateLimit?.reason === 'MIN_INTERVAL_NOT_ELAPSED', `Second fetch should be held back, got ${second.error}`);
+    assert(second.rateLimit.nextSlotAt, "The result should say when the next slot opens");
+    assert(events.length === 1 && events[0].reason === 'MIN_INTERVAL_NOT_ELAPSED', "A rateLimited event should explain the denial");
+    assert(server.requests.length === 1, `Only one request should reach IndiaMART, got ${server.requests.length}`);
+
+    const client = new IndiaMartClient({ crmKey: CRM_KEY, baseUrl, useFileStorage: false, rateGovernor: sdk.rateGovernor });
+    let error = null;
+    try {
+      await quietly(() => client.getLeads({ startTime: new Date(Date.now() - 60 * MINUTE_MS).toISOString(), endTime: new Date().toISOString() }));
+    } catch (caught) {
+      error = caught;
+    }
+    assert(error?.code === 'RATE_LIMITED' && error.details.reason === 'MIN_INTERVAL_NOT_ELAPSED', `Raw client should be held back, got ${error?.code}`);
+  } finally {
+    await quietly(() => sdk.destroy());
+    await server.stop();
+  }
+});
+
+await test("Every request of a fetch counts, and only a fetch that sent none gives its slot back", async () => {
+  const governor = createGovernor('attempts');
+  const client = new IndiaMartClient({
+    crmKey: 'test-key-123',
+    useFileStorage: false,
+    rateGovernor: governor,
+    retryPolicy: { overrides: { SERVER_ERROR: { retryAfter: 0 } }, random: () => 0 },
+    transport: async () => ({ status: 200, statusText: 'OK', json: async () => structuredClone(MOCK_SCENARIOS.serverError) })
+  });
+  const range = { startTime: new Date(Date.now() - 60 * MINUTE_MS).toISOString(), endTime: new Date().toISOString() };
+
+  const failed = await quietly(() => client.getLeads(range).catch(error => error));
+  assert(failed.attempts === 3, `Expected three attempts, got ${failed.attempts}`);
+  const status = governor.getStatus();
+  assert(status.callsPerMinute === 3, `Each attempt should count as a call, got ${status.callsPerMinute}`);
+  assert(status.lastFetchAt && governor.peek().reason === 'MIN_INTERVAL_NOT_ELAPSED', "A failed fetch that reached IndiaMART should keep its 5-minute interval");
+
+  const unsent = createGovernor('unsent');
+  const noKey = new IndiaMartClient({
+    keyProvider: () => { throw new Error('Secret store unavailable'); },
+    useFileStorage: false,
+    rateGovernor: unsent,
+    transport: async () => { throw new Error('No request should be sent'); }
+  });
+  const error = await quietly(() => noKey.getLeads(range).catch(caught => caught));
+  assert(error.attempts === 0, `No request should have been sent, got ${error.attempts}`);
+  assert(unsent.getStatus().callsPerMinute === 0 && unsent.peek().allowed, "The unused slot should be released");
+});
+
+await test("Standalone clients share the standard rate limit file unless they opt out", async () => {
+  const cwd = process.cwd();
+  const workDir = fs.mkdtempSync(path.join(tmpDir, 'standalone-'));
+  process.chdir(workDir);
+  try {
+    const transport = async () => ({ status: 200, statusText: 'OK', json: async () => ({ CODE: 200, STATUS: 'SUCCESS', TOTAL_RECORDS: 0, RESPONSE: [] }) });
+    const range = { startTime: new Date(Date.now() - 60 * MINUTE_MS).toISOString(), endTime: new Date().toISOString() };
+    const first = new IndiaMartClient({ crmKey: 'test-key-123', useFileStorage: false, transport });
+    assert(first.rateGovernor.persist && first.rateGovernor === first.complianceManager.governor, "The default governor should be persisted and shared");
+    await quietly(() => first.getLeads(range));
+    assert(fs.existsSync(path.join(workDir, 'logs', 'rate-limits.json')), "The call should be recorded in ./logs/rate-limits.json");
+
+    // A second process, or a second client, sees the first one's call
+    const second = new IndiaMartClient({ crmKey: 'test-key-123', useFileStorage: false, transport });
+    const error = await quietly(() => second.getLeads(range).catch(caught => caught));
+    assert(error.code === 'RATE_LIMITED' && error.details.reason === 'MIN_INTERVAL_NOT_ELAPSED', `Expected the 5-minute rule, got ${error.code}`);
+
+    const inMemory = new IndiaMartClient({ crmKey: 'test-key-123', useFileStorage: false, transport, rateGovernor: { persist: false } });
+    assert(!inMemory.rateGovernor.persist, "{ persist: false } should keep the counters in memory");
+    assert((await quietly(() => inMemory.getLeads(range))).leads.length === 0, "An in-memory governor should not see the file");
+  } finally {
+    process.chdir(cwd);
+  }
+});
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+console.log(failures === 0 ? "\n✅ All tests completed!" : `\n❌ ${failures} test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+
+/**
+ * IndiaMART Request Scheduler - Test Suite
+ *
+ * Checks priority ordering, coalescing of identical date ranges, deadlines, the cache
+ * shortcut and the end-to-end wait for a rate governor slot.
+ * Run with: node tests/request-scheduler-test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RequestScheduler, REQUEST_PRIORITIES } from '../src/request-scheduler.js';
+import { IndiaMartSDK } from '../src/sdk.js';
+import { createMockLmsServer, generateMockLeads } from '../src/mock-lms-server.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Test failed: ${message}`);
+  }
+}
+
+let failures = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+const originalLog = console.log;
+const originalWarn = console.warn;
+const originalError = console.error;
+
+// Silence request logging while tests run
+async function quietly(fn) {
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+    console.warn = originalWarn;
+    console.error = originalError;
+  }
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const range = (hoursAgo) => [new Date(Date.now() - hoursAgo * HOUR_MS), new Date(Date.now() - (hoursAgo - 1) * HOUR_MS)];
+
+// Governor that denies calls until opened, with the next slot a given time away
+function createGovernor(nextSlotMs = 20) {
+  return {
+    open: false,
+    peek() {
+      if (this.open) return { allowed: true };
+      return {
+        allowed: false,
+        reason: 'MIN_INTERVAL_NOT_ELAPSED',
+        rule: 'At least 5 minutes between fetches',
+        retryAfter: nextSlotMs,
+        nextSlotAt: new Date(Date.now() + nextSlotMs).toISOString()
+      };
+    }
+  };
+}
+
+// SDK stand-in that records which ranges were fetched
+function createSdk(results = []) {
+  return {
+    calls: [],
+    cached: null,
+    getCachedLeads() {
+      return this.cached;
+    },
+    async getLeadsForDateRange(startDate, endDate) {
+      this.calls.push({ startDate, endDate });
+      await delay(5);
+      return results.shift() || { success: true, leads: [{ uniqueQueryId: String(this.calls.length) }], code: 200 };
+    }
+  };
+}
+
+console.log("🧪 IndiaMART Request Scheduler - Test Suite");
+console.log("===========================================\n");
+
+await test("Queued requests run by priority once a slot opens", async () => {
+  const sdk = createSdk();
+  const governor = createGovernor();
+  const scheduler = new RequestScheduler(sdk, { governor, minWaitMs: 10 });
+  const background = range(30);
+  const normal = range(20);
+  const interactive = range(10);
+
+  const pending = [
+    scheduler.getLeadsForDateRange(...background, { priority: REQUEST_PRIORITIES.BACKGROUND }),
+    scheduler.getLeadsForDateRange(...normal),
+    scheduler.getLeadsForDateRange(...interactive, { priority: REQUEST_PRIORITIES.INTERACTIVE })
+  ];
+  assert(scheduler.getStatus().queued === 3 && scheduler.getStatus().nextCheckAt, "Requests should wait for a slot");
+
+  governor.open = true;
+  const results = await Promise.all(pending);
+  assert(results.every(result => result.success), "Every request should succeed");
+  const order = sdk.calls.map(call => call.startDate.getTime());
+  assert(order.join() === [interactive, normal, background].map(([start]) => start.getTime()).join(),
+    "Interactive should go first and background last");
+  scheduler.stop();
+});
+
+await test("Identical date ranges share one API call", async () => {
+  const sdk = createSdk();
+  const scheduler = new RequestScheduler(sdk, { governor: createGovernor(), minWaitMs: 10 });
+  const [startDate, endDate] = range(5);
+  const coalesced = [];
+  scheduler.on('coalesced', (event) => coalesced.push(event));
+
+  const pending = [
+    scheduler.getLeadsForDateRange(startDate, endDate, { priority: REQUEST_PRIORITIES.BACKGROUND }),
+    scheduler.getLeadsForDateRange(startDate.toISOString(), endDate.toISOString()),
+    scheduler.getLeadsForDateRange(new Date(startDate), new Date(endDate), { priority: REQUEST_PRIORITIES.INTERACTIVE })
+  ];
+  assert(coalesced.length === 2 && coalesced[1].priority === REQUEST_PRIORITIES.INTERACTIVE,
+    "Later callers should join the queued request and raise its priority");
+
+  scheduler.governor.open = true;
+  const results = await Promise.all(pending);
+  assert(sdk.calls.length === 1, `Expected one API call but got ${sdk.calls.length}`);
+  assert(results.every(result => result === results[0] && result.success), "Every caller should get the same result");
+  assert(scheduler.getStatus().stats.coalesced === 2, "Coalesced callers should be counted");
+  scheduler.stop();
+});
+
+await test("A deadline that falls before the next slot is answered right away", async () => {
+  const sdk = createSdk();
+  const scheduler = new RequestScheduler(sdk, { governor: createGovernor(10 * 60 * 1000) });
+
+  const startedAt = Date.now();
+  const result = await scheduler.getLeadsForDateRange(...range(5), { timeoutMs: 60 * 1000 });
+  assert(Date.now() - startedAt < 1000, "The caller should not wait for the deadline");
+  assert(!result.success && result.code === 408 && result.deadlineExceeded, `Expected a 408 result, got ${result.code}`);
+  assert(result.rateLimit?.nextSlotAt, "The result should say when the next slot opens");
+  assert(sdk.calls.length === 0 && scheduler.getStatus().queued === 0, "Nothing should be sent or left queued");
+  scheduler.stop();
+});
+
+await test("A deadline that passes while waiting expires only that caller", async () => {
+  const sdk = createSdk();
+  const scheduler = new RequestScheduler(sdk, { governor: createGovernor(20), minWaitMs: 10 });
+  const [startDate, endDate] = range(5);
+
+  const patient = scheduler.getLeadsForDateRange(startDate, endDate);
+  const hurried = await scheduler.getLeadsForDateRange(startDate, endDate, { timeoutMs: 50 });
+  assert(hurried.code === 408 && hurried.deadlineExceeded, "The caller with a deadline should expire");
+  assert(scheduler.getStatus().waitingCallers === 1, "The other caller should still be queued");
+
+  scheduler.governor.open = true;
+  assert((await patient).success, "The remaining caller should still be served");
+  assert(scheduler.getStatus().stats.expired === 1, "The expiry should be counted");
+  scheduler.stop();
+});
+
+await test("Cached ranges skip the queue, withdrawn and stopped requests are answered", async () => {
+  const sdk = createSdk();
+  const scheduler = new RequestScheduler(sdk, { governor: createGovernor(10 * 60 * 1000) });
+
+  sdk.cached = { success: true, leads: [], fromCache: true };
+  const cached = await scheduler.getLeadsForDateRange(...range(5));
+  assert(cached.fromCache && scheduler.getStatus().stats.cacheHits === 1, "A cached range should not wait for a slot");
+  sdk.cached = null;
+
+  const controller = new AbortController();
+  const withdrawn = scheduler.getLeadsForDateRange(...range(5), { signal: controller.signal });
+  const queued = scheduler.getLeadsForDateRange(...range(10));
+  controller.abort();
+  assert((await withdrawn).code === 499, "An aborted request should be answered with code 499");
+
+  scheduler.stop();
+  const stopped = await queued;
+  assert(stopped.code === 503 && scheduler.getStatus().queued === 0, "Stopping should answer queued callers");
+  assert(sdk.calls.length === 0, "Nothing should reach the API");
+});
+
+await test("A request that loses its slot to another process is queued again", async () => {
+  const sdk = createSdk([{ success: false, code: 429, error: 'Rate limit exceeded', rateLimit: { reason: 'MIN_INTERVAL_NOT_ELAPSED' } }]);
+  const governor = createGovernor(20);
+  governor.open = true;
+  const scheduler = new RequestScheduler(sdk, { governor, minWaitMs: 10 });
+
+  const result = await scheduler.getLeadsForDateRange(...range(5));
+  assert(result.success && sdk.calls.length === 2, `Expected a retry after the denial, got ${sdk.calls.length} call(s)`);
+  scheduler.stop();
+});
+
+await test("A range that is already being fetched gets a call of its own", async () => {
+  const sdk = createSdk();
+  const governor = createGovernor();
+  governor.open = true;
+  const scheduler = new RequestScheduler(sdk, { governor, minWaitMs: 10 });
+  const [startDate, endDate] = range(5);
+
+  const first = scheduler.getLeadsForDateRange(startDate, endDate);
+  assert(sdk.calls.length === 1, "The first request should be sent right away");
+  const second = scheduler.getLeadsForDateRange(startDate, endDate);
+  assert(scheduler.getStatus().queued === 1, "The later caller should be queued, not joined to the sent request");
+
+  const results = await Promise.all([first, second]);
+  assert(sdk.calls.length === 2 && results[0] !== results[1], `Expected two API calls, got ${sdk.calls.length}`);
+  assert(scheduler.getStatus().stats.coalesced === 0, "Nothing should be coalesced");
+  scheduler.stop();
+});
+
+await test("A request queued again after losing its slot still expires at its deadline", async () => {
+  const sdk = createSdk([{ success: false, code: 429, error: 'Rate limit exceeded', rateLimit: { reason: 'MIN_INTERVAL_NOT_ELAPSED' } }]);
+  const governor = createGovernor(20);
+  governor.open = true;
+  const fetch = sdk.getLeadsForDateRange;
+  sdk.getLeadsForDateRange = function (...args) {
+    // Another process takes the slot while this request is on its way
+    governor.open = false;
+    return fetch.apply(this, args);
+  };
+  const scheduler = new RequestScheduler(sdk, { governor, minWaitMs: 5000 });
+
+  const startedAt = Date.now();
+  const result = await scheduler.getLeadsForDateRange(...range(5), { timeoutMs: 60 });
+  assert(result.code === 408 && result.deadlineExceeded, `Expected a 408 result, got ${result.code}`);
+  assert(Date.now() - startedAt < 1000, "The caller should be answered at its deadline, not at the next check");
+  assert(sdk.calls.length === 1 && scheduler.getStatus().queued === 0, "Nothing should be sent again or left queued");
+  scheduler.stop();
+});
+
+await test("The SDK scheduler waits for the rate governor", async () => {
+  const CRM_KEY = 'scheduler-crm-key-0123456789';
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'request-scheduler-test-'));
+  const server = createMockLmsServer({ crmKey: CRM_KEY, leads: generateMockLeads(2) });
+  const baseUrl = await server.start();
+  const logPath = path.join(tmpDir, 'logs');
+  const sdk = await quietly(() => new IndiaMartSDK(CRM_KEY, {
+    baseUrl,
+    paths: {
+      downloadPath: path.join(tmpDir, 'downloads'),
+      logPath,
+      apiLogFile: path.join(logPath, 'api-logs.json'),
+      rateLimitFile: path.join(logPath, 'rate-limits.json'),
+      dataPath: path.join(tmpDir, 'data'),
+      leadsPath: path.join(tmpDir, 'data', 'leads'),
+      processedPath: path.join(tmpDir, 'data', 'processed'),
+      failedPath: path.join(tmpDir, 'data', 'failed')
+    }
+  }));
+  const scheduler = sdk.createRequestScheduler();
+
+  try {
+    const [startDate, endDate] = [new Date(Date.now() - 24 * HOUR_MS), new Date()];
+    const first = await quietly(() => scheduler.getLeadsForDateRange(startDate, endDate));
+    assert(first.success, `First fetch should succeed: ${first.error}`);
+
+    const again = await scheduler.getLeadsForDateRange(startDate, endDate);
+    assert(again.success && scheduler.getStatus().stats.cacheHits === 1, "The same range should come from the cache");
+
+    const held = await scheduler.getLeadsForDateRange(new Date(Date.now() - 12 * HOUR_MS), new Date(), { timeoutMs: 60 * 1000 });
+    assert(held.code === 408 && held.rateLimit.reason === 'MIN_INTERVAL_NOT_ELAPSED', `A second range should miss its deadline, got ${held.code}`);
+    assert(server.requests.length === 1, `Only one request should reach IndiaMART, got ${server.requests.length}`);
+  } finally {
+    scheduler.stop();
+    await quietly(() => sdk.destroy());
+    await server.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+console.log(failures === 0 ? "\n✅ All tests completed!" : `\n❌ ${failures} test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/**
+ * IndiaMART Retry Policy - Test Suite
+ *
+ * Verifies backoff with full jitter, the retryAfter floor, the attempt and elapsed-time
+ * limits, per-error-type overrides, and that clients and the SDK report their attempts.
+ * Run with: node tests/retry-policy-test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RetryPolicy } from '../src/retry-policy.js';
+import { IndiaMartError } from '../src/error-handler.js';
+import { IndiaMartClient } from '../src/indiamart-client.js';
+import { RateGovernor } from '../src/rate-governor.js';
+import { IndiaMartSDK } from '../src/sdk.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Test failed: ${message}`);
+  }
+}
+
+let failures = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+const originalLog = console.log;
+const originalWarn = console.warn;
+const originalError = console.error;
+
+// Silence request logging while tests run
+async function quietly(fn) {
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+    console.warn = originalWarn;
+    console.error = originalError;
+  }
+}
+
+async function expectError(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the request to fail');
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+const error = (type, retryAfter, code = 500) => new IndiaMartError(type, code, 'FAILURE', { type, retryAfter });
+
+function respond(body) {
+  return { status: 200, statusText: 'OK', json: async () => body };
+}
+
+const SUCCESS = {
+  CODE: 200,
+  STATUS: 'SUCCESS',
+  TOTAL_RECORDS: 1,
+  RESPONSE: [{ UNIQUE_QUERY_ID: '1', QUERY_TYPE: 'W', QUERY_TIME: '2024-01-15 10:30:00', SENDER_MOBILE: '+91-9999999999' }]
+};
+const SERVER_ERROR = { CODE: 500, STATUS: 'FAILURE', MESSAGE: 'Internal Server Error' };
+
+// Transport that plays the given bodies in order
+function createTransport(...bodies) {
+  const transport = async () => respond(bodies[Math.min(transport.calls++, bodies.length - 1)]);
+  transport.calls = 0;
+  return transport;
+}
+
+const range = {
+  startTime: new Date(Date.now() - 2 * HOUR_MS).toISOString(),
+  endTime: new Date(Date.now() - HOUR_MS).toISOString()
+};
+
+function createClient(options) {
+  return new IndiaMartClient({
+    crmKey: 'test-key-123',
+    useFileStorage: false,
+    rateGovernor: new RateGovernor({ persist: false, rules: [] }),
+    ...options
+  });
+}
+
+console.log("🧪 IndiaMART Retry Policy - Test Suite");
+console.log("======================================\n");
+
+await test("Backoff doubles per attempt with full jitter up to maxDelayMs", async () => {
+  const high = new RetryPolicy({ baseDelayMs: 1000, maxDelayMs: 5000, random: () => 0.999 });
+  const delays = [1, 2, 3, 4].map(attempt => high.getDelay(error('TIMEOUT', 0), attempt));
+  assert(delays.join() === '999,1998,3996,4995', `Unexpected backoff: ${delays.join()}`);
+
+  const low = new RetryPolicy({ random: () => 0 });
+  assert(low.getDelay(error('TIMEOUT', 0), 3) === 0, "Full jitter may retry immediately");
+});
+
+await test("retryAfter from the classified error is a floor", async () => {
+  const policy = new RetryPolicy({ random: () => 0 });
+  const decision = policy.decide(error('SERVER_ERROR', 30000), { attempt: 1 });
+  assert(decision.retry && decision.delayMs === 30000, `Expected to wait 30s, got ${decision.delayMs}ms`);
+
+  const limited = policy.decide(error('RATE_LIMIT_5_MIN', 5 * 60 * 1000, 429), { attempt: 1 });
+  assert(!limited.retry && limited.reason === 'MAX_ELAPSED', `A 5-minute wait should exceed maxElapsedMs, got ${limited.reason}`);
+
+  const elapsed = policy.decide(error('SERVER_ERROR', 30000), { attempt: 1, elapsedMs: 100 * 1000 });
+  assert(!elapsed.retry && elapsed.reason === 'MAX_ELAPSED', "Time already spent should count");
+});
+
+await test("Attempts, non-retryable types and overrides decide the retry", async () => {
+  const policy = new RetryPolicy({
+    random: () => 0,
+    overrides: { SERVER_ERROR: { maxAttempts: 5, retryAfter: 100 }, TIMEOUT: { retry: false } }
+  });
+
+  assert(policy.decide(error('INVALID_API_KEY', 0, 401), { attempt: 1 }).reason === 'NOT_RETRYABLE', "A bad key should not be retried");
+  assert(policy.decide(error('TIMEOUT', 10000), { attempt: 1 }).reason === 'NOT_RETRYABLE', "An override should disable retries");
+  assert(policy.decide(error('UNKNOWN_ERROR', 0, 418), { attempt: 3 }).reason === 'MAX_ATTEMPTS', "Three attempts is the default");
+
+  const server = policy.decide(error('SERVER_ERROR', 30000), { attempt: 4 });
+  assert(server.retry && server.delayMs === 100, "The override should allow more attempts and replace retryAfter");
+  assert(policy.decide(error('SERVER_ERROR', 30000), { attempt: 2, maxAttempts: 2 }).reason === 'MAX_ATTEMPTS', "A per-call limit should win");
+
+  const gateway = new IndiaMartError('Bad Gateway', 502, 'FAILURE', { type: 'UNKNOWN_ERROR', retryAfter: 0 });
+  assert(policy.getErrorType(gateway) === 'SERVER_ERROR', "Generic types should be classified from the status code");
+});
+
+await test("Client retries per policy and reports the attempts", async () => {
+  const transport = createTransport(SERVER_ERROR, SERVER_ERROR, SUCCESS);
+  const retries = [];
+  const client = createClient({
+    transport,
+    retryPolicy: { maxAttempts: 4, overrides: { SERVER_ERROR: { retryAfter: 0 } }, random: () => 0 },
+    onApiError: (error, context) => retries.push(context)
+  });
+
+  const result = await quietly(() => client.getLeads(range));
+  assert(result.leads.length === 1 && result.attempts === 3, `Expected 3 attempts, got ${result.attempts}`);
+  assert(retries.length === 2 && retries.every(context => context.willRetry && context.delayMs === 0), "Each retry should be reported with its delay");
+});
+
+await test("Client gives up on a rate limit and on the last attempt", async () => {
+  const limited = createClient({
+    transport: createTransport({ CODE: 429, STATUS: 'FAILURE', MESSAGE: 'It is advised to hit this API once in every 5 minutes, but it seems that you have crossed this limit. Please try again after 5 minutes.' })
+  });
+  const rateError = await quietly(() => expectError(limited.getLeads(range)));
+  assert(rateError.attempts === 1 && rateError.details.type === 'RATE_LIMIT_5_MIN', "A 5-minute rate limit should not be retried");
+  assert(rateError.details.retryAfter === 5 * 60 * 1000, "The error should keep its retryAfter");
+
+  const transport = createTransport(SERVER_ERROR);
+  const failing = createClient({ transport, retryPolicy: { overrides: { SERVER_ERROR: { retryAfter: 0 } }, random: () => 0 } });
+  const serverError = await quietly(() => expectError(failing.getLeads({ ...range, maxRetries: 2 })));
+  assert(serverError.code === 500 && serverError.attempts === 2 && transport.calls === 2, `Expected 2 attempts, got ${serverError.attempts}`);
+});
+
+await test("SDK results carry the number of attempts", async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'retry-policy-test-'));
+  const logPath = path.join(tmpDir, 'logs');
+  const sdk = await quietly(() => new IndiaMartSDK('retry-crm-key-0123456789', {
+    transport: createTransport(SERVER_ERROR, SUCCESS),
+    retryPolicy: { overrides: { SERVER_ERROR: { retryAfter: 0 } }, random: () => 0 },
+    paths: {
+      downloadPath: path.join(tmpDir, 'downloads'),
+      logPath,
+      apiLogFile: path.join(logPath, 'api-logs.json'),
+      rateLimitFile: path.join(logPath, 'rate-limits.json'),
+      dataPath: path.join(tmpDir, 'data'),
+      leadsPath: path.join(tmpDir, 'data', 'leads'),
+      processedPath: path.join(tmpDir, 'data', 'processed'),
+      failedPath: path.join(tmpDir, 'data', 'failed')
+    }
+  }));
+
+  try {
+    const result = await quietly(() => sdk.getLeadsForDateRange(new Date(Date.now() - 2 * HOUR_MS), new Date(Date.now() - HOUR_MS)));
+    assert(result.success && result.attempts === 2, `Expected success after 2 attempts, got ${result.attempts}`);
+  } finally {
+    await quietly(() => sdk.destroy());
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+console.log(failures === 0 ? "\n✅ All tests completed!" : `\n❌ ${failures} test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
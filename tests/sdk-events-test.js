@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+/**
+ * IndiaMART SDK Events - Test Suite
+ *
+ * Verifies the events the SDK emits while fetching (lead, batch, fileWritten, rateLimited,
+ * blocked, apiError) and that a throwing listener neither fails the fetch nor keeps the
+ * event from the other listeners.
+ * Run with: node tests/sdk-events-test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { IndiaMartSDK, SDK_EVENTS } from '../src/sdk.js';
+import { MOCK_SCENARIOS } from '../src/mock-lms-server.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Test failed: ${message}`);
+  }
+}
+
+let failures = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+const originalLog = console.log;
+const originalWarn = console.warn;
+const originalError = console.error;
+
+// Silence request logging while tests run
+async function quietly(fn) {
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+    console.warn = originalWarn;
+    console.error = originalError;
+  }
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const SUCCESS = {
+  CODE: 200,
+  STATUS: 'SUCCESS',
+  TOTAL_RECORDS: 2,
+  RESPONSE: [
+    { UNIQUE_QUERY_ID: '1', QUERY_TYPE: 'W', QUERY_TIME: '2024-01-15 10:30:00', SENDER_MOBILE: '+91-9999999999', SENDER_COUNTRY_ISO: 'IN' },
+    { UNIQUE_QUERY_ID: '2', QUERY_TYPE: 'W', QUERY_TIME: '2024-01-15 11:30:00', SENDER_MOBILE: '+91-9999999998', SENDER_COUNTRY_ISO: 'IN' }
+  ]
+};
+
+// Transport that plays the bodies in order and repeats the last one
+function createTransport(...bodies) {
+  const transport = async () => {
+    transport.calls++;
+    const body = bodies[Math.min(transport.calls - 1, bodies.length - 1)];
+    return { status: 200, statusText: 'OK', json: async () => structuredClone(body) };
+  };
+  transport.calls = 0;
+  return transport;
+}
+
+// Run fn with an SDK writing under a temporary directory
+async function withSdk(transport, fn) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdk-events-test-'));
+  const logPath = path.join(tmpDir, 'logs');
+  const sdk = await quietly(() => new IndiaMartSDK('sdk-events-crm-key-0123456789', {
+    transport,
+    retryPolicy: { overrides: { SERVER_ERROR: { retryAfter: 0 } }, random: () => 0 },
+    paths: {
+      downloadPath: path.join(tmpDir, 'downloads'),
+      logPath,
+      apiLogFile: path.join(logPath, 'api-logs.json'),
+      rateLimitFile: path.join(logPath, 'rate-limits.json'),
+      dataPath: path.join(tmpDir, 'data'),
+      leadsPath: path.join(tmpDir, 'data', 'leads'),
+      processedPath: path.join(tmpDir, 'data', 'processed'),
+      failedPath: path.join(tmpDir, 'data', 'failed')
+    }
+  }));
+
+  try {
+    await fn(sdk, { logPath });
+  } finally {
+    await quietly(() => sdk.destroy());
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+function fetchRange(sdk, hoursAgo = 2) {
+  return quietly(() => sdk.getLeadsForDateRange(new Date(Date.now() - hoursAgo * HOUR_MS), new Date(Date.now() - (hoursAgo - 1) * HOUR_MS)));
+}
+
+console.log("🧪 IndiaMART SDK Events - Test Suite");
+console.log("====================================\n");
+
+await test("A successful fetch emits lead, batch and fileWritten", async () => {
+  await withSdk(createTransport(SUCCESS), async (sdk) => {
+    const leads = [];
+    const batches = [];
+    const files = [];
+    sdk.on(SDK_EVENTS.LEAD, (lead, context) => leads.push({ lead, context }));
+    sdk.on(SDK_EVENTS.BATCH, (batch) => batches.push(batch));
+    sdk.on(SDK_EVENTS.FILE_WRITTEN, (file) => files.push(file));
+
+    const result = await fetchRange(sdk);
+    assert(result.success, `The fetch should succeed: ${result.error}`);
+    assert(leads.map(({ lead }) => lead.uniqueQueryId).join() === '1,2', "Every lead should be emitted");
+    assert(leads[0].context.startDate && leads[0].context.endDate, "Leads should come with the fetched range");
+    assert(batches.length === 1 && batches[0].leads.length === 2 && batches[0].complete, "One batch should be emitted");
+
+    const download = files.find(file => file.type === 'download');
+    assert(download && download.path === result.downloadPath && download.leadsCount === 2, "The download file should be reported");
+    assert(fs.existsSync(download.path), "The reported file should exist");
+  });
+});
+
+await test("A call inside the 5-minute interval emits rateLimited from the rate limiter", async () => {
+  const transport = createTransport(SUCCESS);
+  await withSdk(transport, async (sdk) => {
+    const events = [];
+    sdk.on(SDK_EVENTS.RATE_LIMITED, (event) => events.push(event));
+
+    assert((await fetchRange(sdk, 2)).success, "The first fetch should succeed");
+    const denied = await fetchRange(sdk, 4);
+    assert(!denied.success && denied.rateLimit, "The second fetch should be denied");
+    assert(transport.calls === 1, "The denied call should not reach IndiaMART");
+    assert(events.length === 1 && events[0].source === 'rateLimiter', `Expected one rateLimiter event, got ${events.map(e => e.source).join()}`);
+    assert(events[0].reason === 'MIN_INTERVAL_NOT_ELAPSED' && events[0].retryAfter > 0, `Unexpected event: ${JSON.stringify(events[0])}`);
+  });
+});
+
+await test("IndiaMART's 5-minute 429 emits rateLimited from the API", async () => {
+  await withSdk(createTransport(MOCK_SCENARIOS.rateLimit5Min), async (sdk) => {
+    const events = [];
+    sdk.on(SDK_EVENTS.RATE_LIMITED, (event) => events.push(event));
+
+    const result = await fetchRange(sdk);
+    assert(!result.success && result.code === 429, "The fetch should fail with 429");
+    const api = events.filter(event => event.source === 'api');
+    assert(api.length === 1 && api[0].reason === 'RATE_LIMIT_5_MIN', `Expected one api event, got ${JSON.stringify(events)}`);
+  });
+});
+
+await test("IndiaMART's 15-minute block emits blocked", async () => {
+  await withSdk(createTransport(MOCK_SCENARIOS.rateLimit15Min), async (sdk) => {
+    const events = [];
+    sdk.on(SDK_EVENTS.BLOCKED, (event) => events.push(event));
+
+    const result = await fetchRange(sdk);
+    assert(!result.success && result.code === 429, "The fetch should fail with 429");
+    const api = events.find(event => event.source === 'api');
+    assert(api && api.reason === 'RATE_LIMIT_15_MIN', `Expected an api blocked event, got ${JSON.stringify(events)}`);
+    const blockedFor = Date.parse(api.blockedUntil) - Date.now();
+    assert(blockedFor > 14 * 60 * 1000 && blockedFor <= 15 * 60 * 1000, "The block should last 15 minutes");
+  });
+});
+
+await test("Every failed attempt emits apiError", async () => {
+  await withSdk(createTransport(MOCK_SCENARIOS.serverError, MOCK_SCENARIOS.serverError, SUCCESS), async (sdk) => {
+    const events = [];
+    sdk.on(SDK_EVENTS.API_ERROR, (event) => events.push(event));
+
+    const result = await fetchRange(sdk);
+    assert(result.success && result.attempts === 3, "The third attempt should succeed");
+    assert(events.map(event => `${event.attempt}:${event.willRetry}`).join() === '1:true,2:true', `Unexpected attempts: ${JSON.stringify(events.map(e => e.attempt))}`);
+    assert(events.every(event => event.error instanceof Error), "Events should carry the error");
+  });
+});
+
+await test("A throwing listener does not fail the fetch or starve other listeners", async () => {
+  await withSdk(createTransport(SUCCESS), async (sdk, { logPath }) => {
+    const received = [];
+    let onceCalls = 0;
+    sdk.on(SDK_EVENTS.LEAD, () => { throw new Error('listener bug'); });
+    sdk.on(SDK_EVENTS.LEAD, (lead) => received.push(lead.uniqueQueryId));
+    sdk.once(SDK_EVENTS.LEAD, () => onceCalls++);
+
+    const result = await fetchRange(sdk);
+    assert(result.success, `The fetch should succeed: ${result.error}`);
+    assert(received.join() === '1,2', `The second listener should get every lead, got ${received.join()}`);
+    assert(onceCalls === 1 && sdk.listenerCount(SDK_EVENTS.LEAD) === 2, "once() listeners should still run once");
+
+    const logged = fs.readFileSync(path.join(logPath, 'secure-sdk.log'), 'utf8');
+    assert(/SDK event listener failed/.test(logged), "The listener failure should be logged");
+  });
+});
+
+console.log(failures === 0 ? "\n✅ All tests completed!" : `\n❌ ${failures} test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
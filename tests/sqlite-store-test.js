@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * IndiaMART SQLite Lead Store - Test Suite
+ *
+ * Checks query building and sdk.queryLeads everywhere, and the store itself when a
+ * SQLite driver (node:sqlite or better-sqlite3) is available.
+ * Run with: node tests/sqlite-store-test.js
+ */
+
+import { SqliteLeadStore, buildLeadQuery } from '../src/sqlite-lead-store.js';
+import { MemoryStorageAdapter } from '../src/storage-adapter.js';
+import { IndiaMartSDK } from '../src/sdk.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Test failed: ${message}`);
+  }
+}
+
+let failures = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+function lead(uniqueQueryId, queryTime, state, productName, queryType = 'W') {
+  return {
+    uniqueQueryId,
+    queryTime,
+    queryType,
+    sender: { name: 'Buyer', mobile: '+91-9999999999', state },
+    query: { productName }
+  };
+}
+
+console.log("🧪 IndiaMART SQLite Lead Store - Test Suite");
+console.log("============================================\n");
+
+await test("Filters, ordering and paging become parameterized SQL", () => {
+  const { sql, params } = buildLeadQuery({
+    where: {
+      'sender.state': 'Gujarat',
+      queryType: ['W', 'B'],
+      queryTime: { gte: '2024-05-01', lt: '2024-06-01' }
+    },
+    orderBy: ['-queryTime', { field: 'uniqueQueryId', direction: 'asc' }],
+    limit: 10,
+    offset: 20
+  });
+
+  assert(sql === 'SELECT data FROM leads WHERE sender_state = ? AND query_type IN (?, ?) AND query_time >= ? AND query_time < ? ' +
+    'ORDER BY query_time DESC, unique_query_id ASC LIMIT ? OFFSET ?', `Unexpected SQL: ${sql}`);
+  assert(JSON.stringify(params) === JSON.stringify(['Gujarat', 'W', 'B', '2024-05-01', '2024-06-01', 10, 20]), "Values should be bound, not inlined");
+});
+
+await test("Dates are compared as IST query times", () => {
+  const { params } = buildLeadQuery({ where: { queryTime: { gte: new Date('2024-05-01T18:30:00Z') } } });
+  assert(params[0] === '2024-05-02 00:00:00', `Expected IST midnight but got ${params[0]}`);
+});
+
+await test("Unknown fields and operators are rejected", () => {
+  for (const options of [{ where: { 'sender.pincode': '1' } }, { where: { queryTime: { after: '2024' } } }, { orderBy: 'DROP TABLE' }]) {
+    let error = null;
+    try {
+      buildLeadQuery(options);
+    } catch (caught) {
+      error = caught;
+    }
+    assert(error, `Expected ${JSON.stringify(options)} to be rejected`);
+  }
+});
+
+await test("sdk.queryLeads explains when the storage cannot be queried", async () => {
+  const sdk = new IndiaMartSDK('test-key-123', { storage: new MemoryStorageAdapter() });
+  const result = await sdk.queryLeads({ where: { queryType: 'W' } });
+  assert(result.success === false && /does not support queries/.test(result.error), "Should return an error result");
+  assert(Array.isArray(result.leads) && result.leads.length === 0, "Leads should be an empty array");
+  await sdk.destroy();
+});
+
+let store = new SqliteLeadStore({ filename: ':memory:' });
+try {
+  await store.initialize();
+} catch (error) {
+  console.log(`⏭️  Skipping SQLite store tests: ${error.message}`);
+  store = null;
+}
+
+if (store) {
+  await test("Leads are upserted on uniqueQueryId and batches tracked", async () => {
+    const first = await store.storeLeads([
+      lead('1', '2024-05-01 10:00:00', 'Gujarat', 'Industrial Pump'),
+      lead('2', '2024-05-02 10:00:00', 'Kerala', 'Valve')
+    ]);
+    const second = await store.storeLeads([
+      lead('2', '2024-05-02 10:00:00', 'Gujarat', 'Valve Kit'),
+      lead('3', '2024-06-01 10:00:00', 'Gujarat', 'Pump', 'B')
+    ]);
+
+    assert((await store.getPendingFiles()).join(',') === [first, second].join(','), "Both batches should be pending");
+    assert((await store.getLead('2')).query.productName === 'Valve Kit', "Re-fetched lead should be updated");
+
+    await store.markAsProcessed(first);
+    const stats = await store.getStats();
+    assert(stats.storedLeads === 3, `Expected 3 stored leads but got ${stats.storedLeads}`);
+    assert(stats.pendingFiles === 1 && stats.processedFiles === 1, "Batch states should be counted");
+  });
+
+  await test("queryLeads filters and sorts stored leads", async () => {
+    const gujarat = await store.queryLeads({ where: { 'sender.state': 'Gujarat' } });
+    assert(gujarat.map(l => l.uniqueQueryId).join(',') === '3,2,1', "Newest first by default");
+
+    const may = await store.queryLeads({ where: { queryTime: { gte: '2024-05-01', lt: '2024-06-01' } }, orderBy: 'queryTime' });
+    assert(may.map(l => l.uniqueQueryId).join(',') === '1,2', "Date range should be applied");
+
+    const pumps = await store.queryLeads({ where: { 'query.productName': { like: '%Pump%' } }, limit: 1 });
+    assert(pumps.length === 1 && pumps[0].uniqueQueryId === '3', "Limit should apply after sorting");
+  });
+
+  await test("sdk.queryLeads reads from the SQLite store", async () => {
+    const sdk = new IndiaMartSDK('test-key-123', { storage: store });
+    const result = await sdk.queryLeads({ where: { queryType: 'B' } });
+    assert(result.success && result.count === 1 && result.leads[0].uniqueQueryId === '3', "Should return matching leads");
+    await sdk.destroy();
+  });
+
+  store.close();
+}
+
+console.log(failures === 0 ? "\n✅ All tests completed!" : `\n❌ ${failures} test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
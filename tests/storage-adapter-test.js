@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+/**
+ * IndiaMART Storage Adapters - Test Suite
+ *
+ * Verifies the storage adapter interface, the in-memory adapter, that the client
+ * stores fetched leads through a supplied adapter and that the SDK reports the
+ * stored batches of any adapter (no network calls).
+ * Run with: node tests/storage-adapter-test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MemoryStorageAdapter, FileSystemStorageAdapter, assertStorageAdapter, STORAGE_ADAPTER_METHODS } from '../src/storage-adapter.js';
+import { IndiaMartClient } from '../src/indiamart-client.js';
+import { IndiaMartSDK, SDK_EVENTS } from '../src/sdk.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Test failed: ${message}`);
+  }
+}
+
+let failures = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+const originalLog = console.log;
+
+// Silence the client's request logging while tests run
+async function quietly(fn) {
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+const SUCCESS = {
+  CODE: 200,
+  STATUS: 'SUCCESS',
+  TOTAL_RECORDS: 1,
+  RESPONSE: [{
+    UNIQUE_QUERY_ID: '1',
+    QUERY_TYPE: 'W',
+    QUERY_TIME: '2024-01-15 10:30:00',
+    SENDER_COUNTRY_ISO: 'IN',
+    SENDER_MOBILE: '+91-9999999999'
+  }]
+};
+
+console.log("🧪 IndiaMART Storage Adapters - Test Suite");
+console.log("==========================================\n");
+
+await test("Both shipped adapters implement the interface", () => {
+  assertStorageAdapter(new MemoryStorageAdapter());
+  assertStorageAdapter(new FileSystemStorageAdapter({ baseDir: './data' }));
+});
+
+await test("Incomplete adapters are rejected with the missing methods", () => {
+  let error = null;
+  try {
+    assertStorageAdapter({ storeLeads: async () => 'id' });
+  } catch (caught) {
+    error = caught;
+  }
+  assert(error && error.message.includes('markAsProcessed'), "Missing methods should be listed");
+});
+
+await test("Memory adapter tracks pending, processed and failed batches", async () => {
+  const storage = new MemoryStorageAdapter();
+  const first = await storage.storeLeads([{ uniqueQueryId: '1' }, { uniqueQueryId: '2' }], { startTime: 'a' });
+  const second = await storage.storeLeads([{ uniqueQueryId: '3' }]);
+  const third = await storage.storeLeads([{ uniqueQueryId: '4' }]);
+
+  assert((await storage.getPendingFiles()).join(',') === [first, second, third].join(','), "All batches should be pending in order");
+  assert((await storage.readLeadFile(first)).metadata.startTime === 'a', "Metadata should be kept");
+
+  await storage.markAsProcessed(first);
+  await storage.markAsFailed(second, 'CRM rejected the lead');
+
+  const stats = await storage.getStats();
+  assert(stats.pendingFiles === 1 && stats.processedFiles === 1 && stats.failedFiles === 1, "Stats should count each state");
+  assert(stats.totalLeads === 1, "Only pending leads should be counted");
+  assert((await storage.readLeadFile(second)).error.message === 'CRM rejected the lead', "Failure reason should be kept");
+  assert(await storage.cleanupOldFiles(0) === 2, "Processed and failed batches should be cleaned up");
+});
+
+await test("Client stores fetched leads through the supplied adapter", async () => {
+  const storage = new MemoryStorageAdapter();
+  const client = new IndiaMartClient({
+    crmKey: 'test-key-123',
+    rateGovernor: { persist: false },
+    storage,
+    transport: async () => ({
+      status: 200,
+      statusText: 'OK',
+      json: async () => ({
+        CODE: 200,
+        STATUS: 'SUCCESS',
+        TOTAL_RECORDS: 1,
+        RESPONSE: [{
+          UNIQUE_QUERY_ID: '1',
+          QUERY_TYPE: 'W',
+          QUERY_TIME: '2024-01-15 10:30:00',
+          SENDER_COUNTRY_ISO: 'IN',
+          SENDER_MOBILE: '+91-9999999999'
+        }]
+      })
+    })
+  });
+
+  const result = await quietly(() => client.getLeads({
+    startTime: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+    endTime: new Date(Date.now() - 60 * 60 * 1000).toISOString()
+  }));
+
+  const pending = await storage.getPendingFiles();
+  assert(pending.length === 1, "One batch should be stored");
+  assert(result.downloadPath === pending[0], "Result should point at the stored batch");
+});
+
+await test("SDK reports the batches of any supplied adapter", async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-adapter-test-'));
+  const logPath = path.join(tmpDir, 'logs');
+  const memory = new MemoryStorageAdapter();
+  // A database adapter of the caller's own, with no onFileWritten
+  const custom = Object.fromEntries(STORAGE_ADAPTER_METHODS.map(name => [name, async () => null]));
+  custom.storeLeads = async (leads) => `custom-${leads.length}`;
+
+  const sdks = [];
+  try {
+    for (const storage of [memory, custom]) {
+      const sdk = await quietly(() => new IndiaMartSDK('storage-adapter-crm-key-0123456789', {
+        storage,
+        transport: async () => ({ status: 200, statusText: 'OK', json: async () => structuredClone(SUCCESS) }),
+        paths: {
+          downloadPath: path.join(tmpDir, 'downloads'),
+          logPath,
+          apiLogFile: path.join(logPath, 'api-logs.json'),
+          rateLimitFile: path.join(logPath, `rate-limits-${sdks.length}.json`)
+        }
+      }));
+      sdks.push(sdk);
+      const events = { stored: [], files: [] };
+      sdk.on(SDK_EVENTS.LEADS_STORED, (event) => events.stored.push(event));
+      sdk.on(SDK_EVENTS.FILE_WRITTEN, (event) => events.files.push(event));
+
+      const result = await quietly(() => sdk.getLeadsForDateRange(new Date(Date.now() - 2 * 60 * 60 * 1000), new Date(Date.now() - 60 * 60 * 1000)));
+      assert(result.success, `The fetch should succeed: ${result.error}`);
+      const batchId = storage === memory ? (await memory.getPendingFiles())[0] : 'custom-1';
+      assert(events.stored.length === 1 && events.stored[0].batchId === batchId && events.stored[0].leadsCount === 1, `leadsStored should report the batch, got ${JSON.stringify(events.stored)}`);
+      assert(events.stored[0].complete === true && events.stored[0].startTime, "leadsStored should describe the fetch");
+
+      const batchFiles = events.files.filter(file => file.type === 'leads');
+      if (storage === memory) {
+        assert(batchFiles.length === 1 && batchFiles[0].path === batchId, "The memory adapter's batch should be reported as fileWritten");
+      } else {
+        assert(batchFiles.length === 0, "An adapter without onFileWritten only reports leadsStored");
+      }
+    }
+  } finally {
+    for (const sdk of sdks) await quietly(() => sdk.destroy());
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+console.log(failures === 0 ? "\n✅ All tests completed!" : `\n❌ ${failures} test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
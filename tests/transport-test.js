@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+/**
+ * IndiaMART LMS Client - Transport & Timeout Test Suite
+ *
+ * Verifies the injectable transport and the per-attempt, whole-operation
+ * and caller-signal deadlines (no network calls).
+ * Run with: node tests/transport-test.js
+ */
+
+import { IndiaMartClient } from '../src/indiamart-client.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Test failed: ${message}`);
+  }
+}
+
+let failures = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+const originalLog = console.log;
+const range = {
+  startTime: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+  endTime: new Date(Date.now() - 60 * 60 * 1000).toISOString()
+};
+
+function respond(body, status = 200) {
+  return { status, statusText: 'OK', json: async () => body };
+}
+
+// A transport that never answers and ignores its signal
+const stalledTransport = () => new Promise(() => {});
+
+function createClient(options) {
+  return new IndiaMartClient({ crmKey: 'test-key-123', useFileStorage: false, rateGovernor: { persist: false }, ...options });
+}
+
+// Silence the client's request logging while tests run
+async function quietly(fn) {
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+async function expectError(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the request to fail');
+}
+
+console.log("🧪 IndiaMART LMS Client - Transport & Timeout Test Suite");
+console.log("========================================================\n");
+
+await test("Custom transport is used with an abort signal", async () => {
+  const requests = [];
+  const client = createClient({
+    transport: async (url, init) => {
+      requests.push({ url, init });
+      return respond({
+        CODE: 200,
+        STATUS: 'SUCCESS',
+        TOTAL_RECORDS: 1,
+        RESPONSE: [{
+          UNIQUE_QUERY_ID: '1',
+          QUERY_TYPE: 'W',
+          QUERY_TIME: '2024-01-15 10:30:00',
+          SENDER_COUNTRY_ISO: 'IN',
+          SENDER_MOBILE: '+91-9999999999'
+        }]
+      });
+    }
+  });
+  const result = await quietly(() => client.getLeads(range));
+  assert(requests.length === 1, "Transport should be called once");
+  assert(requests[0].init.signal instanceof AbortSignal, "Transport should receive an AbortSignal");
+  assert(new URL(requests[0].url).searchParams.get('glusr_crm_key') === 'test-key-123', "URL should carry the CRM key");
+  assert(result.leads.length === 1, "Leads should come from the transport response");
+});
+
+await test("Stalled attempt fails with a TIMEOUT error", async () => {
+  let signal = null;
+  const client = createClient({
+    timeoutMs: 50,
+    transport: (url, init) => {
+      signal = init.signal;
+      return stalledTransport();
+    }
+  });
+  const error = await quietly(() => expectError(client.getLeads({ ...range, maxRetries: 1 })));
+  assert(error.code === 'TIMEOUT', `Expected TIMEOUT but got ${error.code}`);
+  assert(signal.aborted, "The attempt signal should be aborted on timeout");
+});
+
+await test("Operation timeout bounds retries", async () => {
+  let calls = 0;
+  const client = createClient({
+    operationTimeoutMs: 100,
+    transport: async () => {
+      calls++;
+      return respond({ CODE: 500, STATUS: 'FAILURE', MESSAGE: 'Internal error' });
+    }
+  });
+  const startedAt = Date.now();
+  const error = await quietly(() => expectError(client.getLeads(range)));
+  assert(error.code === 'OPERATION_TIMEOUT', `Expected OPERATION_TIMEOUT but got ${error.code}`);
+  assert(calls === 1, "The retry delay should be cut short by the deadline");
+  assert(Date.now() - startedAt < 5000, "The operation should end at its deadline");
+});
+
+await test("Operation timeout covers every page of a fetch", async () => {
+  let calls = 0;
+  const client = createClient({
+    operationTimeoutMs: 150,
+    transport: async () => {
+      calls++;
+      await new Promise(resolve => setTimeout(resolve, 60));
+      return respond({
+        CODE: 200,
+        STATUS: 'SUCCESS',
+        TOTAL_RECORDS: 3,
+        RESPONSE: [{
+          UNIQUE_QUERY_ID: String(calls),
+          QUERY_TYPE: 'W',
+          QUERY_TIME: '2024-01-15 10:30:00',
+          SENDER_COUNTRY_ISO: 'IN',
+          SENDER_MOBILE: '+91-9999999999'
+        }]
+      });
+    }
+  });
+  const result = await quietly(() => client.getLeads(range));
+  assert(calls === 3, `Expected the third page to be started, got ${calls} call(s)`);
+  assert(result.partial && result.leads.length === 2, `The third page should run out of time, got ${result.leads.length} lead(s)`);
+  assert(/Operation timed out/.test(result.paginationError), `Expected an operation timeout, got ${result.paginationError}`);
+});
+
+await test("Caller signal aborts a stalled request", async () => {
+  const controller = new AbortController();
+  const client = createClient({ transport: stalledTransport });
+  setTimeout(() => controller.abort(), 20);
+  const error = await quietly(() => expectError(client.getLeads({ ...range, signal: controller.signal })));
+  assert(error.name === 'AbortError' && error.code === 'ABORT_ERR', `Expected an AbortError but got ${error.name}/${error.code}`);
+});
+
+console.log(failures === 0 ? "\n✅ All tests completed!" : `\n❌ ${failures} test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+/**
+ * IndiaMART Typed Errors - Test Suite
+ *
+ * Verifies that API failures, client-side checks and SDK results use the error subclasses,
+ * and that retryAt, the cause chain and toJSON() are consistent.
+ * Run with: node tests/typed-errors-test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  IndiaMartErrorHandler,
+  IndiaMartError,
+  RateLimitError,
+  AuthenticationError,
+  KeyExpiredError,
+  NoLeadsError,
+  DateRangeError,
+  ServerError,
+  TimeoutError,
+  ComplianceError,
+  createTypedError
+} from '../src/error-handler.js';
+import { IndiaMartClient } from '../src/indiamart-client.js';
+import { RateGovernor } from '../src/rate-governor.js';
+import { IndiaMartSDK } from '../src/sdk.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Test failed: ${message}`);
+  }
+}
+
+let failures = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+const originalLog = console.log;
+const originalWarn = console.warn;
+const originalError = console.error;
+
+// Silence request logging while tests run
+async function quietly(fn) {
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+    console.warn = originalWarn;
+    console.error = originalError;
+  }
+}
+
+async function expectError(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the request to fail');
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const range = {
+  startTime: new Date(Date.now() - 2 * HOUR_MS).toISOString(),
+  endTime: new Date(Date.now() - HOUR_MS).toISOString()
+};
+
+function createClient(options) {
+  return new IndiaMartClient({
+    crmKey: 'test-key-123',
+    useFileStorage: false,
+    rateGovernor: new RateGovernor({ persist: false, rules: [] }),
+    ...options
+  });
+}
+
+function respondWith(body) {
+  return async () => ({ status: 200, statusText: 'OK', json: async () => body });
+}
+
+console.log("🧪 IndiaMART Typed Errors - Test Suite");
+console.log("======================================\n");
+
+await test("API failures become the matching subclass", async () => {
+  const handler = new IndiaMartErrorHandler();
+  const cases = [
+    [429, 'Too Many Requests', RateLimitError, 'RATE_LIMIT_15_MIN'],
+    [429, 'Please try again after 5 minutes.', RateLimitError, 'RATE_LIMIT_5_MIN'],
+    [401, 'Pull API Key that you are using is incorrect.', AuthenticationError, 'INVALID_API_KEY'],
+    [401, 'Pull API Key has expired as it was no longer in use.', KeyExpiredError, 'API_KEY_EXPIRED_INACTIVITY'],
+    [401, 'Key expired, a new key was generated.', KeyExpiredError, 'API_KEY_EXPIRED_NEW_GENERATED'],
+    [204, 'There are no leads in the given time duration.', NoLeadsError, 'NO_LEADS'],
+    [400, 'You can fetch the data for the last 365 days only.', DateRangeError, 'DATE_RANGE_TOO_LARGE'],
+    [500, 'Some Error Occured', ServerError, 'SERVER_ERROR'],
+    [418, 'Teapot', IndiaMartError, 'UNKNOWN_ERROR']
+  ];
+
+  for (const [code, message, ErrorClass, type] of cases) {
+    const error = handler.createSpecificError(code, 'FAILURE', message, { CODE: code, MESSAGE: message });
+    assert(error.constructor === ErrorClass && error.name === ErrorClass.name, `${type} should be a ${ErrorClass.name}, got ${error.name}`);
+    assert(error instanceof IndiaMartError && error.type === type && error.statusCode === code, `${type} should keep its type and status code`);
+  }
+
+  const expired = handler.createSpecificError(401, 'FAILURE', 'Key expired, a new key was generated.', {});
+  assert(expired instanceof AuthenticationError && expired.newKeyGenerated, "An expired key is an authentication error");
+  assert(createTypedError('Bad Gateway', 502, 'FAILURE', { type: 'UNKNOWN_ERROR' }) instanceof ServerError, "Any 5xx should be a ServerError");
+});
+
+await test("retryAt, the cause chain and toJSON() are consistent", async () => {
+  const handler = new IndiaMartErrorHandler();
+  const blocked = handler.createSpecificError(429, 'FAILURE', 'Too Many Requests', { CODE: 429 });
+  assert(blocked.retryAt.getTime() === blocked.timestamp.getTime() + 15 * 60 * 1000, "retryAt should be timestamp + retryAfter");
+  assert(handler.createSpecificError(401, 'FAILURE', 'incorrect', {}).retryAt === null, "Errors that cannot be retried have no retryAt");
+
+  const socketError = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+  const wrapped = new TimeoutError('Request timed out after 10ms', 'TIMEOUT', 'ERROR', { type: 'TIMEOUT', retryAfter: 1000 }, {
+    cause: new IndiaMartError('Attempt aborted', 'ABORT', 'ERROR', {}, { cause: socketError })
+  });
+  const json = JSON.parse(JSON.stringify(wrapped));
+  assert(json.name === 'TimeoutError' && json.type === 'TIMEOUT' && json.retryAt === wrapped.retryAt.toISOString(), "Serialized fields should match");
+  assert(json.cause.name === 'IndiaMartError' && json.cause.cause.code === 'ECONNRESET', "The cause chain should be serialized");
+
+  const serialized = blocked.toJSON();
+  assert(serialized.suggestion && serialized.details.type === 'RATE_LIMIT_15_MIN', "Details should be kept");
+  assert(!('response' in serialized.details), "The raw IndiaMART response should be left out");
+});
+
+await test("Client throws typed errors", async () => {
+  const rateGovernor = new RateGovernor({ persist: false, rules: [] });
+  await rateGovernor.block(60 * 1000, 'TEST_BLOCK', { notify: false });
+  const limited = await quietly(() => expectError(createClient({ rateGovernor, transport: respondWith({}) }).getLeads(range)));
+  assert(limited instanceof RateLimitError && limited.code === 'RATE_LIMITED' && limited.retryAt > new Date(), "A denied slot should be a RateLimitError");
+
+  const expired = await quietly(() => expectError(createClient({
+    transport: respondWith({ CODE: 401, STATUS: 'FAILURE', MESSAGE: 'Pull API Key that you are using has expired as it was no longer in use.' })
+  }).getLeads(range)));
+  assert(expired instanceof KeyExpiredError && expired.attempts === 1, `Expected a KeyExpiredError, got ${expired.name}`);
+
+  const timedOut = await quietly(() => expectError(createClient({
+    transport: () => new Promise(() => {}),
+    timeoutMs: 20,
+    retryPolicy: { overrides: { TIMEOUT: { retry: false } } }
+  }).getLeads(range)));
+  assert(timedOut instanceof TimeoutError && timedOut.cause, "A timeout should keep the abort as its cause");
+
+  const tooLong = { startTime: new Date(Date.now() - 9 * 24 * HOUR_MS).toISOString(), endTime: range.endTime };
+  const compliance = await quietly(() => expectError(createClient({ transport: respondWith({}) }).getLeads(tooLong)));
+  assert(compliance instanceof ComplianceError && compliance.violations.length > 0, "A 9-day range should be a ComplianceError");
+
+  const missing = await quietly(() => expectError(createClient({ transport: respondWith({}) }).getLeads({ startTime: range.startTime })));
+  assert(missing instanceof DateRangeError && missing.code === 'INVALID_PARAMETERS', "Missing dates should be a DateRangeError");
+});
+
+await test("SDK failure results carry the error type and retryAt", async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'typed-errors-test-'));
+  const logPath = path.join(tmpDir, 'logs');
+  const sdk = await quietly(() => new IndiaMartSDK('typed-errors-crm-key-0123456789', {
+    transport: respondWith({ CODE: 429, STATUS: 'FAILURE', MESSAGE: 'Too Many Requests' }),
+    paths: {
+      downloadPath: path.join(tmpDir, 'downloads'),
+      logPath,
+      apiLogFile: path.join(logPath, 'api-logs.json'),
+      rateLimitFile: path.join(logPath, 'rate-limits.json'),
+      dataPath: path.join(tmpDir, 'data'),
+      leadsPath: path.join(tmpDir, 'data', 'leads'),
+      processedPath: path.join(tmpDir, 'data', 'processed'),
+      failedPath: path.join(tmpDir, 'data', 'failed')
+    }
+  }));
+
+  try {
+    const limited = await quietly(() => sdk.getLeadsForDateRange(new Date(Date.now() - 2 * HOUR_MS), new Date(Date.now() - HOUR_MS)));
+    assert(!limited.success && limited.code === 429 && limited.errorType === 'RATE_LIMIT_15_MIN', `Expected a 429 result, got ${limited.code}/${limited.errorType}`);
+    assert(new Date(limited.retryAt).getTime() > Date.now() + 14 * 60 * 1000, "The result should say when to try again");
+
+    const tooLong = await quietly(() => sdk.getLeadsForDateRange(new Date(Date.now() - 9 * 24 * HOUR_MS), new Date(Date.now() - HOUR_MS)));
+    assert(tooLong.code === 400 && tooLong.errorType === 'DATE_COMPLIANCE_ERROR' && tooLong.retryAt === null, `Expected a compliance result, got ${tooLong.errorType}`);
+  } finally {
+    await quietly(() => sdk.destroy());
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+console.log(failures === 0 ? "\n✅ All tests completed!" : `\n❌ ${failures} test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;